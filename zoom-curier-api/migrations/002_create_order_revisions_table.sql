@@ -0,0 +1,16 @@
+-- Migration: Record order changes sent by source platforms (orders/updated, order.updated)
+-- Version: 1.1.0
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS order_revisions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT,
+    internal_order_id VARCHAR(50) NOT NULL,
+    source VARCHAR(50),
+    event VARCHAR(20) NOT NULL, -- updated, cancelled
+    changes JSON NOT NULL,      -- { field: { from, to } }
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_internal_order (internal_order_id),
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+);
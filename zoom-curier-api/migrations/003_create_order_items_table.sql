@@ -0,0 +1,19 @@
+-- Migration: Store order line items / package contents
+-- Version: 1.2.0
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS order_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT NOT NULL,
+    internal_order_id VARCHAR(50) NOT NULL,
+    sku VARCHAR(100),
+    name VARCHAR(500),
+    quantity INT NOT NULL DEFAULT 1,
+    unit_weight DECIMAL(10, 3), -- kg
+    unit_price DECIMAL(10, 2),  -- order currency
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_internal_order (internal_order_id),
+    INDEX idx_sku (sku),
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+);
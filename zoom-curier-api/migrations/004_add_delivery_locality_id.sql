@@ -0,0 +1,6 @@
+-- Migration: Platform locality identifier for the delivery address (eMAG shipping_locality_id)
+-- Version: 1.3.0
+-- Date: 2026-10-18
+
+ALTER TABLE orders
+    ADD COLUMN delivery_locality_id VARCHAR(50) AFTER delivery_country;
@@ -0,0 +1,16 @@
+-- Migration: Declarative mappings for custom order sources
+-- Version: 1.4.0
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS source_mappings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,  -- source name, e.g. ?source=my-shop
+    merchant_id INT,            -- NULL = available to every merchant
+    definition JSON NOT NULL,   -- fields, defaults, cod, cancel, items, transforms
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    UNIQUE KEY uniq_name_merchant (name, merchant_id),
+    INDEX idx_merchant (merchant_id)
+);
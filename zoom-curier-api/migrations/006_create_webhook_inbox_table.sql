@@ -0,0 +1,30 @@
+-- Migration: Webhook inbox - every inbound webhook, stored before processing
+-- Version: 1.5.0
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS webhook_inbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    merchant_id INT,
+    endpoint VARCHAR(100) NOT NULL,    -- /shopify, /orders, /custom/my-shop ...
+    requested_source VARCHAR(50),      -- source fixed by the endpoint or ?source=
+    source VARCHAR(50),                -- source the webhook was processed as
+    headers JSON,                      -- without credentials
+    raw_body LONGTEXT,
+    payload JSON,                      -- parsed body, used for replays
+    
+    -- Processing result
+    status ENUM('received', 'processed', 'failed', 'rejected') DEFAULT 'received',
+    action VARCHAR(20),                -- created, duplicate, updated, cancelled, ...
+    internal_order_id VARCHAR(50),
+    http_status INT,
+    error TEXT,
+    attempts INT DEFAULT 0,
+    last_attempt_at TIMESTAMP NULL,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_status (status, created_at),
+    INDEX idx_merchant (merchant_id),
+    INDEX idx_source (source)
+);
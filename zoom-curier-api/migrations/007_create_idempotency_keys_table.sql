@@ -0,0 +1,17 @@
+-- Migration: Stored responses for Idempotency-Key retries
+-- Version: 1.6.0
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    idempotency_key VARCHAR(255) NOT NULL,
+    scope VARCHAR(300) NOT NULL,          -- "POST /api/orders/ZC-.../assign"
+    request_hash CHAR(64),                -- SHA-256 of the request body
+    status_code INT NOT NULL,
+    response_body JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    
+    UNIQUE KEY uniq_key_scope (idempotency_key, scope),
+    INDEX idx_expires (expires_at)
+);
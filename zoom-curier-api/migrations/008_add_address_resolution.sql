@@ -0,0 +1,8 @@
+-- Migration: Address resolution results (Bucharest sector, resolved / unresolved flag)
+-- Version: 1.7.0
+-- Date: 2026-10-18
+
+ALTER TABLE orders
+    ADD COLUMN delivery_sector TINYINT AFTER delivery_county,
+    ADD COLUMN address_status VARCHAR(20) AFTER delivery_locality_id,
+    ADD INDEX idx_address_status (address_status);
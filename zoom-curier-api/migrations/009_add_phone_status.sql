@@ -0,0 +1,6 @@
+-- Migration: Recipient phone validation result (mobile / landline / unverified / invalid)
+-- Version: 1.8.0
+-- Date: 2026-10-18
+
+ALTER TABLE orders
+    ADD COLUMN phone_status VARCHAR(20) AFTER recipient_phone;
@@ -0,0 +1,13 @@
+-- Migration: Service level classification (package dimensions, reason, merchant override)
+-- Version: 1.9.0
+-- Date: 2026-10-18
+
+ALTER TABLE orders
+    ADD COLUMN service_level_reason VARCHAR(255) AFTER service_level,
+    ADD COLUMN package_length DECIMAL(6, 1) AFTER total_weight,  -- cm, largest package
+    ADD COLUMN package_width DECIMAL(6, 1) AFTER package_length,
+    ADD COLUMN package_height DECIMAL(6, 1) AFTER package_width;
+
+-- Fixed service level for every order of the merchant (NULL = classify by package)
+ALTER TABLE merchants
+    ADD COLUMN service_level_override ENUM('lite', 'heavy', 'cargo') AFTER platform;
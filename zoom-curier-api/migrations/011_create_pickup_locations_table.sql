@@ -0,0 +1,29 @@
+-- Migration: Merchant pickup locations (warehouses, stores)
+-- Version: 1.10.0
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS pickup_locations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    merchant_id INT NOT NULL,
+    code VARCHAR(50) NOT NULL,        -- merchant's reference, e.g. "depozit-cluj"
+    name VARCHAR(200) NOT NULL,
+    address VARCHAR(400) NOT NULL,
+    city VARCHAR(100) NOT NULL,
+    county VARCHAR(100),
+    postal_code VARCHAR(20),
+    contact_name VARCHAR(200),
+    contact_phone VARCHAR(20),
+    opening_hours JSON,               -- { "mon": "09:00-18:00", ..., "sun": "closed" }
+    rules JSON,                       -- [{ "field": "delivery_county", "in": ["CJ"] }, { "path": "$.x", "equals": "y" }]
+    is_default BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (merchant_id) REFERENCES merchants(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_merchant_code (merchant_id, code),
+    INDEX idx_merchant (merchant_id)
+);
+
+ALTER TABLE orders
+    ADD COLUMN pickup_location_id INT AFTER pickup_address;
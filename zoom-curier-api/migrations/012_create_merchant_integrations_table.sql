@@ -0,0 +1,45 @@
+-- Migration: Merchant store integrations and outbound pushes
+-- Version: 1.11.0
+-- Date: 2026-10-18
+
+-- Store credentials used to report deliveries back to the merchant's platform
+CREATE TABLE IF NOT EXISTS merchant_integrations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    merchant_id INT NOT NULL,
+    platform VARCHAR(30) NOT NULL,      -- shopify, woocommerce, gomag
+    store_url VARCHAR(300) NOT NULL,    -- my-shop.myshopify.com (or a local stub: http://localhost:4010)
+    credentials JSON NOT NULL,          -- { "access_token": "shpat_..." } - never returned by the API
+    settings JSON,                      -- { "notify_customer": true, "status_map": { "delivered": "completed" } }
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (merchant_id) REFERENCES merchants(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_merchant_platform (merchant_id, platform)
+);
+
+-- One row per order event sent (or to be retried) to a merchant's platform
+CREATE TABLE IF NOT EXISTS outbound_pushes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    integration_id INT NOT NULL,
+    merchant_id INT NOT NULL,
+    platform VARCHAR(30) NOT NULL,
+    internal_order_id VARCHAR(50) NOT NULL,
+    external_order_id VARCHAR(100),
+    event VARCHAR(30) NOT NULL,         -- assigned, in_transit, delivered, cancelled
+
+    status ENUM('pending', 'sent', 'failed') DEFAULT 'pending',
+    attempts INT DEFAULT 0,
+    next_attempt_at TIMESTAMP NULL,     -- when a pending push is retried
+    http_status INT,
+    last_error TEXT,
+    result JSON,                        -- platform references, e.g. { "fulfillment_id": 123 }
+    sent_at TIMESTAMP NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (integration_id) REFERENCES merchant_integrations(id) ON DELETE CASCADE,
+    INDEX idx_due (status, next_attempt_at),
+    INDEX idx_order (internal_order_id)
+);
@@ -0,0 +1,18 @@
+-- Migration: Overflow OUT - orders handed to partner carriers
+-- Version: 1.12.0
+-- Date: 2026-10-18
+
+ALTER TABLE orders
+    MODIFY COLUMN status ENUM('pending', 'assigned', 'in_transit', 'delivered', 'cancelled', 'overflow_out') DEFAULT 'pending',
+    ADD COLUMN overflow_carrier_id INT AFTER parent_carrier_id,                  -- partner_carriers.id the order was handed to
+    ADD COLUMN overflow_awb VARCHAR(50) AFTER overflow_carrier_id,               -- partner AWB
+    ADD COLUMN overflow_tracking_status VARCHAR(200) AFTER overflow_awb,         -- last status reported by the partner
+    ADD COLUMN overflow_delivered BOOLEAN DEFAULT FALSE AFTER overflow_tracking_status,
+    ADD COLUMN overflow_tracked_at TIMESTAMP NULL AFTER overflow_delivered,
+    ADD COLUMN overflow_handed_at TIMESTAMP NULL AFTER overflow_tracked_at,
+    ADD INDEX idx_overflow_awb (overflow_awb);
+
+-- Carrier specific API settings (login, client / pickup point IDs, service)
+-- e.g. Fan Courier: { "username": "...", "password": "...", "client_id": "7032158", "service": "Standard" }
+ALTER TABLE partner_carriers
+    ADD COLUMN settings JSON AFTER api_key;
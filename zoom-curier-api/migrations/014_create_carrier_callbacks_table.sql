@@ -0,0 +1,30 @@
+-- Migration: Status callbacks to parent carriers (Overflow IN)
+-- Version: 1.13.0
+-- Date: 2026-10-18
+
+-- Secret used to sign the callbacks sent to the carrier's webhook_url
+ALTER TABLE partner_carriers
+    ADD COLUMN webhook_secret VARCHAR(200) AFTER webhook_url;
+
+-- One row per status change reported (or to be retried) to the carrier an overflow order came from
+CREATE TABLE IF NOT EXISTS carrier_callbacks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    partner_carrier_id INT NOT NULL,
+    internal_order_id VARCHAR(50) NOT NULL,
+    awb VARCHAR(100),                   -- the carrier's original AWB (orders.external_order_id)
+    event VARCHAR(30) NOT NULL,         -- order status the order moved to
+
+    status ENUM('pending', 'sent', 'failed') DEFAULT 'pending',
+    attempts INT DEFAULT 0,
+    next_attempt_at TIMESTAMP NULL,     -- when a pending callback is retried
+    http_status INT,
+    last_error TEXT,
+    sent_at TIMESTAMP NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,  -- when the status changed (sent as the event time)
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (partner_carrier_id) REFERENCES partner_carriers(id) ON DELETE CASCADE,
+    INDEX idx_due (status, next_attempt_at),
+    INDEX idx_order (internal_order_id)
+);
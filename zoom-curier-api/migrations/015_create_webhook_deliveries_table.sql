@@ -0,0 +1,32 @@
+-- Migration: Merchant webhook subscriptions and delivery log
+-- Version: 1.14.0
+-- Date: 2026-10-18
+
+-- merchants.webhook_url (001) receives the events; the secret signs them
+ALTER TABLE merchants
+    ADD COLUMN webhook_secret VARCHAR(100) AFTER webhook_url,
+    ADD COLUMN webhook_events JSON AFTER webhook_secret;  -- subscribed events, e.g. ["order.delivered"]; NULL = all
+
+-- One row per event sent (or to be retried) to a merchant's webhook_url
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    event_id VARCHAR(64) NOT NULL UNIQUE,  -- sent as "id", the same on every attempt (receivers deduplicate on it)
+    merchant_id INT NOT NULL,
+    event VARCHAR(50) NOT NULL,            -- order.created, order.delivered, settlement.transferred ...
+    resource_id VARCHAR(50),               -- internal_order_id or settlement_id
+    payload JSON NOT NULL,                 -- body sent on every attempt
+
+    status ENUM('pending', 'sent', 'failed') DEFAULT 'pending',
+    attempts INT DEFAULT 0,
+    next_attempt_at TIMESTAMP NULL,        -- when a pending delivery is retried
+    http_status INT,
+    last_error TEXT,
+    sent_at TIMESTAMP NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (merchant_id) REFERENCES merchants(id) ON DELETE CASCADE,
+    INDEX idx_due (status, next_attempt_at),
+    INDEX idx_merchant (merchant_id, created_at)
+);
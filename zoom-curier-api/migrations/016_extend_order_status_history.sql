@@ -0,0 +1,13 @@
+-- Migration: Order status history - one row per status transition (support timeline)
+-- Version: 1.15.0
+-- Date: 2026-10-18
+
+-- The table from 001 was never written; statuses were appended to orders.notes instead
+ALTER TABLE order_status_history
+    ADD COLUMN internal_order_id VARCHAR(50) NOT NULL AFTER order_id,
+    ADD COLUMN from_status VARCHAR(50) AFTER internal_order_id,           -- NULL on the entry written at creation
+    CHANGE COLUMN status to_status VARCHAR(50) NOT NULL,
+    CHANGE COLUMN changed_by actor VARCHAR(100) NOT NULL DEFAULT 'system', -- dispatch, driver, system, source:shopify ...
+    CHANGE COLUMN notes reason TEXT,
+    ADD COLUMN metadata JSON,                                             -- { "driver_id": 7, "eta_minutes": 30 }, { "carrier": "FAN", "awb": "..." }
+    ADD INDEX idx_internal_order (internal_order_id, created_at);
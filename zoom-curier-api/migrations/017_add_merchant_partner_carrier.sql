@@ -0,0 +1,10 @@
+-- Migration: Partner carrier accounts - Overflow IN senders
+-- Version: 1.16.0
+-- Date: 2026-10-18
+
+-- A partner carrier sends Overflow IN orders with the API key of its own
+-- merchant account. The carrier the orders came from (orders.parent_carrier_id,
+-- which receives the status callbacks) is taken from this column, never from the payload
+ALTER TABLE merchants
+    ADD COLUMN partner_carrier_id INT AFTER platform,
+    ADD CONSTRAINT fk_merchants_partner_carrier FOREIGN KEY (partner_carrier_id) REFERENCES partner_carriers(id);
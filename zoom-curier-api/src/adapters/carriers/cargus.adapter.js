@@ -0,0 +1,169 @@
+/**
+ * Cargus Adapter
+ *
+ * Overflow OUT through the Cargus (UrgentCargus) API
+ *
+ * partner_carriers.api_key is the API subscription key;
+ * partner_carriers.settings: { username, password, location_id, service_id }
+ * (location_id is the pickup point defined in the Cargus client account)
+ */
+
+const axios = require('axios');
+const { REQUEST_TIMEOUT_MS, STATUS_LABELS, getBaseUrl, withToken, buildShipment } = require('./helpers');
+const { ORDER_STATUS } = require('../../services/normalizer.service');
+
+const DEFAULT_API_URL = 'https://urgentcargus.azure-api.net/api';
+
+// Service "Standard"
+const DEFAULT_SERVICE_ID = 34;
+
+// Trace event "Confirmat"
+const DELIVERED_EVENT_ID = 21;
+
+// Trace event "Returnat expeditorului"
+const RETURNED_EVENT_ID = 24;
+
+const createClient = (carrier) => axios.create({
+  baseURL: getBaseUrl(carrier, DEFAULT_API_URL),
+  timeout: REQUEST_TIMEOUT_MS,
+  headers: { 'Ocp-Apim-Subscription-Key': carrier.api_key || '' }
+});
+
+const login = async (carrier) => {
+  const { username, password } = carrier.settings || {};
+  const { data: token } = await createClient(carrier).post('/LoginUser', { UserName: username, Password: password });
+
+  // Tokens are valid for 24 hours
+  return { token, expiresAt: Date.now() + 23 * 3600 * 1000 };
+};
+
+/**
+ * Authenticated request
+ */
+const request = (carrier, config) => withToken(carrier, () => login(carrier), (token) =>
+  createClient(carrier).request({ ...config, headers: { Authorization: `Bearer ${token}` } })
+);
+
+/**
+ * Create a shipment
+ *
+ * @returns {Promise<object>} - { awb }
+ */
+const createShipment = async ({ carrier, order }) => {
+  const settings = carrier.settings || {};
+  const shipment = buildShipment(order);
+
+  const { data } = await request(carrier, {
+    method: 'post',
+    url: '/Awbs',
+    data: {
+      Sender: { LocationId: settings.location_id },
+      Recipient: {
+        Name: shipment.recipient_name,
+        ContactPerson: shipment.recipient_name,
+        PhoneNumber: shipment.recipient_phone,
+        Email: shipment.recipient_email,
+        CountyName: shipment.county,
+        LocalityName: shipment.city,
+        AddressText: shipment.address,
+        CodPostal: shipment.postal_code
+      },
+      ServiceId: settings.service_id || DEFAULT_SERVICE_ID,
+      Parcels: 1,
+      Envelopes: 0,
+      TotalWeight: Math.ceil(shipment.weight),
+      CashRepayment: shipment.cod_amount,
+      Observations: shipment.notes,
+      PackageContent: shipment.reference,
+      CustomString: shipment.reference,
+      ParcelCodes: [{
+        Code: '0',
+        Type: 1,
+        Weight: Math.ceil(shipment.weight),
+        Length: shipment.length,
+        Width: shipment.width,
+        Height: shipment.height
+      }]
+    }
+  });
+
+  // The response body is the AWB bar code
+  if (!data) {
+    throw new Error('AWB not created: empty response');
+  }
+
+  return { awb: String(data) };
+};
+
+/**
+ * Download the AWB label (PDF, returned base64 encoded)
+ */
+const getAwbLabel = async ({ carrier, awb }) => {
+  const { data } = await request(carrier, {
+    method: 'get',
+    url: '/AwbDocuments',
+    params: { barCodes: JSON.stringify([awb]), type: 'PDF', format: 1 }
+  });
+
+  return { content_type: 'application/pdf', data: Buffer.from(data, 'base64') };
+};
+
+/**
+ * Cancel (delete) a shipment that was not picked up yet
+ */
+const cancelShipment = async ({ carrier, awb }) => {
+  await request(carrier, {
+    method: 'delete',
+    url: '/Awbs',
+    params: { barCode: awb }
+  });
+};
+
+/**
+ * Fetch tracking events
+ *
+ * @returns {Promise<object>} - { status, delivered, returned, events: [{ status, location, date }] }
+ */
+const getTracking = async ({ carrier, awb }) => {
+  const { data } = await request(carrier, {
+    method: 'get',
+    url: '/AwbTrace',
+    params: { barCode: JSON.stringify([awb]) }
+  });
+
+  const events = (data?.[0]?.Event || []).map(event => ({
+    code: event.EventId,
+    status: event.Description,
+    location: event.LocalityName || null,
+    date: event.Date
+  }));
+  const last = events[events.length - 1];
+
+  return {
+    status: last?.status || null,
+    delivered: events.some(event => event.code === DELIVERED_EVENT_ID),
+    returned: events.some(event => event.code === RETURNED_EVENT_ID),
+    events
+  };
+};
+
+/**
+ * Status callback body for Overflow IN orders Cargus sent us
+ * (PascalCase fields, like the Cargus API)
+ */
+const formatStatusCallback = ({ order, event, occurredAt }) => ({
+  BarCode: order.external_order_id,
+  Status: event,
+  Description: STATUS_LABELS[event] || event,
+  EventDate: occurredAt.toISOString(),
+  PartnerReference: order.internal_order_id,
+  ...(event === ORDER_STATUS.DELIVERED && { CashRepayment: parseFloat(order.cod_amount) || 0 })
+});
+
+module.exports = {
+  createShipment,
+  getAwbLabel,
+  cancelShipment,
+  getTracking,
+  formatStatusCallback
+};
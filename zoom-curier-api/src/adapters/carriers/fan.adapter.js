@@ -0,0 +1,169 @@
+/**
+ * Fan Courier Adapter
+ *
+ * Overflow OUT through the Fan Courier API v2 (api.fancourier.ro)
+ *
+ * partner_carriers.settings: { username, password, client_id, service }
+ * Login returns a bearer token valid for 24 hours
+ */
+
+const axios = require('axios');
+const { REQUEST_TIMEOUT_MS, STATUS_LABELS, getBaseUrl, withToken, buildShipment } = require('./helpers');
+const { ORDER_STATUS } = require('../../services/normalizer.service');
+
+const DEFAULT_API_URL = 'https://api.fancourier.ro';
+const DEFAULT_SERVICE = 'Standard';
+
+// Tracking event "Livrat"
+const DELIVERED_EVENT = 'S2';
+
+// Tracking event "Returnat la expeditor"
+const RETURNED_EVENT = 'S43';
+
+const createClient = (carrier) => axios.create({
+  baseURL: getBaseUrl(carrier, DEFAULT_API_URL),
+  timeout: REQUEST_TIMEOUT_MS
+});
+
+const login = async (carrier) => {
+  const { username, password } = carrier.settings || {};
+  const { data } = await createClient(carrier).post('/login', null, { params: { username, password } });
+
+  return {
+    token: data.data.token,
+    expiresAt: data.data.expiresAt ? new Date(data.data.expiresAt).getTime() : Date.now() + 23 * 3600 * 1000
+  };
+};
+
+/**
+ * Authenticated request
+ */
+const request = (carrier, config) => withToken(carrier, () => login(carrier), (token) =>
+  createClient(carrier).request({ ...config, headers: { Authorization: `Bearer ${token}` } })
+);
+
+/**
+ * Create a shipment
+ *
+ * @returns {Promise<object>} - { awb }
+ */
+const createShipment = async ({ carrier, order }) => {
+  const settings = carrier.settings || {};
+  const shipment = buildShipment(order);
+
+  const { data } = await request(carrier, {
+    method: 'post',
+    url: '/intern-awb',
+    data: {
+      clientId: settings.client_id,
+      shipments: [{
+        info: {
+          service: settings.service || DEFAULT_SERVICE,
+          packages: { parcel: 1, envelope: 0 },
+          weight: shipment.weight,
+          cod: shipment.cod_amount,
+          payment: 'recipient',
+          observation: shipment.notes,
+          content: { contents: shipment.reference },
+          dimensions: { length: shipment.length, width: shipment.width, height: shipment.height }
+        },
+        recipient: {
+          name: shipment.recipient_name,
+          phone: shipment.recipient_phone,
+          email: shipment.recipient_email,
+          address: {
+            county: shipment.county,
+            locality: shipment.city,
+            street: shipment.address,
+            zipCode: shipment.postal_code
+          }
+        }
+      }]
+    }
+  });
+
+  const result = data.response?.[0];
+
+  if (!result?.awbNumber) {
+    throw new Error(`AWB not created: ${JSON.stringify(result?.errors || data)}`);
+  }
+
+  return { awb: String(result.awbNumber) };
+};
+
+/**
+ * Download the AWB label (PDF)
+ */
+const getAwbLabel = async ({ carrier, awb }) => {
+  const { data } = await request(carrier, {
+    method: 'get',
+    url: '/awb/label',
+    params: { clientId: carrier.settings?.client_id, 'awbs[]': awb, pdf: 1 },
+    responseType: 'arraybuffer'
+  });
+
+  return { content_type: 'application/pdf', data: Buffer.from(data) };
+};
+
+/**
+ * Cancel (delete) a shipment that was not picked up yet
+ */
+const cancelShipment = async ({ carrier, awb }) => {
+  await request(carrier, {
+    method: 'delete',
+    url: '/awb',
+    params: { clientId: carrier.settings?.client_id, awb }
+  });
+};
+
+/**
+ * Fetch tracking events
+ *
+ * @returns {Promise<object>} - { status, delivered, returned, events: [{ status, location, date }] }
+ */
+const getTracking = async ({ carrier, awb }) => {
+  const { data } = await request(carrier, {
+    method: 'get',
+    url: '/reports/awb/tracking',
+    params: { clientId: carrier.settings?.client_id, 'awb[]': awb }
+  });
+
+  const events = (data.data?.[0]?.events || []).map(event => ({
+    code: event.id,
+    status: event.name,
+    location: event.location || null,
+    date: event.date
+  }));
+  const last = events[events.length - 1];
+
+  return {
+    status: last?.status || null,
+    delivered: events.some(event => event.code === DELIVERED_EVENT),
+    returned: events.some(event => event.code === RETURNED_EVENT),
+    events
+  };
+};
+
+/**
+ * Status callback body for Overflow IN orders Fan Courier sent us
+ * (dates as "YYYY-MM-DD HH:mm:ss", Romanian time, like the Fan API)
+ */
+const formatStatusCallback = ({ order, event, occurredAt }) => ({
+  awbNumber: order.external_order_id,
+  statusCode: event,
+  statusName: STATUS_LABELS[event] || event,
+  statusDate: occurredAt.toLocaleString('sv-SE', { timeZone: 'Europe/Bucharest' }),
+  partnerAwb: order.internal_order_id,
+  ...(event === ORDER_STATUS.DELIVERED && {
+    deliveredTo: order.recipient_name,
+    codCollected: parseFloat(order.cod_amount) || 0
+  })
+});
+
+module.exports = {
+  createShipment,
+  getAwbLabel,
+  cancelShipment,
+  getTracking,
+  formatStatusCallback
+};
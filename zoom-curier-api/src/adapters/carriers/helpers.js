@@ -0,0 +1,116 @@
+/**
+ * Carrier Adapter Helpers
+ *
+ * Shared by the partner carrier adapters: API base URL, login token cache,
+ * the shipment details every carrier asks for and the status callback
+ * format of carriers without an adapter
+ */
+
+const { formatNationalNumber } = require('../../services/phone.service');
+const { getCountyName, ORDER_STATUS } = require('../../services/normalizer.service');
+const { generateTrackingLink } = require('../../services/whatsapp.service');
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Login tokens per carrier, reused until they expire
+const tokenCache = new Map();
+
+/**
+ * Carrier API base URL: partner_carriers.api_endpoint (or a local stub), else the public API
+ */
+const getBaseUrl = (carrier, defaultUrl) => (carrier.api_endpoint || defaultUrl).replace(/\/+$/, '');
+
+/**
+ * Get a cached login token, or log in again
+ *
+ * @param {object} carrier - Partner carrier row
+ * @param {function} login - async () => { token, expiresAt } (expiresAt: ms timestamp)
+ */
+const getToken = async (carrier, login) => {
+  const cached = tokenCache.get(carrier.code);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.token;
+  }
+
+  const { token, expiresAt } = await login();
+  tokenCache.set(carrier.code, { token, expiresAt });
+  return token;
+};
+
+/**
+ * Run an authenticated request; when the API rejects the cached token
+ * (401), log in again and retry once
+ *
+ * @param {function} request - async (token) => result
+ */
+const withToken = async (carrier, login, request) => {
+  try {
+    return await request(await getToken(carrier, login));
+  } catch (error) {
+    if (error.response?.status !== 401) throw error;
+
+    tokenCache.delete(carrier.code);
+    return request(await getToken(carrier, login));
+  }
+};
+
+/**
+ * Shipment details common to all carriers, taken from our order
+ */
+const buildShipment = (order) => ({
+  reference: order.internal_order_id,
+  recipient_name: order.recipient_name,
+  recipient_phone: formatNationalNumber(order.recipient_phone, order.delivery_country || 'RO'),
+  recipient_email: order.recipient_email || null,
+  address: order.delivery_address,
+  city: order.delivery_city,
+  // Orders store county codes (CJ); carrier APIs match county names
+  county: getCountyName(order.delivery_county) || order.delivery_city,
+  postal_code: order.delivery_postal_code || null,
+  cod_amount: parseFloat(order.cod_amount) || 0,
+  weight: parseFloat(order.total_weight) || 1,
+  length: parseFloat(order.package_length) || null,
+  width: parseFloat(order.package_width) || null,
+  height: parseFloat(order.package_height) || null,
+  notes: order.notes || null
+});
+
+/**
+ * Status labels for callbacks (partner carriers are Romanian)
+ */
+const STATUS_LABELS = {
+  [ORDER_STATUS.PENDING]: 'Preluată de Zoom Curier',
+  [ORDER_STATUS.ASSIGNED]: 'Curier alocat',
+  [ORDER_STATUS.IN_TRANSIT]: 'În curs de livrare',
+  [ORDER_STATUS.DELIVERED]: 'Livrată',
+  [ORDER_STATUS.CANCELLED]: 'Livrare anulată',
+  [ORDER_STATUS.OVERFLOW_OUT]: 'Predată altui curier'
+};
+
+/**
+ * Generic status callback body (carriers without their own format)
+ *
+ * @param {object} params
+ * @param {object} params.order - Overflow IN order (external_order_id is the carrier's AWB)
+ * @param {string} params.event - Order status the order moved to
+ * @param {Date} params.occurredAt - When the status changed
+ */
+const formatStatusCallback = ({ order, event, occurredAt }) => ({
+  awb: order.external_order_id,
+  event,
+  status_label: STATUS_LABELS[event] || event,
+  occurred_at: occurredAt.toISOString(),
+  internal_order_id: order.internal_order_id,
+  tracking_url: generateTrackingLink(order.internal_order_id),
+  ...(event === ORDER_STATUS.DELIVERED && { cod_collected: parseFloat(order.cod_amount) || 0 })
+});
+
+module.exports = {
+  REQUEST_TIMEOUT_MS,
+  STATUS_LABELS,
+  formatStatusCallback,
+  getBaseUrl,
+  withToken,
+  buildShipment
+};
@@ -0,0 +1,32 @@
+/**
+ * Partner Carrier Adapters
+ *
+ * Overflow OUT: orders we cannot deliver are handed to a partner carrier,
+ * keyed by partner_carriers.code. Each adapter exports
+ * createShipment({ carrier, order }) -> { awb },
+ * getAwbLabel({ carrier, awb }) -> { content_type, data },
+ * cancelShipment({ carrier, awb }) and
+ * getTracking({ carrier, awb }) -> { status, delivered, returned, events }
+ *
+ * Overflow IN: carriers that sent us an order are told about its status
+ * changes; formatStatusCallback({ order, event, occurredAt }) builds the
+ * callback body in the carrier's own format (carriers without an adapter
+ * get the generic format from ./helpers)
+ *
+ * API URLs default to the carriers' public APIs; partner_carriers.api_endpoint
+ * overrides them (e.g. a local stub)
+ */
+
+const fan = require('./fan.adapter');
+const sameday = require('./sameday.adapter');
+const cargus = require('./cargus.adapter');
+
+const CARRIER_ADAPTERS = {
+  FAN: fan,
+  SAMEDAY: sameday,
+  CARGUS: cargus
+};
+
+module.exports = {
+  CARRIER_ADAPTERS
+};
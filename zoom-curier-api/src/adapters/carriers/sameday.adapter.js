@@ -0,0 +1,170 @@
+/**
+ * Sameday Adapter
+ *
+ * Overflow OUT through the Sameday API (api.sameday.ro)
+ *
+ * partner_carriers.settings: { username, password, pickup_point, service }
+ * (pickup point and service IDs are listed in the Sameday client account)
+ */
+
+const axios = require('axios');
+const { REQUEST_TIMEOUT_MS, STATUS_LABELS, getBaseUrl, withToken, buildShipment } = require('./helpers');
+const { ORDER_STATUS } = require('../../services/normalizer.service');
+const { TRACKING_COMPANY } = require('../helpers');
+
+const DEFAULT_API_URL = 'https://api.sameday.ro';
+
+// Service "24H"
+const DEFAULT_SERVICE = 7;
+
+// Status "Livrata cu succes"
+const DELIVERED_STATUS_ID = 9;
+
+// Status "Returnata la expeditor"
+const RETURNED_STATUS_ID = 17;
+
+const createClient = (carrier) => axios.create({
+  baseURL: getBaseUrl(carrier, DEFAULT_API_URL),
+  timeout: REQUEST_TIMEOUT_MS
+});
+
+const login = async (carrier) => {
+  const { username, password } = carrier.settings || {};
+  const { data } = await createClient(carrier).post('/api/authenticate', null, {
+    params: { remember_me: 1 },
+    headers: { 'X-Auth-Username': username, 'X-Auth-Password': password }
+  });
+
+  return {
+    token: data.token,
+    expiresAt: data.expire_at ? new Date(data.expire_at).getTime() : Date.now() + 12 * 3600 * 1000
+  };
+};
+
+/**
+ * Authenticated request
+ */
+const request = (carrier, config) => withToken(carrier, () => login(carrier), (token) =>
+  createClient(carrier).request({ ...config, headers: { 'X-AUTH-TOKEN': token } })
+);
+
+/**
+ * Create a shipment
+ *
+ * @returns {Promise<object>} - { awb }
+ */
+const createShipment = async ({ carrier, order }) => {
+  const settings = carrier.settings || {};
+  const shipment = buildShipment(order);
+
+  const { data } = await request(carrier, {
+    method: 'post',
+    url: '/api/awb',
+    data: {
+      pickupPoint: settings.pickup_point,
+      service: settings.service || DEFAULT_SERVICE,
+      packageType: 0,
+      packageNumber: 1,
+      packageWeight: shipment.weight,
+      awbPayment: 1,
+      cashOnDelivery: shipment.cod_amount,
+      insuredValue: 0,
+      thirdPartyPickup: 0,
+      clientInternalReference: shipment.reference,
+      observation: shipment.notes,
+      parcels: [{ weight: shipment.weight, length: shipment.length, width: shipment.width, height: shipment.height }],
+      awbRecipient: {
+        name: shipment.recipient_name,
+        phoneNumber: shipment.recipient_phone,
+        email: shipment.recipient_email,
+        personType: 0,
+        countyString: shipment.county,
+        cityString: shipment.city,
+        address: shipment.address,
+        postalCode: shipment.postal_code
+      }
+    }
+  });
+
+  if (!data?.awbNumber) {
+    throw new Error(`AWB not created: ${JSON.stringify(data)}`);
+  }
+
+  return { awb: String(data.awbNumber) };
+};
+
+/**
+ * Download the AWB label (PDF, A6)
+ */
+const getAwbLabel = async ({ carrier, awb }) => {
+  const { data } = await request(carrier, {
+    method: 'get',
+    url: `/api/awb/download/${encodeURIComponent(awb)}/A6`,
+    responseType: 'arraybuffer'
+  });
+
+  return { content_type: 'application/pdf', data: Buffer.from(data) };
+};
+
+/**
+ * Cancel (delete) a shipment that was not picked up yet
+ */
+const cancelShipment = async ({ carrier, awb }) => {
+  await request(carrier, {
+    method: 'delete',
+    url: `/api/awb/${encodeURIComponent(awb)}`
+  });
+};
+
+/**
+ * Fetch tracking events
+ *
+ * @returns {Promise<object>} - { status, delivered, returned, events: [{ status, location, date }] }
+ */
+const getTracking = async ({ carrier, awb }) => {
+  const { data } = await request(carrier, {
+    method: 'get',
+    url: `/api/client/awb/${encodeURIComponent(awb)}/status`
+  });
+
+  // History is newest first
+  const events = (data.awbHistory || [])
+    .map(event => ({
+      code: event.statusId,
+      status: event.status,
+      location: event.transitLocation || event.county || null,
+      date: event.statusDate
+    }))
+    .reverse();
+  const last = events[events.length - 1];
+
+  return {
+    status: data.expeditionStatus?.status || last?.status || null,
+    delivered: events.some(event => event.code === DELIVERED_STATUS_ID),
+    returned: events.some(event => event.code === RETURNED_STATUS_ID),
+    events
+  };
+};
+
+/**
+ * Status callback body for Overflow IN orders Sameday sent us
+ */
+const formatStatusCallback = ({ order, event, occurredAt }) => ({
+  awbNumber: order.external_order_id,
+  parcelStatus: event,
+  statusLabel: STATUS_LABELS[event] || event,
+  statusDate: occurredAt.toISOString(),
+  partner: {
+    name: TRACKING_COMPANY,
+    reference: order.internal_order_id
+  },
+  ...(event === ORDER_STATUS.DELIVERED && { cashOnDelivery: parseFloat(order.cod_amount) || 0 })
+});
+
+module.exports = {
+  createShipment,
+  getAwbLabel,
+  cancelShipment,
+  getTracking,
+  formatStatusCallback
+};
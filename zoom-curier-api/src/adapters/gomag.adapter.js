@@ -0,0 +1,91 @@
+/**
+ * Gomag Adapter
+ *
+ * Reports every delivery step to the merchant's Gomag shop (Gomag API v1):
+ * the order status is changed according to the merchant's status map and
+ * a note with our AWB and tracking link is added to the order
+ *
+ * Gomag order statuses are IDs defined by each shop, so there are no
+ * default status changes: until the merchant's status_map is set, only the
+ * note is added. The API host is shared by all shops (GOMAG_API_URL, which
+ * can point at a local stub); the shop is named in the ApiShop header
+ */
+
+const axios = require('axios');
+const { ORDER_STATUS } = require('../services/normalizer.service');
+const { permanentError, getStoreStatus, buildOrderNote } = require('./helpers');
+
+const API_URL = process.env.GOMAG_API_URL || 'https://api.gomag.ro/api/v1';
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Order events this adapter reports
+ */
+const EVENTS = [ORDER_STATUS.ASSIGNED, ORDER_STATUS.IN_TRANSIT, ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED];
+
+const ENDPOINTS = {
+  UPDATE_STATUS: '/order/status/update/json',
+  ADD_NOTE: '/order/note/add/json'
+};
+
+const createClient = (integration) => axios.create({
+  baseURL: API_URL,
+  timeout: REQUEST_TIMEOUT_MS,
+  headers: {
+    Apikey: integration.credentials?.api_key || '',
+    ApiShop: integration.store_url,
+    'User-Agent': 'Zoom Curier'
+  }
+});
+
+/**
+ * The Gomag API takes its arguments as a JSON "data" form field
+ */
+const postData = async (client, endpoint, data) => {
+  const { data: response } = await client.post(endpoint, new URLSearchParams({ data: JSON.stringify(data) }));
+
+  // Errors are reported in the body, with a 200 status
+  if (response?.errors || response?.error) {
+    throw permanentError(`Gomag ${endpoint} rejected: ${JSON.stringify(response.errors || response.error)}`);
+  }
+
+  return response;
+};
+
+/**
+ * Report an order event to Gomag
+ *
+ * @param {object} params
+ * @param {object} params.integration - Merchant integration (store_url, credentials, settings)
+ * @param {object} params.order - Our order (external_order_id is the Gomag order number)
+ * @param {string} params.event - Order status the order moved to
+ * @param {boolean} params.superseded - A later event was already sent (only the note is added)
+ * @returns {Promise<object>} - { store_status }
+ */
+const push = async ({ integration, order, event, superseded = false }) => {
+  if (!order.external_order_id) {
+    throw permanentError(`Order ${order.internal_order_id} has no Gomag order number`);
+  }
+
+  if (!EVENTS.includes(event)) {
+    throw permanentError(`Gomag adapter does not handle "${event}"`);
+  }
+
+  const client = createClient(integration);
+  const storeStatus = superseded ? null : getStoreStatus(integration, event);
+
+  if (storeStatus) {
+    await postData(client, ENDPOINTS.UPDATE_STATUS, { id: order.external_order_id, statusId: storeStatus });
+  }
+
+  await postData(client, ENDPOINTS.ADD_NOTE, { id: order.external_order_id, note: buildOrderNote(order, event) });
+
+  console.log(`🛒 Gomag order ${order.external_order_id} updated: ${event}${storeStatus ? ` -> status ${storeStatus}` : ''}`);
+
+  return { store_status: storeStatus };
+};
+
+module.exports = {
+  EVENTS,
+  push
+};
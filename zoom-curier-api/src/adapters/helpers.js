@@ -0,0 +1,63 @@
+/**
+ * Adapter Helpers
+ *
+ * Shared by the platform adapters: permanent errors, per-merchant status
+ * mapping and the order note that carries our AWB and tracking link
+ */
+
+const { generateTrackingLink } = require('../services/whatsapp.service');
+const { ORDER_STATUS } = require('../services/normalizer.service');
+
+const TRACKING_COMPANY = process.env.TRACKING_COMPANY_NAME || 'Zoom Curier';
+
+/**
+ * How each order event reads in the store (merchants are Romanian shops)
+ */
+const EVENT_LABELS = {
+  [ORDER_STATUS.ASSIGNED]: 'Curier alocat',
+  [ORDER_STATUS.IN_TRANSIT]: 'În curs de livrare',
+  [ORDER_STATUS.DELIVERED]: 'Livrată',
+  [ORDER_STATUS.CANCELLED]: 'Livrare anulată'
+};
+
+/**
+ * Error that retrying will not fix
+ */
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+/**
+ * Store base URL without trailing slash (store_url may omit the protocol: my-shop.myshopify.com)
+ */
+const normalizeStoreUrl = (storeUrl) => {
+  const base = /^https?:\/\//i.test(storeUrl) ? storeUrl : `https://${storeUrl}`;
+  return base.replace(/\/+$/, '');
+};
+
+/**
+ * Store status for an event: the merchant's status_map setting wins over
+ * the adapter defaults; null means the status is left unchanged
+ */
+const getStoreStatus = (integration, event, defaultStatusMap = {}) => {
+  const statusMap = { ...defaultStatusMap, ...(integration.settings?.status_map || {}) };
+  return statusMap[event] ?? null;
+};
+
+/**
+ * Order note with the event, our AWB (internal_order_id) and the tracking link
+ */
+const buildOrderNote = (order, event) => {
+  const label = EVENT_LABELS[event] || event;
+  return `${TRACKING_COMPANY} - ${label}. AWB: ${order.internal_order_id}, urmărire: ${generateTrackingLink(order.internal_order_id)}`;
+};
+
+module.exports = {
+  TRACKING_COMPANY,
+  permanentError,
+  normalizeStoreUrl,
+  getStoreStatus,
+  buildOrderNote
+};
@@ -0,0 +1,24 @@
+/**
+ * Platform Adapters
+ *
+ * Outbound adapters that report order events back to the merchant's store,
+ * keyed by platform (the order's aggregator_source). Each adapter exports
+ * EVENTS (the order statuses it reports) and
+ * push({ integration, order, event, previousResult, superseded }), which
+ * returns the platform references to keep and throws on failure (errors
+ * with retryable = false are not retried)
+ */
+
+const shopify = require('./shopify.adapter');
+const woocommerce = require('./woocommerce.adapter');
+const gomag = require('./gomag.adapter');
+
+const PLATFORM_ADAPTERS = {
+  shopify,
+  woocommerce,
+  gomag
+};
+
+module.exports = {
+  PLATFORM_ADAPTERS
+};
@@ -0,0 +1,139 @@
+/**
+ * Shopify Adapter
+ *
+ * Reports our deliveries to the merchant's Shopify admin (Admin REST API):
+ * when a driver is assigned, the order is fulfilled with our tracking number
+ * and tracking link; when it is delivered, a "delivered" event is added to
+ * that fulfillment
+ *
+ * The API base is built from the integration's store_url, so a local stub
+ * of the Admin API (store_url: http://localhost:4010) can stand in for a shop
+ */
+
+const axios = require('axios');
+const { generateTrackingLink } = require('../services/whatsapp.service');
+const { ORDER_STATUS } = require('../services/normalizer.service');
+const { TRACKING_COMPANY, permanentError, normalizeStoreUrl } = require('./helpers');
+
+const API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-10';
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Fulfillment orders that can still be fulfilled
+const FULFILLABLE_STATUSES = ['open', 'in_progress'];
+
+/**
+ * Order events this adapter reports
+ */
+const EVENTS = [ORDER_STATUS.ASSIGNED, ORDER_STATUS.DELIVERED];
+
+const createClient = (integration) => axios.create({
+  baseURL: `${normalizeStoreUrl(integration.store_url)}/admin/api/${API_VERSION}`,
+  timeout: REQUEST_TIMEOUT_MS,
+  headers: {
+    'X-Shopify-Access-Token': integration.credentials?.access_token || '',
+    'Content-Type': 'application/json'
+  }
+});
+
+/**
+ * Find the fulfillment we created earlier (identified by our tracking number)
+ * A retry whose first attempt went through but timed out must not fulfill twice
+ */
+const findOwnFulfillment = async (client, shopifyOrderId, trackingNumber) => {
+  const { data } = await client.get(`/orders/${shopifyOrderId}/fulfillments.json`);
+
+  return (data.fulfillments || []).find(fulfillment =>
+    fulfillment.tracking_number === trackingNumber ||
+    (fulfillment.tracking_numbers || []).includes(trackingNumber)
+  ) || null;
+};
+
+/**
+ * Fulfill every open fulfillment order with our tracking details
+ */
+const createFulfillment = async (client, integration, order) => {
+  const shopifyOrderId = order.external_order_id;
+  const trackingNumber = order.internal_order_id;
+
+  const existing = await findOwnFulfillment(client, shopifyOrderId, trackingNumber);
+  if (existing) {
+    return { fulfillment_id: existing.id };
+  }
+
+  const { data } = await client.get(`/orders/${shopifyOrderId}/fulfillment_orders.json`);
+  const fulfillmentOrders = (data.fulfillment_orders || [])
+    .filter(fulfillmentOrder => FULFILLABLE_STATUSES.includes(fulfillmentOrder.status));
+
+  if (fulfillmentOrders.length === 0) {
+    throw permanentError(`Shopify order ${shopifyOrderId} has no open fulfillment orders (already fulfilled?)`);
+  }
+
+  const { data: created } = await client.post('/fulfillments.json', {
+    fulfillment: {
+      line_items_by_fulfillment_order: fulfillmentOrders.map(fulfillmentOrder => ({
+        fulfillment_order_id: fulfillmentOrder.id
+      })),
+      tracking_info: {
+        number: trackingNumber,
+        url: generateTrackingLink(order.internal_order_id),
+        company: TRACKING_COMPANY
+      },
+      notify_customer: integration.settings?.notify_customer !== false
+    }
+  });
+
+  console.log(`🛍️ Shopify order ${shopifyOrderId} fulfilled (fulfillment ${created.fulfillment.id})`);
+
+  return { fulfillment_id: created.fulfillment.id };
+};
+
+/**
+ * Mark our fulfillment as delivered (fulfilling the order first if the
+ * assignment was never reported)
+ */
+const addDeliveredEvent = async (client, integration, order, previousResult) => {
+  const fulfillmentId = previousResult.fulfillment_id ||
+    (await createFulfillment(client, integration, order)).fulfillment_id;
+
+  await client.post(`/orders/${order.external_order_id}/fulfillments/${fulfillmentId}/events.json`, {
+    event: { status: 'delivered' }
+  });
+
+  console.log(`🛍️ Shopify order ${order.external_order_id} marked as delivered`);
+
+  return { fulfillment_id: fulfillmentId };
+};
+
+/**
+ * Report an order event to Shopify
+ *
+ * @param {object} params
+ * @param {object} params.integration - Merchant integration (store_url, credentials, settings)
+ * @param {object} params.order - Our order (external_order_id is the Shopify order ID)
+ * @param {string} params.event - Order status the order moved to
+ * @param {object} params.previousResult - Results of the pushes already sent for the order
+ * @returns {Promise<object>} - References to keep (fulfillment_id)
+ */
+const push = async ({ integration, order, event, previousResult = {} }) => {
+  if (!order.external_order_id) {
+    throw permanentError(`Order ${order.internal_order_id} has no Shopify order ID`);
+  }
+
+  const client = createClient(integration);
+
+  switch (event) {
+    case ORDER_STATUS.ASSIGNED:
+      return createFulfillment(client, integration, order);
+
+    case ORDER_STATUS.DELIVERED:
+      return addDeliveredEvent(client, integration, order, previousResult);
+
+    default:
+      throw permanentError(`Shopify adapter does not handle "${event}"`);
+  }
+};
+
+module.exports = {
+  EVENTS,
+  push
+};
@@ -0,0 +1,86 @@
+/**
+ * WooCommerce Adapter
+ *
+ * Reports every delivery step to the merchant's WooCommerce store (REST API
+ * v3): the order status is changed according to the merchant's status map
+ * and a note with our AWB and tracking link is added to the order
+ *
+ * Requests go to <store_url>/wp-json/wc/v3, authenticated with the store's
+ * consumer key / secret (HTTP Basic over HTTPS)
+ */
+
+const axios = require('axios');
+const { ORDER_STATUS } = require('../services/normalizer.service');
+const { permanentError, normalizeStoreUrl, getStoreStatus, buildOrderNote } = require('./helpers');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Order events this adapter reports
+ */
+const EVENTS = [ORDER_STATUS.ASSIGNED, ORDER_STATUS.IN_TRANSIT, ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED];
+
+/**
+ * WooCommerce status per event, unless the merchant maps it otherwise
+ * (null: only the note is added). Stores with a "shipped" status plugin
+ * usually map in_transit to it
+ */
+const DEFAULT_STATUS_MAP = {
+  [ORDER_STATUS.ASSIGNED]: null,
+  [ORDER_STATUS.IN_TRANSIT]: null,
+  [ORDER_STATUS.DELIVERED]: 'completed',
+  [ORDER_STATUS.CANCELLED]: null
+};
+
+const createClient = (integration) => axios.create({
+  baseURL: `${normalizeStoreUrl(integration.store_url)}/wp-json/wc/v3`,
+  timeout: REQUEST_TIMEOUT_MS,
+  auth: {
+    username: integration.credentials?.consumer_key || '',
+    password: integration.credentials?.consumer_secret || ''
+  }
+});
+
+/**
+ * Report an order event to WooCommerce
+ *
+ * @param {object} params
+ * @param {object} params.integration - Merchant integration (store_url, credentials, settings)
+ * @param {object} params.order - Our order (external_order_id is the WooCommerce order ID)
+ * @param {string} params.event - Order status the order moved to
+ * @param {boolean} params.superseded - A later event was already sent (only the note is added)
+ * @returns {Promise<object>} - { store_status, note_id }
+ */
+const push = async ({ integration, order, event, superseded = false }) => {
+  if (!order.external_order_id) {
+    throw permanentError(`Order ${order.internal_order_id} has no WooCommerce order ID`);
+  }
+
+  if (!EVENTS.includes(event)) {
+    throw permanentError(`WooCommerce adapter does not handle "${event}"`);
+  }
+
+  const client = createClient(integration);
+  const orderPath = `/orders/${order.external_order_id}`;
+  const storeStatus = superseded ? null : getStoreStatus(integration, event, DEFAULT_STATUS_MAP);
+
+  // Setting the same status again is harmless, so a retry may repeat it
+  if (storeStatus) {
+    await client.put(orderPath, { status: storeStatus });
+  }
+
+  const { data: note } = await client.post(`${orderPath}/notes`, {
+    note: buildOrderNote(order, event),
+    customer_note: integration.settings?.customer_note === true
+  });
+
+  console.log(`🛒 WooCommerce order ${order.external_order_id} updated: ${event}${storeStatus ? ` -> ${storeStatus}` : ''}`);
+
+  return { store_status: storeStatus, note_id: note?.id || null };
+};
+
+module.exports = {
+  EVENTS,
+  DEFAULT_STATUS_MAP,
+  push
+};
@@ -77,6 +77,27 @@ const handleInMemory = (sql, params) => {
 
 const getPool = () => pool;
 
-module.exports = { initializePool, getPool, query };
+/**
+ * Run a storage operation against the database, falling back to memory
+ * Services keep their own in-memory store, used in development
+ * (USE_IN_MEMORY_DB=true) and while the database is unavailable
+ *
+ * @param {Function} dbOperation - async () => result from MySQL
+ * @param {Function} memoryOperation - () => result from the service's in-memory store
+ */
+const withStorage = async (dbOperation, memoryOperation) => {
+  if (process.env.USE_IN_MEMORY_DB === 'true') {
+    return memoryOperation();
+  }
+
+  try {
+    return await dbOperation();
+  } catch (error) {
+    console.warn(`⚠️ Database unavailable, using in-memory storage`);
+    return memoryOperation();
+  }
+};
+
+module.exports = { initializePool, getPool, query, withStorage };
 
 
@@ -0,0 +1,94 @@
+/**
+ * Carrier Callback Controller
+ * 
+ * Admin access to the status callbacks sent to parent carriers: browse
+ * callbacks (failed ones in particular) and send a callback again
+ */
+
+const carrierCallbackService = require('../services/carrierCallback.service');
+
+/**
+ * List callbacks
+ * GET /api/carrier-callbacks?status=failed&partner_carrier_id=1&internal_order_id=ZC-...
+ */
+const getCallbacks = async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    
+    const callbacks = await carrierCallbackService.getCallbacks({
+      status: req.query.status,
+      partner_carrier_id: req.query.partner_carrier_id,
+      internal_order_id: req.query.internal_order_id
+    }, limit, offset);
+    
+    return res.status(200).json({
+      success: true,
+      data: callbacks,
+      pagination: { limit, offset, total: callbacks.length }
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get carrier callbacks error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Get a single callback
+ * GET /api/carrier-callbacks/:id
+ */
+const getCallbackById = async (req, res, next) => {
+  try {
+    const callback = await carrierCallbackService.getCallbackById(req.params.id);
+    
+    if (!callback) {
+      return res.status(404).json({
+        success: false,
+        error: `Carrier callback not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: callback
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get carrier callback error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Send a pending or failed callback again
+ * POST /api/carrier-callbacks/:id/retry
+ */
+const retryCallback = async (req, res, next) => {
+  try {
+    const callback = await carrierCallbackService.retryCallback(req.params.id);
+    
+    if (!callback) {
+      return res.status(404).json({
+        success: false,
+        error: `Carrier callback not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: `Carrier callback ${callback.id} retried: ${callback.status}`,
+      data: callback
+    });
+    
+  } catch (error) {
+    console.error(`❌ Retry carrier callback error:`, error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getCallbacks,
+  getCallbackById,
+  retryCallback
+};
@@ -6,6 +6,7 @@
  */
 
 const SettlementModel = require('../models/settlement.model');
+const { sendSettlementWebhooksAsync } = require('../services/merchantWebhook.service');
 
 /**
  * Get daily reconciliation report
@@ -260,6 +261,12 @@ const markSettlementTransferred = async (req, res, next) => {
     
     console.log(`💸 Settlement ${settlementId} transferred. Ref: ${transfer_reference}`);
     
+    // 📤 settlement.transferred for each merchant with orders in the settlement
+    if (settlement.status === 'transferred') {
+      const settlementOrders = await SettlementModel.getSettlementOrders(settlementId);
+      sendSettlementWebhooksAsync(settlement, settlementOrders);
+    }
+    
     return res.status(200).json({
       success: true,
       message: `Settlement ${settlementId} marked as transferred`,
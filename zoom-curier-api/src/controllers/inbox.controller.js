@@ -0,0 +1,153 @@
+/**
+ * Inbox Controller
+ * 
+ * Admin access to the webhook inbox: browse stored events and the
+ * dead-letter list, replay single events or filtered batches
+ */
+
+const inboxService = require('../services/inbox.service');
+
+/**
+ * Read the list filters from the query string / body
+ */
+const getFilters = (source) => ({
+  status: source.status,
+  source: source.source,
+  merchant_id: source.merchant_id,
+  date_from: source.date_from,
+  date_to: source.date_to
+});
+
+/**
+ * List inbox events
+ * GET /api/webhook-events?status=failed&source=SHOPIFY&merchant_id=1&date_from=2026-10-01
+ */
+const getEvents = async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    
+    const events = await inboxService.getEvents(getFilters(req.query), limit, offset);
+    
+    return res.status(200).json({
+      success: true,
+      data: events,
+      pagination: { limit, offset, total: events.length }
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get webhook events error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Dead-letter list (failed events)
+ * GET /api/webhook-events/dead-letter?source=EMAG
+ */
+const getDeadLetters = async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    
+    const events = await inboxService.getDeadLetters(getFilters(req.query), limit, offset);
+    
+    return res.status(200).json({
+      success: true,
+      data: events,
+      pagination: { limit, offset, total: events.length }
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get dead letters error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Get a single event with its headers and body
+ * GET /api/webhook-events/:id
+ */
+const getEventById = async (req, res, next) => {
+  try {
+    const event = await inboxService.getEventById(req.params.id);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: `Webhook event not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: event
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get webhook event error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Replay a single event
+ * POST /api/webhook-events/:id/replay
+ */
+const replayEvent = async (req, res, next) => {
+  try {
+    const event = await inboxService.replayEvent(req.params.id);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: `Webhook event not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: `Webhook event ${event.id} replayed: ${event.status}`,
+      data: event
+    });
+    
+  } catch (error) {
+    console.error(`❌ Replay webhook event error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Replay a filtered batch (failed events unless another status is given)
+ * POST /api/webhook-events/replay
+ * Body: { "source": "EMAG", "merchant_id": 1, "date_from": "2026-10-18", "limit": 100 }
+ */
+const replayEvents = async (req, res, next) => {
+  try {
+    const filters = Object.fromEntries(
+      Object.entries(getFilters(req.body)).filter(([, value]) => value !== undefined)
+    );
+    
+    const result = await inboxService.replayEvents(filters, req.body.limit);
+    
+    console.log(`🔁 Replayed ${result.summary.total} webhook events: ${result.summary.processed} processed, ${result.summary.failed} failed`);
+    
+    return res.status(200).json({
+      success: true,
+      message: `Replayed ${result.summary.total} webhook events`,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error(`❌ Replay webhook events error:`, error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getEvents,
+  getDeadLetters,
+  getEventById,
+  replayEvent,
+  replayEvents
+};
@@ -0,0 +1,210 @@
+/**
+ * Integration Controller
+ *
+ * Lets the ops team connect merchant stores, so that order events are
+ * reported back to the merchant's platform. Credentials are write-only:
+ * responses only show their last characters
+ */
+
+const integrationService = require('../services/integration.service');
+const { integrationSchema } = require('../validators/integration.validator');
+
+/**
+ * Validate an integration body
+ * Returns { value } or { error } (message ready for the response)
+ */
+const validateIntegration = (body) => {
+  const { value, error } = integrationSchema.validate(body, { abortEarly: false });
+  
+  if (error) {
+    return { error: error.details.map(detail => detail.message).join('; ') };
+  }
+  
+  return { value };
+};
+
+/**
+ * Hide credential values (shpat_1234... -> ****1234)
+ */
+const toPublic = (integration) => ({
+  ...integration,
+  credentials: Object.fromEntries(
+    Object.entries(integration.credentials || {}).map(([name, secret]) => [
+      name,
+      `****${String(secret).slice(-4)}`
+    ])
+  )
+});
+
+/**
+ * A merchant has one integration per platform
+ */
+const isPlatformTaken = async (value, exceptId = null) => {
+  const existing = await integrationService.listIntegrations({ merchant_id: value.merchant_id, platform: value.platform });
+  return existing.some(integration => integration.id !== parseInt(exceptId));
+};
+
+/**
+ * List integrations
+ * GET /api/integrations?merchant_id=1&platform=shopify
+ */
+const getIntegrations = async (req, res, next) => {
+  try {
+    const integrations = await integrationService.listIntegrations({
+      merchant_id: req.query.merchant_id,
+      platform: req.query.platform
+    });
+    
+    return res.status(200).json({
+      success: true,
+      data: integrations.map(toPublic)
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get integrations error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Get an integration by ID
+ * GET /api/integrations/:id
+ */
+const getIntegrationById = async (req, res, next) => {
+  try {
+    const integration = await integrationService.getIntegrationById(req.params.id);
+    
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        error: `Integration not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: toPublic(integration)
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get integration error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Connect a merchant store
+ * POST /api/integrations
+ */
+const createIntegration = async (req, res, next) => {
+  try {
+    const { value, error } = validateIntegration(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    if (await isPlatformTaken(value)) {
+      return res.status(409).json({
+        success: false,
+        error: `Merchant ${value.merchant_id} already has a ${value.platform} integration`
+      });
+    }
+    
+    const integration = await integrationService.createIntegration(value);
+    
+    console.log(`🔌 Integration created: ${integration.platform} (merchant ${integration.merchant_id})`);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Integration created',
+      data: toPublic(integration)
+    });
+    
+  } catch (error) {
+    console.error(`❌ Create integration error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Replace an integration (credentials must be sent again)
+ * PUT /api/integrations/:id
+ */
+const updateIntegration = async (req, res, next) => {
+  try {
+    const { value, error } = validateIntegration(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    if (await isPlatformTaken(value, req.params.id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Merchant ${value.merchant_id} already has a ${value.platform} integration`
+      });
+    }
+    
+    const integration = await integrationService.updateIntegration(req.params.id, value);
+    
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        error: `Integration not found: ${req.params.id}`
+      });
+    }
+    
+    console.log(`🔌 Integration updated: ${integration.platform} (merchant ${integration.merchant_id})`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Integration updated',
+      data: toPublic(integration)
+    });
+    
+  } catch (error) {
+    console.error(`❌ Update integration error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Delete an integration
+ * DELETE /api/integrations/:id
+ */
+const deleteIntegration = async (req, res, next) => {
+  try {
+    const deleted = await integrationService.deleteIntegration(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `Integration not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Integration deleted'
+    });
+    
+  } catch (error) {
+    console.error(`❌ Delete integration error:`, error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getIntegrations,
+  getIntegrationById,
+  createIntegration,
+  updateIntegration,
+  deleteIntegration
+};
@@ -0,0 +1,230 @@
+/**
+ * Mapping Controller
+ * 
+ * Lets the ops team register custom order sources as data (declarative
+ * mappings) and try them against a sample payload before going live
+ */
+
+const mappingService = require('../services/mapping.service');
+const { normalizeOrder, resolveOrderEvent, SOURCES } = require('../services/normalizer.service');
+const { mappingSchema } = require('../validators/mapping.validator');
+
+/**
+ * Validate a mapping body
+ * Returns { value } or { error } (message ready for the response)
+ */
+const validateMapping = (body) => {
+  const { value, error } = mappingSchema.validate(body, { abortEarly: false });
+  
+  if (error) {
+    return { error: error.details.map(detail => detail.message).join('; ') };
+  }
+  
+  // Built-in platforms keep their hand-written normalizers
+  if (Object.values(SOURCES).includes(value.name.toUpperCase())) {
+    return { error: `"${value.name}" is a built-in source and cannot be mapped` };
+  }
+  
+  return { value };
+};
+
+/**
+ * List mappings
+ * GET /api/mappings?merchant_id=1&name=my-shop
+ */
+const getMappings = async (req, res, next) => {
+  try {
+    const mappings = await mappingService.listMappings({
+      merchant_id: req.query.merchant_id,
+      name: req.query.name
+    });
+    
+    return res.status(200).json({
+      success: true,
+      data: mappings
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get mappings error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Get a mapping by ID
+ * GET /api/mappings/:id
+ */
+const getMappingById = async (req, res, next) => {
+  try {
+    const mapping = await mappingService.getMappingById(req.params.id);
+    
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: `Mapping not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: mapping
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get mapping error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Register a mapping
+ * POST /api/mappings
+ */
+const createMapping = async (req, res, next) => {
+  try {
+    const { value, error } = validateMapping(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    const existing = await mappingService.listMappings({ name: value.name, merchant_id: value.merchant_id });
+    if (existing.some(mapping => mapping.merchant_id === value.merchant_id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Mapping "${value.name}" already exists`
+      });
+    }
+    
+    const mapping = await mappingService.createMapping(value);
+    
+    console.log(`🧩 Mapping registered: ${mapping.name} (merchant ${mapping.merchant_id || 'all'})`);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Mapping created',
+      data: mapping
+    });
+    
+  } catch (error) {
+    console.error(`❌ Create mapping error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Replace a mapping
+ * PUT /api/mappings/:id
+ */
+const updateMapping = async (req, res, next) => {
+  try {
+    const { value, error } = validateMapping(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    const mapping = await mappingService.updateMapping(req.params.id, value);
+    
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: `Mapping not found: ${req.params.id}`
+      });
+    }
+    
+    console.log(`🧩 Mapping updated: ${mapping.name}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Mapping updated',
+      data: mapping
+    });
+    
+  } catch (error) {
+    console.error(`❌ Update mapping error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Delete a mapping
+ * DELETE /api/mappings/:id
+ */
+const deleteMapping = async (req, res, next) => {
+  try {
+    const deleted = await mappingService.deleteMapping(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `Mapping not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Mapping deleted'
+    });
+    
+  } catch (error) {
+    console.error(`❌ Delete mapping error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Run a mapping against a sample payload without saving an order
+ * POST /api/mappings/:id/test
+ * Body: the payload the shop will send
+ */
+const testMapping = async (req, res, next) => {
+  try {
+    const mapping = await mappingService.getMappingById(req.params.id);
+    
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: `Mapping not found: ${req.params.id}`
+      });
+    }
+    
+    const event = resolveOrderEvent(mapping.name, {}, req.body, mapping);
+    
+    try {
+      const order = normalizeOrder(mapping.name, req.body, { mapping, merchantId: mapping.merchant_id });
+      delete order.raw_payload;
+      
+      return res.status(200).json({
+        success: true,
+        data: { event, order }
+      });
+    } catch (normalizeError) {
+      return res.status(422).json({
+        success: false,
+        error: normalizeError.message,
+        ...(normalizeError.details && { details: normalizeError.details }),
+        data: { event }
+      });
+    }
+    
+  } catch (error) {
+    console.error(`❌ Test mapping error:`, error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getMappings,
+  getMappingById,
+  createMapping,
+  updateMapping,
+  deleteMapping,
+  testMapping
+};
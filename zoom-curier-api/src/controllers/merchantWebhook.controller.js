@@ -0,0 +1,168 @@
+/**
+ * Merchant Webhook Controller
+ * 
+ * Lets merchants (X-API-Key) subscribe to order and settlement events,
+ * browse the delivery log and redeliver failed deliveries. Merchants only
+ * ever see their own subscription and deliveries
+ */
+
+const merchantWebhookService = require('../services/merchantWebhook.service');
+const { subscriptionSchema } = require('../validators/merchantWebhook.validator');
+
+/**
+ * Get the subscription
+ * GET /api/merchant-webhooks
+ */
+const getSubscription = async (req, res, next) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: merchantWebhookService.toPublicSubscription(req.merchant)
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get webhook subscription error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Subscribe or change the subscription
+ * PUT /api/merchant-webhooks
+ */
+const updateSubscription = async (req, res, next) => {
+  try {
+    const { value, error } = subscriptionSchema.validate(req.body, { abortEarly: false });
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details.map(detail => detail.message).join('; ')
+      });
+    }
+    
+    const subscription = await merchantWebhookService.updateSubscription(req.merchant, value);
+    const secretCreated = !subscription.secret.startsWith('****');
+    
+    return res.status(200).json({
+      success: true,
+      message: secretCreated
+        ? 'Webhook subscription saved. Store the secret now - it is not shown again'
+        : 'Webhook subscription saved',
+      data: subscription
+    });
+    
+  } catch (error) {
+    console.error(`❌ Update webhook subscription error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Unsubscribe
+ * DELETE /api/merchant-webhooks
+ */
+const deleteSubscription = async (req, res, next) => {
+  try {
+    const subscription = await merchantWebhookService.deleteSubscription(req.merchant);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook subscription removed',
+      data: subscription
+    });
+    
+  } catch (error) {
+    console.error(`❌ Delete webhook subscription error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * List deliveries
+ * GET /api/merchant-webhooks/deliveries?status=failed&event=order.delivered&resource_id=ZC-...
+ */
+const getDeliveries = async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    
+    const deliveries = await merchantWebhookService.getDeliveries(req.merchant.id, {
+      status: req.query.status,
+      event: req.query.event,
+      resource_id: req.query.resource_id
+    }, limit, offset);
+    
+    return res.status(200).json({
+      success: true,
+      data: deliveries,
+      pagination: { limit, offset, total: deliveries.length }
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get webhook deliveries error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Get a single delivery (with the payload sent)
+ * GET /api/merchant-webhooks/deliveries/:id
+ */
+const getDeliveryById = async (req, res, next) => {
+  try {
+    const delivery = await merchantWebhookService.getDeliveryById(req.params.id, req.merchant.id);
+    
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: `Webhook delivery not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: delivery
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get webhook delivery error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Redeliver a pending or failed delivery
+ * POST /api/merchant-webhooks/deliveries/:id/redeliver
+ */
+const redeliver = async (req, res, next) => {
+  try {
+    const delivery = await merchantWebhookService.redeliver(req.params.id, req.merchant.id);
+    
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: `Webhook delivery not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: `Webhook delivery ${delivery.id} redelivered: ${delivery.status}`,
+      data: delivery
+    });
+    
+  } catch (error) {
+    console.error(`❌ Redeliver webhook error:`, error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  getDeliveryById,
+  redeliver
+};
@@ -7,8 +7,16 @@
  */
 
 const orderService = require('../services/order.service');
-const { ORDER_STATUS } = require('../services/normalizer.service');
+const { normalizeOrder, ORDER_STATUS, SOURCES } = require('../services/normalizer.service');
 const whatsappService = require('../services/whatsapp.service');
+const importService = require('../services/import.service');
+const merchantService = require('../services/merchant.service');
+const pickupLocationService = require('../services/pickupLocation.service');
+const overflowService = require('../services/overflow.service');
+const { publishOrderEventAsync, publishOrderCreatedAsync } = require('../services/orderEvents.service');
+const { sendWhatsAppConfirmationAsync } = require('../services/webhook.service');
+const { importOptionsSchema } = require('../validators/import.validator');
+const { createOrderSchema } = require('../validators/order.validator');
 
 /**
  * Send WhatsApp notification based on status change (non-blocking)
@@ -58,6 +66,7 @@ const getAllOrders = async (req, res, next) => {
       status: req.query.status,
       source: req.query.source,
       is_overflow: req.query.is_overflow,
+      address_status: req.query.address_status,
       merchant_id: req.query.merchant_id,
       driver_id: req.query.driver_id,
       date_from: req.query.date_from,
@@ -86,7 +95,80 @@ const getAllOrders = async (req, res, next) => {
 };
 
 /**
- * Get a single order by ID
+ * Create an order directly (B2B clients, dispatchers)
+ * POST /api/orders
+ * Merchants create orders for themselves; admins pick the merchant with merchant_id
+ */
+const createOrder = async (req, res, next) => {
+  try {
+    const { value, error } = createOrderSchema.validate(req.body, { abortEarly: false });
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      });
+    }
+    
+    if (req.merchant && value.merchant_id && value.merchant_id !== req.merchant.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Orders can only be created for the authenticated merchant'
+      });
+    }
+    
+    const merchantId = req.merchant ? req.merchant.id : value.merchant_id;
+    
+    // A repeated client reference returns the existing order
+    if (value.external_order_id) {
+      const existingOrder = await orderService.getOrderByExternalId(
+        value.external_order_id,
+        SOURCES.DIRECT,
+        merchantId
+      );
+      
+      if (existingOrder) {
+        return res.status(200).json({
+          success: true,
+          message: `Order ${value.external_order_id} already exists`,
+          data: existingOrder
+        });
+      }
+    }
+    
+    const merchantOptions = await merchantService.getNormalizationOptions(merchantId);
+    const order = normalizeOrder(SOURCES.DIRECT, value, { merchantId, ...merchantOptions });
+    const savedOrder = await orderService.createOrder(order);
+    
+    console.log(`✅ Direct order created: ${savedOrder.internal_order_id}`);
+    
+    // 🔔 Same WhatsApp confirmation as webhook orders (non-blocking)
+    sendWhatsAppConfirmationAsync(savedOrder);
+    
+    // 📤 order.created for the merchant's webhook subscription
+    publishOrderCreatedAsync(savedOrder);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: {
+        ...savedOrder,
+        whatsapp_notification: process.env.WHATSAPP_ENABLED === 'true' ? 'queued' : 'disabled'
+      }
+    });
+    
+  } catch (error) {
+    console.error(`❌ Create order error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Get a single order by ID (including its items)
  * GET /api/orders/:id
  */
 const getOrderById = async (req, res, next) => {
@@ -102,9 +184,16 @@ const getOrderById = async (req, res, next) => {
       });
     }
     
+    const items = await orderService.getOrderItems(id);
+    
+    // Opening hours and contact of the location the parcel is collected from
+    const pickupLocation = order.pickup_location_id
+      ? await pickupLocationService.getLocationById(order.pickup_location_id)
+      : null;
+    
     return res.status(200).json({
       success: true,
-      data: order
+      data: { ...order, items, pickup_location: pickupLocation }
     });
     
   } catch (error) {
@@ -113,6 +202,41 @@ const getOrderById = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the status history of an order (support timeline), oldest first
+ * GET /api/orders/:id/history
+ */
+const getOrderHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const order = await orderService.getOrderById(id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: `Order not found: ${id}`
+      });
+    }
+    
+    const history = await orderService.getOrderStatusHistory(id);
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        internal_order_id: order.internal_order_id,
+        external_order_id: order.external_order_id,
+        status: order.status,
+        history
+      }
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get order history error:`, error.message);
+    next(error);
+  }
+};
+
 /**
  * Update order status
  * PATCH /api/orders/:id/status
@@ -120,7 +244,7 @@ const getOrderById = async (req, res, next) => {
 const updateOrderStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status, notes, eta_minutes } = req.body;
+    const { status, reason, notes, eta_minutes } = req.body;
     
     // Validate status
     const validStatuses = Object.values(ORDER_STATUS);
@@ -131,7 +255,12 @@ const updateOrderStatus = async (req, res, next) => {
       });
     }
     
-    const updatedOrder = await orderService.updateOrderStatus(id, status, notes);
+    // Moves the state machine does not allow are answered with 409 and the allowed next statuses
+    const updatedOrder = await orderService.updateOrderStatus(id, status, {
+      actor: orderService.STATUS_ACTORS.DISPATCH,
+      reason: reason || notes,
+      metadata: { eta_minutes }
+    });
     
     if (!updatedOrder) {
       return res.status(404).json({
@@ -143,6 +272,9 @@ const updateOrderStatus = async (req, res, next) => {
     // 🔔 Trigger WhatsApp notification based on new status
     sendStatusNotificationAsync(updatedOrder, status, { etaMinutes: eta_minutes });
     
+    // 📤 Report the new status to the merchant (store, webhook) and the parent carrier
+    publishOrderEventAsync(updatedOrder, status);
+    
     return res.status(200).json({
       success: true,
       message: `Order status updated to ${status}`,
@@ -173,7 +305,9 @@ const assignDriver = async (req, res, next) => {
       });
     }
     
-    const updatedOrder = await orderService.assignDriver(id, driver_id);
+    const updatedOrder = await orderService.assignDriver(id, driver_id, {
+      metadata: { driver_name }
+    });
     
     if (!updatedOrder) {
       return res.status(404).json({
@@ -190,6 +324,9 @@ const assignDriver = async (req, res, next) => {
     };
     sendStatusNotificationAsync(updatedOrder, ORDER_STATUS.ASSIGNED, { driver });
     
+    // 📤 Report the assignment to the merchant (Shopify fulfillment, status / note, webhook) and the parent carrier
+    publishOrderEventAsync(updatedOrder, ORDER_STATUS.ASSIGNED);
+    
     return res.status(200).json({
       success: true,
       message: `Driver ${driver_id} assigned to order ${id}`,
@@ -224,6 +361,9 @@ const cancelOrder = async (req, res, next) => {
     // 🔔 Trigger WhatsApp notification for cancellation
     sendStatusNotificationAsync(cancelledOrder, ORDER_STATUS.CANCELLED, { reason });
     
+    // 📤 Report the cancellation to the merchant (store, webhook) and the parent carrier
+    publishOrderEventAsync(cancelledOrder, ORDER_STATUS.CANCELLED);
+    
     return res.status(200).json({
       success: true,
       message: `Order ${id} cancelled`,
@@ -246,7 +386,10 @@ const markOutForDelivery = async (req, res, next) => {
     const { id } = req.params;
     const { eta_minutes } = req.body;
     
-    const updatedOrder = await orderService.updateOrderStatus(id, ORDER_STATUS.IN_TRANSIT);
+    const updatedOrder = await orderService.updateOrderStatus(id, ORDER_STATUS.IN_TRANSIT, {
+      actor: orderService.STATUS_ACTORS.DRIVER,
+      metadata: { eta_minutes: eta_minutes || 30 }
+    });
     
     if (!updatedOrder) {
       return res.status(404).json({
@@ -258,6 +401,9 @@ const markOutForDelivery = async (req, res, next) => {
     // 🔔 Trigger WhatsApp "out for delivery" notification
     sendStatusNotificationAsync(updatedOrder, ORDER_STATUS.IN_TRANSIT, { etaMinutes: eta_minutes || 30 });
     
+    // 📤 Report the departure to the merchant (store, webhook) and the parent carrier
+    publishOrderEventAsync(updatedOrder, ORDER_STATUS.IN_TRANSIT);
+    
     return res.status(200).json({
       success: true,
       message: `Order ${id} marked as out for delivery`,
@@ -291,17 +437,15 @@ const markDelivered = async (req, res, next) => {
       });
     }
     
-    // Validate OTP and mark as delivered
-    const deliveredOrder = await orderService.markDelivered(id, otp_code);
-    
-    // Add proof of delivery if provided
-    if (proof_of_delivery && deliveredOrder) {
-      await orderService.updateOrderStatus(id, ORDER_STATUS.DELIVERED, `POD: ${proof_of_delivery}`);
-    }
+    // Validate OTP and mark as delivered (with the proof of delivery, if provided)
+    const deliveredOrder = await orderService.markDelivered(id, otp_code, proof_of_delivery);
     
     // 🔔 Trigger WhatsApp "delivery completed" notification
     sendStatusNotificationAsync(deliveredOrder, ORDER_STATUS.DELIVERED);
     
+    // 📤 Report the delivery to the merchant (store, webhook) and the parent carrier
+    publishOrderEventAsync(deliveredOrder, ORDER_STATUS.DELIVERED);
+    
     console.log(`✅ Order ${id} delivered successfully with OTP validation`);
     
     return res.status(200).json({
@@ -315,6 +459,11 @@ const markDelivered = async (req, res, next) => {
   } catch (error) {
     console.error(`❌ Mark delivered error:`, error.message);
     
+    // Status transition errors (409) are answered by the error handler
+    if (error.statusCode) {
+      return next(error);
+    }
+    
     // Handle OTP validation errors specifically
     if (error.message.includes('OTP') || error.message.includes('Invalid') || error.message.includes('not found')) {
       return res.status(400).json({
@@ -328,12 +477,241 @@ const markDelivered = async (req, res, next) => {
   }
 };
 
+/**
+ * Hand an order to a partner carrier (Overflow OUT)
+ * POST /api/orders/:id/overflow-out
+ */
+const handOffOrder = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { carrier } = req.body;
+    
+    if (!carrier || typeof carrier !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'carrier is required (partner carrier code, e.g. FAN, SAMEDAY, CARGUS)'
+      });
+    }
+    
+    const updatedOrder = await overflowService.handOffOrder(id, carrier);
+    
+    if (!updatedOrder) {
+      return res.status(404).json({
+        success: false,
+        error: `Order not found: ${id}`
+      });
+    }
+    
+    // 📤 Report the hand-off (the parent carrier of an Overflow IN order is told)
+    publishOrderEventAsync(updatedOrder, ORDER_STATUS.OVERFLOW_OUT);
+    
+    return res.status(200).json({
+      success: true,
+      message: `Order ${id} handed to ${carrier.toUpperCase()}: AWB ${updatedOrder.overflow_awb}`,
+      data: updatedOrder
+    });
+    
+  } catch (error) {
+    console.error(`❌ Overflow OUT error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Fetch the partner carrier's tracking for a handed-off order
+ * GET /api/orders/:id/overflow-out/tracking
+ * A delivery or return reported by the partner moves the order to delivered / cancelled
+ */
+const getOverflowTracking = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const result = await overflowService.refreshTracking(id);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `Order not found: ${id}`
+      });
+    }
+    
+    // 📤 Report the partner's delivery (or return) to the merchant and the parent carrier
+    if (result.status_changed) {
+      publishOrderEventAsync(result.order, result.order.status);
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        internal_order_id: id,
+        order_status: result.order.status,
+        carrier: result.carrier,
+        awb: result.order.overflow_awb,
+        ...result.tracking
+      }
+    });
+    
+  } catch (error) {
+    console.error(`❌ Overflow tracking error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Download the partner carrier's AWB label (PDF)
+ * GET /api/orders/:id/overflow-out/awb
+ */
+const getOverflowAwb = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const label = await overflowService.getAwbLabel(id);
+    
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        error: `Order not found: ${id}`
+      });
+    }
+    
+    res.set('Content-Type', label.content_type);
+    res.set('Content-Disposition', `inline; filename="awb-${label.awb}.pdf"`);
+    return res.status(200).send(label.data);
+    
+  } catch (error) {
+    console.error(`❌ Overflow AWB error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Cancel the partner shipment and take the order back
+ * DELETE /api/orders/:id/overflow-out
+ */
+const cancelOverflowOut = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+    
+    const updatedOrder = await overflowService.cancelHandOff(id, reason);
+    
+    if (!updatedOrder) {
+      return res.status(404).json({
+        success: false,
+        error: `Order not found: ${id}`
+      });
+    }
+    
+    // 📤 Report that the order is back with us (pending)
+    publishOrderEventAsync(updatedOrder, updatedOrder.status);
+    
+    return res.status(200).json({
+      success: true,
+      message: `Partner shipment cancelled, order ${id} is ${updatedOrder.status} again`,
+      data: updatedOrder
+    });
+    
+  } catch (error) {
+    console.error(`❌ Cancel Overflow OUT error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Import orders from a CSV / XLSX spreadsheet
+ * POST /api/orders/import (multipart: file, merchant_id, columns | mapping, atomic)
+ * Merchants import their own orders; admins pick the merchant with merchant_id
+ */
+const importOrders = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing file. Upload the spreadsheet as the "file" form field'
+      });
+    }
+    
+    // Multipart fields are strings - the column map is sent as JSON
+    let body = req.body;
+    if (typeof body.columns === 'string') {
+      try {
+        body = { ...body, columns: JSON.parse(body.columns) };
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: '"columns" must be a JSON object: { "<order field>": "<column header>" }'
+        });
+      }
+    }
+    
+    const { value: options, error } = importOptionsSchema.validate(body, { abortEarly: false });
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details.map(detail => detail.message).join('; ')
+      });
+    }
+    
+    if (req.merchant && options.merchant_id && options.merchant_id !== req.merchant.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Orders can only be imported for the authenticated merchant'
+      });
+    }
+    
+    const result = await importService.importOrders({
+      file: req.file,
+      merchantId: req.merchant ? req.merchant.id : options.merchant_id,
+      columns: options.columns,
+      mappingName: options.mapping,
+      atomic: options.atomic
+    });
+    
+    // Atomic imports with a failing row save nothing
+    if (result.rejected) {
+      return res.status(422).json({
+        success: false,
+        error: 'Import rejected: some rows failed validation, no orders were created',
+        data: result
+      });
+    }
+    
+    // Atomic imports that failed to save a row keep the rows saved before it
+    if (result.stopped_at_row) {
+      return res.status(500).json({
+        success: false,
+        error: `Import stopped: row ${result.stopped_at_row} could not be saved. ` +
+          `The ${result.summary.created} orders created before it were kept, the remaining rows were skipped`,
+        data: result
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: `Imported ${result.summary.created} of ${result.summary.total} orders`,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error(`❌ Import orders error:`, error.message);
+    next(error);
+  }
+};
+
 module.exports = {
   getAllOrders,
+  createOrder,
   getOrderById,
+  getOrderHistory,
   updateOrderStatus,
   assignDriver,
   cancelOrder,
   markOutForDelivery,
-  markDelivered
+  markDelivered,
+  handOffOrder,
+  getOverflowTracking,
+  getOverflowAwb,
+  cancelOverflowOut,
+  importOrders
 };
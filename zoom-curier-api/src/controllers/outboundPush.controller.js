@@ -0,0 +1,95 @@
+/**
+ * Outbound Push Controller
+ * 
+ * Admin access to the order events sent to merchant stores: browse pushes
+ * (failed ones in particular) and send a push again
+ */
+
+const outboundService = require('../services/outbound.service');
+
+/**
+ * List pushes
+ * GET /api/outbound-pushes?status=failed&platform=woocommerce&merchant_id=1&internal_order_id=ZC-...
+ */
+const getPushes = async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    
+    const pushes = await outboundService.getPushes({
+      status: req.query.status,
+      platform: req.query.platform,
+      merchant_id: req.query.merchant_id,
+      internal_order_id: req.query.internal_order_id
+    }, limit, offset);
+    
+    return res.status(200).json({
+      success: true,
+      data: pushes,
+      pagination: { limit, offset, total: pushes.length }
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get outbound pushes error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Get a single push
+ * GET /api/outbound-pushes/:id
+ */
+const getPushById = async (req, res, next) => {
+  try {
+    const push = await outboundService.getPushById(req.params.id);
+    
+    if (!push) {
+      return res.status(404).json({
+        success: false,
+        error: `Outbound push not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: push
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get outbound push error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Send a pending or failed push again
+ * POST /api/outbound-pushes/:id/retry
+ */
+const retryPush = async (req, res, next) => {
+  try {
+    const push = await outboundService.retryPush(req.params.id);
+    
+    if (!push) {
+      return res.status(404).json({
+        success: false,
+        error: `Outbound push not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: `Outbound push ${push.id} retried: ${push.status}`,
+      data: push
+    });
+    
+  } catch (error) {
+    console.error(`❌ Retry outbound push error:`, error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getPushes,
+  getPushById,
+  retryPush
+};
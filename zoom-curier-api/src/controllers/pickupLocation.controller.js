@@ -0,0 +1,196 @@
+/**
+ * Pickup Location Controller
+ * 
+ * Lets the ops team manage the pickup locations of each merchant
+ * (warehouses, stores) used for orders that arrive without a pickup address
+ */
+
+const pickupLocationService = require('../services/pickupLocation.service');
+const { pickupLocationSchema } = require('../validators/pickupLocation.validator');
+
+/**
+ * Validate a pickup location body
+ * Returns { value } or { error } (message ready for the response)
+ */
+const validateLocation = (body) => {
+  const { value, error } = pickupLocationSchema.validate(body, { abortEarly: false });
+  
+  if (error) {
+    return { error: error.details.map(detail => detail.message).join('; ') };
+  }
+  
+  return { value };
+};
+
+/**
+ * The code must be unique per merchant
+ */
+const isCodeTaken = async (value, exceptId = null) => {
+  const existing = await pickupLocationService.listLocations({ merchant_id: value.merchant_id, code: value.code });
+  return existing.some(location => location.id !== parseInt(exceptId));
+};
+
+/**
+ * List pickup locations
+ * GET /api/pickup-locations?merchant_id=1
+ */
+const getLocations = async (req, res, next) => {
+  try {
+    const locations = await pickupLocationService.listLocations({
+      merchant_id: req.query.merchant_id,
+      code: req.query.code
+    });
+    
+    return res.status(200).json({
+      success: true,
+      data: locations
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get pickup locations error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Get a pickup location by ID
+ * GET /api/pickup-locations/:id
+ */
+const getLocationById = async (req, res, next) => {
+  try {
+    const location = await pickupLocationService.getLocationById(req.params.id);
+    
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: `Pickup location not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: location
+    });
+    
+  } catch (error) {
+    console.error(`❌ Get pickup location error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Create a pickup location
+ * POST /api/pickup-locations
+ */
+const createLocation = async (req, res, next) => {
+  try {
+    const { value, error } = validateLocation(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    if (await isCodeTaken(value)) {
+      return res.status(409).json({
+        success: false,
+        error: `Pickup location "${value.code}" already exists for merchant ${value.merchant_id}`
+      });
+    }
+    
+    const location = await pickupLocationService.createLocation(value);
+    
+    console.log(`📍 Pickup location created: ${location.code} (merchant ${location.merchant_id})`);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Pickup location created',
+      data: location
+    });
+    
+  } catch (error) {
+    console.error(`❌ Create pickup location error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Replace a pickup location
+ * PUT /api/pickup-locations/:id
+ */
+const updateLocation = async (req, res, next) => {
+  try {
+    const { value, error } = validateLocation(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    if (await isCodeTaken(value, req.params.id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Pickup location "${value.code}" already exists for merchant ${value.merchant_id}`
+      });
+    }
+    
+    const location = await pickupLocationService.updateLocation(req.params.id, value);
+    
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: `Pickup location not found: ${req.params.id}`
+      });
+    }
+    
+    console.log(`📍 Pickup location updated: ${location.code} (merchant ${location.merchant_id})`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Pickup location updated',
+      data: location
+    });
+    
+  } catch (error) {
+    console.error(`❌ Update pickup location error:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * Delete a pickup location
+ * DELETE /api/pickup-locations/:id
+ */
+const deleteLocation = async (req, res, next) => {
+  try {
+    const deleted = await pickupLocationService.deleteLocation(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `Pickup location not found: ${req.params.id}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Pickup location deleted'
+    });
+    
+  } catch (error) {
+    console.error(`❌ Delete pickup location error:`, error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getLocations,
+  getLocationById,
+  createLocation,
+  updateLocation,
+  deleteLocation
+};
@@ -1,35 +1,216 @@
 /**
  * Webhook Controller
- * 
+ *
  * Handles incoming webhook requests from various e-commerce platforms
- * and aggregators (Gomag, Shopify, WooCommerce, Innoship)
+ * and aggregators (Gomag, Shopify, WooCommerce, Innoship, eMAG, PrestaShop, OpenCart)
+ *
+ * Create, update and cancel events are processed by the webhook service;
+ * new orders trigger the LeadXpress WhatsApp confirmation
  * 
- * Includes LeadXpress WhatsApp integration for automated notifications
+ * Sources that are not built in are resolved to a declarative mapping
+ * registered by the ops team (see mapping.service.js)
  */
 
-const { normalizeOrder, detectSource, SOURCES } = require('../services/normalizer.service');
-const orderService = require('../services/order.service');
-const whatsappService = require('../services/whatsapp.service');
+const { SOURCES } = require('../services/normalizer.service');
+const {
+  processOrderWebhook,
+  previewOrderWebhook,
+  resolveWebhookSource,
+  WEBHOOK_ACTIONS
+} = require('../services/webhook.service');
+const { verifyShopifySignature, verifyWooCommerceSignature } = require('../services/signature.service');
+const mappingService = require('../services/mapping.service');
+const OrderValidationError = require('../errors/OrderValidationError');
 
 /**
- * Send WhatsApp confirmation (non-blocking)
- * Errors are logged but don't affect the webhook response
+ * Verify the platform signature for sources that sign their webhooks
+ * Returns { valid: true } for sources without signature support
  */
-const sendWhatsAppConfirmationAsync = async (order) => {
-  try {
-    if (process.env.WHATSAPP_ENABLED !== 'true') {
-      console.log(`📱 WhatsApp notifications disabled. Skipping confirmation for ${order.internal_order_id}`);
-      return;
-    }
-    
-    await whatsappService.sendOrderConfirmation(order);
-    console.log(`📱 WhatsApp confirmation sent for order ${order.internal_order_id}`);
-  } catch (error) {
-    console.error(`⚠️ WhatsApp notification failed (non-blocking):`, error.message);
-    // Don't throw - we don't want WhatsApp failures to affect order processing
+const verifySignature = (source, req) => {
+  switch (source) {
+    case SOURCES.SHOPIFY:
+      return verifyShopifySignature(req);
+    case SOURCES.WOOCOMMERCE:
+      return verifyWooCommerceSignature(req);
+    default:
+      return { valid: true };
   }
 };
 
+/**
+ * Log and reject a webhook whose signature could not be verified
+ */
+const rejectInvalidSignature = (req, res, source, reason) => {
+  console.warn(`🔒 Rejected ${source} webhook from ${req.ip}: ${reason}`);
+
+  res.locals.webhookOutcome = { source, error: `Invalid signature: ${reason}` };
+
+  return res.status(401).json({
+    success: false,
+    error: 'Invalid webhook signature'
+  });
+};
+
+/**
+ * WooCommerce sends a ping with only { webhook_id } (unsigned, no order)
+ * when a webhook is first saved - it expects a 2xx response
+ */
+const isWooCommercePing = (payload) => {
+  return Boolean(payload && payload.webhook_id !== undefined && payload.id === undefined);
+};
+
+const acknowledgeWooCommercePing = (res, payload) => {
+  console.log(`🏓 WooCommerce ping received for webhook ${payload.webhook_id}`);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Webhook ping acknowledged'
+  });
+};
+
+/**
+ * Build the HTTP response for a processed webhook
+ * New orders get 201, every other outcome 200 so platforms don't retry
+ */
+const sendWebhookResponse = (res, label, source, result) => {
+  const { action, order } = result;
+
+  // Recorded in the webhook inbox
+  res.locals.webhookOutcome = { source, action, internal_order_id: order?.internal_order_id };
+
+  if (action === WEBHOOK_ACTIONS.IGNORED) {
+    console.log(`ℹ️ ${label} webhook ignored: ${result.reason}`);
+
+    return res.status(200).json({
+      success: true,
+      message: `${label} webhook acknowledged, no action taken`,
+      data: {
+        action,
+        topic: result.topic,
+        reason: result.reason
+      }
+    });
+  }
+
+  const data = {
+    internal_order_id: order.internal_order_id,
+    external_order_id: order.external_order_id,
+    status: order.status,
+    source,
+    action
+  };
+
+  if (order.is_overflow) {
+    data.is_overflow = true;
+    data.parent_carrier_id = order.parent_carrier_id;
+  }
+
+  switch (action) {
+    case WEBHOOK_ACTIONS.CREATED:
+      return res.status(201).json({
+        success: true,
+        message: `${label} order processed successfully`,
+        data: {
+          ...data,
+          whatsapp_notification: process.env.WHATSAPP_ENABLED === 'true' ? 'queued' : 'disabled'
+        }
+      });
+
+    case WEBHOOK_ACTIONS.DUPLICATE:
+      return res.status(200).json({
+        success: true,
+        message: `${label} order already received`,
+        data
+      });
+
+    case WEBHOOK_ACTIONS.UPDATED:
+    case WEBHOOK_ACTIONS.CANCELLED:
+      return res.status(200).json({
+        success: true,
+        message: `${label} order ${action}`,
+        data: { ...data, changes: result.changes }
+      });
+
+    default:
+      // UNCHANGED / REJECTED - reported, but still 200 so the platform stops retrying
+      return res.status(200).json({
+        success: true,
+        message: `${label} ${result.event} event not applied: ${result.reason}`,
+        data: { ...data, reason: result.reason }
+      });
+  }
+};
+
+/**
+ * Verify and process a webhook for a known source
+ * Custom sources pass the mapping that normalizes their payload
+ */
+const runWebhook = async (req, res, source, label, mapping = null) => {
+  const verification = verifySignature(source, req);
+  if (!verification.valid) {
+    return rejectInvalidSignature(req, res, source, verification.reason);
+  }
+
+  console.log(`📦 Received ${label} webhook (merchant ${req.merchant.id})`);
+  res.locals.webhookOutcome = { source };
+
+  const result = await processOrderWebhook({
+    source,
+    payload: req.body,
+    headers: req.headers,
+    merchantId: req.merchant.id,
+    mapping
+  });
+
+  if (result.order) {
+    console.log(`✅ ${label} webhook ${result.action}: ${result.order.internal_order_id}`);
+  }
+
+  return sendWebhookResponse(res, label, source, result);
+};
+
+/**
+ * Handle errors raised while processing a webhook
+ */
+const handleWebhookError = (error, res, next, label) => {
+  console.error(`❌ ${label} webhook error:`, error.message);
+
+  res.locals.webhookOutcome = {
+    ...res.locals.webhookOutcome,
+    error: error.details ? JSON.stringify(error.details) : error.message
+  };
+
+  // Invalid payload / order - list every failing field
+  if (error instanceof OrderValidationError) {
+    return res.status(422).json({
+      success: false,
+      error: 'Order validation failed',
+      details: error.details
+    });
+  }
+
+  next(error);
+};
+
+/**
+ * Process a webhook for a custom source through its mapping
+ * Responds 400 when the merchant has no active mapping with that name
+ */
+const runMappedWebhook = async (req, res, name) => {
+  const mapping = await mappingService.resolveMapping(name, req.merchant.id);
+
+  if (!mapping) {
+    res.locals.webhookOutcome = { error: `Unknown source: ${name}` };
+
+    return res.status(400).json({
+      success: false,
+      error: `Unknown source: ${name}. No active mapping is registered for it.`
+    });
+  }
+
+  return runWebhook(req, res, mapping.name, mapping.name, mapping);
+};
+
 /**
  * Universal webhook endpoint for all order sources
  * POST /api/webhooks/orders
@@ -38,57 +219,34 @@ const handleOrderWebhook = async (req, res, next) => {
   try {
     const payload = req.body;
     const headers = req.headers;
-    
-    // Detect the source platform
-    let source = req.query.source?.toUpperCase() || detectSource(payload, headers);
-    
-    if (!source) {
+
+    if (isWooCommercePing(payload)) {
+      return acknowledgeWooCommercePing(res, payload);
+    }
+
+    // Explicit ?source= (built-in platform or custom mapping), else detection
+    const { source, mapping, error } = await resolveWebhookSource(
+      req.query.source,
+      payload,
+      headers,
+      req.merchant.id
+    );
+
+    if (error) {
+      res.locals.webhookOutcome = { error };
+
       return res.status(400).json({
         success: false,
-        error: 'Unable to detect source platform. Please specify ?source=GOMAG|SHOPIFY|WOOCOMMERCE|INNOSHIP'
+        error
       });
     }
-    
-    console.log(`📦 Received webhook from ${source}`);
+
     console.log(`📋 Payload:`, JSON.stringify(payload, null, 2));
-    
-    // Normalize the order
-    const normalizedOrder = normalizeOrder(source, payload);
-    
-    console.log(`✅ Normalized order:`, JSON.stringify(normalizedOrder, null, 2));
-    
-    // Save to database
-    const savedOrder = await orderService.createOrder(normalizedOrder);
-    
-    // 🔔 Trigger WhatsApp confirmation (LeadXpress integration)
-    // This runs asynchronously - doesn't block the response
-    sendWhatsAppConfirmationAsync(savedOrder);
-    
-    // Return success response
-    return res.status(201).json({
-      success: true,
-      message: 'Order received and processed successfully',
-      data: {
-        internal_order_id: savedOrder.internal_order_id,
-        external_order_id: savedOrder.external_order_id,
-        status: savedOrder.status,
-        source: source,
-        whatsapp_notification: process.env.WHATSAPP_ENABLED === 'true' ? 'queued' : 'disabled'
-      }
-    });
-    
+
+    return await runWebhook(req, res, source, source, mapping);
+
   } catch (error) {
-    console.error(`❌ Webhook processing error:`, error.message);
-    
-    // Return appropriate error response
-    if (error.message.includes('Missing required fields')) {
-      return res.status(400).json({
-        success: false,
-        error: error.message
-      });
-    }
-    
-    next(error);
+    handleWebhookError(error, res, next, 'Universal');
   }
 };
 
@@ -98,99 +256,39 @@ const handleOrderWebhook = async (req, res, next) => {
  */
 const handleGomagWebhook = async (req, res, next) => {
   try {
-    const payload = req.body;
-    
-    console.log(`📦 Received Gomag webhook`);
-    
-    const normalizedOrder = normalizeOrder(SOURCES.GOMAG, payload);
-    const savedOrder = await orderService.createOrder(normalizedOrder);
-    
-    // 🔔 Trigger WhatsApp confirmation
-    sendWhatsAppConfirmationAsync(savedOrder);
-    
-    return res.status(201).json({
-      success: true,
-      message: 'Gomag order processed successfully',
-      data: {
-        internal_order_id: savedOrder.internal_order_id,
-        external_order_id: savedOrder.external_order_id,
-        status: savedOrder.status,
-        whatsapp_notification: process.env.WHATSAPP_ENABLED === 'true' ? 'queued' : 'disabled'
-      }
-    });
-    
+    return await runWebhook(req, res, SOURCES.GOMAG, 'Gomag');
   } catch (error) {
-    console.error(`❌ Gomag webhook error:`, error.message);
-    next(error);
+    handleWebhookError(error, res, next, 'Gomag');
   }
 };
 
 /**
  * Shopify-specific webhook endpoint
  * POST /api/webhooks/shopify
+ * Topics: orders/create, orders/updated, orders/cancelled
  */
 const handleShopifyWebhook = async (req, res, next) => {
   try {
-    const payload = req.body;
-    
-    // Verify Shopify webhook signature (if configured)
-    // const isValid = verifyShopifySignature(req);
-    
-    console.log(`📦 Received Shopify webhook`);
-    
-    const normalizedOrder = normalizeOrder(SOURCES.SHOPIFY, payload);
-    const savedOrder = await orderService.createOrder(normalizedOrder);
-    
-    // 🔔 Trigger WhatsApp confirmation
-    sendWhatsAppConfirmationAsync(savedOrder);
-    
-    return res.status(201).json({
-      success: true,
-      message: 'Shopify order processed successfully',
-      data: {
-        internal_order_id: savedOrder.internal_order_id,
-        external_order_id: savedOrder.external_order_id,
-        status: savedOrder.status,
-        whatsapp_notification: process.env.WHATSAPP_ENABLED === 'true' ? 'queued' : 'disabled'
-      }
-    });
-    
+    return await runWebhook(req, res, SOURCES.SHOPIFY, 'Shopify');
   } catch (error) {
-    console.error(`❌ Shopify webhook error:`, error.message);
-    next(error);
+    handleWebhookError(error, res, next, 'Shopify');
   }
 };
 
 /**
  * WooCommerce-specific webhook endpoint
  * POST /api/webhooks/woocommerce
+ * Topics: order.created, order.updated, order.deleted
  */
 const handleWooCommerceWebhook = async (req, res, next) => {
   try {
-    const payload = req.body;
-    
-    console.log(`📦 Received WooCommerce webhook`);
-    
-    const normalizedOrder = normalizeOrder(SOURCES.WOOCOMMERCE, payload);
-    const savedOrder = await orderService.createOrder(normalizedOrder);
-    
-    // 🔔 Trigger WhatsApp confirmation
-    sendWhatsAppConfirmationAsync(savedOrder);
-    
-    return res.status(201).json({
-      success: true,
-      message: 'WooCommerce order processed successfully',
-      data: {
-        internal_order_id: savedOrder.internal_order_id,
-        external_order_id: savedOrder.external_order_id,
-        status: savedOrder.status,
-        whatsapp_notification: process.env.WHATSAPP_ENABLED === 'true' ? 'queued' : 'disabled'
-      }
-    });
-    
+    if (isWooCommercePing(req.body)) {
+      return acknowledgeWooCommercePing(res, req.body);
+    }
+
+    return await runWebhook(req, res, SOURCES.WOOCOMMERCE, 'WooCommerce');
   } catch (error) {
-    console.error(`❌ WooCommerce webhook error:`, error.message);
-    next(error);
+    handleWebhookError(error, res, next, 'WooCommerce');
   }
 };
 
@@ -200,30 +298,101 @@ const handleWooCommerceWebhook = async (req, res, next) => {
  */
 const handleInnoshipWebhook = async (req, res, next) => {
   try {
-    const payload = req.body;
-    
-    console.log(`📦 Received Innoship webhook`);
-    
-    const normalizedOrder = normalizeOrder(SOURCES.INNOSHIP, payload);
-    const savedOrder = await orderService.createOrder(normalizedOrder);
-    
-    // 🔔 Trigger WhatsApp confirmation
-    sendWhatsAppConfirmationAsync(savedOrder);
-    
-    return res.status(201).json({
+    return await runWebhook(req, res, SOURCES.INNOSHIP, 'Innoship');
+  } catch (error) {
+    handleWebhookError(error, res, next, 'Innoship');
+  }
+};
+
+/**
+ * eMAG Marketplace webhook endpoint
+ * POST /api/webhooks/emag
+ * Orders with status 0 (cancelled) cancel the Zoom order
+ */
+const handleEmagWebhook = async (req, res, next) => {
+  try {
+    return await runWebhook(req, res, SOURCES.EMAG, 'eMAG');
+  } catch (error) {
+    handleWebhookError(error, res, next, 'eMAG');
+  }
+};
+
+/**
+ * PrestaShop webhook endpoint
+ * POST /api/webhooks/prestashop
+ * Orders in the "Canceled" state (6) cancel the Zoom order
+ */
+const handlePrestaShopWebhook = async (req, res, next) => {
+  try {
+    return await runWebhook(req, res, SOURCES.PRESTASHOP, 'PrestaShop');
+  } catch (error) {
+    handleWebhookError(error, res, next, 'PrestaShop');
+  }
+};
+
+/**
+ * OpenCart webhook endpoint
+ * POST /api/webhooks/opencart
+ * Orders with status "Canceled" (7) cancel the Zoom order
+ */
+const handleOpenCartWebhook = async (req, res, next) => {
+  try {
+    return await runWebhook(req, res, SOURCES.OPENCART, 'OpenCart');
+  } catch (error) {
+    handleWebhookError(error, res, next, 'OpenCart');
+  }
+};
+
+/**
+ * Custom source webhook endpoint (declarative mapping)
+ * POST /api/webhooks/custom/:name
+ */
+const handleCustomWebhook = async (req, res, next) => {
+  try {
+    return await runMappedWebhook(req, res, req.params.name);
+  } catch (error) {
+    handleWebhookError(error, res, next, req.params.name);
+  }
+};
+
+/**
+ * Dry-run a webhook (integration onboarding)
+ * POST /api/webhooks/preview?source=<optional>
+ * Body: { "headers": { ... }, "payload": { ... } }
+ * Nothing is saved and no WhatsApp message is sent; signatures are not checked
+ */
+const handlePreviewWebhook = async (req, res, next) => {
+  try {
+    const { payload, headers = {} } = req.body;
+
+    if (!payload || typeof payload !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Send the webhook body as "payload" (and optionally its "headers")'
+      });
+    }
+
+    // Header names are case-insensitive - match them the way Express does
+    const normalizedHeaders = Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+    );
+
+    const preview = await previewOrderWebhook({
+      payload,
+      headers: normalizedHeaders,
+      source: req.query.source || req.body.source,
+      merchantId: req.merchant.id
+    });
+
+    console.log(`🔍 Webhook preview (merchant ${req.merchant.id}): ${preview.detection.source || 'unknown source'}, ${preview.errors.length} errors, ${preview.warnings.length} warnings`);
+
+    return res.status(200).json({
       success: true,
-      message: 'Innoship order processed successfully',
-      data: {
-        internal_order_id: savedOrder.internal_order_id,
-        external_order_id: savedOrder.external_order_id,
-        status: savedOrder.status,
-        whatsapp_notification: process.env.WHATSAPP_ENABLED === 'true' ? 'queued' : 'disabled'
-      }
+      data: preview
     });
-    
+
   } catch (error) {
-    console.error(`❌ Innoship webhook error:`, error.message);
-    next(error);
+    handleWebhookError(error, res, next, 'Preview');
   }
 };
 
@@ -233,32 +402,11 @@ const handleInnoshipWebhook = async (req, res, next) => {
  */
 const handleOverflowWebhook = async (req, res, next) => {
   try {
-    const payload = req.body;
-    
-    console.log(`📦 Received Overflow IN webhook from carrier ${payload.carrier_id}`);
-    
-    const normalizedOrder = normalizeOrder(SOURCES.OVERFLOW_IN, payload);
-    const savedOrder = await orderService.createOrder(normalizedOrder);
-    
-    // 🔔 Trigger WhatsApp confirmation (even for overflow orders)
-    sendWhatsAppConfirmationAsync(savedOrder);
-    
-    return res.status(201).json({
-      success: true,
-      message: 'Overflow order processed successfully',
-      data: {
-        internal_order_id: savedOrder.internal_order_id,
-        external_order_id: savedOrder.external_order_id,
-        status: savedOrder.status,
-        is_overflow: true,
-        parent_carrier_id: savedOrder.parent_carrier_id,
-        whatsapp_notification: process.env.WHATSAPP_ENABLED === 'true' ? 'queued' : 'disabled'
-      }
-    });
-    
+    console.log(`📦 Overflow IN webhook from partner carrier ${req.merchant.partner_carrier_id || '-'}`);
+
+    return await runWebhook(req, res, SOURCES.OVERFLOW_IN, 'Overflow');
   } catch (error) {
-    console.error(`❌ Overflow webhook error:`, error.message);
-    next(error);
+    handleWebhookError(error, res, next, 'Overflow');
   }
 };
 
@@ -268,5 +416,10 @@ module.exports = {
   handleShopifyWebhook,
   handleWooCommerceWebhook,
   handleInnoshipWebhook,
+  handleEmagWebhook,
+  handlePrestaShopWebhook,
+  handleOpenCartWebhook,
+  handleCustomWebhook,
+  handlePreviewWebhook,
   handleOverflowWebhook
 };
@@ -0,0 +1,26 @@
+/**
+ * Invalid Transition Error
+ * 
+ * Raised when an order is asked to move to a status the state machine does
+ * not allow from its current one, or when a guard of the transition fails
+ * (e.g. no driver before in_transit). Answered with HTTP 409 and the statuses
+ * the order can move to
+ * 
+ * details: { order_id, current_status, requested_status, allowed_transitions }
+ */
+
+class InvalidTransitionError extends Error {
+  constructor(order, requestedStatus, allowedTransitions, reason = null) {
+    super(reason || `Order ${order.internal_order_id} cannot go from ${order.status} to ${requestedStatus}. Allowed next statuses: ${allowedTransitions.join(', ') || 'none'}`);
+    this.name = 'InvalidTransitionError';
+    this.statusCode = 409;
+    this.details = {
+      order_id: order.internal_order_id,
+      current_status: order.status,
+      requested_status: requestedStatus,
+      allowed_transitions: allowedTransitions
+    };
+  }
+}
+
+module.exports = InvalidTransitionError;
@@ -0,0 +1,20 @@
+/**
+ * Order Validation Error
+ * 
+ * Raised when a webhook payload or the order normalized from it is invalid.
+ * Carries one entry per failing field so merchants can fix their
+ * integration from the response alone (HTTP 422)
+ * 
+ * details: [{ location: 'payload' | 'order', field, message }]
+ */
+
+class OrderValidationError extends Error {
+  constructor(details) {
+    super(`Order validation failed: ${details.map(detail => `${detail.field}: ${detail.message}`).join('; ')}`);
+    this.name = 'OrderValidationError';
+    this.statusCode = 422;
+    this.details = details;
+  }
+}
+
+module.exports = OrderValidationError;
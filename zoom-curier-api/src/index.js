@@ -13,10 +13,22 @@ const webhookRoutes = require('./routes/webhook.routes');
 const orderRoutes = require('./routes/order.routes');
 const healthRoutes = require('./routes/health.routes');
 const financeRoutes = require('./routes/finance.routes');
+const mappingRoutes = require('./routes/mapping.routes');
+const inboxRoutes = require('./routes/inbox.routes');
+const pickupLocationRoutes = require('./routes/pickupLocation.routes');
+const integrationRoutes = require('./routes/integration.routes');
+const outboundPushRoutes = require('./routes/outboundPush.routes');
+const carrierCallbackRoutes = require('./routes/carrierCallback.routes');
+const merchantWebhookRoutes = require('./routes/merchantWebhook.routes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 
+// Background workers
+const outboundService = require('./services/outbound.service');
+const carrierCallbackService = require('./services/carrierCallback.service');
+const merchantWebhookService = require('./services/merchantWebhook.service');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -25,11 +37,20 @@ app.use(helmet());
 app.use(cors());
 
 // Logging
+// Merchant API keys sent as ?api_key= (see middleware/merchantAuth.js) are
+// masked, so they never end up in the access log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]api_key=)[^&]*/gi, '$1[REDACTED]'));
 app.use(morgan('combined'));
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// The raw body is kept on req.rawBody because webhook signatures (HMAC)
+// are computed over the exact bytes the platform sent
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Root health check for Railway
 app.get('/health', (req, res) => {
@@ -41,6 +62,13 @@ app.use('/api/health', healthRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/finance', financeRoutes);
+app.use('/api/mappings', mappingRoutes);
+app.use('/api/webhook-events', inboxRoutes);
+app.use('/api/pickup-locations', pickupLocationRoutes);
+app.use('/api/integrations', integrationRoutes);
+app.use('/api/outbound-pushes', outboundPushRoutes);
+app.use('/api/carrier-callbacks', carrierCallbackRoutes);
+app.use('/api/merchant-webhooks', merchantWebhookRoutes);
 
 // Error handling
 app.use(errorHandler);
@@ -50,6 +78,15 @@ app.listen(PORT, () => {
   console.log(`🚀 Zoom Curier API running on port ${PORT}`);
   console.log(`📡 Webhook endpoint: http://localhost:${PORT}/api/webhooks/orders` );
   console.log(`💰 Finance endpoint: http://localhost:${PORT}/api/finance` );
+  
+  // Retries order events that could not be reported to merchant stores
+  outboundService.startRetryWorker();
+  
+  // Retries status callbacks to the parent carriers of Overflow IN orders
+  carrierCallbackService.startRetryWorker();
+  
+  // Retries events that could not be delivered to merchant webhooks
+  merchantWebhookService.startRetryWorker();
 });
 
 module.exports = app;
@@ -0,0 +1,43 @@
+/**
+ * Admin Authentication Middleware
+ * 
+ * Protects internal (ops team) endpoints with the shared ADMIN_API_KEY,
+ * sent as the X-Admin-Key header. Without a configured key the
+ * endpoints stay closed
+ */
+
+const crypto = require('crypto');
+
+// Keys are compared as SHA-256 digests: always the same byte length, whatever
+// characters the header holds (timingSafeEqual throws on different lengths).
+// Node decodes header values as latin1, so the header's own bytes are hashed
+const digest = (value, encoding) => crypto.createHash('sha256').update(value, encoding).digest();
+
+const authenticateAdmin = (req, res, next) => {
+  const expectedKey = process.env.ADMIN_API_KEY;
+  const adminKey = req.headers['x-admin-key'];
+  
+  if (!expectedKey) {
+    console.warn(`🔒 Admin endpoint called but ADMIN_API_KEY is not configured`);
+    return res.status(401).json({
+      success: false,
+      error: 'Admin access is not configured'
+    });
+  }
+  
+  const valid = Boolean(adminKey) &&
+    crypto.timingSafeEqual(digest(adminKey, 'latin1'), digest(expectedKey, 'utf8'));
+  
+  if (!valid) {
+    console.warn(`🔒 Rejected admin request from ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin key'
+    });
+  }
+  
+  req.isAdmin = true;
+  next();
+};
+
+module.exports = authenticateAdmin;
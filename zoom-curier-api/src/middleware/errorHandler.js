@@ -23,6 +23,12 @@ const errorHandler = (err, req, res, next) => {
     message = 'Unauthorized';
   }
   
+  // File upload errors (size limit, unexpected field)
+  if (err.name === 'MulterError') {
+    statusCode = 400;
+    message = err.message;
+  }
+  
   if (err.code === 'ER_DUP_ENTRY') {
     statusCode = 409;
     message = 'Duplicate entry';
@@ -36,6 +42,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     error: message,
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -0,0 +1,127 @@
+/**
+ * Idempotency Middleware
+ * 
+ * POST / PATCH requests carrying an Idempotency-Key header are executed
+ * once: the first response is stored and sent again for every retry with
+ * the same key (marked with Idempotent-Replayed: true)
+ * 
+ * - Same key, different body → 422
+ * - Same key while the first request is still running → 409
+ * - Server errors (5xx) and auth failures (401) are not stored, so the
+ *   request can be retried with the same key
+ * 
+ * Keys are scoped to the caller (merchant, admin or public endpoint),
+ * method and path, so the middleware is mounted after authentication: a
+ * key never replays another caller's response
+ * 
+ * Multipart uploads are compared by their fields and files (the boundary
+ * changes on every attempt), so on upload routes it goes after multer
+ */
+
+const idempotencyService = require('../services/idempotency.service');
+
+const IDEMPOTENT_METHODS = ['POST', 'PATCH'];
+const MAX_KEY_LENGTH = 255;
+
+const isStorable = (statusCode) => statusCode < 500 && statusCode !== 401;
+
+/**
+ * Who the key belongs to, as set by the authentication middleware
+ */
+const getPrincipal = (req) => {
+  if (req.merchant) return `merchant:${req.merchant.id}`;
+  if (req.isAdmin) return 'admin';
+  return 'public';
+};
+
+/**
+ * Fingerprint of the request: uploaded files and form fields for
+ * multipart requests, the raw body otherwise
+ */
+const hashRequest = (req) => {
+  if (!req.is('multipart/form-data')) {
+    return idempotencyService.hashRequestBody(req.rawBody || '');
+  }
+  
+  const files = req.files
+    ? (Array.isArray(req.files) ? req.files : Object.values(req.files).flat())
+    : [req.file].filter(Boolean);
+  
+  return idempotencyService.hashMultipartRequest(req.body || {}, files);
+};
+
+const idempotency = async (req, res, next) => {
+  const idempotencyKey = req.headers['idempotency-key'];
+  
+  if (!IDEMPOTENT_METHODS.includes(req.method) || idempotencyKey === undefined) {
+    return next();
+  }
+  
+  if (!idempotencyKey.trim() || idempotencyKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+  
+  const scope = `${getPrincipal(req)} ${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashRequest(req);
+  
+  try {
+    const stored = await idempotencyService.getStoredResponse(idempotencyKey, scope);
+    
+    if (stored) {
+      if (stored.request_hash && requestHash && stored.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used with a different request body'
+        });
+      }
+      
+      console.log(`🔁 Replaying stored response for ${scope} (Idempotency-Key: ${idempotencyKey})`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status_code).json(stored.response_body);
+    }
+  } catch (error) {
+    // Without storage the request runs as if it had no key
+    console.error(`⚠️ Idempotency lookup failed (non-blocking):`, error.message);
+    return next();
+  }
+  
+  if (!idempotencyService.acquire(idempotencyKey, scope)) {
+    return res.status(409).json({
+      success: false,
+      error: 'A request with this Idempotency-Key is still being processed'
+    });
+  }
+  
+  // Capture the response body as it is sent
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+  
+  res.on('close', () => {
+    const release = () => idempotencyService.release(idempotencyKey, scope);
+    
+    if (!res.writableFinished || !isStorable(res.statusCode)) {
+      return release();
+    }
+    
+    idempotencyService.saveResponse({
+      idempotencyKey,
+      scope,
+      requestHash,
+      statusCode: res.statusCode,
+      body: responseBody ?? null
+    }).catch(error => {
+      console.error(`⚠️ Failed to store idempotent response for ${scope}:`, error.message);
+    }).finally(release);
+  });
+  
+  next();
+};
+
+module.exports = idempotency;
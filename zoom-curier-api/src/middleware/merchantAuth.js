@@ -0,0 +1,49 @@
+/**
+ * Merchant Authentication Middleware
+ * 
+ * Authenticates requests with a merchant API key, sent either as the
+ * X-API-Key header or the ?api_key= query parameter (for platforms that
+ * only allow configuring a webhook URL; masked in the access log, see index.js).
+ * The merchant is exposed as req.merchant
+ */
+
+const merchantService = require('../services/merchant.service');
+
+const authenticateMerchant = async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-api-key'] || req.query.api_key;
+    
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Missing API key. Send it as the X-API-Key header or the api_key query parameter.'
+      });
+    }
+    
+    const merchant = await merchantService.getMerchantByApiKey(apiKey);
+    
+    if (!merchant) {
+      console.warn(`🔒 Rejected request with unknown API key from ${req.ip}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key'
+      });
+    }
+    
+    if (!merchantService.isMerchantActive(merchant)) {
+      console.warn(`🔒 Rejected request from inactive merchant ${merchant.id}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Merchant account is inactive'
+      });
+    }
+    
+    req.merchant = merchant;
+    next();
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = authenticateMerchant;
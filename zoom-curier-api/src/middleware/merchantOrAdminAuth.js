@@ -0,0 +1,20 @@
+/**
+ * Merchant or Admin Authentication Middleware
+ *
+ * For endpoints used both by merchants and by the ops team on a merchant's
+ * behalf. Requests carrying the X-Admin-Key header are authenticated as
+ * admin (req.isAdmin), all others with the merchant API key (req.merchant)
+ */
+
+const authenticateAdmin = require('./adminAuth');
+const authenticateMerchant = require('./merchantAuth');
+
+const authenticateMerchantOrAdmin = (req, res, next) => {
+  if (req.headers['x-admin-key']) {
+    return authenticateAdmin(req, res, next);
+  }
+
+  return authenticateMerchant(req, res, next);
+};
+
+module.exports = authenticateMerchantOrAdmin;
@@ -0,0 +1,61 @@
+/**
+ * Webhook Inbox Middleware
+ * 
+ * Stores the inbound webhook in the inbox before the controller runs and
+ * records the outcome once the response is sent. The controller describes
+ * the outcome in res.locals.webhookOutcome: { source, action, internal_order_id, error }
+ * 
+ * Usage: router.post('/shopify', recordWebhook(SOURCES.SHOPIFY), handler)
+ *        recordWebhook() takes the source from :name or ?source=
+ */
+
+const inboxService = require('../services/inbox.service');
+
+const { INBOX_STATUS } = inboxService;
+
+/**
+ * Map the response to an inbox status
+ * 401 here can only be a signature rejection (merchant auth runs first)
+ */
+const resolveStatus = (statusCode) => {
+  if (statusCode === 401) return INBOX_STATUS.REJECTED;
+  return statusCode < 400 ? INBOX_STATUS.PROCESSED : INBOX_STATUS.FAILED;
+};
+
+const recordWebhook = (source = null) => async (req, res, next) => {
+  try {
+    const event = await inboxService.recordEvent({
+      merchantId: req.merchant?.id,
+      endpoint: req.path,
+      requestedSource: source || req.params.name || req.query.source,
+      headers: req.headers,
+      rawBody: req.rawBody,
+      payload: req.body
+    });
+    
+    req.inboxEventId = event.id;
+    
+    res.on('finish', () => {
+      const outcome = res.locals.webhookOutcome || {};
+      
+      inboxService.recordAttempt(event.id, {
+        status: resolveStatus(res.statusCode),
+        source: outcome.source,
+        action: outcome.action,
+        internal_order_id: outcome.internal_order_id,
+        http_status: res.statusCode,
+        error: outcome.error || (res.statusCode >= 400 ? `HTTP ${res.statusCode}` : null)
+      }).catch(error => {
+        console.error(`⚠️ Failed to record outcome of webhook event ${event.id}:`, error.message);
+      });
+    });
+    
+  } catch (error) {
+    // The inbox must never stop an order from being processed
+    console.error(`⚠️ Failed to store webhook in inbox (non-blocking):`, error.message);
+  }
+  
+  next();
+};
+
+module.exports = recordWebhook;
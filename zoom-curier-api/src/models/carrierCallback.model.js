@@ -0,0 +1,109 @@
+/**
+ * Carrier Callback Model
+ *
+ * Database operations for the carrier_callbacks table
+ */
+
+const db = require('../config/database');
+
+/**
+ * Queue a callback
+ */
+const create = async (callback) => {
+  const sql = `
+    INSERT INTO carrier_callbacks (
+      partner_carrier_id, internal_order_id, awb, event, status, next_attempt_at
+    ) VALUES (?, ?, ?, ?, ?, NOW())
+  `;
+
+  const result = await db.query(sql, [
+    callback.partner_carrier_id,
+    callback.internal_order_id,
+    callback.awb || null,
+    callback.event,
+    callback.status
+  ]);
+
+  return await findById(result.insertId);
+};
+
+/**
+ * Record the outcome of a delivery attempt
+ * outcome: { status, http_status, error, next_attempt_at }
+ */
+const recordAttempt = async (id, outcome) => {
+  const sql = `
+    UPDATE carrier_callbacks
+    SET status = ?, http_status = ?, last_error = ?, next_attempt_at = ?, attempts = attempts + 1,
+        sent_at = IF(? = 'sent', NOW(), sent_at)
+    WHERE id = ?
+  `;
+
+  await db.query(sql, [
+    outcome.status,
+    outcome.http_status || null,
+    outcome.error || null,
+    outcome.next_attempt_at || null,
+    outcome.status,
+    id
+  ]);
+
+  return await findById(id);
+};
+
+/**
+ * Find a callback by ID
+ */
+const findById = async (id) => {
+  const results = await db.query(`SELECT * FROM carrier_callbacks WHERE id = ?`, [id]);
+  return results[0] || null;
+};
+
+/**
+ * Pending callbacks whose retry time has come, oldest first
+ */
+const findDue = async (limit = 50) => {
+  const sql = `
+    SELECT * FROM carrier_callbacks
+    WHERE status = 'pending' AND next_attempt_at <= NOW()
+    ORDER BY next_attempt_at ASC, id ASC LIMIT ?
+  `;
+
+  return await db.query(sql, [limit]);
+};
+
+/**
+ * Find callbacks with filters, newest first
+ */
+const findAll = async (filters = {}, limit = 50, offset = 0) => {
+  let sql = `SELECT * FROM carrier_callbacks WHERE 1=1`;
+  const params = [];
+
+  if (filters.status) {
+    sql += ` AND status = ?`;
+    params.push(filters.status);
+  }
+
+  if (filters.partner_carrier_id) {
+    sql += ` AND partner_carrier_id = ?`;
+    params.push(filters.partner_carrier_id);
+  }
+
+  if (filters.internal_order_id) {
+    sql += ` AND internal_order_id = ?`;
+    params.push(filters.internal_order_id);
+  }
+
+  sql += ` ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`;
+  params.push(limit, offset);
+
+  return await db.query(sql, params);
+};
+
+module.exports = {
+  create,
+  recordAttempt,
+  findById,
+  findDue,
+  findAll
+};
@@ -0,0 +1,20 @@
+/**
+ * Driver Model
+ * 
+ * Database operations for the drivers table
+ */
+
+const db = require('../config/database');
+
+/**
+ * Find driver by ID
+ */
+const findById = async (driverId) => {
+  const sql = `SELECT * FROM drivers WHERE id = ?`;
+  const results = await db.query(sql, [driverId]);
+  return results[0] || null;
+};
+
+module.exports = {
+  findById
+};
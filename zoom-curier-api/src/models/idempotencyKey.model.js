@@ -0,0 +1,64 @@
+/**
+ * Idempotency Key Model
+ * 
+ * Database operations for the idempotency_keys table
+ */
+
+const db = require('../config/database');
+
+/**
+ * Find the stored response for a key (expired entries are ignored)
+ */
+const findActive = async (idempotencyKey, scope) => {
+  const sql = `
+    SELECT * FROM idempotency_keys
+    WHERE idempotency_key = ? AND scope = ? AND expires_at > NOW()
+  `;
+  const results = await db.query(sql, [idempotencyKey, scope]);
+  const row = results[0];
+  
+  if (!row) return null;
+  return {
+    ...row,
+    response_body: typeof row.response_body === 'string' ? JSON.parse(row.response_body) : row.response_body
+  };
+};
+
+/**
+ * Store a response (replacing an expired entry for the same key)
+ */
+const save = async (record) => {
+  const sql = `
+    INSERT INTO idempotency_keys (
+      idempotency_key, scope, request_hash, status_code, response_body, expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      request_hash = VALUES(request_hash), status_code = VALUES(status_code),
+      response_body = VALUES(response_body), created_at = NOW(), expires_at = VALUES(expires_at)
+  `;
+  
+  await db.query(sql, [
+    record.idempotency_key,
+    record.scope,
+    record.request_hash,
+    record.status_code,
+    JSON.stringify(record.response_body ?? null),
+    record.expires_at
+  ]);
+  
+  return record;
+};
+
+/**
+ * Delete expired entries
+ */
+const deleteExpired = async () => {
+  const result = await db.query(`DELETE FROM idempotency_keys WHERE expires_at <= NOW()`);
+  return result.affectedRows;
+};
+
+module.exports = {
+  findActive,
+  save,
+  deleteExpired
+};
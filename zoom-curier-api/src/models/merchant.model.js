@@ -0,0 +1,62 @@
+/**
+ * Merchant Model
+ * 
+ * Database operations for the merchants table
+ */
+
+const db = require('../config/database');
+
+/**
+ * MySQL returns JSON columns as objects, but be tolerant of strings
+ */
+const parseRow = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    webhook_events: typeof row.webhook_events === 'string' ? JSON.parse(row.webhook_events) : row.webhook_events
+  };
+};
+
+/**
+ * Find merchant by API key
+ */
+const findByApiKey = async (apiKey) => {
+  const sql = `SELECT * FROM merchants WHERE api_key = ?`;
+  const results = await db.query(sql, [apiKey]);
+  return parseRow(results[0]);
+};
+
+/**
+ * Find merchant by ID
+ */
+const findById = async (merchantId) => {
+  const sql = `SELECT * FROM merchants WHERE id = ?`;
+  const results = await db.query(sql, [merchantId]);
+  return parseRow(results[0]);
+};
+
+/**
+ * Update the webhook subscription (webhook_url, webhook_secret, webhook_events)
+ */
+const updateWebhookSubscription = async (merchantId, subscription) => {
+  const sql = `
+    UPDATE merchants
+    SET webhook_url = ?, webhook_secret = ?, webhook_events = ?
+    WHERE id = ?
+  `;
+
+  await db.query(sql, [
+    subscription.webhook_url || null,
+    subscription.webhook_secret || null,
+    subscription.webhook_events ? JSON.stringify(subscription.webhook_events) : null,
+    merchantId
+  ]);
+
+  return await findById(merchantId);
+};
+
+module.exports = {
+  findByApiKey,
+  findById,
+  updateWebhookSubscription
+};
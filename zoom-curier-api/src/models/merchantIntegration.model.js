@@ -0,0 +1,110 @@
+/**
+ * Merchant Integration Model
+ *
+ * Database operations for the merchant_integrations table
+ */
+
+const db = require('../config/database');
+
+const JSON_COLUMNS = ['credentials', 'settings'];
+
+/**
+ * MySQL returns JSON columns as objects, but be tolerant of strings
+ */
+const parseRow = (row) => {
+  if (!row) return null;
+
+  const parsed = { ...row };
+  JSON_COLUMNS.forEach(column => {
+    if (typeof parsed[column] === 'string') parsed[column] = JSON.parse(parsed[column]);
+  });
+  return parsed;
+};
+
+const toParams = (integration) => [
+  integration.merchant_id,
+  integration.platform,
+  integration.store_url,
+  JSON.stringify(integration.credentials || {}),
+  JSON.stringify(integration.settings || {}),
+  integration.is_active === false ? 0 : 1
+];
+
+/**
+ * Create an integration
+ */
+const create = async (integration) => {
+  const sql = `
+    INSERT INTO merchant_integrations (merchant_id, platform, store_url, credentials, settings, is_active)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `;
+
+  const result = await db.query(sql, toParams(integration));
+  return await findById(result.insertId);
+};
+
+/**
+ * Update an integration
+ */
+const update = async (id, integration) => {
+  const sql = `
+    UPDATE merchant_integrations
+    SET merchant_id = ?, platform = ?, store_url = ?, credentials = ?, settings = ?, is_active = ?
+    WHERE id = ?
+  `;
+
+  await db.query(sql, [...toParams(integration), id]);
+  return await findById(id);
+};
+
+/**
+ * Delete an integration
+ */
+const remove = async (id) => {
+  const result = await db.query(`DELETE FROM merchant_integrations WHERE id = ?`, [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Find integration by ID
+ */
+const findById = async (id) => {
+  const results = await db.query(`SELECT * FROM merchant_integrations WHERE id = ?`, [id]);
+  return parseRow(results[0]);
+};
+
+/**
+ * Find integrations with filters (merchant_id, platform, is_active)
+ */
+const findAll = async (filters = {}) => {
+  let sql = `SELECT * FROM merchant_integrations WHERE 1=1`;
+  const params = [];
+
+  if (filters.merchant_id) {
+    sql += ` AND merchant_id = ?`;
+    params.push(filters.merchant_id);
+  }
+
+  if (filters.platform) {
+    sql += ` AND platform = ?`;
+    params.push(filters.platform.toLowerCase());
+  }
+
+  if (filters.is_active !== undefined) {
+    sql += ` AND is_active = ?`;
+    params.push(filters.is_active ? 1 : 0);
+  }
+
+  sql += ` ORDER BY merchant_id ASC, id ASC`;
+
+  const results = await db.query(sql, params);
+  return results.map(parseRow);
+};
+
+module.exports = {
+  create,
+  update,
+  remove,
+  findById,
+  findAll
+};
@@ -29,13 +29,15 @@ const generateOTPCode = () => {
 const create = async (orderData) => {
   const sql = `
     INSERT INTO orders (
-      internal_order_id, external_order_id, merchant_id, service_level,
-      status, pickup_address, delivery_address, delivery_city,
-      delivery_county, delivery_postal_code, delivery_country,
-      recipient_name, recipient_phone, recipient_email,
+      internal_order_id, external_order_id, merchant_id, service_level, service_level_reason,
+      status, pickup_address, pickup_location_id, delivery_address, delivery_city,
+      delivery_county, delivery_sector, delivery_postal_code, delivery_country,
+      delivery_locality_id, address_status,
+      recipient_name, recipient_phone, phone_status, recipient_email,
       is_overflow, parent_carrier_id, aggregator_source,
-      cod_amount, cod_currency, total_weight, notes, raw_payload, otp_code
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      cod_amount, cod_currency, total_weight, package_length, package_width, package_height,
+      notes, raw_payload, otp_code
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
   const params = [
@@ -43,15 +45,21 @@ const create = async (orderData) => {
     orderData.external_order_id,
     orderData.merchant_id || null,
     orderData.service_level || 'lite',
+    orderData.service_level_reason || null,
     orderData.status || 'pending',
     orderData.pickup_address || null,
+    orderData.pickup_location_id || null,
     orderData.delivery_address,
     orderData.delivery_city,
     orderData.delivery_county || null,
+    orderData.delivery_sector || null,
     orderData.delivery_postal_code || null,
     orderData.delivery_country || 'RO',
+    orderData.delivery_locality_id || null,
+    orderData.address_status || null,
     orderData.recipient_name,
     orderData.recipient_phone,
+    orderData.phone_status || null,
     orderData.recipient_email || null,
     orderData.is_overflow ? 1 : 0,
     orderData.parent_carrier_id || null,
@@ -59,6 +67,9 @@ const create = async (orderData) => {
     orderData.cod_amount || 0,
     orderData.cod_currency || 'RON',
     orderData.total_weight || null,
+    orderData.package_length || null,
+    orderData.package_width || null,
+    orderData.package_height || null,
     orderData.notes || null,
     typeof orderData.raw_payload === 'string' ? orderData.raw_payload : JSON.stringify(orderData.raw_payload),
     orderData.otp_code || null
@@ -78,11 +89,18 @@ const findByInternalId = async (internalOrderId) => {
 };
 
 /**
- * Find order by external ID and source
+ * Find order by external ID and source (optionally scoped to a merchant)
  */
-const findByExternalId = async (externalOrderId, source) => {
-  const sql = `SELECT * FROM orders WHERE external_order_id = ? AND aggregator_source = ?`;
-  const results = await db.query(sql, [externalOrderId, source.toLowerCase()]);
+const findByExternalId = async (externalOrderId, source, merchantId = null) => {
+  let sql = `SELECT * FROM orders WHERE external_order_id = ? AND aggregator_source = ?`;
+  const params = [externalOrderId, source.toLowerCase()];
+  
+  if (merchantId) {
+    sql += ` AND merchant_id = ?`;
+    params.push(merchantId);
+  }
+  
+  const results = await db.query(sql, params);
   return results[0] || null;
 };
 
@@ -108,6 +126,11 @@ const findAll = async (filters = {}, limit = 50, offset = 0) => {
     params.push(filters.is_overflow === 'true' ? 1 : 0);
   }
   
+  if (filters.address_status) {
+    sql += ` AND address_status = ?`;
+    params.push(filters.address_status);
+  }
+  
   if (filters.merchant_id) {
     sql += ` AND merchant_id = ?`;
     params.push(filters.merchant_id);
@@ -136,15 +159,90 @@ const findAll = async (filters = {}, limit = 50, offset = 0) => {
 
 /**
  * Update order status
+ * Status changes are conditional on the status the transition was checked
+ * against (fromStatus): null is returned when the order has moved on since
  */
-const updateStatus = async (internalOrderId, status, notes = null) => {
+const updateStatus = async (internalOrderId, status, fromStatus) => {
   const sql = `
     UPDATE orders 
-    SET status = ?, notes = COALESCE(?, notes)
+    SET status = ?
+    WHERE internal_order_id = ? AND status = ?
+  `;
+  
+  const result = await db.query(sql, [status, internalOrderId, fromStatus]);
+  return result.affectedRows > 0 ? await findByInternalId(internalOrderId) : null;
+};
+
+/**
+ * Fields that can be changed by a source platform update
+ */
+const UPDATABLE_FIELDS = [
+  'delivery_address', 'delivery_city', 'delivery_county', 'delivery_sector', 'delivery_postal_code',
+  'delivery_country', 'delivery_locality_id', 'address_status', 'recipient_name', 'recipient_phone', 'phone_status', 'recipient_email',
+  'cod_amount', 'cod_currency', 'total_weight', 'package_length', 'package_width', 'package_height',
+  'service_level', 'service_level_reason', 'notes'
+];
+
+/**
+ * Update order fields (only UPDATABLE_FIELDS are written)
+ * With statuses, the update is conditional on the order still being in one
+ * of them: null is returned when the order has moved on since it was checked
+ */
+const updateFields = async (internalOrderId, fields, statuses = null) => {
+  const columns = Object.keys(fields).filter(field => UPDATABLE_FIELDS.includes(field));
+  
+  if (columns.length === 0) {
+    return await findByInternalId(internalOrderId);
+  }
+  
+  let sql = `
+    UPDATE orders 
+    SET ${columns.map(column => `${column} = ?`).join(', ')}
     WHERE internal_order_id = ?
   `;
+  const params = [...columns.map(column => fields[column]), internalOrderId];
+  
+  if (statuses) {
+    sql += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+    params.push(...statuses);
+  }
+  
+  const result = await db.query(sql, params);
+  return result.affectedRows > 0 ? await findByInternalId(internalOrderId) : null;
+};
+
+/**
+ * Fields written when an order is handed to (or taken back from) a partner carrier
+ */
+const OVERFLOW_OUT_FIELDS = [
+  'status', 'overflow_carrier_id', 'overflow_awb', 'overflow_tracking_status',
+  'overflow_delivered', 'overflow_tracked_at', 'overflow_handed_at'
+];
+
+/**
+ * Update the Overflow OUT fields of an order (only OVERFLOW_OUT_FIELDS are written)
+ * With a fromStatus, only written while the order is still in that status (null otherwise)
+ */
+const updateOverflowOut = async (internalOrderId, fields, fromStatus = null) => {
+  const columns = Object.keys(fields).filter(field => OVERFLOW_OUT_FIELDS.includes(field));
+  
+  if (columns.length === 0) {
+    return await findByInternalId(internalOrderId);
+  }
+  
+  const sql = `
+    UPDATE orders 
+    SET ${columns.map(column => `${column} = ?`).join(', ')}
+    WHERE internal_order_id = ?${fromStatus ? ' AND status = ?' : ''}
+  `;
+  
+  const params = [...columns.map(column => fields[column]), internalOrderId];
+  const result = await db.query(sql, fromStatus ? [...params, fromStatus] : params);
+  
+  if (fromStatus && result.affectedRows === 0) {
+    return null;
+  }
   
-  await db.query(sql, [status, notes, internalOrderId]);
   return await findByInternalId(internalOrderId);
 };
 
@@ -152,17 +250,21 @@ const updateStatus = async (internalOrderId, status, notes = null) => {
  * Assign driver to order and generate OTP code
  * OTP is generated at assignment time for security handshake at delivery
  */
-const assignDriver = async (internalOrderId, driverId) => {
+const assignDriver = async (internalOrderId, driverId, fromStatus) => {
   // Generate OTP code at assignment time
   const otpCode = generateOTPCode();
   
   const sql = `
     UPDATE orders 
     SET driver_id = ?, status = 'assigned', otp_code = ?
-    WHERE internal_order_id = ?
+    WHERE internal_order_id = ? AND status = ?
   `;
   
-  await db.query(sql, [driverId, otpCode, internalOrderId]);
+  const result = await db.query(sql, [driverId, otpCode, internalOrderId, fromStatus]);
+  
+  if (result.affectedRows === 0) {
+    return null;
+  }
   
   const updatedOrder = await findByInternalId(internalOrderId);
   console.log(`🔐 OTP Code ${otpCode} generated for order ${internalOrderId}`);
@@ -173,15 +275,15 @@ const assignDriver = async (internalOrderId, driverId) => {
 /**
  * Cancel order
  */
-const cancel = async (internalOrderId, reason = null) => {
+const cancel = async (internalOrderId, fromStatus) => {
   const sql = `
     UPDATE orders 
-    SET status = 'cancelled', notes = CONCAT(COALESCE(notes, ''), ' | Cancelled: ', COALESCE(?, 'No reason provided'))
-    WHERE internal_order_id = ?
+    SET status = 'cancelled'
+    WHERE internal_order_id = ? AND status = ?
   `;
   
-  await db.query(sql, [reason, internalOrderId]);
-  return await findByInternalId(internalOrderId);
+  const result = await db.query(sql, [internalOrderId, fromStatus]);
+  return result.affectedRows > 0 ? await findByInternalId(internalOrderId) : null;
 };
 
 /**
@@ -209,7 +311,7 @@ const validateOTP = async (internalOrderId, providedOTP) => {
 /**
  * Mark order as delivered after OTP validation
  */
-const markDelivered = async (internalOrderId, providedOTP) => {
+const markDelivered = async (internalOrderId, providedOTP, fromStatus) => {
   // First validate OTP
   const validation = await validateOTP(internalOrderId, providedOTP);
   
@@ -219,11 +321,15 @@ const markDelivered = async (internalOrderId, providedOTP) => {
   
   const sql = `
     UPDATE orders 
-    SET status = 'delivered', notes = CONCAT(COALESCE(notes, ''), ' | Delivered with OTP validation at ', NOW())
-    WHERE internal_order_id = ?
+    SET status = 'delivered'
+    WHERE internal_order_id = ? AND status = ?
   `;
   
-  await db.query(sql, [internalOrderId]);
+  const result = await db.query(sql, [internalOrderId, fromStatus]);
+  
+  if (result.affectedRows === 0) {
+    return null;
+  }
   
   console.log(`✅ Order ${internalOrderId} marked as delivered with valid OTP`);
   
@@ -236,11 +342,15 @@ module.exports = {
   findByExternalId,
   findAll,
   updateStatus,
+  updateFields,
+  updateOverflowOut,
   assignDriver,
   cancel,
   validateOTP,
   markDelivered,
-  generateOTPCode
+  generateOTPCode,
+  UPDATABLE_FIELDS,
+  OVERFLOW_OUT_FIELDS
 };
 
 
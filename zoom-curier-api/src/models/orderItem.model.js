@@ -0,0 +1,52 @@
+/**
+ * Order Item Model
+ * 
+ * Database operations for the order_items table (parcel contents)
+ */
+
+const db = require('../config/database');
+
+/**
+ * Insert the items of an order
+ */
+const createMany = async (order, items = []) => {
+  if (items.length === 0) return [];
+  
+  const placeholders = items.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ');
+  const sql = `
+    INSERT INTO order_items (
+      order_id, internal_order_id, sku, name, quantity, unit_weight, unit_price
+    ) VALUES ${placeholders}
+  `;
+  
+  const params = items.flatMap(item => [
+    order.id,
+    order.internal_order_id,
+    item.sku || null,
+    item.name || null,
+    item.quantity || 1,
+    item.unit_weight ?? null,
+    item.unit_price ?? null
+  ]);
+  
+  await db.query(sql, params);
+  return items;
+};
+
+/**
+ * Find the items of an order
+ */
+const findByInternalOrderId = async (internalOrderId) => {
+  const sql = `
+    SELECT sku, name, quantity, unit_weight, unit_price 
+    FROM order_items 
+    WHERE internal_order_id = ? 
+    ORDER BY id ASC
+  `;
+  return await db.query(sql, [internalOrderId]);
+};
+
+module.exports = {
+  createMany,
+  findByInternalOrderId
+};
@@ -0,0 +1,43 @@
+/**
+ * Order Revision Model
+ * 
+ * Database operations for the order_revisions table
+ * Each row records the field changes applied by a source platform update
+ */
+
+const db = require('../config/database');
+
+/**
+ * Record a revision
+ * changes format: { field: { from, to } }
+ */
+const create = async (revision) => {
+  const sql = `
+    INSERT INTO order_revisions (
+      order_id, internal_order_id, source, event, changes
+    ) VALUES (?, ?, ?, ?, ?)
+  `;
+  
+  const result = await db.query(sql, [
+    revision.order_id || null,
+    revision.internal_order_id,
+    revision.source,
+    revision.event,
+    JSON.stringify(revision.changes)
+  ]);
+  
+  return { ...revision, id: result.insertId };
+};
+
+/**
+ * Find all revisions of an order, oldest first
+ */
+const findByInternalOrderId = async (internalOrderId) => {
+  const sql = `SELECT * FROM order_revisions WHERE internal_order_id = ? ORDER BY created_at ASC, id ASC`;
+  return await db.query(sql, [internalOrderId]);
+};
+
+module.exports = {
+  create,
+  findByInternalOrderId
+};
@@ -0,0 +1,54 @@
+/**
+ * Order Status History Model
+ * 
+ * Database operations for the order_status_history table
+ * Each row records one status transition: from / to, who made it, why, and
+ * details such as the driver or ETA (metadata)
+ */
+
+const db = require('../config/database');
+
+/**
+ * Parse the JSON column of a history row
+ */
+const parseRow = (row) => ({
+  ...row,
+  metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata
+});
+
+/**
+ * Record a status transition
+ */
+const create = async (entry) => {
+  const sql = `
+    INSERT INTO order_status_history (
+      order_id, internal_order_id, from_status, to_status, actor, reason, metadata
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `;
+  
+  const result = await db.query(sql, [
+    entry.order_id,
+    entry.internal_order_id,
+    entry.from_status,
+    entry.to_status,
+    entry.actor,
+    entry.reason,
+    entry.metadata ? JSON.stringify(entry.metadata) : null
+  ]);
+  
+  return { ...entry, id: result.insertId };
+};
+
+/**
+ * Find the status history of an order, oldest first
+ */
+const findByInternalOrderId = async (internalOrderId) => {
+  const sql = `SELECT * FROM order_status_history WHERE internal_order_id = ? ORDER BY created_at ASC, id ASC`;
+  const rows = await db.query(sql, [internalOrderId]);
+  return rows.map(parseRow);
+};
+
+module.exports = {
+  create,
+  findByInternalOrderId
+};
@@ -0,0 +1,141 @@
+/**
+ * Outbound Push Model
+ *
+ * Database operations for the outbound_pushes table
+ */
+
+const db = require('../config/database');
+
+/**
+ * MySQL returns JSON columns as objects, but be tolerant of strings
+ */
+const parseRow = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    result: typeof row.result === 'string' ? JSON.parse(row.result) : row.result
+  };
+};
+
+/**
+ * Queue a push
+ */
+const create = async (push) => {
+  const sql = `
+    INSERT INTO outbound_pushes (
+      integration_id, merchant_id, platform, internal_order_id, external_order_id, event, status, next_attempt_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+  `;
+
+  const result = await db.query(sql, [
+    push.integration_id,
+    push.merchant_id,
+    push.platform,
+    push.internal_order_id,
+    push.external_order_id || null,
+    push.event,
+    push.status
+  ]);
+
+  return await findById(result.insertId);
+};
+
+/**
+ * Record the outcome of a delivery attempt
+ * outcome: { status, http_status, error, result, next_attempt_at }
+ */
+const recordAttempt = async (id, outcome) => {
+  const sql = `
+    UPDATE outbound_pushes
+    SET status = ?, http_status = ?, last_error = ?, result = COALESCE(?, result),
+        next_attempt_at = ?, attempts = attempts + 1,
+        sent_at = IF(? = 'sent', NOW(), sent_at)
+    WHERE id = ?
+  `;
+
+  await db.query(sql, [
+    outcome.status,
+    outcome.http_status || null,
+    outcome.error || null,
+    outcome.result ? JSON.stringify(outcome.result) : null,
+    outcome.next_attempt_at || null,
+    outcome.status,
+    id
+  ]);
+
+  return await findById(id);
+};
+
+/**
+ * Find a push by ID
+ */
+const findById = async (id) => {
+  const results = await db.query(`SELECT * FROM outbound_pushes WHERE id = ?`, [id]);
+  return parseRow(results[0]);
+};
+
+/**
+ * Pending pushes whose retry time has come, oldest first
+ */
+const findDue = async (limit = 50) => {
+  const sql = `
+    SELECT * FROM outbound_pushes
+    WHERE status = 'pending' AND next_attempt_at <= NOW()
+    ORDER BY next_attempt_at ASC, id ASC LIMIT ?
+  `;
+
+  const results = await db.query(sql, [limit]);
+  return results.map(parseRow);
+};
+
+/**
+ * All pushes of an order, oldest first
+ */
+const findByInternalOrderId = async (internalOrderId) => {
+  const sql = `SELECT * FROM outbound_pushes WHERE internal_order_id = ? ORDER BY id ASC`;
+  const results = await db.query(sql, [internalOrderId]);
+  return results.map(parseRow);
+};
+
+/**
+ * Find pushes with filters, newest first
+ */
+const findAll = async (filters = {}, limit = 50, offset = 0) => {
+  let sql = `SELECT * FROM outbound_pushes WHERE 1=1`;
+  const params = [];
+
+  if (filters.status) {
+    sql += ` AND status = ?`;
+    params.push(filters.status);
+  }
+
+  if (filters.platform) {
+    sql += ` AND platform = ?`;
+    params.push(filters.platform.toLowerCase());
+  }
+
+  if (filters.merchant_id) {
+    sql += ` AND merchant_id = ?`;
+    params.push(filters.merchant_id);
+  }
+
+  if (filters.internal_order_id) {
+    sql += ` AND internal_order_id = ?`;
+    params.push(filters.internal_order_id);
+  }
+
+  sql += ` ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`;
+  params.push(limit, offset);
+
+  const results = await db.query(sql, params);
+  return results.map(parseRow);
+};
+
+module.exports = {
+  create,
+  recordAttempt,
+  findById,
+  findDue,
+  findByInternalOrderId,
+  findAll
+};
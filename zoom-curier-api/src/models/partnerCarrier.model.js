@@ -0,0 +1,48 @@
+/**
+ * Partner Carrier Model
+ * 
+ * Database operations for the partner_carriers table
+ */
+
+const db = require('../config/database');
+
+/**
+ * MySQL returns JSON columns as objects, but be tolerant of strings
+ */
+const parseRow = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    settings: typeof row.settings === 'string' ? JSON.parse(row.settings) : row.settings
+  };
+};
+
+/**
+ * Find carrier by ID
+ */
+const findById = async (id) => {
+  const results = await db.query(`SELECT * FROM partner_carriers WHERE id = ?`, [id]);
+  return parseRow(results[0]);
+};
+
+/**
+ * Find carrier by code (FAN, SAMEDAY, CARGUS ...)
+ */
+const findByCode = async (code) => {
+  const results = await db.query(`SELECT * FROM partner_carriers WHERE code = ?`, [code.toUpperCase()]);
+  return parseRow(results[0]);
+};
+
+/**
+ * List all carriers
+ */
+const findAll = async () => {
+  const results = await db.query(`SELECT * FROM partner_carriers ORDER BY id ASC`);
+  return results.map(parseRow);
+};
+
+module.exports = {
+  findById,
+  findByCode,
+  findAll
+};
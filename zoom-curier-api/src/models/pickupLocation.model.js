@@ -0,0 +1,129 @@
+/**
+ * Pickup Location Model
+ * 
+ * Database operations for the pickup_locations table
+ */
+
+const db = require('../config/database');
+
+const JSON_COLUMNS = ['opening_hours', 'rules'];
+
+/**
+ * MySQL returns JSON columns as objects, but be tolerant of strings
+ */
+const parseRow = (row) => {
+  if (!row) return null;
+  
+  const parsed = { ...row };
+  JSON_COLUMNS.forEach(column => {
+    if (typeof parsed[column] === 'string') parsed[column] = JSON.parse(parsed[column]);
+  });
+  return parsed;
+};
+
+const toParams = (location) => [
+  location.merchant_id,
+  location.code,
+  location.name,
+  location.address,
+  location.city,
+  location.county || null,
+  location.postal_code || null,
+  location.contact_name || null,
+  location.contact_phone || null,
+  location.opening_hours ? JSON.stringify(location.opening_hours) : null,
+  JSON.stringify(location.rules || []),
+  location.is_default ? 1 : 0,
+  location.is_active === false ? 0 : 1
+];
+
+/**
+ * Create a pickup location
+ */
+const create = async (location) => {
+  const sql = `
+    INSERT INTO pickup_locations (
+      merchant_id, code, name, address, city, county, postal_code,
+      contact_name, contact_phone, opening_hours, rules, is_default, is_active
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  
+  const result = await db.query(sql, toParams(location));
+  return await findById(result.insertId);
+};
+
+/**
+ * Update a pickup location
+ */
+const update = async (id, location) => {
+  const sql = `
+    UPDATE pickup_locations
+    SET merchant_id = ?, code = ?, name = ?, address = ?, city = ?, county = ?, postal_code = ?,
+        contact_name = ?, contact_phone = ?, opening_hours = ?, rules = ?, is_default = ?, is_active = ?
+    WHERE id = ?
+  `;
+  
+  await db.query(sql, [...toParams(location), id]);
+  return await findById(id);
+};
+
+/**
+ * Remove the default flag from the merchant's other locations
+ */
+const clearDefault = async (merchantId, exceptId = null) => {
+  const sql = `UPDATE pickup_locations SET is_default = 0 WHERE merchant_id = ? AND id <> ?`;
+  await db.query(sql, [merchantId, exceptId || 0]);
+};
+
+/**
+ * Delete a pickup location
+ */
+const remove = async (id) => {
+  const result = await db.query(`DELETE FROM pickup_locations WHERE id = ?`, [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Find pickup location by ID
+ */
+const findById = async (id) => {
+  const results = await db.query(`SELECT * FROM pickup_locations WHERE id = ?`, [id]);
+  return parseRow(results[0]);
+};
+
+/**
+ * Find pickup locations with filters (merchant_id, code, is_active)
+ */
+const findAll = async (filters = {}) => {
+  let sql = `SELECT * FROM pickup_locations WHERE 1=1`;
+  const params = [];
+  
+  if (filters.merchant_id) {
+    sql += ` AND merchant_id = ?`;
+    params.push(filters.merchant_id);
+  }
+  
+  if (filters.code) {
+    sql += ` AND code = ?`;
+    params.push(filters.code);
+  }
+  
+  if (filters.is_active !== undefined) {
+    sql += ` AND is_active = ?`;
+    params.push(filters.is_active ? 1 : 0);
+  }
+  
+  sql += ` ORDER BY merchant_id ASC, id ASC`;
+  
+  const results = await db.query(sql, params);
+  return results.map(parseRow);
+};
+
+module.exports = {
+  create,
+  update,
+  clearDefault,
+  remove,
+  findById,
+  findAll
+};
@@ -200,6 +200,20 @@ const markSettlementTransferred = async (settlementId, transferReference) => {
   return await getSettlementById(settlementId);
 };
 
+/**
+ * Orders covered by a settlement (with their merchant)
+ */
+const getSettlementOrders = async (settlementId) => {
+  const sql = `
+    SELECT internal_order_id, external_order_id, merchant_id, cod_amount, cod_currency
+    FROM orders 
+    WHERE settlement_id = ?
+    ORDER BY id ASC
+  `;
+  
+  return await db.query(sql, [settlementId]);
+};
+
 /**
  * Get daily reconciliation report
  */
@@ -254,6 +268,7 @@ module.exports = {
   getSettlements,
   verifySettlement,
   markSettlementTransferred,
+  getSettlementOrders,
   getDailyReconciliationReport,
   getCODStats
 };
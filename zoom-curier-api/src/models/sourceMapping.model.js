@@ -0,0 +1,119 @@
+/**
+ * Source Mapping Model
+ * 
+ * Database operations for the source_mappings table
+ */
+
+const db = require('../config/database');
+
+/**
+ * MySQL returns JSON columns as objects, but be tolerant of strings
+ */
+const parseRow = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    definition: typeof row.definition === 'string' ? JSON.parse(row.definition) : row.definition
+  };
+};
+
+/**
+ * Create a mapping
+ */
+const create = async (mapping) => {
+  const sql = `
+    INSERT INTO source_mappings (name, merchant_id, definition, is_active)
+    VALUES (?, ?, ?, ?)
+  `;
+  
+  const result = await db.query(sql, [
+    mapping.name.toLowerCase(),
+    mapping.merchant_id || null,
+    JSON.stringify(mapping.definition),
+    mapping.is_active === false ? 0 : 1
+  ]);
+  
+  return await findById(result.insertId);
+};
+
+/**
+ * Update a mapping
+ */
+const update = async (id, mapping) => {
+  const sql = `
+    UPDATE source_mappings 
+    SET name = ?, merchant_id = ?, definition = ?, is_active = ?
+    WHERE id = ?
+  `;
+  
+  await db.query(sql, [
+    mapping.name.toLowerCase(),
+    mapping.merchant_id || null,
+    JSON.stringify(mapping.definition),
+    mapping.is_active === false ? 0 : 1,
+    id
+  ]);
+  
+  return await findById(id);
+};
+
+/**
+ * Delete a mapping
+ */
+const remove = async (id) => {
+  const result = await db.query(`DELETE FROM source_mappings WHERE id = ?`, [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Find mapping by ID
+ */
+const findById = async (id) => {
+  const results = await db.query(`SELECT * FROM source_mappings WHERE id = ?`, [id]);
+  return parseRow(results[0]);
+};
+
+/**
+ * Find active mappings by name for a merchant, merchant-specific first
+ */
+const findActiveByName = async (name, merchantId = null) => {
+  const sql = `
+    SELECT * FROM source_mappings 
+    WHERE name = ? AND is_active = 1 AND (merchant_id = ? OR merchant_id IS NULL)
+    ORDER BY merchant_id IS NULL ASC
+  `;
+  const results = await db.query(sql, [name.toLowerCase(), merchantId]);
+  return results.map(parseRow);
+};
+
+/**
+ * Find mappings with filters
+ */
+const findAll = async (filters = {}) => {
+  let sql = `SELECT * FROM source_mappings WHERE 1=1`;
+  const params = [];
+  
+  if (filters.merchant_id) {
+    sql += ` AND merchant_id = ?`;
+    params.push(filters.merchant_id);
+  }
+  
+  if (filters.name) {
+    sql += ` AND name = ?`;
+    params.push(filters.name.toLowerCase());
+  }
+  
+  sql += ` ORDER BY name ASC`;
+  
+  const results = await db.query(sql, params);
+  return results.map(parseRow);
+};
+
+module.exports = {
+  create,
+  update,
+  remove,
+  findById,
+  findActiveByName,
+  findAll
+};
@@ -0,0 +1,123 @@
+/**
+ * Webhook Delivery Model
+ *
+ * Database operations for the webhook_deliveries table
+ */
+
+const db = require('../config/database');
+
+/**
+ * MySQL returns JSON columns as objects, but be tolerant of strings
+ */
+const parseRow = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload
+  };
+};
+
+/**
+ * Queue a delivery
+ */
+const create = async (delivery) => {
+  const sql = `
+    INSERT INTO webhook_deliveries (
+      event_id, merchant_id, event, resource_id, payload, status, next_attempt_at
+    ) VALUES (?, ?, ?, ?, ?, ?, NOW())
+  `;
+
+  const result = await db.query(sql, [
+    delivery.event_id,
+    delivery.merchant_id,
+    delivery.event,
+    delivery.resource_id || null,
+    JSON.stringify(delivery.payload),
+    delivery.status
+  ]);
+
+  return await findById(result.insertId);
+};
+
+/**
+ * Record the outcome of a delivery attempt
+ * outcome: { status, http_status, error, next_attempt_at }
+ */
+const recordAttempt = async (id, outcome) => {
+  const sql = `
+    UPDATE webhook_deliveries
+    SET status = ?, http_status = ?, last_error = ?, next_attempt_at = ?, attempts = attempts + 1,
+        sent_at = IF(? = 'sent', NOW(), sent_at)
+    WHERE id = ?
+  `;
+
+  await db.query(sql, [
+    outcome.status,
+    outcome.http_status || null,
+    outcome.error || null,
+    outcome.next_attempt_at || null,
+    outcome.status,
+    id
+  ]);
+
+  return await findById(id);
+};
+
+/**
+ * Find a delivery by ID
+ */
+const findById = async (id) => {
+  const results = await db.query(`SELECT * FROM webhook_deliveries WHERE id = ?`, [id]);
+  return parseRow(results[0]);
+};
+
+/**
+ * Pending deliveries whose retry time has come, oldest first
+ */
+const findDue = async (limit = 50) => {
+  const sql = `
+    SELECT * FROM webhook_deliveries
+    WHERE status = 'pending' AND next_attempt_at <= NOW()
+    ORDER BY next_attempt_at ASC, id ASC LIMIT ?
+  `;
+
+  const results = await db.query(sql, [limit]);
+  return results.map(parseRow);
+};
+
+/**
+ * Find a merchant's deliveries with filters, newest first
+ */
+const findByMerchant = async (merchantId, filters = {}, limit = 50, offset = 0) => {
+  let sql = `SELECT * FROM webhook_deliveries WHERE merchant_id = ?`;
+  const params = [merchantId];
+
+  if (filters.status) {
+    sql += ` AND status = ?`;
+    params.push(filters.status);
+  }
+
+  if (filters.event) {
+    sql += ` AND event = ?`;
+    params.push(filters.event);
+  }
+
+  if (filters.resource_id) {
+    sql += ` AND resource_id = ?`;
+    params.push(filters.resource_id);
+  }
+
+  sql += ` ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`;
+  params.push(limit, offset);
+
+  const results = await db.query(sql, params);
+  return results.map(parseRow);
+};
+
+module.exports = {
+  create,
+  recordAttempt,
+  findById,
+  findDue,
+  findByMerchant
+};
@@ -0,0 +1,124 @@
+/**
+ * Webhook Inbox Model
+ * 
+ * Database operations for the webhook_inbox table
+ */
+
+const db = require('../config/database');
+
+/**
+ * MySQL returns JSON columns as objects, but be tolerant of strings
+ */
+const parseRow = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    headers: typeof row.headers === 'string' ? JSON.parse(row.headers) : row.headers,
+    payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload
+  };
+};
+
+/**
+ * Store an inbound webhook
+ */
+const create = async (event) => {
+  const sql = `
+    INSERT INTO webhook_inbox (
+      merchant_id, endpoint, requested_source, headers, raw_body, payload, status
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `;
+  
+  const result = await db.query(sql, [
+    event.merchant_id || null,
+    event.endpoint,
+    event.requested_source || null,
+    JSON.stringify(event.headers || {}),
+    event.raw_body,
+    JSON.stringify(event.payload ?? null),
+    event.status
+  ]);
+  
+  return await findById(result.insertId);
+};
+
+/**
+ * Record the outcome of a processing attempt
+ */
+const recordAttempt = async (id, outcome) => {
+  const sql = `
+    UPDATE webhook_inbox
+    SET status = ?, source = COALESCE(?, source), action = ?, internal_order_id = ?,
+        http_status = ?, error = ?, attempts = attempts + 1, last_attempt_at = NOW()
+    WHERE id = ?
+  `;
+  
+  await db.query(sql, [
+    outcome.status,
+    outcome.source || null,
+    outcome.action || null,
+    outcome.internal_order_id || null,
+    outcome.http_status || null,
+    outcome.error || null,
+    id
+  ]);
+  
+  return await findById(id);
+};
+
+/**
+ * Find an event by ID
+ */
+const findById = async (id) => {
+  const results = await db.query(`SELECT * FROM webhook_inbox WHERE id = ?`, [id]);
+  return parseRow(results[0]);
+};
+
+/**
+ * Find events with filters, newest first
+ * Listing leaves out the bodies - fetch a single event for those
+ */
+const findAll = async (filters = {}, limit = 50, offset = 0) => {
+  let sql = `
+    SELECT id, merchant_id, endpoint, requested_source, source, status, action,
+           internal_order_id, http_status, error, attempts, last_attempt_at, created_at, updated_at
+    FROM webhook_inbox WHERE 1=1
+  `;
+  const params = [];
+  
+  if (filters.status) {
+    sql += ` AND status = ?`;
+    params.push(filters.status);
+  }
+  
+  if (filters.source) {
+    sql += ` AND (source = ? OR requested_source = ?)`;
+    params.push(filters.source, filters.source);
+  }
+  
+  if (filters.merchant_id) {
+    sql += ` AND merchant_id = ?`;
+    params.push(filters.merchant_id);
+  }
+  
+  if (filters.date_from) {
+    sql += ` AND created_at >= ?`;
+    params.push(filters.date_from);
+  }
+  
+  if (filters.date_to) {
+    sql += ` AND created_at <= ?`;
+    params.push(filters.date_to);
+  }
+  
+  sql += ` ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`;
+  params.push(limit, offset);
+  
+  return await db.query(sql, params);
+};
+
+module.exports = {
+  create,
+  recordAttempt,
+  findById,
+  findAll
+};
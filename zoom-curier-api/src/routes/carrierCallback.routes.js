@@ -0,0 +1,34 @@
+/**
+ * Carrier Callback Routes
+ * 
+ * Status callbacks sent to the parent carriers of Overflow IN orders and their retries (admin only, X-Admin-Key)
+ */
+
+const express = require('express');
+const router = express.Router();
+const carrierCallbackController = require('../controllers/carrierCallback.controller');
+const authenticateAdmin = require('../middleware/adminAuth');
+const idempotency = require('../middleware/idempotency');
+
+router.use(authenticateAdmin);
+router.use(idempotency);
+
+/**
+ * List callbacks
+ * GET /api/carrier-callbacks?status=pending|sent|failed&partner_carrier_id=1&internal_order_id=ZC-...
+ */
+router.get('/', carrierCallbackController.getCallbacks);
+
+/**
+ * Get a single callback (attempts, last error)
+ * GET /api/carrier-callbacks/:id
+ */
+router.get('/:id', carrierCallbackController.getCallbackById);
+
+/**
+ * Send a pending or failed callback again
+ * POST /api/carrier-callbacks/:id/retry
+ */
+router.post('/:id/retry', carrierCallbackController.retryCallback);
+
+module.exports = router;
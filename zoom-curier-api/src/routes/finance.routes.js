@@ -14,6 +14,9 @@
 const express = require('express');
 const router = express.Router();
 const financeController = require('../controllers/finance.controller');
+const idempotency = require('../middleware/idempotency');
+
+router.use(idempotency);
 
 /**
  * Get daily reconciliation report
@@ -0,0 +1,47 @@
+/**
+ * Webhook Inbox Routes
+ * 
+ * Inbound webhook events, dead-letter list and replay (admin only, X-Admin-Key)
+ */
+
+const express = require('express');
+const router = express.Router();
+const inboxController = require('../controllers/inbox.controller');
+const authenticateAdmin = require('../middleware/adminAuth');
+const idempotency = require('../middleware/idempotency');
+
+router.use(authenticateAdmin);
+router.use(idempotency);
+
+/**
+ * List events
+ * GET /api/webhook-events?status=processed|failed|rejected&source=SHOPIFY&merchant_id=1
+ */
+router.get('/', inboxController.getEvents);
+
+/**
+ * Dead-letter list (events whose processing failed)
+ * GET /api/webhook-events/dead-letter
+ */
+router.get('/dead-letter', inboxController.getDeadLetters);
+
+/**
+ * Replay a filtered batch of events (failed ones by default)
+ * POST /api/webhook-events/replay
+ * Body: { "source": "EMAG", "merchant_id": 1, "date_from": "2026-10-18", "limit": 100 }
+ */
+router.post('/replay', inboxController.replayEvents);
+
+/**
+ * Get a single event (headers, raw body, result)
+ * GET /api/webhook-events/:id
+ */
+router.get('/:id', inboxController.getEventById);
+
+/**
+ * Replay a single event
+ * POST /api/webhook-events/:id/replay
+ */
+router.post('/:id/replay', inboxController.replayEvent);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * Integration Routes
+ *
+ * Merchant store integrations (ops team only, X-Admin-Key)
+ */
+
+const express = require('express');
+const router = express.Router();
+const integrationController = require('../controllers/integration.controller');
+const authenticateAdmin = require('../middleware/adminAuth');
+const idempotency = require('../middleware/idempotency');
+
+router.use(authenticateAdmin);
+router.use(idempotency);
+
+/**
+ * List integrations
+ * GET /api/integrations?merchant_id=1&platform=shopify
+ */
+router.get('/', integrationController.getIntegrations);
+
+/**
+ * Get a single integration
+ * GET /api/integrations/:id
+ */
+router.get('/:id', integrationController.getIntegrationById);
+
+/**
+ * Connect a merchant store
+ * POST /api/integrations
+ * Body: { "merchant_id": 1, "platform": "shopify", "store_url": "my-shop.myshopify.com",
+ *         "credentials": { "access_token": "shpat_..." }, "settings": { "notify_customer": true } }
+ */
+router.post('/', integrationController.createIntegration);
+
+/**
+ * Replace an integration
+ * PUT /api/integrations/:id
+ */
+router.put('/:id', integrationController.updateIntegration);
+
+/**
+ * Delete an integration
+ * DELETE /api/integrations/:id
+ */
+router.delete('/:id', integrationController.deleteIntegration);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Mapping Routes
+ * 
+ * Declarative custom-source mappings (ops team only, X-Admin-Key)
+ */
+
+const express = require('express');
+const router = express.Router();
+const mappingController = require('../controllers/mapping.controller');
+const authenticateAdmin = require('../middleware/adminAuth');
+const idempotency = require('../middleware/idempotency');
+
+router.use(authenticateAdmin);
+router.use(idempotency);
+
+/**
+ * List mappings
+ * GET /api/mappings?merchant_id=1&name=my-shop
+ */
+router.get('/', mappingController.getMappings);
+
+/**
+ * Get a single mapping
+ * GET /api/mappings/:id
+ */
+router.get('/:id', mappingController.getMappingById);
+
+/**
+ * Register a mapping
+ * POST /api/mappings
+ * Body: { "name": "my-shop", "merchant_id": 1, "definition": { "fields": { ... } } }
+ */
+router.post('/', mappingController.createMapping);
+
+/**
+ * Replace a mapping
+ * PUT /api/mappings/:id
+ */
+router.put('/:id', mappingController.updateMapping);
+
+/**
+ * Delete a mapping
+ * DELETE /api/mappings/:id
+ */
+router.delete('/:id', mappingController.deleteMapping);
+
+/**
+ * Dry-run a mapping against a sample payload (no order is saved)
+ * POST /api/mappings/:id/test
+ */
+router.post('/:id/test', mappingController.testMapping);
+
+module.exports = router;
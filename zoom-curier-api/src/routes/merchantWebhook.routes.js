@@ -0,0 +1,54 @@
+/**
+ * Merchant Webhook Routes
+ * 
+ * Event subscriptions and delivery log for merchants (X-API-Key)
+ */
+
+const express = require('express');
+const router = express.Router();
+const merchantWebhookController = require('../controllers/merchantWebhook.controller');
+const authenticateMerchant = require('../middleware/merchantAuth');
+const idempotency = require('../middleware/idempotency');
+
+router.use(authenticateMerchant);
+router.use(idempotency);
+
+/**
+ * Get the subscription (URL, events, last characters of the secret)
+ * GET /api/merchant-webhooks
+ */
+router.get('/', merchantWebhookController.getSubscription);
+
+/**
+ * Subscribe or change the subscription
+ * PUT /api/merchant-webhooks
+ * Body: { "url": "https://my-shop.ro/zoom-events", "events": ["order.delivered", "settlement.transferred"], "rotate_secret": false }
+ * The signing secret is returned once, when it is created (first subscription or rotate_secret)
+ */
+router.put('/', merchantWebhookController.updateSubscription);
+
+/**
+ * Unsubscribe
+ * DELETE /api/merchant-webhooks
+ */
+router.delete('/', merchantWebhookController.deleteSubscription);
+
+/**
+ * Delivery log, newest first
+ * GET /api/merchant-webhooks/deliveries?status=pending|sent|failed&event=order.delivered&resource_id=ZC-...
+ */
+router.get('/deliveries', merchantWebhookController.getDeliveries);
+
+/**
+ * Get a single delivery (payload, attempts, last error)
+ * GET /api/merchant-webhooks/deliveries/:id
+ */
+router.get('/deliveries/:id', merchantWebhookController.getDeliveryById);
+
+/**
+ * Redeliver a pending or failed delivery
+ * POST /api/merchant-webhooks/deliveries/:id/redeliver
+ */
+router.post('/deliveries/:id/redeliver', merchantWebhookController.redeliver);
+
+module.exports = router;
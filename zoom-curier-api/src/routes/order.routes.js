@@ -7,26 +7,67 @@
 
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const orderController = require('../controllers/order.controller');
+const idempotency = require('../middleware/idempotency');
+const authenticateMerchantOrAdmin = require('../middleware/merchantOrAdminAuth');
+
+// Spreadsheets are parsed from memory, never written to disk
+// (before the idempotency check, which compares the uploaded file)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
 
 /**
  * Get all orders with optional filters
  * GET /api/orders?status=pending&source=gomag&limit=50
+ * GET /api/orders?address_status=unresolved
  */
 router.get('/', orderController.getAllOrders);
 
+/**
+ * Create an order directly (B2B clients, dispatchers)
+ * POST /api/orders
+ * Body: { pickup: { address, city } | { location_code }, delivery: { address, city }, recipient: { name, phone },
+ *         cod: { amount }, total_weight, dimensions, service_level, notes }
+ * Without pickup the merchant's default pickup location is used
+ * Auth: X-API-Key (the order belongs to that merchant) or X-Admin-Key (with merchant_id in the body)
+ */
+router.post('/', authenticateMerchantOrAdmin, idempotency, orderController.createOrder);
+
+/**
+ * Bulk import orders from a CSV / XLSX spreadsheet
+ * POST /api/orders/import (multipart/form-data)
+ * Fields: file, merchant_id, columns (JSON { field: header }) or mapping, atomic
+ * Returns a per-row report: created / duplicate / failed / skipped
+ * Auth: X-API-Key (the orders belong to that merchant) or X-Admin-Key (with merchant_id)
+ */
+router.post('/import', authenticateMerchantOrAdmin, upload.single('file'), idempotency, orderController.importOrders);
+
 /**
  * Get a single order by internal ID
+ * Includes items: [{ sku, name, quantity, unit_weight, unit_price }]
+ * and pickup_location (address, opening hours, contact) when collected from a merchant location
  * GET /api/orders/:id
  */
 router.get('/:id', orderController.getOrderById);
 
+/**
+ * Status history of an order, oldest first (support timeline)
+ * Each entry: from_status, to_status, actor, reason, metadata (driver, ETA, partner AWB ...), created_at
+ * GET /api/orders/:id/history
+ */
+router.get('/:id/history', orderController.getOrderHistory);
+
 /**
  * Update order status
  * PATCH /api/orders/:id/status
- * Body: { "status": "in_transit", "notes": "Driver picked up", "eta_minutes": 30 }
+ * Body: { "status": "in_transit", "reason": "Driver picked up", "eta_minutes": 30 }
+ * The reason (or "notes") is kept in the status history
+ * delivered is refused here (409): it needs the OTP, see /:id/delivered
  */
-router.patch('/:id/status', orderController.updateOrderStatus);
+router.patch('/:id/status', idempotency, orderController.updateOrderStatus);
 
 /**
  * Assign driver to order
@@ -34,7 +75,7 @@ router.patch('/:id/status', orderController.updateOrderStatus);
  * Body: { "driver_id": 123, "driver_name": "Ion Popescu", "driver_phone": "0712345678" }
  * 🔔 Triggers WhatsApp notification to customer
  */
-router.post('/:id/assign', orderController.assignDriver);
+router.post('/:id/assign', idempotency, orderController.assignDriver);
 
 /**
  * Mark order as out for delivery
@@ -42,7 +83,7 @@ router.post('/:id/assign', orderController.assignDriver);
  * Body: { "eta_minutes": 30 }
  * 🔔 Triggers WhatsApp notification with tracking link
  */
-router.post('/:id/out-for-delivery', orderController.markOutForDelivery);
+router.post('/:id/out-for-delivery', idempotency, orderController.markOutForDelivery);
 
 /**
  * Mark order as delivered
@@ -50,7 +91,7 @@ router.post('/:id/out-for-delivery', orderController.markOutForDelivery);
  * Body: { "proof_of_delivery": "signature_url" }
  * 🔔 Triggers WhatsApp notification with feedback link
  */
-router.post('/:id/delivered', orderController.markDelivered);
+router.post('/:id/delivered', idempotency, orderController.markDelivered);
 
 /**
  * Cancel an order
@@ -58,6 +99,34 @@ router.post('/:id/delivered', orderController.markDelivered);
  * Body: { "reason": "Customer requested cancellation" }
  * 🔔 Triggers WhatsApp notification with reschedule link
  */
-router.post('/:id/cancel', orderController.cancelOrder);
+router.post('/:id/cancel', idempotency, orderController.cancelOrder);
+
+/**
+ * Hand an order outside our zone to a partner carrier (Overflow OUT)
+ * POST /api/orders/:id/overflow-out
+ * Body: { "carrier": "FAN" }  (FAN, SAMEDAY, CARGUS)
+ * Stores the partner AWB; the order moves to overflow_out
+ */
+router.post('/:id/overflow-out', idempotency, orderController.handOffOrder);
+
+/**
+ * Partner tracking of a handed-off order (stored as overflow_tracking_status)
+ * GET /api/orders/:id/overflow-out/tracking
+ * Delivered / returned to sender by the partner → order delivered / cancelled
+ */
+router.get('/:id/overflow-out/tracking', orderController.getOverflowTracking);
+
+/**
+ * Partner AWB label (PDF)
+ * GET /api/orders/:id/overflow-out/awb
+ */
+router.get('/:id/overflow-out/awb', orderController.getOverflowAwb);
+
+/**
+ * Cancel the partner shipment; the order is pending again
+ * DELETE /api/orders/:id/overflow-out
+ * Body: { "reason": "Driver available" }
+ */
+router.delete('/:id/overflow-out', orderController.cancelOverflowOut);
 
 module.exports = router;
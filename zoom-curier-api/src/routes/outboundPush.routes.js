@@ -0,0 +1,34 @@
+/**
+ * Outbound Push Routes
+ * 
+ * Order events sent to merchant stores and their retries (admin only, X-Admin-Key)
+ */
+
+const express = require('express');
+const router = express.Router();
+const outboundPushController = require('../controllers/outboundPush.controller');
+const authenticateAdmin = require('../middleware/adminAuth');
+const idempotency = require('../middleware/idempotency');
+
+router.use(authenticateAdmin);
+router.use(idempotency);
+
+/**
+ * List pushes
+ * GET /api/outbound-pushes?status=pending|sent|failed&platform=gomag&merchant_id=1&internal_order_id=ZC-...
+ */
+router.get('/', outboundPushController.getPushes);
+
+/**
+ * Get a single push (attempts, last error, platform references)
+ * GET /api/outbound-pushes/:id
+ */
+router.get('/:id', outboundPushController.getPushById);
+
+/**
+ * Send a pending or failed push again
+ * POST /api/outbound-pushes/:id/retry
+ */
+router.post('/:id/retry', outboundPushController.retryPush);
+
+module.exports = router;
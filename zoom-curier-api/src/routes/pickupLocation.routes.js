@@ -0,0 +1,48 @@
+/**
+ * Pickup Location Routes
+ * 
+ * Merchant pickup locations (ops team only, X-Admin-Key)
+ */
+
+const express = require('express');
+const router = express.Router();
+const pickupLocationController = require('../controllers/pickupLocation.controller');
+const authenticateAdmin = require('../middleware/adminAuth');
+const idempotency = require('../middleware/idempotency');
+
+router.use(authenticateAdmin);
+router.use(idempotency);
+
+/**
+ * List pickup locations
+ * GET /api/pickup-locations?merchant_id=1
+ */
+router.get('/', pickupLocationController.getLocations);
+
+/**
+ * Get a single pickup location
+ * GET /api/pickup-locations/:id
+ */
+router.get('/:id', pickupLocationController.getLocationById);
+
+/**
+ * Create a pickup location
+ * POST /api/pickup-locations
+ * Body: { "merchant_id": 1, "code": "depozit-cluj", "name": "Depozit Cluj", "address": "Str. Fabricii 2",
+ *         "city": "Cluj-Napoca", "opening_hours": { "mon": "09:00-18:00" }, "is_default": true }
+ */
+router.post('/', pickupLocationController.createLocation);
+
+/**
+ * Replace a pickup location
+ * PUT /api/pickup-locations/:id
+ */
+router.put('/:id', pickupLocationController.updateLocation);
+
+/**
+ * Delete a pickup location
+ * DELETE /api/pickup-locations/:id
+ */
+router.delete('/:id', pickupLocationController.deleteLocation);
+
+module.exports = router;
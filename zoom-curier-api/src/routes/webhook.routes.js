@@ -7,31 +7,66 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhook.controller');
+const authenticateMerchant = require('../middleware/merchantAuth');
+const idempotency = require('../middleware/idempotency');
+const recordWebhook = require('../middleware/webhookInbox');
+const { SOURCES } = require('../services/normalizer.service');
+
+/**
+ * All webhook endpoints require a merchant API key
+ * (X-API-Key header or ?api_key= query parameter)
+ * Idempotency-Key retries are scoped to that merchant
+ */
+router.use(authenticateMerchant);
+router.use(idempotency);
+
+/**
+ * Order webhooks are stored in the webhook inbox (recordWebhook) before
+ * processing, so failed events can be replayed - see /api/webhook-events
+ */
 
 /**
  * Universal webhook endpoint
  * Accepts orders from any supported platform
  * 
- * Usage: POST /api/webhooks/orders?source=GOMAG|SHOPIFY|WOOCOMMERCE|INNOSHIP
+ * Usage: POST /api/webhooks/orders?source=GOMAG|SHOPIFY|WOOCOMMERCE|INNOSHIP|EMAG|PRESTASHOP|OPENCART
  * 
  * If source is not specified in query params, the system will attempt
  * to auto-detect the source based on headers and payload structure.
+ * Any other ?source= value is looked up as a custom source mapping.
  */
-router.post('/orders', webhookController.handleOrderWebhook);
+router.post('/orders', recordWebhook(), webhookController.handleOrderWebhook);
 
 /**
  * Platform-specific endpoints
  * These provide cleaner URLs for each integration
  */
-router.post('/gomag', webhookController.handleGomagWebhook);
-router.post('/shopify', webhookController.handleShopifyWebhook);
-router.post('/woocommerce', webhookController.handleWooCommerceWebhook);
-router.post('/innoship', webhookController.handleInnoshipWebhook);
+router.post('/gomag', recordWebhook(SOURCES.GOMAG), webhookController.handleGomagWebhook);
+router.post('/shopify', recordWebhook(SOURCES.SHOPIFY), webhookController.handleShopifyWebhook);
+router.post('/woocommerce', recordWebhook(SOURCES.WOOCOMMERCE), webhookController.handleWooCommerceWebhook);
+router.post('/innoship', recordWebhook(SOURCES.INNOSHIP), webhookController.handleInnoshipWebhook);
+router.post('/emag', recordWebhook(SOURCES.EMAG), webhookController.handleEmagWebhook);
+router.post('/prestashop', recordWebhook(SOURCES.PRESTASHOP), webhookController.handlePrestaShopWebhook);
+router.post('/opencart', recordWebhook(SOURCES.OPENCART), webhookController.handleOpenCartWebhook);
+
+/**
+ * Custom sources defined by a declarative mapping (no code changes)
+ * Usage: POST /api/webhooks/custom/my-shop
+ */
+router.post('/custom/:name', recordWebhook(), webhookController.handleCustomWebhook);
+
+/**
+ * Dry-run: runs a payload through detection, normalization and validation
+ * without saving it. Returns the matched detection rule, the normalized
+ * order, every validation error and warnings
+ * Usage: POST /api/webhooks/preview  Body: { "headers": {...}, "payload": {...} }
+ */
+router.post('/preview', webhookController.handlePreviewWebhook);
 
 /**
  * Overflow endpoint for partner carriers
  * Used when Fan Courier, Sameday, etc. send orders for Zoom to deliver
  */
-router.post('/overflow', webhookController.handleOverflowWebhook);
+router.post('/overflow', recordWebhook(SOURCES.OVERFLOW_IN), webhookController.handleOverflowWebhook);
 
 module.exports = router;
@@ -0,0 +1,235 @@
+/**
+ * Carrier Callback Service
+ *
+ * Tells the partner carrier an Overflow IN order came from (Fan Courier,
+ * Sameday ...) about every status change of that order. Callbacks are POSTed
+ * to the carrier's webhook_url in the carrier's own format, signed with its
+ * webhook_secret, and stored first so that temporary failures are retried
+ * with the same backoff as the store pushes (retryQueue.service)
+ */
+
+const axios = require('axios');
+const CarrierCallbackModel = require('../models/carrierCallback.model');
+const { withStorage } = require('../config/database');
+const partnerCarrierService = require('./partnerCarrier.service');
+const orderService = require('./order.service');
+const { signRequest } = require('./signature.service');
+const { createRetryQueue, queueForOrder, SEND_STATUS } = require('./retryQueue.service');
+const { CARRIER_ADAPTERS } = require('../adapters/carriers');
+const { formatStatusCallback } = require('../adapters/carriers/helpers');
+const { permanentError } = require('../adapters/helpers');
+
+// In-memory storage for development (when DB is not available)
+let inMemoryCallbacks = [];
+
+/**
+ * Callback status (same lifecycle as the store pushes)
+ */
+const CALLBACK_STATUS = SEND_STATUS;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Store a new callback, due immediately
+ */
+const createCallback = async (callback) => {
+  return withStorage(
+    () => CarrierCallbackModel.create(callback),
+    () => {
+      const now = new Date().toISOString();
+      const stored = {
+        ...callback,
+        id: inMemoryCallbacks.length + 1,
+        awb: callback.awb || null,
+        attempts: 0,
+        next_attempt_at: now,
+        http_status: null,
+        last_error: null,
+        sent_at: null,
+        created_at: now,
+        updated_at: now
+      };
+      inMemoryCallbacks.push(stored);
+      return stored;
+    }
+  );
+};
+
+/**
+ * Record the outcome of an attempt
+ * outcome: { status, http_status, error, next_attempt_at }
+ */
+const recordAttempt = async (id, outcome) => {
+  return withStorage(
+    () => CarrierCallbackModel.recordAttempt(id, outcome),
+    () => {
+      const callback = inMemoryCallbacks.find(c => c.id === parseInt(id));
+      if (!callback) return null;
+
+      const now = new Date().toISOString();
+      Object.assign(callback, {
+        status: outcome.status,
+        http_status: outcome.http_status || null,
+        last_error: outcome.error || null,
+        next_attempt_at: outcome.next_attempt_at || null,
+        attempts: callback.attempts + 1,
+        sent_at: outcome.status === CALLBACK_STATUS.SENT ? now : callback.sent_at,
+        updated_at: now
+      });
+      return callback;
+    }
+  );
+};
+
+/**
+ * Get a callback by ID
+ */
+const getCallbackById = async (id) => {
+  return withStorage(
+    () => CarrierCallbackModel.findById(id),
+    () => inMemoryCallbacks.find(c => c.id === parseInt(id)) || null
+  );
+};
+
+/**
+ * List callbacks with filters: status, partner_carrier_id, internal_order_id
+ */
+const getCallbacks = async (filters = {}, limit = 50, offset = 0) => {
+  return withStorage(
+    () => CarrierCallbackModel.findAll(filters, limit, offset),
+    () => inMemoryCallbacks
+      .filter(c =>
+        (!filters.status || c.status === filters.status) &&
+        (!filters.partner_carrier_id || c.partner_carrier_id === parseInt(filters.partner_carrier_id)) &&
+        (!filters.internal_order_id || c.internal_order_id === filters.internal_order_id)
+      )
+      .reverse()
+      .slice(offset, offset + limit)
+  );
+};
+
+/**
+ * Pending callbacks whose retry time has come
+ */
+const getDueCallbacks = async (limit) => {
+  return withStorage(
+    () => CarrierCallbackModel.findDue(limit),
+    () => {
+      const now = new Date().toISOString();
+      return inMemoryCallbacks
+        .filter(c => c.status === CALLBACK_STATUS.PENDING && c.next_attempt_at <= now)
+        .slice(0, limit);
+    }
+  );
+};
+
+/**
+ * Callback body in the carrier's format (generic for carriers without an adapter)
+ */
+const buildBody = (carrier, order, callback) => {
+  const format = CARRIER_ADAPTERS[carrier.code]?.formatStatusCallback || formatStatusCallback;
+  return format({ order, event: callback.event, occurredAt: new Date(callback.created_at) });
+};
+
+/**
+ * POST a callback to the carrier
+ */
+const sendCallback = async (callback) => {
+  const carrier = await partnerCarrierService.getCarrierById(callback.partner_carrier_id);
+
+  if (!partnerCarrierService.isCarrierActive(carrier) || !carrier.webhook_url) {
+    throw permanentError(`Partner carrier ${callback.partner_carrier_id} is inactive or has no webhook_url`);
+  }
+
+  // Unsigned callbacks could be forged, so none are sent without a secret
+  if (!carrier.webhook_secret) {
+    throw permanentError(`No webhook_secret configured for ${carrier.code}`);
+  }
+
+  const order = await orderService.getOrderById(callback.internal_order_id);
+  if (!order) {
+    throw permanentError(`Order not found: ${callback.internal_order_id}`);
+  }
+
+  const rawBody = JSON.stringify(buildBody(carrier, order, callback));
+
+  const response = await axios.post(carrier.webhook_url, rawBody, {
+    timeout: REQUEST_TIMEOUT_MS,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Zoom-Event': callback.event,
+      ...signRequest(carrier.webhook_secret, rawBody)
+    }
+  });
+
+  console.log(`📤 ${carrier.code} callback ${callback.id} sent: ${callback.event} for AWB ${callback.awb}`);
+
+  return { http_status: response.status };
+};
+
+const queue = createRetryQueue({
+  name: 'carrier callbacks',
+  getById: getCallbackById,
+  getDue: getDueCallbacks,
+  recordAttempt,
+  send: sendCallback,
+  describe: (callback) => `Callback ${callback.id} to partner carrier ${callback.partner_carrier_id}`
+});
+
+/**
+ * Report a status change of an Overflow IN order to the carrier that sent it
+ * (non-blocking). Other orders, and carriers without a webhook_url, are skipped
+ */
+const notifyParentCarrierAsync = async (order, event) => {
+  try {
+    if (!order?.is_overflow || !order.parent_carrier_id) return null;
+
+    const carrier = await partnerCarrierService.getCarrierById(order.parent_carrier_id);
+    if (!partnerCarrierService.isCarrierActive(carrier) || !carrier.webhook_url) return null;
+
+    const callback = await createCallback({
+      partner_carrier_id: carrier.id,
+      internal_order_id: order.internal_order_id,
+      awb: order.external_order_id,
+      event,
+      status: CALLBACK_STATUS.PENDING
+    });
+
+    return await queueForOrder(order.internal_order_id, () => queue.attempt(callback));
+  } catch (error) {
+    console.error(`⚠️ Carrier callback failed (non-blocking):`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Send a callback again right away (admin retry, e.g. after the carrier
+ * fixed its endpoint). A failed callback gets one more attempt
+ */
+const retryCallback = async (id) => {
+  const callback = await getCallbackById(id);
+
+  if (!callback) {
+    return null;
+  }
+
+  if (callback.status === CALLBACK_STATUS.SENT) {
+    const error = new Error(`Callback ${id} was already sent`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  console.log(`🔁 Retrying carrier callback ${id} (${callback.event} for order ${callback.internal_order_id})`);
+
+  return queue.attempt(callback);
+};
+
+module.exports = {
+  notifyParentCarrierAsync,
+  processDueCallbacks: queue.processDue,
+  startRetryWorker: queue.startWorker,
+  retryCallback,
+  getCallbackById,
+  getCallbacks,
+  CALLBACK_STATUS
+};
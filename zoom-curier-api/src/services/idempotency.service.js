@@ -0,0 +1,135 @@
+/**
+ * Idempotency Service
+ *
+ * Stores the first response sent for an Idempotency-Key so retried
+ * requests (e.g. dispatch tablets on weak mobile data) get the same
+ * answer instead of running the action again. Keys are scoped to the
+ * caller, method and path and kept for IDEMPOTENCY_TTL_HOURS
+ */
+
+const crypto = require('crypto');
+const IdempotencyKeyModel = require('../models/idempotencyKey.model');
+const { withStorage } = require('../config/database');
+
+// In-memory storage for development (when DB is not available)
+const inMemoryKeys = new Map();
+
+const TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// Requests currently being processed, by storage key
+const inFlight = new Set();
+
+// Expired keys are purged from the database at most this often
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPurgeAt = 0;
+
+const storageKey = (idempotencyKey, scope) => `${scope} ${idempotencyKey}`;
+
+/**
+ * Fingerprint of a request body, used to detect a key reused for another request
+ */
+const hashRequestBody = (body) => {
+  return crypto.createHash('sha256').update(body).digest('hex');
+};
+
+/**
+ * Fingerprint of a multipart request: form fields (in name order) and the
+ * uploaded files (field name, file name and content)
+ */
+const hashMultipartRequest = (fields, files = []) => {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify(Object.keys(fields).sort().map(name => [name, fields[name]])));
+
+  files.forEach(file => {
+    hash.update(`\n${file.fieldname}\n${file.originalname}\n`);
+    hash.update(file.buffer);
+  });
+
+  return hash.digest('hex');
+};
+
+/**
+ * Get the stored response for a key, if it has not expired
+ */
+const getStoredResponse = async (idempotencyKey, scope) => {
+  return withStorage(
+    () => IdempotencyKeyModel.findActive(idempotencyKey, scope),
+    () => {
+      const record = inMemoryKeys.get(storageKey(idempotencyKey, scope));
+      return record && new Date(record.expires_at) > new Date() ? record : null;
+    }
+  );
+};
+
+/**
+ * Store the response sent for a key
+ */
+const saveResponse = async ({ idempotencyKey, scope, requestHash, statusCode, body }) => {
+  const record = {
+    idempotency_key: idempotencyKey,
+    scope,
+    request_hash: requestHash,
+    status_code: statusCode,
+    response_body: body,
+    expires_at: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+  };
+
+  return withStorage(
+    async () => {
+      await IdempotencyKeyModel.save(record);
+      purgeExpired();
+      return record;
+    },
+    () => {
+      // Drop expired entries while we are here
+      const now = new Date();
+      for (const [key, stored] of inMemoryKeys) {
+        if (stored.expires_at <= now) inMemoryKeys.delete(key);
+      }
+
+      inMemoryKeys.set(storageKey(idempotencyKey, scope), { ...record, created_at: now.toISOString() });
+      return record;
+    }
+  );
+};
+
+/**
+ * Mark a key as being processed; false if it already is
+ */
+const acquire = (idempotencyKey, scope) => {
+  const key = storageKey(idempotencyKey, scope);
+  if (inFlight.has(key)) return false;
+
+  inFlight.add(key);
+  return true;
+};
+
+const release = (idempotencyKey, scope) => {
+  inFlight.delete(storageKey(idempotencyKey, scope));
+};
+
+/**
+ * Remove expired keys from the database (non-blocking, throttled)
+ */
+const purgeExpired = () => {
+  if (Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = Date.now();
+
+  IdempotencyKeyModel.deleteExpired()
+    .then(deleted => {
+      if (deleted > 0) console.log(`🧹 Purged ${deleted} expired idempotency keys`);
+    })
+    .catch(error => {
+      console.error(`⚠️ Failed to purge expired idempotency keys:`, error.message);
+    });
+};
+
+module.exports = {
+  hashRequestBody,
+  hashMultipartRequest,
+  getStoredResponse,
+  saveResponse,
+  acquire,
+  release,
+  TTL_HOURS
+};
@@ -0,0 +1,325 @@
+/**
+ * Import Service
+ *
+ * Bulk order import from CSV / XLSX spreadsheets (merchants without an
+ * e-commerce platform). Every row goes through the same normalization,
+ * validation and deduplication as a webhook order
+ *
+ * Columns are mapped to order fields either with a simple column map
+ * ({ recipient_name: "Nume client", ... }) or with a registered source
+ * mapping (see mapping.service.js), whose paths are the column headers
+ */
+
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const { normalizeOrder, getValidationErrors, SOURCES } = require('./normalizer.service');
+const OrderValidationError = require('../errors/OrderValidationError');
+const orderService = require('./order.service');
+const mappingService = require('./mapping.service');
+const merchantService = require('./merchant.service');
+const { sendWhatsAppConfirmationAsync } = require('./webhook.service');
+const { publishOrderCreatedAsync } = require('./orderEvents.service');
+
+const IMPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx'
+};
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 2000;
+
+/**
+ * Per-row outcome of an import
+ */
+const ROW_STATUS = {
+  CREATED: 'created',
+  DUPLICATE: 'duplicate',
+  FAILED: 'failed',
+  SKIPPED: 'skipped' // valid, but not saved because the file was rejected or the import stopped
+};
+
+/**
+ * Default column map: headers named after the order fields
+ */
+const DEFAULT_COLUMNS = {
+  external_order_id: 'external_order_id',
+  recipient_name: 'recipient_name',
+  recipient_phone: 'recipient_phone',
+  recipient_email: 'recipient_email',
+  delivery_address: 'delivery_address',
+  delivery_city: 'delivery_city',
+  delivery_county: 'delivery_county',
+  delivery_postal_code: 'delivery_postal_code',
+  cod_amount: 'cod_amount',
+  total_weight: 'total_weight',
+  package_length: 'package_length',
+  package_width: 'package_width',
+  package_height: 'package_height',
+  service_level: 'service_level',
+  notes: 'notes'
+};
+
+/**
+ * Spreadsheet cells are text - clean up the fields that are not
+ */
+const COLUMN_TRANSFORMS = {
+  recipient_phone: 'phone',
+  delivery_address: 'address',
+  delivery_postal_code: 'string',
+  cod_amount: 'number',
+  total_weight: 'number',
+  package_length: 'number',
+  package_width: 'number',
+  package_height: 'number',
+  service_level: 'lowercase'
+};
+
+/**
+ * Detect the file format from its extension or MIME type
+ */
+const detectFormat = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.csv' || file.mimetype === 'text/csv') return IMPORT_FORMATS.CSV;
+  if (extension === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return IMPORT_FORMATS.XLSX;
+  }
+
+  return null;
+};
+
+/**
+ * Parse a CSV file (comma or semicolon separated, as exported by Excel)
+ * The delimiter is picked from the header line, because semicolon files
+ * use the comma as decimal separator
+ */
+const parseCsv = (buffer) => {
+  const headerLine = buffer.toString('utf8').split(/\r?\n/)[0];
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  return parse(buffer, {
+    columns: (headers) => headers.map(header => header.trim()),
+    delimiter,
+    bom: true,
+    trim: true,
+    skip_empty_lines: true
+  });
+};
+
+/**
+ * Read a cell as a plain value (formulas, rich text and links included)
+ */
+const getCellValue = (cell) => {
+  const value = cell.value;
+
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return cell.text;
+
+  return value;
+};
+
+/**
+ * Parse the first worksheet of an XLSX file; row 1 holds the headers
+ */
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = cell.text.trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const record = {};
+    headers.forEach((header, column) => {
+      if (header) record[header] = getCellValue(row.getCell(column));
+    });
+    rows.push(record);
+  });
+
+  return rows;
+};
+
+/**
+ * Build the mapping definition for a column map
+ */
+const buildColumnMapping = (columns) => {
+  const fields = {};
+  const transforms = {};
+
+  Object.entries(columns).forEach(([field, header]) => {
+    fields[field] = `$.${header}`;
+    if (COLUMN_TRANSFORMS[field]) transforms[field] = COLUMN_TRANSFORMS[field];
+  });
+
+  return { definition: { fields, transforms } };
+};
+
+/**
+ * Resolve the mapping used to read the rows
+ */
+const resolveImportMapping = async ({ mappingName, columns, merchantId }) => {
+  if (mappingName) {
+    const mapping = await mappingService.resolveMapping(mappingName, merchantId);
+    if (!mapping) {
+      const error = new Error(`Unknown mapping: ${mappingName}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return mapping;
+  }
+
+  return buildColumnMapping(columns || DEFAULT_COLUMNS);
+};
+
+/**
+ * Import orders from an uploaded spreadsheet
+ *
+ * @param {object} params
+ * @param {object} params.file - Uploaded file (multer: originalname, mimetype, buffer)
+ * @param {number} [params.merchantId] - Merchant the orders belong to
+ * @param {object} [params.columns] - Column map { <order field>: <header> }
+ * @param {string} [params.mappingName] - Registered source mapping to use instead
+ * @param {boolean} [params.atomic] - Reject the whole file if any row fails
+ * @returns {Promise<object>} - { rejected, stopped_at_row, summary, rows }
+ */
+const importOrders = async ({ file, merchantId = null, columns = null, mappingName = null, atomic = false }) => {
+  const format = detectFormat(file);
+  if (!format) {
+    const error = new Error('Unsupported file format. Upload a .csv or .xlsx file');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const mapping = await resolveImportMapping({ mappingName, columns, merchantId });
+
+  let records;
+  try {
+    records = format === IMPORT_FORMATS.CSV ? parseCsv(file.buffer) : await parseXlsx(file.buffer);
+  } catch (parseError) {
+    const error = new Error(`Unable to read ${format.toUpperCase()} file: ${parseError.message}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (records.length > MAX_ROWS) {
+    const error = new Error(`File has ${records.length} rows, the limit is ${MAX_ROWS}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  console.log(`📥 Importing ${records.length} rows from ${file.originalname} (merchant ${merchantId || '-'})`);
+
+  const merchantOptions = await merchantService.getNormalizationOptions(merchantId);
+
+  // First pass: normalize, validate and deduplicate every row
+  const seenIds = new Set();
+  const rows = [];
+
+  for (const [index, record] of records.entries()) {
+    // Spreadsheet line number (row 1 is the header)
+    const row = { row: index + 2, external_order_id: null };
+
+    try {
+      const order = normalizeOrder(SOURCES.IMPORT, record, {
+        merchantId,
+        mapping,
+        ...merchantOptions,
+        skipValidation: true
+      });
+      row.external_order_id = order.external_order_id;
+
+      // Validated here rather than in normalizeOrder so failed rows keep their reference
+      const errors = getValidationErrors(order, SOURCES.IMPORT, record);
+      if (errors.length > 0) {
+        throw new OrderValidationError(errors);
+      }
+
+      if (seenIds.has(order.external_order_id)) {
+        row.status = ROW_STATUS.DUPLICATE;
+        row.reason = 'Repeated in file';
+      } else {
+        seenIds.add(order.external_order_id);
+
+        const existingOrder = await orderService.getOrderByExternalId(
+          order.external_order_id,
+          order.aggregator_source,
+          merchantId
+        );
+
+        if (existingOrder) {
+          row.status = ROW_STATUS.DUPLICATE;
+          row.internal_order_id = existingOrder.internal_order_id;
+        } else {
+          row.order = order;
+        }
+      }
+    } catch (error) {
+      row.status = ROW_STATUS.FAILED;
+      row.reason = error.message;
+      if (error.details) row.errors = error.details;
+    }
+
+    rows.push(row);
+  }
+
+  const rejected = atomic && rows.some(row => row.status === ROW_STATUS.FAILED);
+
+  // Second pass: save the valid rows (unless the file was rejected). Orders
+  // are saved one by one, so an atomic import that fails to save a row stops
+  // there: the rows saved before it stay created, the rest are skipped
+  let stoppedAtRow = null;
+
+  for (const row of rows) {
+    if (!row.order) continue;
+
+    if (rejected || stoppedAtRow) {
+      row.status = ROW_STATUS.SKIPPED;
+    } else {
+      try {
+        const savedOrder = await orderService.createOrder(row.order);
+        row.status = ROW_STATUS.CREATED;
+        row.internal_order_id = savedOrder.internal_order_id;
+
+        // 🔔 Same WhatsApp confirmation as webhook orders (non-blocking)
+        sendWhatsAppConfirmationAsync(savedOrder);
+        publishOrderCreatedAsync(savedOrder);
+      } catch (error) {
+        console.error(`❌ Import row ${row.row} could not be saved:`, error.message);
+        row.status = ROW_STATUS.FAILED;
+        row.reason = error.message;
+        if (atomic) stoppedAtRow = row.row;
+      }
+    }
+
+    delete row.order;
+  }
+
+  const summary = {
+    total: rows.length,
+    ...Object.fromEntries(Object.values(ROW_STATUS).map(status => [
+      status,
+      rows.filter(row => row.status === status).length
+    ]))
+  };
+
+  const outcome = rejected ? 'rejected' : stoppedAtRow ? `stopped at row ${stoppedAtRow}` : 'finished';
+  console.log(`📥 Import ${outcome}: ${JSON.stringify(summary)}`);
+
+  return { rejected, stopped_at_row: stoppedAtRow, summary, rows };
+};
+
+module.exports = {
+  importOrders,
+  IMPORT_FORMATS,
+  ROW_STATUS,
+  DEFAULT_COLUMNS
+};
@@ -0,0 +1,240 @@
+/**
+ * Inbox Service
+ *
+ * Every inbound webhook is stored in the inbox before it is processed,
+ * together with its processing result. Failed events form the dead-letter
+ * list and can be replayed once the cause is fixed (e.g. a normalizer bug);
+ * order deduplication makes replaying an event that already went through safe
+ */
+
+const WebhookInboxModel = require('../models/webhookInbox.model');
+const { withStorage } = require('../config/database');
+const { processOrderWebhook, resolveWebhookSource } = require('./webhook.service');
+
+// In-memory storage for development (when DB is not available)
+let inMemoryEvents = [];
+
+/**
+ * Inbox event status
+ */
+const INBOX_STATUS = {
+  RECEIVED: 'received',   // stored, not processed yet
+  PROCESSED: 'processed',
+  FAILED: 'failed',       // dead letter - can be replayed
+  REJECTED: 'rejected'    // invalid signature - never replayed
+};
+
+// Credentials are not kept in the inbox
+const REDACTED_HEADERS = ['x-api-key', 'authorization', 'cookie'];
+
+const MAX_REPLAY_BATCH = 500;
+
+/**
+ * Store an inbound webhook before processing
+ */
+const recordEvent = async ({ merchantId, endpoint, requestedSource, headers, rawBody, payload }) => {
+  const safeHeaders = Object.fromEntries(
+    Object.entries(headers || {}).filter(([name]) => !REDACTED_HEADERS.includes(name.toLowerCase()))
+  );
+
+  const event = {
+    merchant_id: merchantId || null,
+    endpoint,
+    requested_source: requestedSource || null,
+    headers: safeHeaders,
+    raw_body: rawBody ? rawBody.toString('utf8') : JSON.stringify(payload ?? null),
+    payload: payload ?? null,
+    status: INBOX_STATUS.RECEIVED
+  };
+
+  return withStorage(
+    () => WebhookInboxModel.create(event),
+    () => {
+      const now = new Date().toISOString();
+      const stored = {
+        ...event,
+        id: inMemoryEvents.length + 1,
+        source: null,
+        action: null,
+        internal_order_id: null,
+        http_status: null,
+        error: null,
+        attempts: 0,
+        last_attempt_at: null,
+        created_at: now,
+        updated_at: now
+      };
+      inMemoryEvents.push(stored);
+      return stored;
+    }
+  );
+};
+
+/**
+ * Record the outcome of a processing attempt
+ * outcome: { status, source, action, internal_order_id, http_status, error }
+ */
+const recordAttempt = async (id, outcome) => {
+  return withStorage(
+    () => WebhookInboxModel.recordAttempt(id, outcome),
+    () => {
+      const event = inMemoryEvents.find(e => e.id === parseInt(id));
+      if (!event) return null;
+
+      const now = new Date().toISOString();
+      Object.assign(event, {
+        status: outcome.status,
+        source: outcome.source || event.source,
+        action: outcome.action || null,
+        internal_order_id: outcome.internal_order_id || null,
+        http_status: outcome.http_status || null,
+        error: outcome.error || null,
+        attempts: event.attempts + 1,
+        last_attempt_at: now,
+        updated_at: now
+      });
+      return event;
+    }
+  );
+};
+
+/**
+ * Get a single event (including headers and body)
+ */
+const getEventById = async (id) => {
+  return withStorage(
+    () => WebhookInboxModel.findById(id),
+    () => inMemoryEvents.find(e => e.id === parseInt(id)) || null
+  );
+};
+
+/**
+ * List events with filters: status, source, merchant_id, date_from, date_to
+ */
+const getEvents = async (filters = {}, limit = 50, offset = 0) => {
+  return withStorage(
+    () => WebhookInboxModel.findAll(filters, limit, offset),
+    () => inMemoryEvents
+      .filter(e =>
+        (!filters.status || e.status === filters.status) &&
+        (!filters.source || [e.source, e.requested_source].some(s => s?.toLowerCase() === filters.source.toLowerCase())) &&
+        (!filters.merchant_id || e.merchant_id === parseInt(filters.merchant_id)) &&
+        (!filters.date_from || e.created_at >= filters.date_from) &&
+        (!filters.date_to || e.created_at <= filters.date_to)
+      )
+      .reverse()
+      .slice(offset, offset + limit)
+      .map(({ headers, raw_body, payload, ...event }) => event)
+  );
+};
+
+/**
+ * Dead-letter list: events whose processing failed
+ */
+const getDeadLetters = async (filters = {}, limit = 50, offset = 0) => {
+  return getEvents({ ...filters, status: INBOX_STATUS.FAILED }, limit, offset);
+};
+
+/**
+ * Process a stored event again
+ * The source is resolved the same way as on receipt; orders that were
+ * created meanwhile are reported as duplicates rather than created twice
+ */
+const replayEvent = async (id) => {
+  const event = await getEventById(id);
+
+  if (!event) {
+    return null;
+  }
+
+  if (event.status === INBOX_STATUS.REJECTED) {
+    const error = new Error(`Event ${id} was rejected (invalid signature) and cannot be replayed`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  console.log(`🔁 Replaying webhook event ${id} (${event.endpoint})`);
+
+  const headers = event.headers || {};
+  const { source, mapping, error: sourceError } = await resolveWebhookSource(
+    event.requested_source,
+    event.payload,
+    headers,
+    event.merchant_id
+  );
+
+  if (sourceError) {
+    return recordAttempt(id, { status: INBOX_STATUS.FAILED, http_status: 400, error: sourceError });
+  }
+
+  try {
+    const result = await processOrderWebhook({
+      source,
+      payload: event.payload,
+      headers,
+      merchantId: event.merchant_id,
+      mapping
+    });
+
+    return recordAttempt(id, {
+      status: INBOX_STATUS.PROCESSED,
+      source,
+      action: result.action,
+      internal_order_id: result.order?.internal_order_id,
+      http_status: 200
+    });
+  } catch (error) {
+    console.error(`❌ Replay of webhook event ${id} failed:`, error.message);
+
+    return recordAttempt(id, {
+      status: INBOX_STATUS.FAILED,
+      source,
+      http_status: error.statusCode || 500,
+      error: error.details ? JSON.stringify(error.details) : error.message
+    });
+  }
+};
+
+/**
+ * Replay a filtered batch of events (failed ones by default), oldest first
+ */
+const replayEvents = async (filters = {}, limit = 100) => {
+  const batchSize = Math.min(parseInt(limit) || 100, MAX_REPLAY_BATCH);
+  const events = await getEvents({ status: INBOX_STATUS.FAILED, ...filters }, batchSize, 0);
+
+  const results = [];
+  for (const event of [...events].reverse()) {
+    try {
+      const replayed = await replayEvent(event.id);
+      results.push({
+        id: event.id,
+        status: replayed.status,
+        action: replayed.action,
+        internal_order_id: replayed.internal_order_id,
+        error: replayed.error
+      });
+    } catch (error) {
+      results.push({ id: event.id, status: event.status, error: error.message });
+    }
+  }
+
+  return {
+    summary: {
+      total: results.length,
+      processed: results.filter(r => r.status === INBOX_STATUS.PROCESSED).length,
+      failed: results.filter(r => r.status !== INBOX_STATUS.PROCESSED).length
+    },
+    results
+  };
+};
+
+module.exports = {
+  recordEvent,
+  recordAttempt,
+  getEventById,
+  getEvents,
+  getDeadLetters,
+  replayEvent,
+  replayEvents,
+  INBOX_STATUS
+};
@@ -0,0 +1,122 @@
+/**
+ * Integration Service
+ *
+ * Merchant store integrations: the URL and credentials we use to report
+ * order events back to the merchant's platform (see outbound.service.js).
+ * A merchant has at most one integration per platform
+ */
+
+const MerchantIntegrationModel = require('../models/merchantIntegration.model');
+const { withStorage } = require('../config/database');
+
+// In-memory storage for development (when DB is not available)
+let inMemoryIntegrations = [];
+
+const isActive = (integration) => Number(integration.is_active) === 1;
+
+/**
+ * Build the stored form of an integration (in-memory storage)
+ */
+const toRecord = (data) => ({
+  merchant_id: data.merchant_id,
+  platform: data.platform.toLowerCase(),
+  store_url: data.store_url,
+  credentials: data.credentials || {},
+  settings: data.settings || {},
+  is_active: data.is_active === false ? 0 : 1
+});
+
+/**
+ * Create an integration
+ */
+const createIntegration = async (data) => {
+  return withStorage(
+    () => MerchantIntegrationModel.create(data),
+    () => {
+      const now = new Date().toISOString();
+      const integration = {
+        id: inMemoryIntegrations.length + 1,
+        ...toRecord(data),
+        created_at: now,
+        updated_at: now
+      };
+      inMemoryIntegrations.push(integration);
+      return integration;
+    }
+  );
+};
+
+/**
+ * Replace an integration
+ */
+const updateIntegration = async (id, data) => {
+  return withStorage(
+    () => MerchantIntegrationModel.update(id, data),
+    () => {
+      const integration = inMemoryIntegrations.find(i => i.id === parseInt(id));
+      if (!integration) return null;
+
+      Object.assign(integration, toRecord(data), { updated_at: new Date().toISOString() });
+      return integration;
+    }
+  );
+};
+
+/**
+ * Delete an integration
+ */
+const deleteIntegration = async (id) => {
+  return withStorage(
+    () => MerchantIntegrationModel.remove(id),
+    () => {
+      const index = inMemoryIntegrations.findIndex(i => i.id === parseInt(id));
+      if (index === -1) return false;
+      inMemoryIntegrations.splice(index, 1);
+      return true;
+    }
+  );
+};
+
+/**
+ * Get integration by ID
+ */
+const getIntegrationById = async (id) => {
+  return withStorage(
+    () => MerchantIntegrationModel.findById(id),
+    () => inMemoryIntegrations.find(i => i.id === parseInt(id)) || null
+  );
+};
+
+/**
+ * List integrations (optionally filtered by merchant_id / platform / is_active)
+ */
+const listIntegrations = async (filters = {}) => {
+  return withStorage(
+    () => MerchantIntegrationModel.findAll(filters),
+    () => inMemoryIntegrations.filter(i =>
+      (!filters.merchant_id || i.merchant_id === parseInt(filters.merchant_id)) &&
+      (!filters.platform || i.platform === filters.platform.toLowerCase()) &&
+      (filters.is_active === undefined || isActive(i) === filters.is_active)
+    )
+  );
+};
+
+/**
+ * The merchant's active integration for a platform, if any
+ */
+const getActiveIntegration = async (merchantId, platform) => {
+  if (!merchantId || !platform) return null;
+
+  const integrations = await listIntegrations({ merchant_id: merchantId, platform, is_active: true });
+  return integrations[0] || null;
+};
+
+module.exports = {
+  createIntegration,
+  updateIntegration,
+  deleteIntegration,
+  getIntegrationById,
+  listIntegrations,
+  getActiveIntegration,
+  isActive
+};
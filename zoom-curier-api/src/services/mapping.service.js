@@ -0,0 +1,140 @@
+/**
+ * Mapping Service
+ *
+ * Registry of declarative source mappings. A mapping turns any webhook
+ * payload into a normalized order without a hand-written normalizer:
+ * the definition is executed by normalizer.service (normalizeWithMapping)
+ *
+ * Mappings are registered per source name (?source=<name>) and either
+ * shared (merchant_id = null) or private to one merchant
+ */
+
+const SourceMappingModel = require('../models/sourceMapping.model');
+const { withStorage } = require('../config/database');
+
+// In-memory storage for development (when DB is not available)
+let inMemoryMappings = [];
+
+const isActive = (mapping) => Number(mapping.is_active) === 1;
+
+/**
+ * Register a new mapping
+ */
+const createMapping = async (data) => {
+  return withStorage(
+    () => SourceMappingModel.create(data),
+    () => {
+      const now = new Date().toISOString();
+      const mapping = {
+        id: inMemoryMappings.length + 1,
+        name: data.name.toLowerCase(),
+        merchant_id: data.merchant_id || null,
+        definition: data.definition,
+        is_active: data.is_active === false ? 0 : 1,
+        created_at: now,
+        updated_at: now
+      };
+      inMemoryMappings.push(mapping);
+      return mapping;
+    }
+  );
+};
+
+/**
+ * Replace an existing mapping
+ */
+const updateMapping = async (id, data) => {
+  return withStorage(
+    () => SourceMappingModel.update(id, data),
+    () => {
+      const mapping = inMemoryMappings.find(m => m.id === parseInt(id));
+      if (!mapping) return null;
+
+      Object.assign(mapping, {
+        name: data.name.toLowerCase(),
+        merchant_id: data.merchant_id || null,
+        definition: data.definition,
+        is_active: data.is_active === false ? 0 : 1,
+        updated_at: new Date().toISOString()
+      });
+      return mapping;
+    }
+  );
+};
+
+/**
+ * Delete a mapping
+ */
+const deleteMapping = async (id) => {
+  return withStorage(
+    () => SourceMappingModel.remove(id),
+    () => {
+      const index = inMemoryMappings.findIndex(m => m.id === parseInt(id));
+      if (index === -1) return false;
+      inMemoryMappings.splice(index, 1);
+      return true;
+    }
+  );
+};
+
+/**
+ * Get mapping by ID
+ */
+const getMappingById = async (id) => {
+  return withStorage(
+    () => SourceMappingModel.findById(id),
+    () => inMemoryMappings.find(m => m.id === parseInt(id)) || null
+  );
+};
+
+/**
+ * List mappings (optionally filtered by merchant_id / name)
+ */
+const listMappings = async (filters = {}) => {
+  return withStorage(
+    () => SourceMappingModel.findAll(filters),
+    () => inMemoryMappings.filter(m =>
+      (!filters.merchant_id || m.merchant_id === parseInt(filters.merchant_id)) &&
+      (!filters.name || m.name === filters.name.toLowerCase())
+    )
+  );
+};
+
+/**
+ * Resolve the mapping for a source name
+ * The merchant's own mapping wins over a shared one with the same name
+ */
+const resolveMapping = async (name, merchantId = null) => {
+  if (!name) return null;
+
+  const mappings = await withStorage(
+    () => SourceMappingModel.findActiveByName(name, merchantId),
+    () => inMemoryMappings
+      .filter(m => m.name === name.toLowerCase() && isActive(m) &&
+        (m.merchant_id === null || m.merchant_id === merchantId))
+      .sort((a, b) => (a.merchant_id === null) - (b.merchant_id === null))
+  );
+
+  return mappings[0] || null;
+};
+
+/**
+ * Get the mapping to use when a merchant's payload matches no known source:
+ * only when the merchant has exactly one active mapping of its own
+ */
+const getMerchantDefaultMapping = async (merchantId) => {
+  if (!merchantId) return null;
+
+  const mappings = (await listMappings({ merchant_id: merchantId })).filter(isActive);
+  return mappings.length === 1 ? mappings[0] : null;
+};
+
+module.exports = {
+  createMapping,
+  updateMapping,
+  deleteMapping,
+  getMappingById,
+  listMappings,
+  resolveMapping,
+  getMerchantDefaultMapping
+};
@@ -0,0 +1,119 @@
+/**
+ * Merchant Service
+ * 
+ * Business logic layer for merchant lookups (API key authentication)
+ */
+
+const MerchantModel = require('../models/merchant.model');
+const pickupLocationService = require('./pickupLocation.service');
+
+const USE_IN_MEMORY = process.env.USE_IN_MEMORY_DB === 'true';
+
+// In-memory storage for development (when DB is not available)
+// A single development merchant is available when DEV_MERCHANT_API_KEY is set
+// (the account of a partner carrier when DEV_MERCHANT_PARTNER_CARRIER_ID is set)
+let inMemoryMerchants = process.env.DEV_MERCHANT_API_KEY
+  ? [{
+      id: 1,
+      name: 'Development Merchant',
+      api_key: process.env.DEV_MERCHANT_API_KEY,
+      platform: null,
+      partner_carrier_id: parseInt(process.env.DEV_MERCHANT_PARTNER_CARRIER_ID) || null,
+      service_level_override: process.env.DEV_MERCHANT_SERVICE_LEVEL || null,
+      is_active: true
+    }]
+  : [];
+
+/**
+ * Get merchant by API key
+ */
+const getMerchantByApiKey = async (apiKey) => {
+  if (!apiKey) return null;
+  
+  if (USE_IN_MEMORY) {
+    return inMemoryMerchants.find(m => m.api_key === apiKey) || null;
+  }
+  
+  try {
+    return await MerchantModel.findByApiKey(apiKey);
+  } catch (error) {
+    console.warn(`⚠️ Database unavailable, using in-memory storage`);
+    return inMemoryMerchants.find(m => m.api_key === apiKey) || null;
+  }
+};
+
+/**
+ * Get merchant by ID
+ */
+const getMerchantById = async (merchantId) => {
+  if (USE_IN_MEMORY) {
+    return inMemoryMerchants.find(m => m.id === parseInt(merchantId)) || null;
+  }
+  
+  try {
+    return await MerchantModel.findById(merchantId);
+  } catch (error) {
+    console.warn(`⚠️ Database unavailable, using in-memory storage`);
+    return inMemoryMerchants.find(m => m.id === parseInt(merchantId)) || null;
+  }
+};
+
+/**
+ * Update a merchant's webhook subscription
+ * subscription: { webhook_url, webhook_secret, webhook_events }
+ */
+const updateWebhookSubscription = async (merchantId, subscription) => {
+  const updateInMemory = () => {
+    const merchant = inMemoryMerchants.find(m => m.id === parseInt(merchantId));
+    if (merchant) Object.assign(merchant, subscription);
+    return merchant || null;
+  };
+  
+  if (USE_IN_MEMORY) {
+    return updateInMemory();
+  }
+  
+  try {
+    return await MerchantModel.updateWebhookSubscription(merchantId, subscription);
+  } catch (error) {
+    console.warn(`⚠️ Database unavailable, using in-memory storage`);
+    return updateInMemory();
+  }
+};
+
+/**
+ * Check whether a merchant account is active
+ * MySQL returns BOOLEAN columns as 0/1
+ */
+const isMerchantActive = (merchant) => {
+  return Boolean(merchant) && Number(merchant.is_active) === 1;
+};
+
+/**
+ * Merchant settings applied while normalizing its orders
+ * Returns { serviceLevelOverride, pickupLocations, partnerCarrierId } (see normalizeOrder options)
+ */
+const getNormalizationOptions = async (merchantId) => {
+  if (!merchantId) {
+    return { serviceLevelOverride: null, pickupLocations: [], partnerCarrierId: null };
+  }
+  
+  const [merchant, pickupLocations] = await Promise.all([
+    getMerchantById(merchantId),
+    pickupLocationService.getActiveLocations(merchantId)
+  ]);
+  
+  return {
+    serviceLevelOverride: merchant?.service_level_override || null,
+    pickupLocations,
+    partnerCarrierId: merchant?.partner_carrier_id || null
+  };
+};
+
+module.exports = {
+  getMerchantByApiKey,
+  getMerchantById,
+  getNormalizationOptions,
+  updateWebhookSubscription,
+  isMerchantActive
+};
@@ -0,0 +1,381 @@
+/**
+ * Merchant Webhook Service
+ *
+ * Sends order and settlement events to the merchant's webhook_url. Merchants
+ * subscribe through /api/merchant-webhooks and choose their events; every
+ * delivery is signed with the merchant's webhook secret, stored in
+ * webhook_deliveries and retried with the same backoff as the store pushes
+ * (retryQueue.service). Merchants browse their deliveries and redeliver
+ * failed ones through the same API
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookDeliveryModel = require('../models/webhookDelivery.model');
+const { withStorage } = require('../config/database');
+const merchantService = require('./merchant.service');
+const { signRequest } = require('./signature.service');
+const { ORDER_STATUS } = require('./normalizer.service');
+const { generateTrackingLink } = require('./whatsapp.service');
+const { createRetryQueue, queueForOrder, SEND_STATUS } = require('./retryQueue.service');
+const { permanentError } = require('../adapters/helpers');
+
+// In-memory storage for development (when DB is not available)
+let inMemoryDeliveries = [];
+
+/**
+ * Events merchants can subscribe to
+ */
+const WEBHOOK_EVENTS = {
+  ORDER_CREATED: 'order.created',
+  ORDER_ASSIGNED: 'order.assigned',
+  ORDER_IN_TRANSIT: 'order.in_transit',
+  ORDER_DELIVERED: 'order.delivered',
+  ORDER_CANCELLED: 'order.cancelled',
+  SETTLEMENT_TRANSFERRED: 'settlement.transferred'
+};
+
+/**
+ * Event sent when an order moves to a status (other statuses send nothing)
+ */
+const ORDER_STATUS_EVENTS = {
+  [ORDER_STATUS.ASSIGNED]: WEBHOOK_EVENTS.ORDER_ASSIGNED,
+  [ORDER_STATUS.IN_TRANSIT]: WEBHOOK_EVENTS.ORDER_IN_TRANSIT,
+  [ORDER_STATUS.DELIVERED]: WEBHOOK_EVENTS.ORDER_DELIVERED,
+  [ORDER_STATUS.CANCELLED]: WEBHOOK_EVENTS.ORDER_CANCELLED
+};
+
+/**
+ * Delivery status (same lifecycle as the store pushes)
+ */
+const DELIVERY_STATUS = SEND_STATUS;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Store a new delivery, due immediately
+ */
+const createDelivery = async (delivery) => {
+  return withStorage(
+    () => WebhookDeliveryModel.create(delivery),
+    () => {
+      const now = new Date().toISOString();
+      const stored = {
+        ...delivery,
+        id: inMemoryDeliveries.length + 1,
+        resource_id: delivery.resource_id || null,
+        attempts: 0,
+        next_attempt_at: now,
+        http_status: null,
+        last_error: null,
+        sent_at: null,
+        created_at: now,
+        updated_at: now
+      };
+      inMemoryDeliveries.push(stored);
+      return stored;
+    }
+  );
+};
+
+/**
+ * Record the outcome of an attempt
+ * outcome: { status, http_status, error, next_attempt_at }
+ */
+const recordAttempt = async (id, outcome) => {
+  return withStorage(
+    () => WebhookDeliveryModel.recordAttempt(id, outcome),
+    () => {
+      const delivery = inMemoryDeliveries.find(d => d.id === parseInt(id));
+      if (!delivery) return null;
+
+      const now = new Date().toISOString();
+      Object.assign(delivery, {
+        status: outcome.status,
+        http_status: outcome.http_status || null,
+        last_error: outcome.error || null,
+        next_attempt_at: outcome.next_attempt_at || null,
+        attempts: delivery.attempts + 1,
+        sent_at: outcome.status === DELIVERY_STATUS.SENT ? now : delivery.sent_at,
+        updated_at: now
+      });
+      return delivery;
+    }
+  );
+};
+
+/**
+ * Get a delivery by ID (optionally only if it belongs to the merchant)
+ */
+const getDeliveryById = async (id, merchantId = null) => {
+  const delivery = await withStorage(
+    () => WebhookDeliveryModel.findById(id),
+    () => inMemoryDeliveries.find(d => d.id === parseInt(id)) || null
+  );
+
+  if (!delivery || (merchantId && delivery.merchant_id !== parseInt(merchantId))) {
+    return null;
+  }
+
+  return delivery;
+};
+
+/**
+ * List a merchant's deliveries with filters: status, event, resource_id
+ */
+const getDeliveries = async (merchantId, filters = {}, limit = 50, offset = 0) => {
+  return withStorage(
+    () => WebhookDeliveryModel.findByMerchant(merchantId, filters, limit, offset),
+    () => inMemoryDeliveries
+      .filter(d =>
+        d.merchant_id === parseInt(merchantId) &&
+        (!filters.status || d.status === filters.status) &&
+        (!filters.event || d.event === filters.event) &&
+        (!filters.resource_id || d.resource_id === filters.resource_id)
+      )
+      .reverse()
+      .slice(offset, offset + limit)
+  );
+};
+
+/**
+ * Pending deliveries whose retry time has come
+ */
+const getDueDeliveries = async (limit) => {
+  return withStorage(
+    () => WebhookDeliveryModel.findDue(limit),
+    () => {
+      const now = new Date().toISOString();
+      return inMemoryDeliveries
+        .filter(d => d.status === DELIVERY_STATUS.PENDING && d.next_attempt_at <= now)
+        .slice(0, limit);
+    }
+  );
+};
+
+/**
+ * A merchant receives an event when it has a webhook URL and secret and
+ * subscribed to the event (no event list = every event)
+ */
+const isSubscribed = (merchant, event) => {
+  if (!merchant?.webhook_url || !merchant.webhook_secret) return false;
+  return !merchant.webhook_events || merchant.webhook_events.includes(event);
+};
+
+/**
+ * POST a delivery to the merchant
+ */
+const sendDelivery = async (delivery) => {
+  const merchant = await merchantService.getMerchantById(delivery.merchant_id);
+
+  if (!merchant?.webhook_url || !merchant.webhook_secret) {
+    throw permanentError(`Merchant ${delivery.merchant_id} has no webhook subscription`);
+  }
+
+  const rawBody = JSON.stringify(delivery.payload);
+
+  const response = await axios.post(merchant.webhook_url, rawBody, {
+    timeout: REQUEST_TIMEOUT_MS,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Zoom Curier Webhooks',
+      'X-Zoom-Event': delivery.event,
+      'X-Zoom-Delivery': delivery.event_id,
+      ...signRequest(merchant.webhook_secret, rawBody)
+    }
+  });
+
+  console.log(`📤 Webhook ${delivery.id} sent to merchant ${delivery.merchant_id}: ${delivery.event} ${delivery.resource_id || ''}`);
+
+  return { http_status: response.status };
+};
+
+const queue = createRetryQueue({
+  name: 'merchant webhooks',
+  getById: getDeliveryById,
+  getDue: getDueDeliveries,
+  recordAttempt,
+  send: sendDelivery,
+  describe: (delivery) => `Webhook ${delivery.id} to merchant ${delivery.merchant_id}`
+});
+
+/**
+ * Store and send an event for a merchant, if subscribed
+ */
+const queueEvent = async (merchantId, event, resourceId, data) => {
+  const merchant = await merchantService.getMerchantById(merchantId);
+  if (!isSubscribed(merchant, event)) return null;
+
+  const eventId = `evt_${crypto.randomUUID().replace(/-/g, '')}`;
+
+  return createDelivery({
+    event_id: eventId,
+    merchant_id: merchant.id,
+    event,
+    resource_id: resourceId,
+    payload: {
+      id: eventId,
+      event,
+      created_at: new Date().toISOString(),
+      data
+    },
+    status: DELIVERY_STATUS.PENDING
+  });
+};
+
+/**
+ * Order as sent to merchants
+ */
+const toWebhookOrder = (order) => ({
+  internal_order_id: order.internal_order_id,
+  external_order_id: order.external_order_id,
+  source: order.aggregator_source,
+  status: order.status,
+  service_level: order.service_level || null,
+  recipient_name: order.recipient_name,
+  delivery_city: order.delivery_city,
+  cod_amount: parseFloat(order.cod_amount) || 0,
+  cod_currency: order.cod_currency || 'RON',
+  tracking_url: generateTrackingLink(order.internal_order_id)
+});
+
+/**
+ * Send an order event to the order's merchant (non-blocking)
+ * Events of one order are sent in the order they happened
+ */
+const sendOrderWebhookAsync = async (order, event) => {
+  try {
+    if (!order?.merchant_id) return null;
+
+    const delivery = await queueEvent(order.merchant_id, event, order.internal_order_id, { order: toWebhookOrder(order) });
+    if (!delivery) return null;
+
+    return await queueForOrder(order.internal_order_id, () => queue.attempt(delivery));
+  } catch (error) {
+    console.error(`⚠️ Merchant webhook failed (non-blocking):`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Send settlement.transferred to every merchant with orders in the
+ * settlement, each with its own orders and COD total (non-blocking)
+ *
+ * @param {object} settlement - Transferred settlement
+ * @param {Array} orders - Orders of the settlement (internal_order_id, external_order_id, merchant_id, cod_amount, cod_currency)
+ */
+const sendSettlementWebhooksAsync = async (settlement, orders) => {
+  try {
+    const ordersByMerchant = new Map();
+    orders.filter(order => order.merchant_id).forEach(order => {
+      ordersByMerchant.set(order.merchant_id, [...(ordersByMerchant.get(order.merchant_id) || []), order]);
+    });
+
+    for (const [merchantId, merchantOrders] of ordersByMerchant) {
+      const delivery = await queueEvent(merchantId, WEBHOOK_EVENTS.SETTLEMENT_TRANSFERRED, settlement.settlement_id, {
+        settlement: {
+          settlement_id: settlement.settlement_id,
+          settlement_date: settlement.settlement_date,
+          transferred_at: settlement.transferred_at,
+          transfer_reference: settlement.transfer_reference
+        },
+        total_cod_amount: merchantOrders.reduce((sum, order) => sum + (parseFloat(order.cod_amount) || 0), 0),
+        currency: merchantOrders[0].cod_currency || 'RON',
+        orders: merchantOrders.map(order => ({
+          internal_order_id: order.internal_order_id,
+          external_order_id: order.external_order_id,
+          cod_amount: parseFloat(order.cod_amount) || 0
+        }))
+      });
+
+      if (delivery) await queue.attempt(delivery);
+    }
+  } catch (error) {
+    console.error(`⚠️ Settlement webhooks failed (non-blocking):`, error.message);
+  }
+};
+
+/**
+ * Send a delivery again right away (merchant redelivery, e.g. after fixing
+ * their endpoint). A failed delivery gets one more attempt
+ */
+const redeliver = async (id, merchantId) => {
+  const delivery = await getDeliveryById(id, merchantId);
+
+  if (!delivery) {
+    return null;
+  }
+
+  if (delivery.status === DELIVERY_STATUS.SENT) {
+    const error = new Error(`Delivery ${id} was already delivered`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  console.log(`🔁 Redelivering webhook ${id} (${delivery.event}) to merchant ${delivery.merchant_id}`);
+
+  return queue.attempt(delivery);
+};
+
+/**
+ * Subscription as shown to the merchant (the secret is only shown when created)
+ */
+const toPublicSubscription = (merchant) => ({
+  webhook_url: merchant.webhook_url || null,
+  events: merchant.webhook_events || Object.values(WEBHOOK_EVENTS),
+  secret: merchant.webhook_secret ? `****${merchant.webhook_secret.slice(-4)}` : null,
+  active: Boolean(merchant.webhook_url && merchant.webhook_secret)
+});
+
+/**
+ * Subscribe (or change the subscription): URL and events
+ * A secret is created on the first subscription and when rotate_secret is set
+ *
+ * @returns {Promise<object>} - Public subscription, with the full secret when it was created
+ */
+const updateSubscription = async (merchant, { url, events, rotate_secret }) => {
+  const newSecret = !merchant.webhook_secret || rotate_secret
+    ? `whsec_${crypto.randomBytes(24).toString('hex')}`
+    : null;
+
+  const updated = await merchantService.updateWebhookSubscription(merchant.id, {
+    webhook_url: url,
+    webhook_secret: newSecret || merchant.webhook_secret,
+    webhook_events: events === undefined ? (merchant.webhook_events || null) : events
+  });
+
+  console.log(`🔔 Merchant ${merchant.id} subscribed to webhooks at ${url}${newSecret ? ' (new secret)' : ''}`);
+
+  return { ...toPublicSubscription(updated), ...(newSecret && { secret: newSecret }) };
+};
+
+/**
+ * Unsubscribe: no more events are sent
+ */
+const deleteSubscription = async (merchant) => {
+  const updated = await merchantService.updateWebhookSubscription(merchant.id, {
+    webhook_url: null,
+    webhook_secret: null,
+    webhook_events: null
+  });
+
+  console.log(`🔕 Merchant ${merchant.id} unsubscribed from webhooks`);
+
+  return toPublicSubscription(updated);
+};
+
+module.exports = {
+  sendOrderWebhookAsync,
+  sendSettlementWebhooksAsync,
+  processDueDeliveries: queue.processDue,
+  startRetryWorker: queue.startWorker,
+  redeliver,
+  getDeliveryById,
+  getDeliveries,
+  toPublicSubscription,
+  updateSubscription,
+  deleteSubscription,
+  WEBHOOK_EVENTS,
+  ORDER_STATUS_EVENTS,
+  DELIVERY_STATUS
+};
@@ -2,11 +2,15 @@
  * Universal Integrator - Normalizer Service
  * 
  * This service is responsible for normalizing incoming order data from various sources
- * (Gomag, Shopify, WooCommerce, Innoship) into a unified format that the Zoom Curier
+ * (Gomag, Shopify, WooCommerce, Innoship, eMAG, PrestaShop, OpenCart) into a unified format that the Zoom Curier
  * platform can process.
  */
 
 const { v4: uuidv4 } = require('uuid');
+const OrderValidationError = require('../errors/OrderValidationError');
+const { validateSourcePayload } = require('../validators/payload.validator');
+const { validateNormalizedOrderFields, isValidEmail } = require('../validators/order.validator');
+const { parsePhoneNumber, formatPhoneNumber, PHONE_STATUS } = require('./phone.service');
 
 /**
  * Supported source platforms
@@ -16,7 +20,12 @@ const SOURCES = {
   SHOPIFY: 'SHOPIFY',
   WOOCOMMERCE: 'WOOCOMMERCE',
   INNOSHIP: 'INNOSHIP',
-  OVERFLOW_IN: 'OVERFLOW_IN'
+  EMAG: 'EMAG',
+  PRESTASHOP: 'PRESTASHOP',
+  OPENCART: 'OPENCART',
+  OVERFLOW_IN: 'OVERFLOW_IN',
+  IMPORT: 'IMPORT', // CSV/XLSX bulk import (import.service.js)
+  DIRECT: 'DIRECT' // POST /api/orders (B2B clients, dispatchers)
 };
 
 /**
@@ -27,32 +36,59 @@ const ORDER_STATUS = {
   ASSIGNED: 'assigned',
   IN_TRANSIT: 'in_transit',
   DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  OVERFLOW_OUT: 'overflow_out' // handed to a partner carrier (outside our zone)
+};
+
+/**
+ * Order lifecycle events a source platform can send
+ */
+const ORDER_EVENTS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
   CANCELLED: 'cancelled'
 };
 
 /**
  * Normalize an order from any supported source into the unified format
  * 
- * @param {string} source - The source platform (GOMAG, SHOPIFY, WOOCOMMERCE, INNOSHIP)
+ * @param {string} source - The source platform (GOMAG, SHOPIFY, WOOCOMMERCE, INNOSHIP, EMAG, PRESTASHOP, OPENCART)
  * @param {object} payload - The raw payload from the source platform
+ * @param {object} [options] - Additional context
+ * @param {number} [options.merchantId] - Authenticated merchant that sent the order
+ * @param {boolean} [options.skipValidation] - Skip required-field validation
+ *   (cancellation payloads may only carry the order ID)
+ * @param {object} [options.mapping] - Declarative mapping for custom sources
+ *   (see mapping.service.js); used when the source is not a built-in platform
+ * @param {string} [options.serviceLevelOverride] - Merchant's fixed service level
+ * @param {Array} [options.pickupLocations] - Merchant's active pickup locations
+ * @param {number} [options.partnerCarrierId] - Partner carrier the merchant account belongs
+ *   to (Overflow IN: the order's parent carrier, whatever carrier_id the payload claims)
  * @returns {object} - The normalized order object
  */
-const normalizeOrder = (source, payload) => {
+const normalizeOrder = (source, payload, options = {}) => {
   // Initialize the standard order object with default values
   let standardOrder = {
     internal_order_id: generateInternalOrderId(),
     external_order_id: null,
-    merchant_id: null,
-    service_level: 'lite', // Default service level
+    merchant_id: options.merchantId || null,
+    service_level: null, // Requested level, otherwise set by classifyServiceLevel
+    service_level_reason: null,
     status: ORDER_STATUS.PENDING,
     pickup_address: null,
+    pickup_location_id: null, // Merchant pickup location used (see selectPickupLocation)
+    pickup_location_code: null,
     delivery_address: null,
     delivery_city: null,
     delivery_county: null,
+    delivery_sector: null, // Bucharest only (1-6)
     delivery_postal_code: null,
     delivery_country: 'RO',
+    delivery_locality_id: null,
+    address_status: null, // resolved / unresolved (see normalizeAddress)
     recipient_name: null,
     recipient_phone: null,
+    phone_status: null, // mobile / landline / unverified / invalid (see normalizePhone)
     recipient_email: null,
     is_overflow: false,
     parent_carrier_id: null,
@@ -60,6 +96,10 @@ const normalizeOrder = (source, payload) => {
     cod_amount: 0,
     cod_currency: 'RON',
     total_weight: null,
+    package_length: null, // cm - largest package of the order
+    package_width: null,
+    package_height: null,
+    items: [], // [{ sku, name, quantity, unit_weight (kg), unit_price }]
     notes: null,
     raw_payload: JSON.stringify(payload),
     created_at: new Date().toISOString(),
@@ -84,16 +124,57 @@ const normalizeOrder = (source, payload) => {
       standardOrder = normalizeInnoship(standardOrder, payload);
       break;
 
+    case SOURCES.EMAG:
+      standardOrder = normalizeEmag(standardOrder, payload);
+      break;
+
+    case SOURCES.PRESTASHOP:
+      standardOrder = normalizePrestaShop(standardOrder, payload);
+      break;
+
+    case SOURCES.OPENCART:
+      standardOrder = normalizeOpenCart(standardOrder, payload);
+      break;
+
     case SOURCES.OVERFLOW_IN:
-      standardOrder = normalizeOverflowIn(standardOrder, payload);
+      standardOrder = normalizeOverflowIn(standardOrder, payload, options.partnerCarrierId);
+      break;
+
+    case SOURCES.IMPORT:
+      // Spreadsheet rows are read through the column mapping of the import
+      standardOrder = normalizeWithMapping(standardOrder, payload, options.mapping?.definition);
+      break;
+
+    case SOURCES.DIRECT:
+      standardOrder = normalizeDirect(standardOrder, payload);
       break;
 
     default:
-      throw new Error(`Unsupported source platform: ${source}`);
+      if (!options.mapping) {
+        throw new Error(`Unsupported source platform: ${source}`);
+      }
+      standardOrder = normalizeWithMapping(standardOrder, payload, options.mapping.definition);
   }
 
-  // Validate required fields
-  validateNormalizedOrder(standardOrder);
+  // Resolve county, city, sector and postal code against the address dataset
+  standardOrder = normalizeAddress(standardOrder);
+
+  // Format the recipient phone to E.164 for the delivery country
+  standardOrder = normalizePhone(standardOrder);
+
+  // A malformed email is dropped (reported as a warning), not a reason to reject the order
+  standardOrder = normalizeEmail(standardOrder);
+
+  // lite / heavy / cargo from the request, the merchant or the package
+  standardOrder = classifyServiceLevel(standardOrder, options.serviceLevelOverride);
+
+  // Merchant pickup location when the payload has no pickup address
+  standardOrder = selectPickupLocation(standardOrder, payload, options.pickupLocations);
+
+  // Validate the payload and the normalized order
+  if (!options.skipValidation) {
+    validateNormalizedOrder(standardOrder, source, payload);
+  }
   
   return standardOrder;
 };
@@ -115,13 +196,14 @@ const generateInternalOrderId = () => {
 const normalizeGomag = (order, payload) => {
   order.external_order_id = payload.order_id?.toString() || null;
   order.recipient_name = payload.customer?.name || null;
-  order.recipient_phone = cleanPhoneNumber(payload.customer?.phone);
+  order.recipient_phone = payload.customer?.phone || null;
   order.recipient_email = payload.customer?.email || null;
   
   // Build delivery address
   const addr = payload.shipping_address || {};
   order.delivery_address = buildAddress(addr.address1, addr.address2);
   order.delivery_city = addr.city || null;
+  order.delivery_county = addr.county || addr.region || null;
   order.delivery_postal_code = addr.zip || null;
   
   // Extract COD if present
@@ -130,6 +212,19 @@ const normalizeGomag = (order, payload) => {
     order.cod_currency = payload.currency || 'RON';
   }
   
+  // Products
+  const products = payload.products || payload.items || [];
+  if (Array.isArray(products)) {
+    order.items = products.map(product => buildItem({
+      sku: product.sku || product.code,
+      name: product.name,
+      quantity: product.quantity,
+      unit_weight: product.weight,
+      unit_price: product.price
+    }));
+    order.total_weight = sumItemsWeight(order.items);
+  }
+  
   // Notes
   order.notes = payload.customer_note || payload.notes || null;
   
@@ -149,7 +244,7 @@ const normalizeShopify = (order, payload) => {
   
   // Shipping address
   const shipping = payload.shipping_address || {};
-  order.recipient_phone = cleanPhoneNumber(shipping.phone);
+  order.recipient_phone = shipping.phone || null;
   order.delivery_address = buildAddress(shipping.address1, shipping.address2);
   order.delivery_city = shipping.city || null;
   order.delivery_county = shipping.province || null;
@@ -168,6 +263,14 @@ const normalizeShopify = (order, payload) => {
     order.total_weight = payload.line_items.reduce((sum, item) => {
       return sum + ((item.grams || 0) / 1000 * (item.quantity || 1));
     }, 0);
+    
+    order.items = payload.line_items.map(item => buildItem({
+      sku: item.sku,
+      name: item.name || item.title,
+      quantity: item.quantity,
+      unit_weight: item.grams !== undefined ? item.grams / 1000 : null,
+      unit_price: item.price
+    }));
   }
   
   order.notes = payload.note || null;
@@ -186,7 +289,7 @@ const normalizeWooCommerce = (order, payload) => {
   const billing = payload.billing || {};
   
   order.recipient_name = `${shipping.first_name || billing.first_name || ''} ${shipping.last_name || billing.last_name || ''}`.trim();
-  order.recipient_phone = cleanPhoneNumber(billing.phone);
+  order.recipient_phone = billing.phone || null;
   order.recipient_email = billing.email || null;
   
   order.delivery_address = buildAddress(shipping.address_1, shipping.address_2);
@@ -206,6 +309,14 @@ const normalizeWooCommerce = (order, payload) => {
     order.total_weight = payload.line_items.reduce((sum, item) => {
       return sum + (parseFloat(item.weight) || 0) * (item.quantity || 1);
     }, 0);
+    
+    order.items = payload.line_items.map(item => buildItem({
+      sku: item.sku,
+      name: item.name,
+      quantity: item.quantity,
+      unit_weight: item.weight,
+      unit_price: item.price
+    }));
   }
   
   order.notes = payload.customer_note || null;
@@ -217,13 +328,13 @@ const normalizeWooCommerce = (order, payload) => {
  * Normalize Innoship payload
  */
 const normalizeInnoship = (order, payload) => {
-  order.external_order_id = payload.ClientOrderId || payload.ExternalOrderId || null;
+  order.external_order_id = (payload.ClientOrderId || payload.ExternalOrderId)?.toString() || null;
   order.aggregator_source = 'innoship';
   
   // Address To (recipient)
   const addressTo = payload.AddressTo?.[0] || {};
   order.recipient_name = addressTo.Name || addressTo.ContactPerson || null;
-  order.recipient_phone = cleanPhoneNumber(addressTo.Phone);
+  order.recipient_phone = addressTo.Phone || null;
   order.recipient_email = addressTo.Email || null;
   
   order.delivery_address = addressTo.AddressText || null;
@@ -236,14 +347,39 @@ const normalizeInnoship = (order, payload) => {
   const addressFrom = payload.AddressFrom?.[0] || {};
   order.pickup_address = addressFrom.AddressText || null;
   
-  // Content
-  const content = payload.Content?.[0] || {};
-  order.total_weight = content.TotalWeight || null;
+  // Content - one entry per package type, each with optional parcels
+  const contents = Array.isArray(payload.Content) ? payload.Content : [];
+  order.items = contents.flatMap(content => {
+    if (Array.isArray(content.Parcels) && content.Parcels.length > 0) {
+      return content.Parcels.map(parcel => buildItem({
+        sku: parcel.Reference1,
+        name: parcel.Description || content.Contents,
+        quantity: 1,
+        unit_weight: parcel.Size?.Weight
+      }));
+    }
+    
+    const parcelsCount = parseInt(content.ParcelsCount) || 1;
+    return [buildItem({
+      name: content.Contents,
+      quantity: parcelsCount,
+      unit_weight: content.TotalWeight ? content.TotalWeight / parcelsCount : null
+    })];
+  });
+  
+  const contentWeight = contents.reduce((sum, content) => sum + (parseFloat(content.TotalWeight) || 0), 0);
+  order.total_weight = contentWeight || null;
+  
+  // Package dimensions: the largest side of each kind across parcels
+  const parcelSizes = contents.flatMap(content => content.Parcels || []).map(parcel => parcel.Size || {});
+  order.package_length = maxDimension(parcelSizes.map(size => size.Length));
+  order.package_width = maxDimension(parcelSizes.map(size => size.Width));
+  order.package_height = maxDimension(parcelSizes.map(size => size.Height));
   
-  // Extra (COD, etc.)
+  // Extra (COD, etc.) - amounts may come as strings ("120.50")
   const extra = payload.Extra || {};
   if (extra.CashOnDeliveryAmount || extra.BankRepaymentAmount) {
-    order.cod_amount = extra.CashOnDeliveryAmount || extra.BankRepaymentAmount || 0;
+    order.cod_amount = toNumber(extra.CashOnDeliveryAmount || extra.BankRepaymentAmount, 0);
     order.cod_currency = extra.cashOnDeliveryAmountCurrency || extra.BankRepaymentCurrency || 'RON';
   }
   
@@ -252,30 +388,786 @@ const normalizeInnoship = (order, payload) => {
   return order;
 };
 
+/**
+ * eMAG Marketplace payment modes (payment_mode_id)
+ */
+const EMAG_PAYMENT_MODES = {
+  COD: 1,
+  BANK_TRANSFER: 2,
+  CARD_ONLINE: 3
+};
+
+/**
+ * eMAG Marketplace order statuses
+ */
+const EMAG_ORDER_STATUS = {
+  CANCELLED: 0,
+  NEW: 1,
+  IN_PROGRESS: 2,
+  PREPARED: 3,
+  FINALIZED: 4,
+  RETURNED: 5
+};
+
+/**
+ * Normalize eMAG Marketplace payload (order/read structure)
+ */
+const normalizeEmag = (order, payload) => {
+  order.external_order_id = payload.id?.toString() || null;
+  
+  // Customer & delivery address (shipping_* fields live on the customer)
+  const customer = payload.customer || {};
+  order.recipient_name = customer.shipping_contact || customer.name || null;
+  order.recipient_phone = customer.shipping_phone || customer.phone_1 || null;
+  order.recipient_email = customer.email || null;
+  
+  order.delivery_address = customer.shipping_street || null;
+  order.delivery_city = customer.shipping_city || null;
+  order.delivery_county = customer.shipping_suburb || null;
+  order.delivery_postal_code = customer.shipping_postal_code || null;
+  order.delivery_country = customer.shipping_country || 'RO';
+  order.delivery_locality_id = customer.shipping_locality_id?.toString() || null;
+  
+  // COD handling (cashed_cod holds the amount the courier must collect)
+  if (parseInt(payload.payment_mode_id) === EMAG_PAYMENT_MODES.COD) {
+    order.cod_amount = parseFloat(payload.cashed_cod) || 0;
+    order.cod_currency = payload.currency || 'RON';
+  }
+  
+  // Products
+  if (Array.isArray(payload.products)) {
+    order.items = payload.products.map(product => buildItem({
+      sku: product.part_number || product.ext_part_number || product.product_id,
+      name: product.name,
+      quantity: product.quantity,
+      unit_weight: product.weight,
+      unit_price: product.sale_price
+    }));
+    order.total_weight = sumItemsWeight(order.items);
+  }
+  
+  order.notes = payload.observation || null;
+  
+  return order;
+};
+
+/**
+ * Payment module names that mean cash on delivery
+ */
+const PRESTASHOP_COD_MODULES = ['ps_cashondelivery', 'cashondelivery', 'codfee', 'cod', 'ramburs'];
+const OPENCART_COD_CODES = ['cod', 'cod.cod', 'ramburs'];
+
+/**
+ * Default "Canceled" order state IDs of a fresh install
+ */
+const PRESTASHOP_CANCELLED_STATE = 6;
+const OPENCART_CANCELLED_STATUS = 7;
+
+/**
+ * Normalize PrestaShop payload
+ * Expected: { order, customer, address_delivery, carrier, currency }
+ * using the PrestaShop webservice field names
+ */
+const normalizePrestaShop = (order, payload) => {
+  const psOrder = payload.order || {};
+  const customer = payload.customer || {};
+  const address = payload.address_delivery || {};
+  const carrier = payload.carrier || {};
+  
+  order.external_order_id = psOrder.id?.toString() || null;
+  
+  order.recipient_name = `${address.firstname || customer.firstname || ''} ${address.lastname || customer.lastname || ''}`.trim();
+  order.recipient_phone = address.phone_mobile || address.phone || null;
+  order.recipient_email = customer.email || null;
+  
+  order.delivery_address = buildAddress(address.address1, address.address2);
+  order.delivery_city = address.city || null;
+  order.delivery_county = address.state || null;
+  order.delivery_postal_code = address.postcode || null;
+  order.delivery_country = address.country_iso || 'RO';
+  
+  // COD handling (payment module technical name)
+  if (isCodPayment(psOrder.module, PRESTASHOP_COD_MODULES)) {
+    order.cod_amount = parseFloat(psOrder.total_paid_tax_incl || psOrder.total_paid) || 0;
+    order.cod_currency = payload.currency?.iso_code || 'RON';
+  }
+  
+  // Order rows
+  const rows = psOrder.associations?.order_rows || [];
+  if (Array.isArray(rows)) {
+    order.items = rows.map(row => buildItem({
+      sku: row.product_reference,
+      name: row.product_name,
+      quantity: row.product_quantity,
+      unit_weight: row.product_weight,
+      unit_price: row.unit_price_tax_incl
+    }));
+    order.total_weight = sumItemsWeight(order.items);
+  }
+  
+  order.notes = buildNotes(payload.message, carrier.name);
+  
+  return order;
+};
+
+/**
+ * Normalize OpenCart payload (checkout/order getOrder() structure + products)
+ * payment_method / shipping_method are strings in OpenCart 3 and
+ * { name, code } objects in OpenCart 4
+ */
+const normalizeOpenCart = (order, payload) => {
+  order.external_order_id = payload.order_id?.toString() || null;
+  
+  order.recipient_name = `${payload.shipping_firstname || payload.firstname || ''} ${payload.shipping_lastname || payload.lastname || ''}`.trim();
+  order.recipient_phone = payload.telephone || null;
+  order.recipient_email = payload.email || null;
+  
+  order.delivery_address = buildAddress(payload.shipping_address_1, payload.shipping_address_2);
+  order.delivery_city = payload.shipping_city || null;
+  order.delivery_county = payload.shipping_zone || null;
+  order.delivery_postal_code = payload.shipping_postcode || null;
+  order.delivery_country = payload.shipping_iso_code_2 || 'RO';
+  
+  // COD handling
+  const paymentCode = payload.payment_code || payload.payment_method?.code;
+  if (isCodPayment(paymentCode, OPENCART_COD_CODES)) {
+    order.cod_amount = parseFloat(payload.total) || 0;
+    order.cod_currency = payload.currency_code || 'RON';
+  }
+  
+  // Products
+  if (Array.isArray(payload.products)) {
+    order.items = payload.products.map(product => buildItem({
+      sku: product.sku || product.model,
+      name: product.name,
+      quantity: product.quantity,
+      unit_weight: product.weight,
+      unit_price: product.price
+    }));
+    order.total_weight = sumItemsWeight(order.items);
+  }
+  
+  const shippingMethod = payload.shipping_method?.name || payload.shipping_method;
+  order.notes = buildNotes(payload.comment, typeof shippingMethod === 'string' ? shippingMethod : null);
+  
+  return order;
+};
+
+/**
+ * Transforms that a mapping can apply to a mapped field
+ */
+const MAPPING_TRANSFORMS = {
+  phone: (value) => formatPhoneNumber(value),
+  address: (value) => value?.toString().replace(/\s+/g, ' ').replace(/[\s,]+$/, '').trim() || null,
+  trim: (value) => value?.toString().trim() || null,
+  uppercase: (value) => value?.toString().toUpperCase() || null,
+  lowercase: (value) => value?.toString().toLowerCase() || null,
+  string: (value) => (value === null || value === undefined ? null : value.toString()),
+  number: (value) => {
+    // Decimal comma, as typed in Romanian spreadsheets ("120,50")
+    const text = value?.toString().trim();
+    const number = Number(/^-?\d+,\d+$/.test(text) ? text.replace(',', '.') : text);
+    // Unparseable values are kept so that validation reports them
+    return text === '' ? null : (Number.isNaN(number) ? value : number);
+  },
+  grams_to_kg: (value) => {
+    const grams = Number(value);
+    return Number.isNaN(grams) ? value : grams / 1000;
+  }
+};
+
+/**
+ * Read a value from a payload with a JSON-path style expression
+ * Supports $.a.b, $.a[0].b and $.a[*].b (returns an array)
+ */
+const getPath = (data, path) => {
+  if (!path) return undefined;
+  if (path === '$') return data;
+  
+  const tokens = path.replace(/^\$\.?/, '').match(/[^.[\]]+|\[\*\]|\[\d+\]/g) || [];
+  
+  return tokens.reduce((current, token) => {
+    if (current === null || current === undefined) return undefined;
+    
+    if (token === '[*]') {
+      return Array.isArray(current) ? current : undefined;
+    }
+    
+    const index = token.match(/^\[(\d+)\]$/);
+    if (index) {
+      return Array.isArray(current) ? current[parseInt(index[1])] : undefined;
+    }
+    
+    if (Array.isArray(current)) {
+      return current.map(entry => entry?.[token]);
+    }
+    
+    return current[token];
+  }, data);
+};
+
+/**
+ * Resolve a mapped field value
+ * spec: '$.path' | ['$.a', '$.b'] (joined with a space) |
+ *       { path | paths, join, value }
+ */
+const resolveMappedValue = (payload, spec) => {
+  if (typeof spec === 'string') {
+    return getPath(payload, spec);
+  }
+  
+  if (Array.isArray(spec)) {
+    return resolveMappedValue(payload, { paths: spec, join: ' ' });
+  }
+  
+  if (spec && typeof spec === 'object') {
+    if (spec.value !== undefined) return spec.value;
+    if (spec.path) return getPath(payload, spec.path);
+    
+    if (Array.isArray(spec.paths)) {
+      const parts = spec.paths
+        .map(path => getPath(payload, path))
+        .filter(part => part !== null && part !== undefined && part !== '');
+      return parts.length > 0 ? parts.join(spec.join ?? ' ') : null;
+    }
+  }
+  
+  return undefined;
+};
+
+/**
+ * Helper: Convert a payload value (number or numeric string) to a number
+ * Empty values become the fallback, unparseable ones are returned unchanged
+ * so that validation reports them
+ */
+const toNumber = (value, fallback) => {
+  if (value === null || value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isNaN(number) ? value : number;
+};
+
+/**
+ * Normalize a payload with a declarative mapping definition (custom sources)
+ * 
+ * definition: {
+ *   fields:     { <order field>: spec },
+ *   defaults:   { <order field>: value },
+ *   cod:        { path, in: [...], amount, currency },
+ *   items:      { path, fields: { sku, name, quantity, unit_weight, unit_price } },
+ *   transforms: { <order field>: 'phone' | 'address' | ... }
+ * }
+ */
+const normalizeWithMapping = (order, payload, definition = {}) => {
+  const { fields = {}, defaults = {}, cod, items, transforms = {} } = definition;
+  
+  Object.assign(order, defaults);
+  
+  Object.entries(fields).forEach(([field, spec]) => {
+    const value = resolveMappedValue(payload, spec);
+    if (value !== null && value !== undefined && value !== '') {
+      order[field] = typeof value === 'number' || typeof value === 'string' ? value : JSON.stringify(value);
+    }
+  });
+  
+  // COD applies when the payment field matches one of the configured values
+  // (or is truthy when no values are configured)
+  if (cod) {
+    const method = getPath(payload, cod.path);
+    const isCod = Array.isArray(cod.in)
+      ? cod.in.map(value => value.toString().toLowerCase()).includes(method?.toString().toLowerCase())
+      : Boolean(method);
+    
+    if (isCod) {
+      order.cod_amount = toNumber(getPath(payload, cod.amount), 0);
+      order.cod_currency = getPath(payload, cod.currency) || order.cod_currency;
+    }
+  }
+  
+  // Items - item field paths are relative to each item ($ = the item)
+  if (items?.path) {
+    const list = getPath(payload, items.path);
+    if (Array.isArray(list)) {
+      const itemFields = items.fields || {};
+      order.items = list.map(entry => buildItem({
+        sku: resolveMappedValue(entry, itemFields.sku),
+        name: resolveMappedValue(entry, itemFields.name),
+        quantity: resolveMappedValue(entry, itemFields.quantity),
+        unit_weight: resolveMappedValue(entry, itemFields.unit_weight),
+        unit_price: resolveMappedValue(entry, itemFields.unit_price)
+      }));
+      
+      if (order.total_weight === null) {
+        order.total_weight = sumItemsWeight(order.items);
+      }
+    }
+  }
+  
+  Object.entries(transforms).forEach(([field, transform]) => {
+    const apply = MAPPING_TRANSFORMS[transform];
+    if (apply && order[field] !== null && order[field] !== undefined) {
+      order[field] = apply(order[field]);
+    }
+  });
+  
+  if (order.external_order_id !== null) {
+    order.external_order_id = order.external_order_id.toString();
+  }
+  // Malformed numbers are left as they are for validation to report
+  order.cod_amount = toNumber(order.cod_amount, 0);
+  order.total_weight = toNumber(order.total_weight, null);
+  ['package_length', 'package_width', 'package_height'].forEach(field => {
+    order[field] = toNumber(order[field], null);
+  });
+  
+  return order;
+};
+
 /**
  * Normalize Overflow IN payload (from partner carriers like Fan Courier, Sameday)
+ * The parent carrier is the one the sending merchant account belongs to: it
+ * receives the status callbacks, so it is never taken from the payload
  */
-const normalizeOverflowIn = (order, payload) => {
+const normalizeOverflowIn = (order, payload, partnerCarrierId = null) => {
   order.is_overflow = true;
-  order.parent_carrier_id = payload.carrier_id || null;
-  order.external_order_id = payload.awb_number || payload.shipment_id || null;
+  order.parent_carrier_id = partnerCarrierId || null;
+  order.external_order_id = (payload.awb_number || payload.shipment_id)?.toString() || null;
   
   order.recipient_name = payload.recipient_name || null;
-  order.recipient_phone = cleanPhoneNumber(payload.recipient_phone);
+  order.recipient_phone = payload.recipient_phone || null;
   order.delivery_address = payload.delivery_address || null;
   order.delivery_city = payload.delivery_city || null;
   order.delivery_county = payload.delivery_county || null;
   order.delivery_postal_code = payload.delivery_postal_code || null;
   
-  order.cod_amount = parseFloat(payload.cod_amount) || 0;
+  order.cod_amount = toNumber(payload.cod_amount, 0);
   order.cod_currency = payload.cod_currency || 'RON';
-  order.total_weight = parseFloat(payload.weight) || null;
+  order.total_weight = toNumber(payload.weight, null);
   
-  order.notes = `Overflow from carrier ID: ${payload.carrier_id}. Original AWB: ${payload.awb_number}`;
+  if (Array.isArray(payload.items)) {
+    order.items = payload.items.map(item => buildItem({
+      sku: item.sku,
+      name: item.name || item.description,
+      quantity: item.quantity,
+      unit_weight: item.weight,
+      unit_price: item.price
+    }));
+  }
+  
+  order.notes = `Overflow from carrier ID: ${order.parent_carrier_id}. Original AWB: ${payload.awb_number}`;
   
   return order;
 };
 
+/**
+ * Normalize an order created through the API (validated by order.validator.js)
+ * The pickup address is explicit, unlike platform orders that use the merchant's
+ */
+const normalizeDirect = (order, payload) => {
+  const { pickup = {}, delivery, recipient, cod } = payload;
+  
+  // Without a client reference the order is its own reference
+  order.external_order_id = payload.external_order_id || order.internal_order_id;
+  order.service_level = payload.service_level || order.service_level;
+  
+  // Either an explicit address or one of the merchant's pickup locations
+  order.pickup_address = pickup.address ? buildPickupAddress(pickup) : null;
+  order.pickup_location_code = pickup.location_code || null;
+  
+  order.delivery_address = delivery.address;
+  order.delivery_city = delivery.city || null;
+  order.delivery_county = delivery.county || null;
+  order.delivery_postal_code = delivery.postal_code || null;
+  order.delivery_country = delivery.country || 'RO';
+  order.delivery_locality_id = delivery.locality_id || null;
+  
+  order.recipient_name = recipient.name;
+  order.recipient_phone = recipient.phone || null;
+  order.recipient_email = recipient.email || null;
+  
+  if (cod) {
+    order.cod_amount = parseFloat(cod.amount) || 0;
+    order.cod_currency = cod.currency || 'RON';
+  }
+  
+  if (Array.isArray(payload.items)) {
+    order.items = payload.items.map(buildItem);
+  }
+  order.total_weight = payload.total_weight || sumItemsWeight(order.items);
+  
+  if (payload.dimensions) {
+    order.package_length = payload.dimensions.length;
+    order.package_width = payload.dimensions.width;
+    order.package_height = payload.dimensions.height;
+  }
+  
+  order.notes = payload.notes || null;
+  
+  return order;
+};
+
+/**
+ * Service level classification
+ *
+ * lite (scooter) / heavy (car) / cargo (van), in order of precedence:
+ * 1. the level requested in the order (direct orders, mapped or imported column)
+ * 2. the merchant's service_level_override (e.g. a furniture store: cargo)
+ * 3. the package: actual weight, volumetric weight (L×W×H / divisor) and
+ *    longest side against configurable thresholds
+ * The reason is stored in service_level_reason
+ */
+const SERVICE_LEVEL_THRESHOLDS = {
+  cargo: {
+    weight: parseFloat(process.env.SERVICE_LEVEL_CARGO_KG) || 30,
+    length: parseFloat(process.env.SERVICE_LEVEL_CARGO_CM) || 120
+  },
+  heavy: {
+    weight: parseFloat(process.env.SERVICE_LEVEL_HEAVY_KG) || 10,
+    length: parseFloat(process.env.SERVICE_LEVEL_HEAVY_CM) || 60
+  },
+  volumetricDivisor: parseFloat(process.env.VOLUMETRIC_DIVISOR) || 5000
+};
+
+const SERVICE_LEVEL_RANK = { lite: 0, heavy: 1, cargo: 2 };
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Classify an order from its weight and package dimensions
+ * Returns { level, reason }
+ */
+const classifyPackage = (order) => {
+  const weight = order.total_weight > 0 ? order.total_weight : null;
+  const dimensions = [order.package_length, order.package_width, order.package_height].filter(side => side > 0);
+  const longestSide = dimensions.length > 0 ? Math.max(...dimensions) : null;
+  const volumetricWeight = dimensions.length === 3
+    ? dimensions.reduce((volume, side) => volume * side, 1) / SERVICE_LEVEL_THRESHOLDS.volumetricDivisor
+    : null;
+  
+  for (const level of ['cargo', 'heavy']) {
+    const threshold = SERVICE_LEVEL_THRESHOLDS[level];
+    
+    if (weight !== null && weight >= threshold.weight) {
+      return { level, reason: `Weight ${round(weight)} kg ≥ ${threshold.weight} kg` };
+    }
+    if (volumetricWeight !== null && volumetricWeight >= threshold.weight) {
+      return { level, reason: `Volumetric weight ${round(volumetricWeight)} kg (${dimensions.join('×')} cm) ≥ ${threshold.weight} kg` };
+    }
+    if (longestSide !== null && longestSide >= threshold.length) {
+      return { level, reason: `Longest side ${longestSide} cm ≥ ${threshold.length} cm` };
+    }
+  }
+  
+  if (weight === null && longestSide === null) {
+    return { level: 'lite', reason: 'No weight or dimensions - default' };
+  }
+  
+  const { heavy } = SERVICE_LEVEL_THRESHOLDS;
+  return { level: 'lite', reason: `Below ${heavy.weight} kg and ${heavy.length} cm` };
+};
+
+/**
+ * Set service_level and service_level_reason on a normalized order
+ */
+const classifyServiceLevel = (order, override = null) => {
+  if (order.service_level) {
+    order.service_level_reason = 'Requested in the order';
+  } else if (override) {
+    order.service_level = override;
+    order.service_level_reason = 'Merchant override';
+  } else {
+    const { level, reason } = classifyPackage(order);
+    order.service_level = level;
+    order.service_level_reason = reason;
+  }
+  
+  return order;
+};
+
+/**
+ * Pickup location selection
+ *
+ * Orders without a pickup address in the payload are collected from one
+ * of the merchant's pickup locations (pickupLocation.service.js):
+ * 1. the location named in the order (pickup_location_code - direct
+ *    orders, mapped field)
+ * 2. the first location with a matching rule - a payload path
+ *    ({ path: '$.warehouse', equals: 'cluj' }) or a normalized field
+ *    ({ field: 'delivery_county', in: ['CJ', 'BH'] })
+ * 3. the merchant's default location (or its only one)
+ */
+const matchesPickupRule = (rule, order, payload) => {
+  const value = rule.path ? getPath(payload, rule.path) : order[rule.field];
+  if (value === null || value === undefined) return false;
+  
+  const candidates = rule.in || [rule.equals];
+  return candidates.some(candidate => candidate.toString().toLowerCase() === value.toString().toLowerCase());
+};
+
+const selectPickupLocation = (order, payload, locations = []) => {
+  if (order.pickup_address || locations.length === 0) {
+    return order;
+  }
+  
+  const code = order.pickup_location_code?.toString().toLowerCase();
+  const location = code
+    ? locations.find(l => l.code.toLowerCase() === code)
+    : locations.find(l => (l.rules || []).some(rule => matchesPickupRule(rule, order, payload))) ||
+      locations.find(l => Number(l.is_default) === 1) ||
+      (locations.length === 1 ? locations[0] : null);
+  
+  if (location) {
+    order.pickup_location_id = location.id;
+    order.pickup_address = `${location.name}: ${buildPickupAddress(location)}`;
+  }
+  
+  return order;
+};
+
+/**
+ * Address normalization (Romania)
+ *
+ * Platforms fill city / county / postal code inconsistently ("Bucuresti",
+ * "București", "Sector 3", "B", "Ilfov", county in the city field...).
+ * This stage, run on every normalized order, resolves them against the
+ * bundled dataset (src/data/romania-addresses.json):
+ * - delivery_county → canonical county code (CJ, IF, B...)
+ * - delivery_city → canonical locality name, delivery_sector for Bucharest
+ * - missing county / sector / postal code inferred where the data allows it
+ * - address_status: 'resolved' or 'unresolved' (county unknown, fields
+ *   contradicting each other, Bucharest address without a sector)
+ *
+ * The locality list covers county seats and the larger towns; other
+ * localities are kept as sent and resolved through their county
+ */
+const ADDRESS_DATA = require('../data/romania-addresses.json');
+
+const ADDRESS_STATUS = {
+  RESOLVED: 'resolved',
+  UNRESOLVED: 'unresolved'
+};
+
+const BUCHAREST = 'B';
+
+// Administrative prefixes ignored when matching names
+const COUNTY_PREFIX = /^(judetul|judet|jud)\s+/;
+const LOCALITY_PREFIX = /^(municipiul|mun|orasul|oras|comuna|com|satul|sat)\s+/;
+const SECTOR_PATTERN = /\b(?:sectorul|sector|sect)\s*([1-6])\b/;
+
+/**
+ * Helper: Lowercase, strip diacritics (both ș/ş forms) and punctuation
+ */
+const foldText = (value) => {
+  if (value === null || value === undefined) return '';
+  
+  return value.toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+const COUNTIES_BY_ALIAS = new Map();
+const COUNTIES_BY_CODE = new Map();
+const COUNTIES_BY_POSTAL_PREFIX = new Map();
+ADDRESS_DATA.counties.forEach(county => {
+  COUNTIES_BY_CODE.set(county.code, county);
+  [county.code, county.name, ...(county.aliases || [])].forEach(alias => {
+    COUNTIES_BY_ALIAS.set(foldText(alias), county);
+  });
+  county.postal_prefixes.forEach(prefix => COUNTIES_BY_POSTAL_PREFIX.set(prefix, county));
+});
+
+/**
+ * Helper: County name for a canonical county code ("CJ" -> "Cluj"); other values are returned as given
+ */
+const getCountyName = (county) => COUNTIES_BY_CODE.get(county)?.name || county || null;
+
+// Locality names repeat across counties, so every alias maps to a list
+const LOCALITIES_BY_ALIAS = new Map();
+ADDRESS_DATA.localities.forEach(locality => {
+  new Set([locality.name, ...(locality.aliases || [])].map(foldText)).forEach(key => {
+    LOCALITIES_BY_ALIAS.set(key, [...(LOCALITIES_BY_ALIAS.get(key) || []), locality]);
+  });
+});
+
+const SECTORS_BY_POSTAL_PREFIX = new Map(
+  Object.entries(ADDRESS_DATA.bucharest_sectors).map(([sector, prefix]) => [prefix, parseInt(sector)])
+);
+
+/**
+ * Helper: Find the Bucharest sector mentioned in a text ("Sector 3", "sect. 3")
+ */
+const findSector = (text) => {
+  const match = foldText(text).match(SECTOR_PATTERN);
+  return match ? parseInt(match[1]) : null;
+};
+
+const withoutSector = (text) => foldText(text).replace(SECTOR_PATTERN, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Helper: Find a county by code, name or alias ("Sector 3" alone means Bucharest)
+ */
+const lookupCounty = (text) => {
+  const key = withoutSector(text).replace(COUNTY_PREFIX, '');
+  if (!key) return findSector(text) ? COUNTIES_BY_CODE.get(BUCHAREST) : null;
+  
+  return COUNTIES_BY_ALIAS.get(key) || null;
+};
+
+/**
+ * Helper: Find a locality, using the county to pick between homonyms
+ */
+const lookupLocality = (text, countyCode) => {
+  const key = withoutSector(text).replace(LOCALITY_PREFIX, '');
+  const candidates = LOCALITIES_BY_ALIAS.get(key) || [];
+  
+  if (countyCode) {
+    return candidates.find(locality => locality.county === countyCode) || candidates[0] || null;
+  }
+  return candidates.length === 1 ? candidates[0] : null;
+};
+
+/**
+ * Resolve the delivery address of a normalized order
+ * Returns { fields, status, issues: [{ field, message }] }
+ */
+const resolveAddress = (order) => {
+  const issues = [];
+  const issue = (field, message) => issues.push({ field, message });
+  
+  const cityText = order.delivery_city;
+  const countyText = order.delivery_county;
+  
+  // Postal code: six digits, spaces tolerated ("010 101")
+  const compactPostal = order.delivery_postal_code?.toString().replace(/\s+/g, '') || null;
+  const postalCode = /^\d{6}$/.test(compactPostal) ? compactPostal : null;
+  if (compactPostal && !postalCode) {
+    issue('delivery_postal_code', `Postal code "${order.delivery_postal_code}" is not a 6-digit Romanian postal code`);
+  }
+  
+  const postalCounty = postalCode ? COUNTIES_BY_POSTAL_PREFIX.get(postalCode.slice(0, 2)) || null : null;
+  if (postalCode && !postalCounty) {
+    issue('delivery_postal_code', `Postal code ${postalCode} does not belong to any county`);
+  }
+  
+  let county = lookupCounty(countyText);
+  if (countyText && !county) {
+    issue('delivery_county', `Unknown county "${countyText}"`);
+  }
+  
+  const sector = findSector(cityText) || findSector(countyText) || findSector(order.delivery_address);
+  let locality = lookupLocality(cityText, county?.code);
+  let conflict = false;
+  
+  // A county in the city field: "B" / "Sector 3" is Bucharest, "Ilfov" leaves the locality unknown
+  const cityCounty = locality ? null : lookupCounty(cityText);
+  if (cityCounty?.code === BUCHAREST) {
+    locality = lookupLocality('București');
+  } else if (cityCounty) {
+    conflict = true;
+    county = county || cityCounty;
+    issue('delivery_city', `"${cityText}" is a county, not a locality`);
+  }
+  
+  if (locality && county && locality.county !== county.code) {
+    conflict = true;
+    issue('delivery_county', `${locality.name} is not in county ${county.name}`);
+  }
+  
+  county = county || (locality && COUNTIES_BY_CODE.get(locality.county)) || postalCounty;
+  
+  if (postalCounty && county && postalCounty.code !== county.code) {
+    conflict = true;
+    issue('delivery_postal_code', `Postal code ${postalCode} belongs to ${postalCounty.name}, not ${county.name}`);
+  }
+  
+  let deliverySector = null;
+  if (county?.code === BUCHAREST) {
+    const postalSector = postalCode ? SECTORS_BY_POSTAL_PREFIX.get(postalCode.slice(0, 2)) : null;
+    deliverySector = sector || postalSector || null;
+    
+    if (sector && postalSector && sector !== postalSector) {
+      conflict = true;
+      issue('delivery_sector', `Address says sector ${sector}, postal code ${postalCode} is in sector ${postalSector}`);
+    }
+    if (!deliverySector) {
+      issue('delivery_sector', 'Bucharest address without a sector or postal code');
+    }
+    if (!locality) {
+      locality = lookupLocality('București');
+    }
+  }
+  
+  if (!county) {
+    issue('delivery_county', 'County could not be determined from the city, county or postal code');
+  }
+  
+  const unresolved = !county || conflict || (county.code === BUCHAREST && !deliverySector);
+  
+  return {
+    fields: {
+      delivery_city: locality ? locality.name : cityText,
+      delivery_county: county ? county.code : countyText,
+      delivery_sector: deliverySector,
+      delivery_postal_code: postalCode || locality?.postal_code || order.delivery_postal_code || null
+    },
+    status: unresolved ? ADDRESS_STATUS.UNRESOLVED : ADDRESS_STATUS.RESOLVED,
+    issues
+  };
+};
+
+/**
+ * Apply address resolution to a normalized order
+ * Orders outside Romania and orders without any address (cancellations)
+ * are left untouched
+ */
+const normalizeAddress = (order) => {
+  const hasAddress = order.delivery_city || order.delivery_county || order.delivery_postal_code;
+  if (!hasAddress || (order.delivery_country || 'RO').toUpperCase() !== 'RO') {
+    return order;
+  }
+  
+  const { fields, status, issues } = resolveAddress(order);
+  
+  Object.assign(order, fields);
+  order.address_status = status;
+  order.address_issues = issues;
+  
+  return order;
+};
+
+/**
+ * Format the recipient phone (E.164) and record the validation result
+ * National numbers are read with the rules of the delivery country
+ */
+const normalizePhone = (order) => {
+  const parsed = parsePhoneNumber(order.recipient_phone, order.delivery_country);
+  if (!parsed) return order;
+  
+  order.recipient_phone = formatPhoneNumber(order.recipient_phone, order.delivery_country);
+  order.phone_status = parsed.status;
+  
+  return order;
+};
+
+/**
+ * Trim the recipient email and drop it when it is malformed
+ * The dropped value is kept in invalid_recipient_email for getOrderWarnings
+ */
+const normalizeEmail = (order) => {
+  const email = order.recipient_email ? order.recipient_email.toString().trim() : null;
+  
+  if (email && !isValidEmail(email)) {
+    order.invalid_recipient_email = email;
+    order.recipient_email = null;
+    return order;
+  }
+  
+  order.recipient_email = email || null;
+  return order;
+};
+
 /**
  * Helper: Build address string from multiple parts
  */
@@ -285,62 +1177,261 @@ const buildAddress = (address1, address2) => {
 };
 
 /**
- * Helper: Clean and format phone number
+ * Helper: Pickup address with its contact, e.g. "Str. Fabricii 2, 400000 Cluj-Napoca (Depozit +40264123456)"
  */
-const cleanPhoneNumber = (phone) => {
-  if (!phone) return null;
+const buildPickupAddress = ({ address, postal_code, city, contact_name, contact_phone }) => {
+  const contact = [contact_name, formatPhoneNumber(contact_phone)].filter(Boolean).join(' ');
+  return [
+    buildAddress(address, [postal_code, city].filter(Boolean).join(' ')),
+    contact ? `(${contact})` : null
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * Helper: Check a payment module/code against a list of COD identifiers
+ */
+const isCodPayment = (paymentModule, codModules) => {
+  if (!paymentModule) return false;
+  return codModules.includes(paymentModule.toString().toLowerCase());
+};
+
+/**
+ * Helper: Combine the customer message with the shop's carrier name
+ */
+const buildNotes = (message, carrierName) => {
+  const parts = [message, carrierName ? `Transport: ${carrierName}` : null].filter(Boolean);
+  return parts.length > 0 ? parts.join(' | ') : null;
+};
+
+/**
+ * Helper: Build a normalized order item
+ * Weights are in kg, prices in the order currency
+ */
+const buildItem = ({ sku, name, quantity, unit_weight, unit_price }) => {
+  const weight = parseFloat(unit_weight);
+  const price = parseFloat(unit_price);
   
-  // Remove all non-numeric characters except +
-  let cleaned = phone.replace(/[^\d+]/g, '');
+  return {
+    sku: sku ? sku.toString() : null,
+    name: name || null,
+    quantity: parseInt(quantity) || 1,
+    unit_weight: Number.isNaN(weight) ? null : weight,
+    unit_price: Number.isNaN(price) ? null : price
+  };
+};
+
+/**
+ * Helper: Largest of a list of dimensions (null when none is set)
+ */
+const maxDimension = (values) => {
+  const sizes = values.map(value => parseFloat(value)).filter(value => value > 0);
+  return sizes.length > 0 ? Math.max(...sizes) : null;
+};
+
+/**
+ * Helper: Sum item weights (null when no item has a weight)
+ */
+const sumItemsWeight = (items) => {
+  const weighted = items.filter(item => item.unit_weight !== null);
+  if (weighted.length === 0) return null;
   
-  // Ensure Romanian numbers have proper format
-  if (cleaned.startsWith('0') && cleaned.length === 10) {
-    cleaned = '+40' + cleaned.slice(1);
-  } else if (cleaned.startsWith('40') && cleaned.length === 11) {
-    cleaned = '+' + cleaned;
+  return weighted.reduce((sum, item) => sum + item.unit_weight * item.quantity, 0);
+};
+
+/**
+ * Collect every validation error of a normalized order and of the
+ * source payload it came from
+ * Returns [{ location: 'payload' | 'order', field, message }]
+ */
+const getValidationErrors = (order, source = null, payload = null) => {
+  return [
+    ...validateSourcePayload(source, payload),
+    ...validateNormalizedOrderFields(order)
+  ];
+};
+
+/**
+ * Validate a normalized order (and its source payload)
+ * Throws an OrderValidationError listing every failing field
+ */
+const validateNormalizedOrder = (order, source = null, payload = null) => {
+  const errors = getValidationErrors(order, source, payload);
+  
+  if (errors.length > 0) {
+    throw new OrderValidationError(errors);
   }
   
-  return cleaned;
+  return true;
 };
 
 /**
- * Validate that all required fields are present in the normalized order
+ * Collect problems that don't block an order but usually mean the
+ * integration is reading the wrong fields
+ * Returns [{ field, message }]
  */
-const validateNormalizedOrder = (order) => {
-  const requiredFields = ['external_order_id', 'recipient_name', 'delivery_address'];
-  const missingFields = requiredFields.filter(field => !order[field]);
+const getOrderWarnings = (order) => {
+  const warnings = [];
+  const warn = (field, message) => warnings.push({ field, message });
   
-  if (missingFields.length > 0) {
-    throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
+  if (order.phone_status === PHONE_STATUS.INVALID) {
+    warn('recipient_phone', `Phone number "${order.recipient_phone}" is not a valid number for ${order.delivery_country || 'RO'}`);
+  } else if (order.phone_status === PHONE_STATUS.LANDLINE) {
+    warn('recipient_phone', `Phone number ${order.recipient_phone} is a landline - no WhatsApp notifications`);
   }
   
-  return true;
+  if (!order.pickup_address) {
+    warn('pickup_address', order.pickup_location_code
+      ? `Unknown pickup location "${order.pickup_location_code}"`
+      : 'No pickup address - the payload has none and the merchant has no pickup location');
+  }
+  if (order.invalid_recipient_email) {
+    warn('recipient_email', `Email "${order.invalid_recipient_email}" is not a valid address - the order is kept without it`);
+  }
+  
+  if (!order.delivery_city) warn('delivery_city', 'No delivery city');
+  if (!order.delivery_postal_code) warn('delivery_postal_code', 'No postal code');
+  (order.address_issues || []).forEach(({ field, message }) => warn(field, message));
+  if (order.total_weight === null) warn('total_weight', 'No weight - neither the order nor its items have one');
+  
+  const suggested = classifyPackage(order);
+  if (SERVICE_LEVEL_RANK[suggested.level] > (SERVICE_LEVEL_RANK[order.service_level] ?? 0)) {
+    warn('service_level', `${order.service_level} was set, but the package needs ${suggested.level}: ${suggested.reason}`);
+  }
+  if (order.items.length === 0) warn('items', 'No items - package contents are unknown');
+  
+  return warnings;
+};
+
+/**
+ * Source detection rules, checked in order
+ * Headers first (most reliable), then payload structure
+ */
+const SOURCE_DETECTION_RULES = [
+  { source: SOURCES.SHOPIFY, rule: 'header X-Shopify-Topic', test: (p, h) => Boolean(h['x-shopify-topic']) },
+  { source: SOURCES.WOOCOMMERCE, rule: 'header X-WC-Webhook-Topic', test: (p, h) => Boolean(h['x-wc-webhook-topic']) },
+  { source: SOURCES.GOMAG, rule: 'header X-Gomag-Webhook', test: (p, h) => Boolean(h['x-gomag-webhook']) },
+  { source: SOURCES.INNOSHIP, rule: 'header X-Innoship-Signature', test: (p, h) => Boolean(h['x-innoship-signature']) },
+  
+  { source: SOURCES.SHOPIFY, rule: 'payload has line_items and shipping_address.province_code', test: (p) => Boolean(p.line_items && p.shipping_address?.province_code) },
+  { source: SOURCES.WOOCOMMERCE, rule: 'payload has billing, shipping and line_items', test: (p) => Boolean(p.billing && p.shipping && p.line_items) },
+  { source: SOURCES.INNOSHIP, rule: 'payload has AddressTo, AddressFrom and Content', test: (p) => Boolean(p.AddressTo && p.AddressFrom && p.Content) },
+  { source: SOURCES.EMAG, rule: 'payload has customer.shipping_locality_id and payment_mode_id', test: (p) => p.customer?.shipping_locality_id !== undefined && p.payment_mode_id !== undefined },
+  { source: SOURCES.PRESTASHOP, rule: 'payload has order and address_delivery', test: (p) => Boolean(p.order && p.address_delivery) },
+  { source: SOURCES.OPENCART, rule: 'payload has order_id and shipping_address_1', test: (p) => p.order_id !== undefined && p.shipping_address_1 !== undefined },
+  { source: SOURCES.GOMAG, rule: 'payload has customer and shipping_address but no billing', test: (p) => Boolean(p.customer && p.shipping_address && !p.billing) },
+  { source: SOURCES.OVERFLOW_IN, rule: 'payload has awb_number and carrier_id', test: (p) => Boolean(p.awb_number && p.carrier_id) }
+];
+
+/**
+ * Detect the source platform and report the rule that matched
+ * Returns { source, rule } - both null (plus the rules tried) when nothing matched
+ */
+const explainSourceDetection = (payload, headers = {}) => {
+  const match = SOURCE_DETECTION_RULES.find(({ test }) => test(payload || {}, headers));
+  
+  if (!match) {
+    return {
+      source: null,
+      rule: null,
+      rules_checked: SOURCE_DETECTION_RULES.map(({ source, rule }) => `${source}: ${rule}`)
+    };
+  }
+  
+  return { source: match.source, rule: match.rule };
 };
 
 /**
  * Detect the source platform from the payload structure
  */
 const detectSource = (payload, headers = {}) => {
-  // Check headers first (most reliable)
-  if (headers['x-shopify-topic']) return SOURCES.SHOPIFY;
-  if (headers['x-wc-webhook-topic']) return SOURCES.WOOCOMMERCE;
-  if (headers['x-gomag-webhook']) return SOURCES.GOMAG;
-  if (headers['x-innoship-signature']) return SOURCES.INNOSHIP;
-  
-  // Fallback to payload structure detection
-  if (payload.line_items && payload.shipping_address?.province_code) return SOURCES.SHOPIFY;
-  if (payload.billing && payload.shipping && payload.line_items) return SOURCES.WOOCOMMERCE;
-  if (payload.AddressTo && payload.AddressFrom && payload.Content) return SOURCES.INNOSHIP;
-  if (payload.customer && payload.shipping_address && !payload.billing) return SOURCES.GOMAG;
-  if (payload.awb_number && payload.carrier_id) return SOURCES.OVERFLOW_IN;
+  return explainSourceDetection(payload, headers).source;
+};
+
+/**
+ * Resolve which lifecycle event a webhook represents, based on the
+ * platform topic header and payload status
+ * 
+ * Returns null for topics that should be acknowledged without processing
+ * Sources without topics always send new orders (CREATED), unless their
+ * mapping defines a cancel rule: { path, in: [...] }
+ */
+const resolveOrderEvent = (source, headers = {}, payload = {}, mapping = null) => {
+  // Custom sources declare their cancellation rule in the mapping
+  const cancelRule = mapping?.definition?.cancel;
+  if (cancelRule) {
+    const value = getPath(payload, cancelRule.path);
+    const cancelledValues = (cancelRule.in || []).map(v => v.toString().toLowerCase());
+    return cancelledValues.includes(value?.toString().toLowerCase())
+      ? ORDER_EVENTS.CANCELLED
+      : ORDER_EVENTS.CREATED;
+  }
   
+  switch (source) {
+    case SOURCES.SHOPIFY: {
+      const topic = headers['x-shopify-topic'] || 'orders/create';
+      
+      if (topic === 'orders/create') return ORDER_EVENTS.CREATED;
+      if (topic === 'orders/cancelled') return ORDER_EVENTS.CANCELLED;
+      if (topic === 'orders/updated') {
+        return payload.cancelled_at ? ORDER_EVENTS.CANCELLED : ORDER_EVENTS.UPDATED;
+      }
+      return null;
+    }
+    
+    case SOURCES.WOOCOMMERCE: {
+      const topic = headers['x-wc-webhook-topic'] || 'order.created';
+      
+      if (topic === 'order.created') return ORDER_EVENTS.CREATED;
+      if (topic === 'order.deleted') return ORDER_EVENTS.CANCELLED;
+      if (topic === 'order.updated') {
+        return payload.status === 'cancelled' ? ORDER_EVENTS.CANCELLED : ORDER_EVENTS.UPDATED;
+      }
+      return null;
+    }
+    
+    case SOURCES.EMAG:
+      return parseInt(payload.status) === EMAG_ORDER_STATUS.CANCELLED
+        ? ORDER_EVENTS.CANCELLED
+        : ORDER_EVENTS.CREATED;
+    
+    case SOURCES.PRESTASHOP:
+      return parseInt(payload.order?.current_state) === PRESTASHOP_CANCELLED_STATE
+        ? ORDER_EVENTS.CANCELLED
+        : ORDER_EVENTS.CREATED;
+    
+    case SOURCES.OPENCART:
+      return parseInt(payload.order_status_id) === OPENCART_CANCELLED_STATUS
+        ? ORDER_EVENTS.CANCELLED
+        : ORDER_EVENTS.CREATED;
+    
+    default:
+      return ORDER_EVENTS.CREATED;
+  }
+};
+
+/**
+ * Get the topic header a source platform sent (for logging)
+ */
+const getWebhookTopic = (source, headers = {}) => {
+  if (source === SOURCES.SHOPIFY) return headers['x-shopify-topic'] || null;
+  if (source === SOURCES.WOOCOMMERCE) return headers['x-wc-webhook-topic'] || null;
   return null;
 };
 
 module.exports = {
   normalizeOrder,
   detectSource,
+  explainSourceDetection,
+  getValidationErrors,
+  getOrderWarnings,
+  resolveOrderEvent,
+  getWebhookTopic,
   generateInternalOrderId,
+  getCountyName,
   SOURCES,
-  ORDER_STATUS
+  ORDER_STATUS,
+  ORDER_EVENTS,
+  ADDRESS_STATUS,
+  SERVICE_LEVEL_THRESHOLDS,
+  MAPPING_TRANSFORMS
 };
@@ -6,19 +6,50 @@
  */
 
 const OrderModel = require('../models/order.model');
+const OrderRevisionModel = require('../models/orderRevision.model');
+const OrderItemModel = require('../models/orderItem.model');
+const { ORDER_STATUS, SOURCES } = require('./normalizer.service');
+const OrderStatusHistoryModel = require('../models/orderStatusHistory.model');
+const { assertTransition, getAllowedTransitions } = require('./orderStateMachine.service');
+const InvalidTransitionError = require('../errors/InvalidTransitionError');
 
 // In-memory storage for development (when DB is not available)
 let inMemoryOrders = [];
+let inMemoryRevisions = [];
+let inMemoryStatusHistory = [];
 const USE_IN_MEMORY = process.env.USE_IN_MEMORY_DB === 'true';
 
+/**
+ * Who made a status change (source platforms are recorded as source:<platform>)
+ */
+const STATUS_ACTORS = {
+  DISPATCH: 'dispatch',
+  DRIVER: 'driver',
+  SYSTEM: 'system'
+};
+
+/**
+ * Actor recorded for changes made by a source platform (source:shopify, source:direct ...)
+ */
+const sourceActor = (source) => `source:${String(source || 'unknown').toLowerCase()}`;
+
+/**
+ * In-memory order, only while it is still in the given status
+ * (the in-memory counterpart of the conditional status UPDATE)
+ */
+const findInMemoryOrderInStatus = (internalOrderId, status) =>
+  inMemoryOrders.find(o => o.internal_order_id === internalOrderId && o.status === status) || null;
+
 /**
  * Create a new order
+ * The first status history entry (no previous status) is written here
  */
 const createOrder = async (orderData) => {
   // Check for duplicate orders
   const existingOrder = await getOrderByExternalId(
     orderData.external_order_id, 
-    orderData.aggregator_source
+    orderData.aggregator_source,
+    orderData.merchant_id
   );
   
   if (existingOrder) {
@@ -34,12 +65,15 @@ const createOrder = async (orderData) => {
     };
     inMemoryOrders.push(newOrder);
     console.log(`💾 Order saved to in-memory storage: ${newOrder.internal_order_id}`);
+    await recordCreation(newOrder);
     return newOrder;
   }
   
   try {
     const savedOrder = await OrderModel.create(orderData);
     console.log(`💾 Order saved to database: ${savedOrder.internal_order_id}`);
+    await saveOrderItems(savedOrder, orderData.items);
+    await recordCreation(savedOrder);
     return savedOrder;
   } catch (error) {
     // Fallback to in-memory if DB fails
@@ -49,10 +83,31 @@ const createOrder = async (orderData) => {
       id: inMemoryOrders.length + 1
     };
     inMemoryOrders.push(newOrder);
+    await recordCreation(newOrder);
     return newOrder;
   }
 };
 
+/**
+ * Record the status an order was created with
+ */
+const recordCreation = (order) => recordStatusChange(order, null, order.status || ORDER_STATUS.PENDING, {
+  actor: sourceActor(order.aggregator_source),
+  reason: 'Order created'
+});
+
+/**
+ * Save order items (package contents)
+ * The order itself is already stored, so failures are logged, not thrown
+ */
+const saveOrderItems = async (order, items = []) => {
+  try {
+    await OrderItemModel.createMany(order, items);
+  } catch (error) {
+    console.error(`❌ Failed to save items for order ${order.internal_order_id}:`, error.message);
+  }
+};
+
 /**
  * Get orders with filters
  */
@@ -69,6 +124,9 @@ const getOrders = async (filters = {}, limit = 50, offset = 0) => {
     if (filters.is_overflow !== undefined) {
       results = results.filter(o => o.is_overflow === (filters.is_overflow === 'true'));
     }
+    if (filters.address_status) {
+      results = results.filter(o => o.address_status === filters.address_status);
+    }
     
     return results.slice(offset, offset + limit);
   }
@@ -97,121 +155,289 @@ const getOrderById = async (internalOrderId) => {
   }
 };
 
+/**
+ * Get the items (package contents) of an order
+ */
+const getOrderItems = async (internalOrderId) => {
+  const findInMemory = () => {
+    const order = inMemoryOrders.find(o => o.internal_order_id === internalOrderId);
+    return order?.items || [];
+  };
+  
+  if (USE_IN_MEMORY) {
+    return findInMemory();
+  }
+  
+  try {
+    return await OrderItemModel.findByInternalOrderId(internalOrderId);
+  } catch (error) {
+    console.warn(`⚠️ Database unavailable, using in-memory storage`);
+    return findInMemory();
+  }
+};
+
 /**
  * Get order by external ID and source
+ * When a merchant is given, only that merchant's orders are matched
+ * (external IDs are only unique within one shop)
  */
-const getOrderByExternalId = async (externalOrderId, source) => {
+const getOrderByExternalId = async (externalOrderId, source, merchantId = null) => {
+  const matches = (o) => o.external_order_id === externalOrderId && 
+    o.aggregator_source === source.toLowerCase() &&
+    (!merchantId || o.merchant_id === merchantId);
+  
   if (USE_IN_MEMORY) {
-    return inMemoryOrders.find(
-      o => o.external_order_id === externalOrderId && 
-           o.aggregator_source === source.toLowerCase()
-    ) || null;
+    return inMemoryOrders.find(matches) || null;
   }
   
   try {
-    return await OrderModel.findByExternalId(externalOrderId, source);
+    return await OrderModel.findByExternalId(externalOrderId, source, merchantId);
   } catch (error) {
     console.warn(`⚠️ Database unavailable, using in-memory storage`);
-    return inMemoryOrders.find(
-      o => o.external_order_id === externalOrderId && 
-           o.aggregator_source === source.toLowerCase()
-    ) || null;
+    return inMemoryOrders.find(matches) || null;
   }
 };
 
 /**
- * Update order status
+ * Store a status history entry
+ * History is the support timeline, so a failed write falls back to memory
+ * instead of undoing the status change
+ * 
+ * @param {object} order - Order after the change
+ * @param {string|null} fromStatus - Previous status (null when the order was created)
+ * @param {string} toStatus - New status
+ * @param {object} change - { actor, reason, metadata } (metadata: driver_id, eta_minutes, awb ...)
  */
-const updateOrderStatus = async (internalOrderId, status, notes = null) => {
+const recordStatusChange = async (order, fromStatus, toStatus, { actor = STATUS_ACTORS.SYSTEM, reason = null, metadata = null } = {}) => {
+  const details = Object.fromEntries(
+    Object.entries(metadata || {}).filter(([, value]) => value !== null && value !== undefined && value !== '')
+  );
+  
+  const entry = {
+    order_id: order.id,
+    internal_order_id: order.internal_order_id,
+    from_status: fromStatus,
+    to_status: toStatus,
+    actor,
+    reason: reason || null,
+    metadata: Object.keys(details).length > 0 ? details : null,
+    created_at: new Date().toISOString()
+  };
+  
   if (USE_IN_MEMORY) {
-    const order = inMemoryOrders.find(o => o.internal_order_id === internalOrderId);
-    if (order) {
-      order.status = status;
-      if (notes) order.notes = notes;
-    }
-    return order || null;
+    inMemoryStatusHistory.push({ ...entry, id: inMemoryStatusHistory.length + 1 });
+    return entry;
   }
   
   try {
-    return await OrderModel.updateStatus(internalOrderId, status, notes);
+    return await OrderStatusHistoryModel.create(entry);
   } catch (error) {
     console.warn(`⚠️ Database unavailable, using in-memory storage`);
-    const order = inMemoryOrders.find(o => o.internal_order_id === internalOrderId);
-    if (order) {
-      order.status = status;
-      if (notes) order.notes = notes;
-    }
-    return order || null;
+    inMemoryStatusHistory.push({ ...entry, id: inMemoryStatusHistory.length + 1 });
+    return entry;
   }
 };
 
 /**
- * Assign driver to order (generates OTP code)
+ * Get the status history of an order, oldest first
  */
-const assignDriver = async (internalOrderId, driverId) => {
+const getOrderStatusHistory = async (internalOrderId) => {
   if (USE_IN_MEMORY) {
-    const order = inMemoryOrders.find(o => o.internal_order_id === internalOrderId);
-    if (order) {
-      order.driver_id = driverId;
-      order.status = 'assigned';
-      // Generate simple OTP for in-memory mode
-      order.otp_code = Math.random().toString(36).substring(2, 8).toUpperCase();
-    }
-    return order || null;
+    return inMemoryStatusHistory.filter(h => h.internal_order_id === internalOrderId);
   }
   
   try {
-    return await OrderModel.assignDriver(internalOrderId, driverId);
+    return await OrderStatusHistoryModel.findByInternalOrderId(internalOrderId);
   } catch (error) {
     console.warn(`⚠️ Database unavailable, using in-memory storage`);
-    const order = inMemoryOrders.find(o => o.internal_order_id === internalOrderId);
+    return inMemoryStatusHistory.filter(h => h.internal_order_id === internalOrderId);
+  }
+};
+
+/**
+ * Run a status change: check it against the state machine (409 when the
+ * move is not allowed), write it and record it in the status history
+ * (with the order's driver, when it has one)
+ * 
+ * The write only applies while the order is still in the status that was
+ * checked; when another request changed it in between, nothing is written
+ * and the change is refused with 409
+ * 
+ * @param {string} internalOrderId
+ * @param {string} status - New status
+ * @param {object} fields - Fields written together with the status (checked by the guards)
+ * @param {Function} write - write(fromStatus) writes the change if the order is
+ *   still in fromStatus, returns the updated order (null when it is not)
+ * @param {object|Function} change - { actor, reason, metadata } for the history,
+ *   or a function building it from the order as stored before the change
+ * @returns {Promise<object|null>} - Updated order, null when the order does not exist
+ */
+const transitionOrder = async (internalOrderId, status, fields, write, change = {}) => {
+  const order = await getOrderById(internalOrderId);
+  
+  if (!order) {
+    return null;
+  }
+  
+  assertTransition(order, status, fields);
+  
+  // In-memory orders are changed in place, so everything about the previous state is read first
+  const fromStatus = order.status;
+  const history = typeof change === 'function' ? change(order) : change;
+  const driverId = order.driver_id;
+  
+  const updatedOrder = await write(fromStatus);
+  
+  if (!updatedOrder) {
+    const current = (await getOrderById(internalOrderId)) || order;
+    throw new InvalidTransitionError(current, status, getAllowedTransitions(current.status),
+      `Order ${internalOrderId} changed from ${fromStatus} to ${current.status} while it was being updated - nothing was changed`);
+  }
+  
+  await recordStatusChange(updatedOrder, fromStatus, status, {
+    ...history,
+    metadata: { driver_id: driverId, ...history.metadata }
+  });
+  
+  return updatedOrder;
+};
+
+/**
+ * Update order status
+ * change: { actor, reason, metadata } recorded in the status history
+ */
+const updateOrderStatus = async (internalOrderId, status, change = {}) => {
+  const updateInMemory = (fromStatus) => {
+    const order = findInMemoryOrderInStatus(internalOrderId, fromStatus);
+    if (order) order.status = status;
+    return order;
+  };
+  
+  return transitionOrder(internalOrderId, status, {}, async (fromStatus) => {
+    if (USE_IN_MEMORY) {
+      return updateInMemory(fromStatus);
+    }
+    
+    try {
+      return await OrderModel.updateStatus(internalOrderId, status, fromStatus);
+    } catch (error) {
+      console.warn(`⚠️ Database unavailable, using in-memory storage`);
+      return updateInMemory(fromStatus);
+    }
+  }, change);
+};
+
+/**
+ * Assign driver to order (generates OTP code)
+ * The driver (and the one replaced, on a driver change) is kept in the history
+ */
+const assignDriver = async (internalOrderId, driverId, change = {}) => {
+  const assignInMemory = (fromStatus) => {
+    const order = findInMemoryOrderInStatus(internalOrderId, fromStatus);
     if (order) {
       order.driver_id = driverId;
       order.status = 'assigned';
+      // Generate simple OTP for in-memory mode
       order.otp_code = Math.random().toString(36).substring(2, 8).toUpperCase();
     }
-    return order || null;
-  }
+    return order;
+  };
+  
+  return transitionOrder(internalOrderId, ORDER_STATUS.ASSIGNED, { driver_id: driverId }, async (fromStatus) => {
+    if (USE_IN_MEMORY) {
+      return assignInMemory(fromStatus);
+    }
+    
+    try {
+      return await OrderModel.assignDriver(internalOrderId, driverId, fromStatus);
+    } catch (error) {
+      console.warn(`⚠️ Database unavailable, using in-memory storage`);
+      return assignInMemory(fromStatus);
+    }
+  }, (order) => ({
+    actor: STATUS_ACTORS.DISPATCH,
+    ...change,
+    metadata: { driver_id: driverId, previous_driver_id: order.driver_id, ...change.metadata }
+  }));
 };
 
 /**
  * Cancel order
  */
-const cancelOrder = async (internalOrderId, reason = null) => {
-  if (USE_IN_MEMORY) {
-    const order = inMemoryOrders.find(o => o.internal_order_id === internalOrderId);
+const cancelOrder = async (internalOrderId, reason = null, change = {}) => {
+  const cancelInMemory = (fromStatus) => {
+    const order = findInMemoryOrderInStatus(internalOrderId, fromStatus);
+    if (order) order.status = 'cancelled';
+    return order;
+  };
+  
+  return transitionOrder(internalOrderId, ORDER_STATUS.CANCELLED, {}, async (fromStatus) => {
+    if (USE_IN_MEMORY) {
+      return cancelInMemory(fromStatus);
+    }
+    
+    try {
+      return await OrderModel.cancel(internalOrderId, fromStatus);
+    } catch (error) {
+      console.warn(`⚠️ Database unavailable, using in-memory storage`);
+      return cancelInMemory(fromStatus);
+    }
+  }, { actor: STATUS_ACTORS.DISPATCH, reason, ...change });
+};
+
+/**
+ * Update the Overflow OUT fields of an order (partner carrier, AWB, tracking)
+ * A status in the fields (hand-off, take-back) goes through the state machine
+ * and is recorded in the history
+ */
+const updateOverflowOut = async (internalOrderId, fields, change = {}) => {
+  const applyInMemory = (fromStatus) => {
+    const order = fromStatus
+      ? findInMemoryOrderInStatus(internalOrderId, fromStatus)
+      : inMemoryOrders.find(o => o.internal_order_id === internalOrderId);
     if (order) {
-      order.status = 'cancelled';
-      order.notes = `${order.notes || ''} | Cancelled: ${reason || 'No reason provided'}`;
+      OrderModel.OVERFLOW_OUT_FIELDS
+        .filter(field => field in fields)
+        .forEach(field => { order[field] = fields[field]; });
     }
     return order || null;
-  }
+  };
   
-  try {
-    return await OrderModel.cancel(internalOrderId, reason);
-  } catch (error) {
-    console.warn(`⚠️ Database unavailable, using in-memory storage`);
-    const order = inMemoryOrders.find(o => o.internal_order_id === internalOrderId);
-    if (order) {
-      order.status = 'cancelled';
-      order.notes = `${order.notes || ''} | Cancelled: ${reason || 'No reason provided'}`;
+  const write = async (fromStatus = null) => {
+    if (USE_IN_MEMORY) {
+      return applyInMemory(fromStatus);
     }
-    return order || null;
-  }
+    
+    try {
+      return await OrderModel.updateOverflowOut(internalOrderId, fields, fromStatus);
+    } catch (error) {
+      console.warn(`⚠️ Database unavailable, using in-memory storage`);
+      return applyInMemory(fromStatus);
+    }
+  };
+  
+  return fields.status
+    ? transitionOrder(internalOrderId, fields.status, fields, write, change)
+    : write();
 };
 
 /**
  * Mark order as delivered with OTP validation
  * This is the security handshake - recipient must provide correct OTP
+ * The proof of delivery (signature / photo URL), if any, is kept in the history
  */
-const markDelivered = async (internalOrderId, providedOTP) => {
-  if (USE_IN_MEMORY) {
+const markDelivered = async (internalOrderId, providedOTP, proofOfDelivery = null, change = {}) => {
+  const deliverInMemory = (fromStatus) => {
     const order = inMemoryOrders.find(o => o.internal_order_id === internalOrderId);
     
     if (!order) {
       throw new Error('Order not found');
     }
     
+    if (order.status !== fromStatus) {
+      return null;
+    }
+    
     if (!order.otp_code) {
       throw new Error('No OTP code assigned to this order');
     }
@@ -221,33 +447,227 @@ const markDelivered = async (internalOrderId, providedOTP) => {
     }
     
     order.status = 'delivered';
-    order.notes = `${order.notes || ''} | Delivered with OTP validation`;
-    console.log(`✅ Order ${internalOrderId} delivered with valid OTP (in-memory)`);
     return order;
-  }
+  };
   
-  try {
-    return await OrderModel.markDelivered(internalOrderId, providedOTP);
-  } catch (error) {
-    // Re-throw OTP validation errors
-    if (error.message.includes('OTP') || error.message.includes('Invalid') || error.message.includes('not found')) {
-      throw error;
+  const deliveredOrder = await transitionOrder(internalOrderId, ORDER_STATUS.DELIVERED, { otp_code: providedOTP }, async (fromStatus) => {
+    if (USE_IN_MEMORY) {
+      const delivered = deliverInMemory(fromStatus);
+      if (delivered) console.log(`✅ Order ${internalOrderId} delivered with valid OTP (in-memory)`);
+      return delivered;
     }
     
-    console.warn(`⚠️ Database unavailable, using in-memory storage`);
-    const order = inMemoryOrders.find(o => o.internal_order_id === internalOrderId);
-    
-    if (!order) {
-      throw new Error('Order not found');
+    try {
+      return await OrderModel.markDelivered(internalOrderId, providedOTP, fromStatus);
+    } catch (error) {
+      // Re-throw OTP validation errors
+      if (error.message.includes('OTP') || error.message.includes('Invalid') || error.message.includes('not found')) {
+        throw error;
+      }
+      
+      console.warn(`⚠️ Database unavailable, using in-memory storage`);
+      return deliverInMemory(fromStatus);
     }
+  }, {
+    actor: STATUS_ACTORS.DRIVER,
+    ...change,
+    metadata: { otp_validated: true, proof_of_delivery: proofOfDelivery, ...change.metadata }
+  });
+  
+  if (!deliveredOrder) {
+    throw new Error('Order not found');
+  }
+  
+  return deliveredOrder;
+};
+
+/**
+ * Statuses in which a source platform may still change or cancel an order
+ * Once the parcel is on the road, changes must go through dispatch
+ */
+const MODIFIABLE_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.ASSIGNED];
+
+const NUMERIC_FIELDS = ['cod_amount', 'total_weight', 'package_length', 'package_width', 'package_height'];
+
+/**
+ * Compute the field changes between a stored order and a re-normalized one
+ * Fields the update does not carry (null/undefined) are left untouched
+ * 
+ * @returns {object} - { field: { from, to } }
+ */
+const diffOrder = (existingOrder, updatedOrder) => {
+  const changes = {};
+  
+  OrderModel.UPDATABLE_FIELDS.forEach(field => {
+    const to = updatedOrder[field];
+    const from = existingOrder[field] ?? null;
     
-    if (order.otp_code?.toUpperCase() !== providedOTP.toUpperCase()) {
-      throw new Error('Invalid OTP code');
+    if (to === null || to === undefined) return;
+    
+    const isSame = NUMERIC_FIELDS.includes(field)
+      ? parseFloat(from) === parseFloat(to)
+      : String(from) === String(to);
+    
+    if (!isSame) {
+      changes[field] = { from, to };
     }
+  });
+  
+  return changes;
+};
+
+/**
+ * Store a revision (field changes applied by a source platform event)
+ */
+const recordRevision = async (order, source, event, changes) => {
+  const revision = {
+    order_id: order.id,
+    internal_order_id: order.internal_order_id,
+    source,
+    event,
+    changes,
+    created_at: new Date().toISOString()
+  };
+  
+  if (USE_IN_MEMORY) {
+    inMemoryRevisions.push({ ...revision, id: inMemoryRevisions.length + 1 });
+    return revision;
+  }
+  
+  try {
+    return await OrderRevisionModel.create(revision);
+  } catch (error) {
+    console.warn(`⚠️ Database unavailable, using in-memory storage`);
+    inMemoryRevisions.push({ ...revision, id: inMemoryRevisions.length + 1 });
+    return revision;
+  }
+};
+
+/**
+ * Get the revisions recorded for an order
+ */
+const getOrderRevisions = async (internalOrderId) => {
+  if (USE_IN_MEMORY) {
+    return inMemoryRevisions.filter(r => r.internal_order_id === internalOrderId);
+  }
+  
+  try {
+    return await OrderRevisionModel.findByInternalOrderId(internalOrderId);
+  } catch (error) {
+    console.warn(`⚠️ Database unavailable, using in-memory storage`);
+    return inMemoryRevisions.filter(r => r.internal_order_id === internalOrderId);
+  }
+};
+
+/**
+ * Apply an update sent by the source platform to an existing order
+ * 
+ * @returns {object} - { applied, locked?, reason?, order, changes }
+ */
+const applySourceUpdate = async (existingOrder, updatedOrder) => {
+  if (!MODIFIABLE_STATUSES.includes(existingOrder.status)) {
+    return {
+      applied: false,
+      locked: true,
+      reason: `Order is ${existingOrder.status} and can no longer be modified`,
+      order: existingOrder,
+      changes: {}
+    };
+  }
+  
+  const changes = diffOrder(existingOrder, updatedOrder);
+  
+  if (Object.keys(changes).length === 0) {
+    return { applied: false, reason: 'No changes', order: existingOrder, changes };
+  }
+  
+  const fields = Object.fromEntries(
+    Object.entries(changes).map(([field, change]) => [field, change.to])
+  );
+  
+  // Written only while the order is still modifiable: it may have been
+  // picked up since existingOrder was read
+  const updateInMemory = () => {
+    const order = inMemoryOrders.find(o =>
+      o.internal_order_id === existingOrder.internal_order_id && MODIFIABLE_STATUSES.includes(o.status)
+    );
+    if (order) Object.assign(order, fields);
+    return order || null;
+  };
+  
+  let order;
+  if (USE_IN_MEMORY) {
+    order = updateInMemory();
+  } else {
+    try {
+      order = await OrderModel.updateFields(existingOrder.internal_order_id, fields, MODIFIABLE_STATUSES);
+    } catch (error) {
+      console.warn(`⚠️ Database unavailable, using in-memory storage`);
+      order = updateInMemory();
+    }
+  }
+  
+  if (!order) {
+    const current = await getOrderById(existingOrder.internal_order_id);
     
-    order.status = 'delivered';
-    return order;
+    return {
+      applied: false,
+      locked: true,
+      reason: current
+        ? `Order is ${current.status} and can no longer be modified`
+        : 'Order no longer exists',
+      order: current || existingOrder,
+      changes: {}
+    };
   }
+  
+  await recordRevision(existingOrder, updatedOrder.aggregator_source, 'updated', changes);
+  console.log(`✏️ Order ${existingOrder.internal_order_id} updated from source: ${Object.keys(changes).join(', ')}`);
+  
+  return { applied: true, order, changes };
+};
+
+/**
+ * Cancel an order on request of the source platform
+ * 
+ * @returns {object} - { applied, locked?, reason?, order, changes }
+ */
+const applySourceCancellation = async (existingOrder, source, reason) => {
+  if (existingOrder.status === ORDER_STATUS.CANCELLED) {
+    return { applied: false, reason: 'Order is already cancelled', order: existingOrder, changes: {} };
+  }
+  
+  if (!MODIFIABLE_STATUSES.includes(existingOrder.status)) {
+    return {
+      applied: false,
+      locked: true,
+      reason: `Order is ${existingOrder.status} and can no longer be cancelled`,
+      order: existingOrder,
+      changes: {}
+    };
+  }
+  
+  const changes = { status: { from: existingOrder.status, to: ORDER_STATUS.CANCELLED } };
+  const order = await cancelOrder(existingOrder.internal_order_id, reason, { actor: sourceActor(source) });
+  
+  await recordRevision(existingOrder, source, 'cancelled', changes);
+  console.log(`🚫 Order ${existingOrder.internal_order_id} cancelled by source: ${reason}`);
+  
+  return { applied: true, order: order || existingOrder, changes };
+};
+
+/**
+ * Orders per source: every built-in source (0 when none), then the custom
+ * mapping sources that have orders
+ */
+const countBySource = (orders) => {
+  const counts = Object.fromEntries(Object.values(SOURCES).map(source => [source.toLowerCase(), 0]));
+  
+  orders.forEach(o => {
+    counts[o.aggregator_source] = (counts[o.aggregator_source] || 0) + 1;
+  });
+  
+  return counts;
 };
 
 /**
@@ -263,15 +683,10 @@ const getOrderStats = async () => {
       assigned: orders.filter(o => o.status === 'assigned').length,
       in_transit: orders.filter(o => o.status === 'in_transit').length,
       delivered: orders.filter(o => o.status === 'delivered').length,
-      cancelled: orders.filter(o => o.status === 'cancelled').length
-    },
-    by_source: {
-      gomag: orders.filter(o => o.aggregator_source === 'gomag').length,
-      shopify: orders.filter(o => o.aggregator_source === 'shopify').length,
-      woocommerce: orders.filter(o => o.aggregator_source === 'woocommerce').length,
-      innoship: orders.filter(o => o.aggregator_source === 'innoship').length,
-      overflow_in: orders.filter(o => o.aggregator_source === 'overflow_in').length
+      cancelled: orders.filter(o => o.status === 'cancelled').length,
+      overflow_out: orders.filter(o => o.status === 'overflow_out').length
     },
+    by_source: countBySource(orders),
     overflow_orders: orders.filter(o => o.is_overflow).length
   };
 };
@@ -280,11 +695,19 @@ module.exports = {
   createOrder,
   getOrders,
   getOrderById,
+  getOrderItems,
   getOrderByExternalId,
   updateOrderStatus,
   assignDriver,
   cancelOrder,
+  updateOverflowOut,
   markDelivered,
-  getOrderStats
+  applySourceUpdate,
+  applySourceCancellation,
+  getOrderRevisions,
+  getOrderStatusHistory,
+  getOrderStats,
+  MODIFIABLE_STATUSES,
+  STATUS_ACTORS
 };
 
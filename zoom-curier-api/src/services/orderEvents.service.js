@@ -0,0 +1,36 @@
+/**
+ * Order Events Service
+ *
+ * Reports an order status change to everyone who follows the order: the
+ * merchant's store (outbound pushes), the merchant's webhook subscription
+ * and, for Overflow IN orders, the carrier that sent it. Each channel
+ * decides whether the event concerns it; none of them blocks the caller
+ */
+
+const { pushOrderEventAsync } = require('./outbound.service');
+const { notifyParentCarrierAsync } = require('./carrierCallback.service');
+const { sendOrderWebhookAsync, ORDER_STATUS_EVENTS, WEBHOOK_EVENTS } = require('./merchantWebhook.service');
+
+/**
+ * Report that an order moved to a status (non-blocking)
+ */
+const publishOrderEventAsync = (order, status) => {
+  pushOrderEventAsync(order, status);
+  notifyParentCarrierAsync(order, status);
+
+  if (ORDER_STATUS_EVENTS[status]) {
+    sendOrderWebhookAsync(order, ORDER_STATUS_EVENTS[status]);
+  }
+};
+
+/**
+ * Report a new order (non-blocking)
+ */
+const publishOrderCreatedAsync = (order) => {
+  sendOrderWebhookAsync(order, WEBHOOK_EVENTS.ORDER_CREATED);
+};
+
+module.exports = {
+  publishOrderEventAsync,
+  publishOrderCreatedAsync
+};
@@ -0,0 +1,103 @@
+/**
+ * Order State Machine
+ *
+ * The single definition of how an order moves between statuses. Every path
+ * that changes a status (dispatch endpoints, source cancellations, Overflow
+ * OUT hand-offs) checks the move here first, so a delivered order cannot be
+ * reopened and a cancelled one cannot go out for delivery
+ *
+ *   pending → assigned → in_transit → delivered
+ *   assigned → assigned (driver change)
+ *   pending, assigned, in_transit → cancelled
+ *   pending ⇄ overflow_out (handed to a partner carrier and taken back)
+ *   overflow_out → delivered, cancelled (as reported by the partner's tracking)
+ *
+ * delivered and cancelled are final
+ */
+
+const { ORDER_STATUS } = require('./normalizer.service');
+const InvalidTransitionError = require('../errors/InvalidTransitionError');
+
+/**
+ * Statuses an order can move to from each status
+ */
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.ASSIGNED, ORDER_STATUS.CANCELLED, ORDER_STATUS.OVERFLOW_OUT],
+  [ORDER_STATUS.ASSIGNED]: [ORDER_STATUS.ASSIGNED, ORDER_STATUS.IN_TRANSIT, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.IN_TRANSIT]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.DELIVERED]: [],
+  [ORDER_STATUS.CANCELLED]: [],
+  // The partner carrier delivers it (or returns it); it only comes back when the partner shipment is cancelled
+  [ORDER_STATUS.OVERFLOW_OUT]: [ORDER_STATUS.PENDING, ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED]
+};
+
+/**
+ * Conditions a transition must meet, keyed by target status
+ * Each guard gets the order and the fields written with the new status
+ * and returns the reason the move is refused (or null)
+ */
+const GUARDS = {
+  [ORDER_STATUS.ASSIGNED]: (order, changes) =>
+    changes.driver_id ? null : 'A driver is required - use POST /api/orders/:id/assign',
+
+  [ORDER_STATUS.IN_TRANSIT]: (order) =>
+    order.driver_id ? null : `Order ${order.internal_order_id} has no driver assigned`,
+
+  // Only the delivery endpoint passes the recipient's OTP (checked when it is written);
+  // handed-off orders are delivered by the partner, as its tracking reports
+  [ORDER_STATUS.DELIVERED]: (order, changes) => {
+    if (order.status === ORDER_STATUS.OVERFLOW_OUT) {
+      return changes.overflow_delivered === true ? null : `Order ${order.internal_order_id} is delivered by the partner carrier - see GET /api/orders/:id/overflow-out/tracking`;
+    }
+    if (!order.driver_id) {
+      return `Order ${order.internal_order_id} has no driver assigned`;
+    }
+    return changes.otp_code ? null : 'The recipient\'s OTP code is required - use POST /api/orders/:id/delivered';
+  },
+
+  [ORDER_STATUS.CANCELLED]: (order, changes) =>
+    order.status !== ORDER_STATUS.OVERFLOW_OUT || changes.overflow_returned === true
+      ? null
+      : 'Take the order back from the partner carrier first - use DELETE /api/orders/:id/overflow-out',
+
+  [ORDER_STATUS.OVERFLOW_OUT]: (order, changes) =>
+    changes.overflow_carrier_id ? null : 'A partner carrier is required - use POST /api/orders/:id/overflow-out',
+
+  [ORDER_STATUS.PENDING]: (order, changes) =>
+    order.status !== ORDER_STATUS.OVERFLOW_OUT || changes.overflow_awb === null
+      ? null
+      : 'The partner shipment must be cancelled first - use DELETE /api/orders/:id/overflow-out'
+};
+
+/**
+ * Statuses an order in the given status can move to
+ */
+const getAllowedTransitions = (status) => TRANSITIONS[status] || [];
+
+/**
+ * Check a status change before it is written
+ *
+ * @param {object} order - Order as currently stored
+ * @param {string} toStatus - Requested status
+ * @param {object} changes - Fields written together with the status (driver_id, overflow_awb ...)
+ * @throws {InvalidTransitionError} - 409 with the allowed next statuses
+ */
+const assertTransition = (order, toStatus, changes = {}) => {
+  const allowed = getAllowedTransitions(order.status);
+
+  if (!allowed.includes(toStatus)) {
+    throw new InvalidTransitionError(order, toStatus, allowed);
+  }
+
+  const reason = GUARDS[toStatus]?.(order, changes);
+
+  if (reason) {
+    throw new InvalidTransitionError(order, toStatus, allowed, reason);
+  }
+};
+
+module.exports = {
+  TRANSITIONS,
+  getAllowedTransitions,
+  assertTransition
+};
@@ -0,0 +1,239 @@
+/**
+ * Outbound Service
+ *
+ * Reports order events (driver assigned, delivered, ...) back to the
+ * merchant's store through the platform adapters (src/adapters). Every
+ * event is stored as a push before it is sent; pushes that fail on a
+ * temporary error (network, 429, 5xx) are retried with exponential backoff
+ * by the retry worker (retryQueue.service), the others are marked failed
+ */
+
+const OutboundPushModel = require('../models/outboundPush.model');
+const { withStorage } = require('../config/database');
+const integrationService = require('./integration.service');
+const orderService = require('./order.service');
+const { createRetryQueue, queueForOrder, SEND_STATUS } = require('./retryQueue.service');
+const { PLATFORM_ADAPTERS } = require('../adapters');
+const { permanentError } = require('../adapters/helpers');
+
+// In-memory storage for development (when DB is not available)
+let inMemoryPushes = [];
+
+/**
+ * Push status
+ */
+const PUSH_STATUS = SEND_STATUS;
+
+/**
+ * Store a new push, due immediately
+ */
+const createPush = async (push) => {
+  return withStorage(
+    () => OutboundPushModel.create(push),
+    () => {
+      const now = new Date().toISOString();
+      const stored = {
+        ...push,
+        id: inMemoryPushes.length + 1,
+        external_order_id: push.external_order_id || null,
+        attempts: 0,
+        next_attempt_at: now,
+        http_status: null,
+        last_error: null,
+        result: null,
+        sent_at: null,
+        created_at: now,
+        updated_at: now
+      };
+      inMemoryPushes.push(stored);
+      return stored;
+    }
+  );
+};
+
+/**
+ * Record the outcome of an attempt
+ * outcome: { status, http_status, error, result, next_attempt_at }
+ */
+const recordAttempt = async (id, outcome) => {
+  return withStorage(
+    () => OutboundPushModel.recordAttempt(id, outcome),
+    () => {
+      const push = inMemoryPushes.find(p => p.id === parseInt(id));
+      if (!push) return null;
+
+      const now = new Date().toISOString();
+      Object.assign(push, {
+        status: outcome.status,
+        http_status: outcome.http_status || null,
+        last_error: outcome.error || null,
+        result: outcome.result || push.result,
+        next_attempt_at: outcome.next_attempt_at || null,
+        attempts: push.attempts + 1,
+        sent_at: outcome.status === PUSH_STATUS.SENT ? now : push.sent_at,
+        updated_at: now
+      });
+      return push;
+    }
+  );
+};
+
+/**
+ * Get a push by ID
+ */
+const getPushById = async (id) => {
+  return withStorage(
+    () => OutboundPushModel.findById(id),
+    () => inMemoryPushes.find(p => p.id === parseInt(id)) || null
+  );
+};
+
+/**
+ * All pushes of an order, oldest first
+ */
+const getOrderPushes = async (internalOrderId) => {
+  return withStorage(
+    () => OutboundPushModel.findByInternalOrderId(internalOrderId),
+    () => inMemoryPushes.filter(p => p.internal_order_id === internalOrderId)
+  );
+};
+
+/**
+ * List pushes with filters: status, platform, merchant_id, internal_order_id
+ */
+const getPushes = async (filters = {}, limit = 50, offset = 0) => {
+  return withStorage(
+    () => OutboundPushModel.findAll(filters, limit, offset),
+    () => inMemoryPushes
+      .filter(p =>
+        (!filters.status || p.status === filters.status) &&
+        (!filters.platform || p.platform === filters.platform.toLowerCase()) &&
+        (!filters.merchant_id || p.merchant_id === parseInt(filters.merchant_id)) &&
+        (!filters.internal_order_id || p.internal_order_id === filters.internal_order_id)
+      )
+      .reverse()
+      .slice(offset, offset + limit)
+  );
+};
+
+/**
+ * Pending pushes whose retry time has come
+ */
+const getDuePushes = async (limit) => {
+  return withStorage(
+    () => OutboundPushModel.findDue(limit),
+    () => {
+      const now = new Date().toISOString();
+      return inMemoryPushes
+        .filter(p => p.status === PUSH_STATUS.PENDING && p.next_attempt_at <= now)
+        .slice(0, limit);
+    }
+  );
+};
+
+/**
+ * Send a push through its platform adapter
+ */
+const sendPush = async (push) => {
+  const adapter = PLATFORM_ADAPTERS[push.platform];
+  const integration = await integrationService.getIntegrationById(push.integration_id);
+
+  if (!adapter || !integration || !integrationService.isActive(integration)) {
+    throw permanentError(`No active ${push.platform} integration for merchant ${push.merchant_id}`);
+  }
+
+  const order = await orderService.getOrderById(push.internal_order_id);
+  if (!order) {
+    throw permanentError(`Order not found: ${push.internal_order_id}`);
+  }
+
+  const sentPushes = (await getOrderPushes(push.internal_order_id))
+    .filter(p => p.status === PUSH_STATUS.SENT && p.integration_id === push.integration_id);
+
+  // References returned by earlier pushes (e.g. the Shopify fulfillment to mark delivered)
+  const previousResult = Object.assign({}, ...sentPushes.map(p => p.result || {}));
+
+  // A late retry must not move the store back to an older status
+  const superseded = sentPushes.some(p => p.id > push.id);
+
+  const result = await adapter.push({ integration, order, event: push.event, previousResult, superseded });
+
+  console.log(`📤 ${push.platform} push ${push.id} sent: ${push.event} for order ${push.internal_order_id}`);
+
+  return { http_status: 200, result: result || {} };
+};
+
+const queue = createRetryQueue({
+  name: 'outbound pushes',
+  getById: getPushById,
+  getDue: getDuePushes,
+  recordAttempt,
+  send: sendPush,
+  describe: (push) => `${push.platform} push ${push.id}`
+});
+
+/**
+ * Report an order event to the merchant's store (non-blocking)
+ * Orders from platforms without an adapter, or merchants without an active
+ * integration, are skipped
+ */
+const pushOrderEventAsync = async (order, event) => {
+  try {
+    if (!order?.merchant_id) return null;
+
+    const platform = order.aggregator_source;
+    const adapter = PLATFORM_ADAPTERS[platform];
+    if (!adapter || !adapter.EVENTS.includes(event)) return null;
+
+    const integration = await integrationService.getActiveIntegration(order.merchant_id, platform);
+    if (!integration) return null;
+
+    const push = await createPush({
+      integration_id: integration.id,
+      merchant_id: order.merchant_id,
+      platform,
+      internal_order_id: order.internal_order_id,
+      external_order_id: order.external_order_id,
+      event,
+      status: PUSH_STATUS.PENDING
+    });
+
+    return await queueForOrder(order.internal_order_id, () => queue.attempt(push));
+  } catch (error) {
+    console.error(`⚠️ Outbound push failed (non-blocking):`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Send a push again right away (admin retry, e.g. after the merchant fixed
+ * their credentials). A failed push gets one more attempt
+ */
+const retryPush = async (id) => {
+  const push = await getPushById(id);
+
+  if (!push) {
+    return null;
+  }
+
+  if (push.status === PUSH_STATUS.SENT) {
+    const error = new Error(`Push ${id} was already sent`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  console.log(`🔁 Retrying ${push.platform} push ${id} (${push.event} for order ${push.internal_order_id})`);
+
+  return queue.attempt(push);
+};
+
+module.exports = {
+  pushOrderEventAsync,
+  processDuePushes: queue.processDue,
+  startRetryWorker: queue.startWorker,
+  retryPush,
+  getPushById,
+  getPushes,
+  getOrderPushes,
+  PUSH_STATUS
+};
@@ -0,0 +1,249 @@
+/**
+ * Overflow OUT Service
+ *
+ * Hands orders we cannot deliver (outside our zone) to a partner carrier:
+ * the shipment is created through the carrier's adapter, the partner AWB is
+ * stored on the order and the order moves to the overflow_out status, where
+ * it is followed through the partner's tracking until the partner delivers
+ * it (delivered) or returns it to the sender (cancelled)
+ */
+
+const orderService = require('./order.service');
+const partnerCarrierService = require('./partnerCarrier.service');
+const { ORDER_STATUS } = require('./normalizer.service');
+const { assertTransition } = require('./orderStateMachine.service');
+const { CARRIER_ADAPTERS } = require('../adapters/carriers');
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Carrier API failures are reported as 502, with the carrier's answer
+ */
+const carrierError = (carrier, action, error) => {
+  const body = error.response?.data;
+  const details = body && !Buffer.isBuffer(body)
+    ? `: ${(typeof body === 'string' ? body : JSON.stringify(body)).slice(0, 300)}`
+    : '';
+
+  console.error(`❌ ${carrier.name} ${action} failed:`, error.message);
+  return httpError(`${carrier.name} ${action} failed: ${error.message}${details}`, 502);
+};
+
+/**
+ * Active carrier with an adapter, or a 400 error
+ */
+const resolveCarrier = async (code) => {
+  const carrier = await partnerCarrierService.getCarrierByCode(code);
+
+  if (!carrier || !partnerCarrierService.isCarrierActive(carrier)) {
+    throw httpError(`Unknown or inactive partner carrier: ${code}`, 400);
+  }
+
+  const adapter = CARRIER_ADAPTERS[carrier.code];
+
+  if (!adapter) {
+    throw httpError(`No API integration for partner carrier ${carrier.code}. Available: ${Object.keys(CARRIER_ADAPTERS).join(', ')}`, 400);
+  }
+
+  return { carrier, adapter };
+};
+
+/**
+ * An order that was handed off (still with the partner, or delivered or
+ * returned by it), with its carrier and adapter
+ * Returns null when the order does not exist
+ */
+const getHandedOffOrder = async (internalOrderId) => {
+  const order = await orderService.getOrderById(internalOrderId);
+
+  if (!order) {
+    return null;
+  }
+
+  if (!order.overflow_awb) {
+    throw httpError(`Order ${internalOrderId} was not handed to a partner carrier`, 409);
+  }
+
+  const carrier = await partnerCarrierService.getCarrierById(order.overflow_carrier_id);
+  const adapter = carrier && CARRIER_ADAPTERS[carrier.code];
+
+  if (!adapter) {
+    throw httpError(`Partner carrier ${order.overflow_carrier_id} of order ${internalOrderId} is not available`, 400);
+  }
+
+  return { order, carrier, adapter };
+};
+
+/**
+ * Hand an order to a partner carrier
+ *
+ * @param {string} internalOrderId
+ * @param {string} carrierCode - partner_carriers.code (FAN, SAMEDAY, CARGUS)
+ * @returns {Promise<object|null>} - Updated order, null when the order does not exist
+ */
+const handOffOrder = async (internalOrderId, carrierCode) => {
+  const order = await orderService.getOrderById(internalOrderId);
+
+  if (!order) {
+    return null;
+  }
+
+  const { carrier, adapter } = await resolveCarrier(carrierCode);
+
+  // Checked before the partner shipment is created (only pending orders are handed off)
+  assertTransition(order, ORDER_STATUS.OVERFLOW_OUT, { overflow_carrier_id: carrier.id });
+
+  let shipment;
+  try {
+    shipment = await adapter.createShipment({ carrier, order });
+  } catch (error) {
+    throw carrierError(carrier, 'shipment', error);
+  }
+
+  console.log(`🚚 Order ${internalOrderId} handed to ${carrier.name}: AWB ${shipment.awb}`);
+
+  return orderService.updateOverflowOut(internalOrderId, {
+    status: ORDER_STATUS.OVERFLOW_OUT,
+    overflow_carrier_id: carrier.id,
+    overflow_awb: shipment.awb,
+    overflow_tracking_status: null,
+    overflow_delivered: false,
+    overflow_tracked_at: null,
+    overflow_handed_at: new Date()
+  }, {
+    actor: orderService.STATUS_ACTORS.DISPATCH,
+    reason: `Handed to ${carrier.name}`,
+    metadata: { carrier: carrier.code, awb: shipment.awb }
+  });
+};
+
+/**
+ * Status the partner's tracking moves a handed-off order to, if any
+ */
+const getTrackedStatus = (tracking) => {
+  if (tracking.delivered) return ORDER_STATUS.DELIVERED;
+  if (tracking.returned) return ORDER_STATUS.CANCELLED;
+  return null;
+};
+
+/**
+ * Fetch the partner's tracking and store the latest status on the order
+ * A delivery or a return to sender reported by the partner moves the order
+ * to delivered or cancelled (through the state machine)
+ *
+ * @returns {Promise<object|null>} - { order, carrier, tracking, status_changed }
+ */
+const refreshTracking = async (internalOrderId) => {
+  const handedOff = await getHandedOffOrder(internalOrderId);
+
+  if (!handedOff) {
+    return null;
+  }
+
+  const { order, carrier, adapter } = handedOff;
+
+  let tracking;
+  try {
+    tracking = await adapter.getTracking({ carrier, awb: order.overflow_awb });
+  } catch (error) {
+    throw carrierError(carrier, 'tracking', error);
+  }
+
+  const trackedStatus = order.status === ORDER_STATUS.OVERFLOW_OUT ? getTrackedStatus(tracking) : null;
+  const trackingStatus = tracking.status ? String(tracking.status).slice(0, 200) : order.overflow_tracking_status;
+  const delivered = trackedStatus === ORDER_STATUS.DELIVERED;
+
+  const updatedOrder = await orderService.updateOverflowOut(internalOrderId, {
+    ...(trackedStatus && { status: trackedStatus }),
+    overflow_tracking_status: trackingStatus,
+    overflow_delivered: tracking.delivered,
+    overflow_returned: tracking.returned,
+    overflow_tracked_at: new Date()
+  }, {
+    reason: delivered ? `Delivered by ${carrier.name}` : `Returned to sender by ${carrier.name}`,
+    metadata: { carrier: carrier.code, awb: order.overflow_awb, tracking_status: trackingStatus }
+  });
+
+  if (trackedStatus) {
+    console.log(`${delivered ? '✅' : '↩️'} Order ${internalOrderId} ${delivered ? 'delivered' : 'returned to sender'} by ${carrier.name} (AWB ${order.overflow_awb})`);
+  }
+
+  return { order: updatedOrder, carrier: carrier.code, tracking, status_changed: Boolean(trackedStatus) };
+};
+
+/**
+ * Download the partner's AWB label
+ *
+ * @returns {Promise<object|null>} - { awb, content_type, data }
+ */
+const getAwbLabel = async (internalOrderId) => {
+  const handedOff = await getHandedOffOrder(internalOrderId);
+
+  if (!handedOff) {
+    return null;
+  }
+
+  const { order, carrier, adapter } = handedOff;
+
+  try {
+    const label = await adapter.getAwbLabel({ carrier, awb: order.overflow_awb });
+    return { awb: order.overflow_awb, ...label };
+  } catch (error) {
+    throw carrierError(carrier, 'AWB label', error);
+  }
+};
+
+/**
+ * Cancel the partner shipment and take the order back (pending again)
+ *
+ * @returns {Promise<object|null>} - Updated order
+ */
+const cancelHandOff = async (internalOrderId, reason = null) => {
+  const handedOff = await getHandedOffOrder(internalOrderId);
+
+  if (!handedOff) {
+    return null;
+  }
+
+  const { order, carrier, adapter } = handedOff;
+
+  if (order.overflow_delivered) {
+    throw httpError(`Order ${internalOrderId} was already delivered by ${carrier.name}`, 409);
+  }
+
+  // Checked before the partner shipment is cancelled (a returned order stays cancelled)
+  assertTransition(order, ORDER_STATUS.PENDING, { overflow_awb: null });
+
+  try {
+    await adapter.cancelShipment({ carrier, awb: order.overflow_awb });
+  } catch (error) {
+    throw carrierError(carrier, 'cancellation', error);
+  }
+
+  console.log(`↩️ Order ${internalOrderId} taken back from ${carrier.name} (AWB ${order.overflow_awb} cancelled)`);
+
+  return orderService.updateOverflowOut(internalOrderId, {
+    status: ORDER_STATUS.PENDING,
+    overflow_carrier_id: null,
+    overflow_awb: null,
+    overflow_tracking_status: null,
+    overflow_delivered: false,
+    overflow_tracked_at: null,
+    overflow_handed_at: null
+  }, {
+    actor: orderService.STATUS_ACTORS.DISPATCH,
+    reason: reason || `Taken back from ${carrier.name}`,
+    metadata: { carrier: carrier.code, awb: order.overflow_awb }
+  });
+};
+
+module.exports = {
+  handOffOrder,
+  refreshTracking,
+  getAwbLabel,
+  cancelHandOff
+};
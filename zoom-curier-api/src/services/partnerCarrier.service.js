@@ -0,0 +1,85 @@
+/**
+ * Partner Carrier Service
+ *
+ * Partner carriers (Fan Courier, Sameday, Cargus ...) that send us
+ * Overflow IN orders and take our Overflow OUT orders. API endpoint, key
+ * and settings (login, client IDs) are configured in partner_carriers
+ */
+
+const PartnerCarrierModel = require('../models/partnerCarrier.model');
+const { withStorage } = require('../config/database');
+
+/**
+ * Carrier API configuration for in-memory mode, keyed by carrier code:
+ * DEV_PARTNER_CARRIERS={"FAN":{"api_endpoint":"http://localhost:4012","settings":{...},
+ *   "webhook_url":"http://localhost:4013/status","webhook_secret":"..."}}
+ */
+const readDevConfig = () => {
+  try {
+    return JSON.parse(process.env.DEV_PARTNER_CARRIERS || '{}');
+  } catch (error) {
+    console.warn(`⚠️ DEV_PARTNER_CARRIERS is not valid JSON - ignored`);
+    return {};
+  }
+};
+
+// In-memory storage for development (when DB is not available): the carriers seeded by migration 001
+const devConfig = readDevConfig();
+let inMemoryCarriers = [
+  ['Fan Courier', 'FAN'],
+  ['Sameday', 'SAMEDAY'],
+  ['Cargus', 'CARGUS'],
+  ['DPD', 'DPD'],
+  ['GLS', 'GLS']
+].map(([name, code], index) => ({
+  id: index + 1,
+  name,
+  code,
+  api_endpoint: devConfig[code]?.api_endpoint || null,
+  api_key: devConfig[code]?.api_key || null,
+  webhook_url: devConfig[code]?.webhook_url || null,
+  webhook_secret: devConfig[code]?.webhook_secret || null,
+  settings: devConfig[code]?.settings || {},
+  is_active: 1
+}));
+
+/**
+ * Get carrier by ID
+ */
+const getCarrierById = async (id) => {
+  return withStorage(
+    () => PartnerCarrierModel.findById(id),
+    () => inMemoryCarriers.find(c => c.id === parseInt(id)) || null
+  );
+};
+
+/**
+ * Get carrier by code (case-insensitive)
+ */
+const getCarrierByCode = async (code) => {
+  if (!code) return null;
+
+  return withStorage(
+    () => PartnerCarrierModel.findByCode(code),
+    () => inMemoryCarriers.find(c => c.code === code.toUpperCase()) || null
+  );
+};
+
+/**
+ * List all carriers
+ */
+const listCarriers = async () => {
+  return withStorage(
+    () => PartnerCarrierModel.findAll(),
+    () => inMemoryCarriers
+  );
+};
+
+const isCarrierActive = (carrier) => Boolean(carrier) && Number(carrier.is_active) === 1;
+
+module.exports = {
+  getCarrierById,
+  getCarrierByCode,
+  listCarriers,
+  isCarrierActive
+};
@@ -0,0 +1,182 @@
+/**
+ * Phone Service
+ * 
+ * Single place where recipient and driver phone numbers are validated and
+ * formatted to E.164 (+40712345678). Numbers written in national format
+ * ("0712 345 678", "06 30 123 4567") are read with the rules of the
+ * delivery country; numbers with a country code are read as written
+ * 
+ * The result also tells mobiles from landlines - landlines cannot
+ * receive WhatsApp messages
+ */
+
+/**
+ * Validation result stored on the order (phone_status)
+ */
+const PHONE_STATUS = {
+  MOBILE: 'mobile',
+  LANDLINE: 'landline',
+  UNVERIFIED: 'unverified', // valid E.164, but no rules for its country
+  INVALID: 'invalid'
+};
+
+/**
+ * Numbering plans of the delivery countries we serve
+ * nsn = national significant number (without country code and trunk prefix)
+ */
+const COUNTRY_RULES = {
+  RO: {
+    callingCode: '40',
+    trunkPrefix: '0',
+    mobile: /^7\d{8}$/,
+    landline: /^[23]\d{8}$/
+  },
+  MD: {
+    callingCode: '373',
+    trunkPrefix: '0',
+    mobile: /^[67]\d{7}$/,
+    landline: /^[2-5]\d{7}$/
+  },
+  HU: {
+    callingCode: '36',
+    trunkPrefix: '06',
+    mobile: /^(20|30|31|50|70)\d{7}$/,
+    landline: /^(1\d{7}|[2-9]\d{7})$/
+  },
+  BG: {
+    callingCode: '359',
+    trunkPrefix: '0',
+    mobile: /^(87|88|89|98)\d{7}$/,
+    landline: /^(2\d{7}|[3-9]\d{6,7})$/
+  }
+};
+
+// Numbers that fit no rule of the delivery country are tried as Romanian
+const FALLBACK_COUNTRY = 'RO';
+
+/**
+ * Classify a national significant number
+ */
+const classify = (nsn, rules) => {
+  if (rules.mobile.test(nsn)) return PHONE_STATUS.MOBILE;
+  if (rules.landline.test(nsn)) return PHONE_STATUS.LANDLINE;
+  return null;
+};
+
+/**
+ * Read an international number (digits after + / 00)
+ */
+const parseInternational = (digits) => {
+  const [country, rules] = Object.entries(COUNTRY_RULES)
+    .find(([, r]) => digits.startsWith(r.callingCode)) || [];
+  
+  if (!rules) {
+    // Countries without rules: only the E.164 length is checked
+    const valid = /^[1-9]\d{7,14}$/.test(digits);
+    return {
+      e164: valid ? `+${digits}` : null,
+      country: null,
+      status: valid ? PHONE_STATUS.UNVERIFIED : PHONE_STATUS.INVALID
+    };
+  }
+  
+  const nsn = digits.slice(rules.callingCode.length);
+  const status = classify(nsn, rules);
+  
+  return {
+    e164: status ? `+${digits}` : null,
+    country,
+    status: status || PHONE_STATUS.INVALID
+  };
+};
+
+/**
+ * Read a number written without + using the rules of one country
+ * Accepts the national format (trunk prefix), the bare national number
+ * and the calling code without + ("40712345678")
+ */
+const parseNational = (digits, country) => {
+  const rules = COUNTRY_RULES[country];
+  if (!rules) return null;
+  
+  const candidates = [digits];
+  if (digits.startsWith(rules.trunkPrefix)) candidates.push(digits.slice(rules.trunkPrefix.length));
+  if (digits.startsWith(rules.callingCode)) candidates.push(digits.slice(rules.callingCode.length));
+  
+  for (const nsn of candidates) {
+    const status = classify(nsn, rules);
+    if (status) {
+      return { e164: `+${rules.callingCode}${nsn}`, country, status };
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Validate a phone number
+ * 
+ * @param {string|number} phone - Number as sent by the platform
+ * @param {string} [country] - Delivery country (ISO 3166-1 alpha-2), used for national numbers
+ * @returns {object|null} - { e164, country, status } (e164 is null for invalid numbers), null without a number
+ */
+const parsePhoneNumber = (phone, country = 'RO') => {
+  if (phone === null || phone === undefined || phone === '') return null;
+  
+  // Keep digits and a leading +, "00" is the international prefix
+  let cleaned = phone.toString().trim().replace(/[^\d+]/g, '').replace(/(?!^)\+/g, '');
+  if (cleaned.startsWith('00')) cleaned = `+${cleaned.slice(2)}`;
+  
+  if (cleaned.startsWith('+')) {
+    return parseInternational(cleaned.slice(1));
+  }
+  
+  const homeCountry = (country || FALLBACK_COUNTRY).toUpperCase();
+  const parsed = parseNational(cleaned, homeCountry) ||
+    (homeCountry !== FALLBACK_COUNTRY ? parseNational(cleaned, FALLBACK_COUNTRY) : null);
+  
+  return parsed || { e164: null, country: null, status: PHONE_STATUS.INVALID };
+};
+
+/**
+ * Format a phone number to E.164
+ * Invalid numbers are returned with the formatting removed, so the order
+ * keeps what the customer typed and validation can report it
+ */
+const formatPhoneNumber = (phone, country = 'RO') => {
+  const parsed = parsePhoneNumber(phone, country);
+  if (!parsed) return null;
+  
+  return parsed.e164 || phone.toString().replace(/[^\d+]/g, '') || null;
+};
+
+/**
+ * Format a phone number the way it is dialled in its country ("0712345678")
+ * Partner carriers expect national numbers; numbers of other countries stay E.164
+ */
+const formatNationalNumber = (phone, country = 'RO') => {
+  const parsed = parsePhoneNumber(phone, country);
+  if (!parsed) return null;
+  if (!parsed.e164) return phone.toString().replace(/[^\d+]/g, '') || null;
+  
+  const rules = COUNTRY_RULES[parsed.country];
+  if (!rules || parsed.country !== (country || FALLBACK_COUNTRY).toUpperCase()) return parsed.e164;
+  
+  return `${rules.trunkPrefix}${parsed.e164.slice(rules.callingCode.length + 1)}`;
+};
+
+/**
+ * Only mobiles (and numbers we can't classify) can receive WhatsApp messages
+ */
+const canReceiveWhatsApp = (parsed) => {
+  return Boolean(parsed?.e164) && parsed.status !== PHONE_STATUS.LANDLINE;
+};
+
+module.exports = {
+  parsePhoneNumber,
+  formatPhoneNumber,
+  formatNationalNumber,
+  canReceiveWhatsApp,
+  PHONE_STATUS,
+  COUNTRY_RULES
+};
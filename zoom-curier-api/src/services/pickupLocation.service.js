@@ -0,0 +1,146 @@
+/**
+ * Pickup Location Service
+ *
+ * Merchant pickup locations (warehouses, stores) with address, opening
+ * hours and contact. Orders whose payload has no pickup address get one
+ * of the merchant's locations (see selectPickupLocation in normalizer.service.js):
+ * the one named in the order, the first whose rules match, or the default
+ */
+
+const PickupLocationModel = require('../models/pickupLocation.model');
+const { withStorage } = require('../config/database');
+
+// In-memory storage for development (when DB is not available)
+let inMemoryLocations = [];
+
+const isActive = (location) => Number(location.is_active) === 1;
+
+/**
+ * Build the stored form of a location (in-memory storage)
+ */
+const toRecord = (data) => ({
+  merchant_id: data.merchant_id,
+  code: data.code,
+  name: data.name,
+  address: data.address,
+  city: data.city,
+  county: data.county || null,
+  postal_code: data.postal_code || null,
+  contact_name: data.contact_name || null,
+  contact_phone: data.contact_phone || null,
+  opening_hours: data.opening_hours || null,
+  rules: data.rules || [],
+  is_default: data.is_default ? 1 : 0,
+  is_active: data.is_active === false ? 0 : 1
+});
+
+/**
+ * A merchant has at most one default location
+ */
+const clearInMemoryDefault = (merchantId, exceptId) => {
+  inMemoryLocations
+    .filter(l => l.merchant_id === merchantId && l.id !== exceptId)
+    .forEach(l => { l.is_default = 0; });
+};
+
+/**
+ * Create a pickup location
+ */
+const createLocation = async (data) => {
+  return withStorage(
+    async () => {
+      const location = await PickupLocationModel.create(data);
+      if (data.is_default) await PickupLocationModel.clearDefault(data.merchant_id, location.id);
+      return location;
+    },
+    () => {
+      const now = new Date().toISOString();
+      const location = {
+        id: inMemoryLocations.length + 1,
+        ...toRecord(data),
+        created_at: now,
+        updated_at: now
+      };
+      inMemoryLocations.push(location);
+      if (data.is_default) clearInMemoryDefault(location.merchant_id, location.id);
+      return location;
+    }
+  );
+};
+
+/**
+ * Replace a pickup location
+ */
+const updateLocation = async (id, data) => {
+  return withStorage(
+    async () => {
+      const location = await PickupLocationModel.update(id, data);
+      if (location && data.is_default) await PickupLocationModel.clearDefault(data.merchant_id, location.id);
+      return location;
+    },
+    () => {
+      const location = inMemoryLocations.find(l => l.id === parseInt(id));
+      if (!location) return null;
+
+      Object.assign(location, toRecord(data), { updated_at: new Date().toISOString() });
+      if (data.is_default) clearInMemoryDefault(location.merchant_id, location.id);
+      return location;
+    }
+  );
+};
+
+/**
+ * Delete a pickup location
+ */
+const deleteLocation = async (id) => {
+  return withStorage(
+    () => PickupLocationModel.remove(id),
+    () => {
+      const index = inMemoryLocations.findIndex(l => l.id === parseInt(id));
+      if (index === -1) return false;
+      inMemoryLocations.splice(index, 1);
+      return true;
+    }
+  );
+};
+
+/**
+ * Get pickup location by ID
+ */
+const getLocationById = async (id) => {
+  return withStorage(
+    () => PickupLocationModel.findById(id),
+    () => inMemoryLocations.find(l => l.id === parseInt(id)) || null
+  );
+};
+
+/**
+ * List pickup locations (optionally filtered by merchant_id / code)
+ */
+const listLocations = async (filters = {}) => {
+  return withStorage(
+    () => PickupLocationModel.findAll(filters),
+    () => inMemoryLocations.filter(l =>
+      (!filters.merchant_id || l.merchant_id === parseInt(filters.merchant_id)) &&
+      (!filters.code || l.code === filters.code) &&
+      (filters.is_active === undefined || isActive(l) === filters.is_active)
+    )
+  );
+};
+
+/**
+ * Active locations of a merchant, in the order their rules are checked
+ */
+const getActiveLocations = async (merchantId) => {
+  if (!merchantId) return [];
+  return listLocations({ merchant_id: merchantId, is_active: true });
+};
+
+module.exports = {
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  getLocationById,
+  listLocations,
+  getActiveLocations
+};
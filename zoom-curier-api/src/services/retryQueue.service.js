@@ -0,0 +1,184 @@
+/**
+ * Retry Queue Service
+ *
+ * Send-and-retry loop shared by the store pushes (outbound.service), the
+ * carrier callbacks (carrierCallback.service) and the merchant webhooks
+ * (merchantWebhook.service). Each of them stores an item before sending it;
+ * items that fail on a temporary error (network, 429, 5xx) are retried with
+ * exponential backoff by a worker, the others are marked failed
+ */
+
+/**
+ * Status of a queued item
+ */
+const SEND_STATUS = {
+  PENDING: 'pending', // waiting for its (next) attempt
+  SENT: 'sent',
+  FAILED: 'failed'    // permanent error or out of attempts
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOUND_PUSH_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.OUTBOUND_RETRY_BASE_SECONDS) || 60;
+const WORKER_INTERVAL_SECONDS = parseInt(process.env.OUTBOUND_WORKER_INTERVAL_SECONDS) || 30;
+const WORKER_BATCH_SIZE = 50;
+
+// Last task queued per order: events of one order are sent in the order they happened
+const orderQueues = new Map();
+
+/**
+ * Network errors, timeouts, rate limits and server errors are worth a retry
+ */
+const isRetryable = (error) => {
+  if (error.retryable !== undefined) return error.retryable;
+
+  const status = error.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+/**
+ * Describe a send error (including the receiver's answer, if any)
+ */
+const describeError = (error) => {
+  const body = error.response?.data;
+  if (!body) return error.message;
+
+  const details = typeof body === 'string' ? body : JSON.stringify(body.errors || body);
+  return `${error.message}: ${details.slice(0, 500)}`;
+};
+
+/**
+ * Delay before the next attempt: 1, 2, 4, 8 ... times the base delay
+ */
+const getRetryTime = (attempts) => {
+  const delaySeconds = RETRY_BASE_SECONDS * Math.pow(2, attempts - 1);
+  return new Date(Date.now() + delaySeconds * 1000).toISOString();
+};
+
+/**
+ * Whether an item, as stored now, is still to be sent: never once sent, and
+ * for the retry worker only while pending and its retry time has come
+ */
+const isAttemptable = (item, onlyDue) => {
+  if (onlyDue) return item.status === SEND_STATUS.PENDING && new Date(item.next_attempt_at) <= new Date();
+  return item.status !== SEND_STATUS.SENT;
+};
+
+/**
+ * Run a task after the tasks already queued for the same order
+ */
+const queueForOrder = (internalOrderId, task) => {
+  const previous = orderQueues.get(internalOrderId) || Promise.resolve();
+  const current = previous.then(task, task);
+
+  orderQueues.set(internalOrderId, current);
+  current.finally(() => {
+    if (orderQueues.get(internalOrderId) === current) orderQueues.delete(internalOrderId);
+  });
+
+  return current;
+};
+
+/**
+ * Create the queue of one kind of item
+ *
+ * @param {object} options
+ * @param {string} options.name - Items in the worker logs, e.g. 'outbound pushes'
+ * @param {Function} options.getById - async (id) => item as stored now
+ * @param {Function} options.getDue - async (limit) => pending items whose retry time has come
+ * @param {Function} options.recordAttempt - async (id, { status, http_status, error, result, next_attempt_at }) => item
+ * @param {Function} options.send - async (item) => { http_status, result }; throws on failure
+ *   (errors with retryable = false, see permanentError, are never retried)
+ * @param {Function} options.describe - (item) => item in the logs, e.g. 'shopify push 12'
+ * @returns {object} - { attempt, processDue, startWorker }
+ */
+const createRetryQueue = ({ name, getById, getDue, recordAttempt, send, describe }) => {
+  // Items being sent right now (the worker must not pick them up twice)
+  const inFlight = new Set();
+
+  /**
+   * Send an item and record the outcome
+   * The item is read again first: the caller's copy may be stale (the
+   * worker's batch is listed before the items are sent, an admin retry may
+   * have sent one in between)
+   *
+   * @param {object} listed - Item as the caller has it
+   * @param {object} options - { onlyDue: true } for the retry worker
+   */
+  const attempt = async (listed, { onlyDue = false } = {}) => {
+    if (inFlight.has(listed.id)) return listed;
+    inFlight.add(listed.id);
+
+    try {
+      const item = await getById(listed.id);
+
+      if (!item || !isAttemptable(item, onlyDue)) {
+        return item;
+      }
+
+      try {
+        const { http_status, result } = await send(item);
+        return recordAttempt(item.id, { status: SEND_STATUS.SENT, http_status, result });
+      } catch (error) {
+        const attempts = item.attempts + 1;
+        const retry = isRetryable(error) && attempts < MAX_ATTEMPTS;
+
+        console.error(`❌ ${describe(item)} failed (attempt ${attempts}${retry ? ', will retry' : ''}):`, error.message);
+
+        return recordAttempt(item.id, {
+          status: retry ? SEND_STATUS.PENDING : SEND_STATUS.FAILED,
+          http_status: error.response?.status,
+          error: describeError(error),
+          next_attempt_at: retry ? getRetryTime(attempts) : null
+        });
+      }
+    } finally {
+      inFlight.delete(listed.id);
+    }
+  };
+
+  /**
+   * Retry the items that are due
+   */
+  const processDue = async () => {
+    const items = await getDue(WORKER_BATCH_SIZE);
+
+    for (const item of items) {
+      await attempt(item, { onlyDue: true });
+    }
+
+    return items.length;
+  };
+
+  /**
+   * Start the retry worker (runs every OUTBOUND_WORKER_INTERVAL_SECONDS)
+   */
+  const startWorker = () => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+
+      try {
+        const processed = await processDue();
+        if (processed > 0) console.log(`🔁 Retried ${processed} ${name}`);
+      } catch (error) {
+        console.error(`❌ Retry worker error (${name}):`, error.message);
+      } finally {
+        running = false;
+      }
+    }, WORKER_INTERVAL_SECONDS * 1000);
+
+    // The worker alone must not keep the process alive
+    timer.unref();
+    return timer;
+  };
+
+  return { attempt, processDue, startWorker };
+};
+
+module.exports = {
+  createRetryQueue,
+  queueForOrder,
+  SEND_STATUS
+};
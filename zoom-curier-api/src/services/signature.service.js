@@ -0,0 +1,184 @@
+/**
+ * Webhook Signature Service
+ *
+ * Verifies the HMAC signatures that source platforms attach to their webhooks,
+ * so that only genuine deliveries are normalized into orders
+ *
+ * Secrets are configured per shop, together with the merchant the shop
+ * belongs to:
+ *   SHOPIFY_WEBHOOK_SECRETS={"my-shop.myshopify.com":{"merchant_id":1,"secret":"shpss_xxx"}}
+ *   WOOCOMMERCE_WEBHOOK_SECRETS={"https://my-store.ro":{"merchant_id":1,"secret":"wc_secret"}}
+ *
+ * The shop headers (X-Shopify-Shop-Domain, X-WC-Webhook-Source) are not
+ * authenticated, so a shop is only accepted on the API key of its own
+ * merchant: a webhook signed for one shop cannot be replayed as another
+ * merchant's order
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Parse a JSON map of secrets from an environment variable
+ * Invalid JSON is logged and treated as an empty map
+ */
+const parseSecretMap = (envName) => {
+  const value = process.env[envName];
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`❌ ${envName} is not valid JSON: ${error.message}`);
+    return {};
+  }
+};
+
+/**
+ * Secret of a shop entry, if the shop belongs to the authenticated merchant
+ *
+ * @param {object} entry - { merchant_id, secret } from the secrets map
+ * @param {string} label - Shop as named in the request (for the reason)
+ * @param {object} merchant - Authenticated merchant (req.merchant)
+ * @returns {{ secret?: string, reason?: string }}
+ */
+const resolveShopSecret = (entry, label, merchant) => {
+  if (!entry?.secret) {
+    return { reason: `No webhook secret configured for ${label || 'unknown shop'}` };
+  }
+
+  if (!merchant || String(entry.merchant_id) !== String(merchant.id)) {
+    return { reason: `${label} does not belong to merchant ${merchant?.id ?? 'unknown'}` };
+  }
+
+  return { secret: entry.secret };
+};
+
+/**
+ * Resolve the webhook secret for a Shopify shop domain of a merchant
+ */
+const getShopifySecret = (shopDomain, merchant) => {
+  const secrets = parseSecretMap('SHOPIFY_WEBHOOK_SECRETS');
+  const domain = (shopDomain || '').toLowerCase();
+
+  return resolveShopSecret(secrets[domain], domain && `Shop ${domain}`, merchant);
+};
+
+/**
+ * Resolve the webhook secret for a WooCommerce store of a merchant
+ * Stores are identified by the X-WC-Webhook-Source URL (trailing slash ignored)
+ */
+const getWooCommerceSecret = (storeUrl, merchant) => {
+  const secrets = parseSecretMap('WOOCOMMERCE_WEBHOOK_SECRETS');
+  const normalizeUrl = (url) => (url || '').toLowerCase().replace(/\/+$/, '');
+  const store = normalizeUrl(storeUrl);
+
+  const match = store && Object.keys(secrets).find(url => normalizeUrl(url) === store);
+
+  return resolveShopSecret(match && secrets[match], store && `Store ${store}`, merchant);
+};
+
+/**
+ * Compare two base64 digests in constant time
+ */
+const safeCompare = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(received, 'utf8');
+
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Compute a base64 HMAC-SHA256 digest of the raw request body
+ */
+const computeHmac = (secret, rawBody) => {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+};
+
+/**
+ * Verify the X-Shopify-Hmac-Sha256 header against the raw request body
+ *
+ * @param {object} req - Express request (requires req.rawBody and req.merchant)
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+const verifyShopifySignature = (req) => {
+  const signature = req.headers['x-shopify-hmac-sha256'];
+  const shopDomain = req.headers['x-shopify-shop-domain'];
+
+  if (!signature) {
+    return { valid: false, reason: 'Missing X-Shopify-Hmac-Sha256 header' };
+  }
+
+  const { secret, reason } = getShopifySecret(shopDomain, req.merchant);
+  if (!secret) {
+    return { valid: false, reason };
+  }
+
+  if (!req.rawBody) {
+    return { valid: false, reason: 'Raw request body not available' };
+  }
+
+  if (!safeCompare(computeHmac(secret, req.rawBody), signature)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Verify the X-WC-Webhook-Signature header against the raw request body
+ *
+ * @param {object} req - Express request (requires req.rawBody and req.merchant)
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+const verifyWooCommerceSignature = (req) => {
+  const signature = req.headers['x-wc-webhook-signature'];
+  const storeUrl = req.headers['x-wc-webhook-source'];
+
+  if (!signature) {
+    return { valid: false, reason: 'Missing X-WC-Webhook-Signature header' };
+  }
+
+  const { secret, reason } = getWooCommerceSecret(storeUrl, req.merchant);
+  if (!secret) {
+    return { valid: false, reason };
+  }
+
+  if (!req.rawBody) {
+    return { valid: false, reason: 'Raw request body not available' };
+  }
+
+  if (!safeCompare(computeHmac(secret, req.rawBody), signature)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Signature headers for a request we send (carrier callbacks)
+ * The receiver recomputes base64 HMAC-SHA256("<timestamp>.<raw body>") with
+ * the shared secret and rejects stale timestamps
+ *
+ * @param {string} secret - Shared secret
+ * @param {string} rawBody - Exact body sent
+ * @returns {object} - { 'X-Zoom-Timestamp', 'X-Zoom-Signature' }
+ */
+const signRequest = (secret, rawBody) => {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  return {
+    'X-Zoom-Timestamp': timestamp,
+    'X-Zoom-Signature': computeHmac(secret, `${timestamp}.${rawBody}`)
+  };
+};
+
+module.exports = {
+  verifyShopifySignature,
+  verifyWooCommerceSignature,
+  computeHmac,
+  signRequest
+};
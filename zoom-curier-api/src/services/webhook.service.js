@@ -0,0 +1,355 @@
+/**
+ * Webhook Service
+ *
+ * Runs an inbound order webhook through the processing pipeline:
+ * event resolution → normalization → create / update / cancel → notifications
+ *
+ * Shared by all webhook endpoints so that every platform gets the same
+ * deduplication, update and cancellation behaviour
+ */
+
+const {
+  normalizeOrder,
+  explainSourceDetection,
+  getValidationErrors,
+  getOrderWarnings,
+  resolveOrderEvent,
+  getWebhookTopic,
+  SOURCES,
+  ORDER_EVENTS,
+  ORDER_STATUS
+} = require('./normalizer.service');
+const orderService = require('./order.service');
+const mappingService = require('./mapping.service');
+const merchantService = require('./merchant.service');
+const whatsappService = require('./whatsapp.service');
+const { sendOrderWebhookAsync, WEBHOOK_EVENTS } = require('./merchantWebhook.service');
+const { publishOrderCreatedAsync } = require('./orderEvents.service');
+const DriverModel = require('../models/driver.model');
+const OrderValidationError = require('../errors/OrderValidationError');
+
+/**
+ * Outcome of processing a webhook
+ */
+const WEBHOOK_ACTIONS = {
+  CREATED: 'created',
+  DUPLICATE: 'duplicate',
+  UPDATED: 'updated',
+  CANCELLED: 'cancelled',
+  UNCHANGED: 'unchanged',
+  REJECTED: 'rejected',
+  IGNORED: 'ignored'
+};
+
+/**
+ * Send WhatsApp confirmation (non-blocking)
+ * Errors are logged but don't affect the webhook response
+ */
+const sendWhatsAppConfirmationAsync = async (order) => {
+  try {
+    if (process.env.WHATSAPP_ENABLED !== 'true') {
+      console.log(`📱 WhatsApp notifications disabled. Skipping confirmation for ${order.internal_order_id}`);
+      return;
+    }
+
+    await whatsappService.sendOrderConfirmation(order);
+    console.log(`📱 WhatsApp confirmation sent for order ${order.internal_order_id}`);
+  } catch (error) {
+    console.error(`⚠️ WhatsApp notification failed (non-blocking):`, error.message);
+    // Don't throw - we don't want WhatsApp failures to affect order processing
+  }
+};
+
+/**
+ * Summarize field changes for the driver notification
+ * WhatsApp template parameters cannot contain line breaks
+ */
+const describeChanges = (changes) => {
+  return Object.entries(changes)
+    .map(([field, { from, to }]) => `${field}: ${from ?? '-'} → ${to}`)
+    .join('; ');
+};
+
+/**
+ * Tell the assigned driver that the order changed (non-blocking)
+ * Only orders that were already assigned have a driver to notify
+ */
+const notifyDriverAsync = async (previousOrder, order, summary) => {
+  try {
+    if (previousOrder.status !== ORDER_STATUS.ASSIGNED || !previousOrder.driver_id) {
+      return;
+    }
+
+    if (process.env.WHATSAPP_ENABLED !== 'true') {
+      console.log(`📱 WhatsApp notifications disabled. Skipping driver update for ${order.internal_order_id}`);
+      return;
+    }
+
+    const driver = await DriverModel.findById(previousOrder.driver_id);
+    await whatsappService.sendDriverOrderUpdateNotification(order, driver, summary);
+    console.log(`📱 Driver ${previousOrder.driver_id} notified about changes to ${order.internal_order_id}`);
+  } catch (error) {
+    console.error(`⚠️ Driver notification failed (non-blocking):`, error.message);
+  }
+};
+
+/**
+ * Map an update/cancellation result to a webhook action
+ */
+const resolveAction = (result, appliedAction) => {
+  if (result.applied) return appliedAction;
+  return result.locked ? WEBHOOK_ACTIONS.REJECTED : WEBHOOK_ACTIONS.UNCHANGED;
+};
+
+/**
+ * Overflow IN orders are reported back to the carrier that sent them, so only
+ * the merchant account of a partner carrier may send them (see normalizeOverflowIn)
+ */
+const getOverflowInRefusal = (source, merchantOptions) => {
+  if (source !== SOURCES.OVERFLOW_IN || merchantOptions.partnerCarrierId) return null;
+  return 'Overflow IN orders can only be sent with the API key of a partner carrier account';
+};
+
+/**
+ * Process an inbound order webhook
+ *
+ * @param {object} params
+ * @param {string} params.source - Source platform (SOURCES value)
+ * @param {object} params.payload - Parsed webhook body
+ * @param {object} [params.headers] - Request headers (topic detection)
+ * @param {number} [params.merchantId] - Authenticated merchant
+ * @param {object} [params.mapping] - Declarative mapping (custom sources)
+ * @returns {Promise<object>} - { action, event, topic, order?, changes?, reason? }
+ */
+const processOrderWebhook = async ({ source, payload, headers = {}, merchantId = null, mapping = null }) => {
+  const topic = getWebhookTopic(source, headers);
+  const event = resolveOrderEvent(source, headers, payload, mapping);
+
+  if (!event) {
+    return { action: WEBHOOK_ACTIONS.IGNORED, event, topic, reason: `Topic ${topic} is not processed` };
+  }
+
+  const isCancellation = event === ORDER_EVENTS.CANCELLED;
+  const merchantOptions = await merchantService.getNormalizationOptions(merchantId);
+
+  const overflowInRefusal = getOverflowInRefusal(source, merchantOptions);
+  if (overflowInRefusal) {
+    const error = new Error(overflowInRefusal);
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const normalizedOrder = normalizeOrder(source, payload, {
+    merchantId,
+    mapping,
+    ...merchantOptions,
+    skipValidation: isCancellation
+  });
+
+  if (isCancellation && !normalizedOrder.external_order_id) {
+    throw new OrderValidationError([
+      { location: 'order', field: 'external_order_id', message: '"external_order_id" is required' }
+    ]);
+  }
+
+  const existingOrder = await orderService.getOrderByExternalId(
+    normalizedOrder.external_order_id,
+    normalizedOrder.aggregator_source,
+    merchantId
+  );
+
+  if (isCancellation) {
+    if (!existingOrder) {
+      return { action: WEBHOOK_ACTIONS.IGNORED, event, topic, reason: 'Order not found' };
+    }
+
+    const result = await orderService.applySourceCancellation(
+      existingOrder,
+      normalizedOrder.aggregator_source,
+      `Cancelled by merchant in ${source}`
+    );
+
+    if (result.applied) {
+      notifyDriverAsync(existingOrder, result.order, 'Comanda a fost anulată de comerciant');
+
+      // 📤 The store already knows; the merchant's webhook subscription is told too
+      sendOrderWebhookAsync(result.order, WEBHOOK_EVENTS.ORDER_CANCELLED);
+    }
+
+    return { action: resolveAction(result, WEBHOOK_ACTIONS.CANCELLED), event, topic, ...result };
+  }
+
+  if (existingOrder && event === ORDER_EVENTS.CREATED) {
+    console.log(`⚠️ Duplicate order detected: ${normalizedOrder.external_order_id}`);
+    return { action: WEBHOOK_ACTIONS.DUPLICATE, event, topic, order: existingOrder };
+  }
+
+  if (existingOrder) {
+    const result = await orderService.applySourceUpdate(existingOrder, normalizedOrder);
+
+    if (result.applied) {
+      notifyDriverAsync(existingOrder, result.order, describeChanges(result.changes));
+    }
+
+    return { action: resolveAction(result, WEBHOOK_ACTIONS.UPDATED), event, topic, ...result };
+  }
+
+  // New order - also covers updates for orders we never received
+  const savedOrder = await orderService.createOrder(normalizedOrder);
+
+  // 🔔 Trigger WhatsApp confirmation (LeadXpress integration)
+  // This runs asynchronously - doesn't block the response
+  sendWhatsAppConfirmationAsync(savedOrder);
+
+  // 📤 order.created for the merchant's webhook subscription
+  publishOrderCreatedAsync(savedOrder);
+
+  return { action: WEBHOOK_ACTIONS.CREATED, event, topic, order: savedOrder };
+};
+
+/**
+ * Work out the source of a webhook sent to the universal endpoint:
+ * explicit ?source= (built-in or custom mapping), detection, then the
+ * merchant's only custom mapping
+ * Returns { source, rule, mapping } or { error } when nothing matched
+ */
+const resolveWebhookSource = async (requestedSource, payload, headers, merchantId) => {
+  if (requestedSource && Object.values(SOURCES).includes(requestedSource.toUpperCase())) {
+    return { source: requestedSource.toUpperCase(), rule: 'source parameter', mapping: null };
+  }
+
+  if (requestedSource) {
+    const mapping = await mappingService.resolveMapping(requestedSource, merchantId);
+    return mapping
+      ? { source: mapping.name, rule: `custom mapping #${mapping.id}`, mapping }
+      : { source: null, rule: null, mapping: null, error: `Unknown source: ${requestedSource}. No active mapping is registered for it.` };
+  }
+
+  const detection = explainSourceDetection(payload, headers);
+  if (detection.source) {
+    return { ...detection, mapping: null };
+  }
+
+  const mapping = await mappingService.getMerchantDefaultMapping(merchantId);
+  if (mapping) {
+    return { source: mapping.name, rule: `only custom mapping of the merchant (#${mapping.id})`, mapping };
+  }
+
+  return {
+    ...detection,
+    mapping: null,
+    error: 'Unable to detect source platform. Please specify ?source=GOMAG|SHOPIFY|WOOCOMMERCE|INNOSHIP|EMAG|PRESTASHOP|OPENCART or the name of a custom mapping'
+  };
+};
+
+/**
+ * Run a webhook through the pipeline without saving anything or sending
+ * notifications (integration onboarding)
+ *
+ * @param {object} params
+ * @param {object} params.payload - Webhook body to preview
+ * @param {object} [params.headers] - Webhook headers (lowercase names)
+ * @param {string} [params.source] - Explicit source, as ?source= on the universal endpoint
+ * @param {number} [params.merchantId] - Authenticated merchant
+ * @returns {Promise<object>} - { valid, detection, topic, event, action, order, errors, warnings }
+ */
+const previewOrderWebhook = async ({ payload, headers = {}, source: requestedSource = null, merchantId = null }) => {
+  const { mapping, error: detectionError, ...detection } = await resolveWebhookSource(
+    requestedSource,
+    payload,
+    headers,
+    merchantId
+  );
+
+  const preview = {
+    valid: false,
+    detection,
+    topic: null,
+    event: null,
+    action: null,
+    order: null,
+    errors: [],
+    warnings: []
+  };
+
+  if (detectionError) {
+    preview.errors.push({ field: 'source', message: detectionError });
+    return preview;
+  }
+
+  const { source } = detection;
+  preview.topic = getWebhookTopic(source, headers);
+  preview.event = resolveOrderEvent(source, headers, payload, mapping);
+
+  if (!preview.event) {
+    preview.valid = true;
+    preview.action = WEBHOOK_ACTIONS.IGNORED;
+    preview.warnings.push({ field: 'topic', message: `Topic ${preview.topic} is not processed` });
+    return preview;
+  }
+
+  const merchantOptions = await merchantService.getNormalizationOptions(merchantId);
+
+  let order;
+  try {
+    order = normalizeOrder(source, payload, { merchantId, mapping, ...merchantOptions, skipValidation: true });
+  } catch (error) {
+    preview.errors.push({ field: null, message: `Normalization failed: ${error.message}` });
+    return preview;
+  }
+
+  const { raw_payload, ...normalizedOrder } = order;
+  preview.order = normalizedOrder;
+
+  // Cancellations only need the order reference
+  preview.errors = preview.event === ORDER_EVENTS.CANCELLED
+    ? getValidationErrors(order).filter(error => error.field === 'external_order_id')
+    : getValidationErrors(order, source, payload);
+  preview.warnings = preview.event === ORDER_EVENTS.CANCELLED ? [] : getOrderWarnings(order);
+
+  const overflowInRefusal = getOverflowInRefusal(source, merchantOptions);
+  if (overflowInRefusal) {
+    preview.errors.push({ field: null, message: overflowInRefusal });
+  }
+
+  preview.valid = preview.errors.length === 0;
+
+  if (!preview.valid) {
+    return preview;
+  }
+
+  // What processing would do with it (read-only lookup)
+  const existingOrder = await orderService.getOrderByExternalId(
+    order.external_order_id,
+    order.aggregator_source,
+    merchantId
+  );
+
+  if (preview.event === ORDER_EVENTS.CANCELLED) {
+    preview.action = existingOrder ? WEBHOOK_ACTIONS.CANCELLED : WEBHOOK_ACTIONS.IGNORED;
+  } else if (!existingOrder) {
+    preview.action = WEBHOOK_ACTIONS.CREATED;
+  } else {
+    preview.action = preview.event === ORDER_EVENTS.CREATED ? WEBHOOK_ACTIONS.DUPLICATE : WEBHOOK_ACTIONS.UPDATED;
+  }
+
+  if (existingOrder) {
+    preview.existing_order_id = existingOrder.internal_order_id;
+
+    const isChange = [WEBHOOK_ACTIONS.UPDATED, WEBHOOK_ACTIONS.CANCELLED].includes(preview.action);
+    if (isChange && !orderService.MODIFIABLE_STATUSES.includes(existingOrder.status)) {
+      preview.action = WEBHOOK_ACTIONS.REJECTED;
+      preview.warnings.push({ field: 'status', message: `Order is already ${existingOrder.status} and can no longer be changed` });
+    }
+  }
+
+  return preview;
+};
+
+module.exports = {
+  processOrderWebhook,
+  previewOrderWebhook,
+  resolveWebhookSource,
+  sendWhatsAppConfirmationAsync,
+  WEBHOOK_ACTIONS
+};
@@ -8,6 +8,7 @@
  */
 
 const https = require('https');
+const { parsePhoneNumber, canReceiveWhatsApp } = require('./phone.service');
 
 // WhatsApp Business API Configuration
 const WHATSAPP_CONFIG = {
@@ -101,13 +102,30 @@ const MESSAGE_TEMPLATES = {
         ]
       }
     ]
+  },
+  
+  // Driver Order Updated - Sent to the assigned driver when the merchant
+  // changes or cancels the order in the source platform
+  DRIVER_ORDER_UPDATED: {
+    name: 'zoom_driver_order_updated',
+    language: 'ro',
+    components: [
+      {
+        type: 'body',
+        parameters: [
+          { type: 'text', text: '{{driver_name}}' },
+          { type: 'text', text: '{{order_id}}' },
+          { type: 'text', text: '{{changes}}' }
+        ]
+      }
+    ]
   }
 };
 
 /**
  * Send WhatsApp message using template
  * 
- * @param {string} phoneNumber - Recipient phone number (with country code)
+ * @param {string} phoneNumber - Recipient phone number (E.164, or Romanian national format)
  * @param {string} templateName - Name of the template to use
  * @param {object} parameters - Template parameters
  * @returns {Promise<object>} - API response
@@ -119,8 +137,14 @@ const sendTemplateMessage = async (phoneNumber, templateName, parameters) => {
     throw new Error(`Unknown template: ${templateName}`);
   }
   
-  // Format phone number (ensure it has country code)
-  const formattedPhone = formatPhoneNumber(phoneNumber);
+  // Landlines and invalid numbers can't receive WhatsApp messages
+  const phone = parsePhoneNumber(phoneNumber);
+  if (!canReceiveWhatsApp(phone)) {
+    console.warn(`⚠️ Skipping WhatsApp ${templateName} - ${phoneNumber} is ${phone?.status || 'missing'}`);
+    return null;
+  }
+  
+  const formattedPhone = phone.e164;
   
   // Build the request payload
   const payload = {
@@ -271,12 +295,41 @@ const sendDeliveryFailedNotification = async (order, reason) => {
   );
 };
 
+/**
+ * Send Order Updated Notification to the assigned driver
+ * Called when the source platform changes or cancels an assigned order
+ */
+const sendDriverOrderUpdateNotification = async (order, driver, changesSummary) => {
+  if (!driver?.phone) {
+    console.warn(`⚠️ Cannot notify driver - no phone number for order ${order.internal_order_id}`);
+    return null;
+  }
+  
+  const parameters = {
+    driver_name: driver.name || 'Curier',
+    order_id: order.internal_order_id,
+    changes: changesSummary
+  };
+  
+  return await sendTemplateMessage(
+    driver.phone,
+    'DRIVER_ORDER_UPDATED',
+    parameters
+  );
+};
+
 /**
  * Send free-form text message (for customer service replies)
  * Note: Can only be sent within 24h of customer's last message
  */
 const sendTextMessage = async (phoneNumber, text) => {
-  const formattedPhone = formatPhoneNumber(phoneNumber);
+  const phone = parsePhoneNumber(phoneNumber);
+  if (!canReceiveWhatsApp(phone)) {
+    console.warn(`⚠️ Skipping WhatsApp text message - ${phoneNumber} is ${phone?.status || 'missing'}`);
+    return null;
+  }
+  
+  const formattedPhone = phone.e164;
   
   const payload = {
     messaging_product: 'whatsapp',
@@ -345,27 +398,6 @@ const buildTemplateComponents = (templateComponents, parameters) => {
   });
 };
 
-/**
- * Format phone number to international format
- */
-const formatPhoneNumber = (phone) => {
-  if (!phone) return '';
-  
-  // Remove all non-numeric characters except +
-  let cleaned = phone.replace(/[^\d+]/g, '');
-  
-  // Handle Romanian numbers
-  if (cleaned.startsWith('0') && cleaned.length === 10) {
-    cleaned = '40' + cleaned.slice(1);
-  } else if (cleaned.startsWith('+40')) {
-    cleaned = cleaned.slice(1);
-  } else if (cleaned.startsWith('40') && cleaned.length === 11) {
-    // Already correct format
-  }
-  
-  return cleaned;
-};
-
 /**
  * Calculate estimated time of arrival
  */
@@ -407,7 +439,9 @@ module.exports = {
   sendOutForDeliveryNotification,
   sendDeliveryCompletedNotification,
   sendDeliveryFailedNotification,
+  sendDriverOrderUpdateNotification,
   sendTextMessage,
   sendTemplateMessage,
+  generateTrackingLink,
   MESSAGE_TEMPLATES
 };
@@ -0,0 +1,21 @@
+/**
+ * Import Validator
+ * 
+ * Joi schema for the options of a spreadsheet import (multipart form fields)
+ */
+
+const Joi = require('joi');
+const { MAPPABLE_FIELDS } = require('./mapping.validator');
+
+const importOptionsSchema = Joi.object({
+  merchant_id: Joi.number().integer().positive().allow(null).default(null),
+  // { <order field>: <column header> }, sent as a JSON string
+  columns: Joi.object().pattern(Joi.string().valid(...MAPPABLE_FIELDS), Joi.string().min(1)).min(1),
+  // Name of a registered source mapping (alternative to columns)
+  mapping: Joi.string(),
+  atomic: Joi.boolean().default(false)
+}).oxor('columns', 'mapping');
+
+module.exports = {
+  importOptionsSchema
+};
@@ -0,0 +1,52 @@
+/**
+ * Integration Validator
+ *
+ * Joi schema for merchant store integrations
+ */
+
+const Joi = require('joi');
+const { PLATFORM_ADAPTERS } = require('../adapters');
+
+const PLATFORMS = Object.keys(PLATFORM_ADAPTERS);
+
+// Order events reported by at least one adapter
+const EVENTS = [...new Set(Object.values(PLATFORM_ADAPTERS).flatMap(adapter => adapter.EVENTS))];
+
+// Credentials each platform's API needs
+const CREDENTIALS = {
+  shopify: Joi.object({
+    access_token: Joi.string().trim().required()
+  }),
+  woocommerce: Joi.object({
+    consumer_key: Joi.string().trim().required(),
+    consumer_secret: Joi.string().trim().required()
+  }),
+  gomag: Joi.object({
+    api_key: Joi.string().trim().required()
+  })
+};
+
+// Store status per order event (WooCommerce slug or Gomag status ID); null leaves it unchanged
+const statusMapSchema = Joi.object().pattern(
+  Joi.string().valid(...EVENTS),
+  Joi.alternatives().try(Joi.string().trim().max(50), Joi.number().integer()).allow(null)
+);
+
+const integrationSchema = Joi.object({
+  merchant_id: Joi.number().integer().positive().required(),
+  platform: Joi.string().lowercase().valid(...PLATFORMS).required(),
+  store_url: Joi.string().trim().max(300).required(),
+  credentials: Joi.when('platform', {
+    switch: PLATFORMS.map(platform => ({ is: platform, then: CREDENTIALS[platform].required() }))
+  }),
+  settings: Joi.object({
+    notify_customer: Joi.boolean(),        // Shopify: email the customer about the fulfillment
+    customer_note: Joi.boolean(),          // WooCommerce: show the notes to the customer
+    status_map: statusMapSchema            // WooCommerce, Gomag
+  }).default({}),
+  is_active: Joi.boolean().default(true)
+});
+
+module.exports = {
+  integrationSchema
+};
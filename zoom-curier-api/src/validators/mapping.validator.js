@@ -0,0 +1,68 @@
+/**
+ * Mapping Validator
+ * 
+ * Joi schema for declarative source mappings (custom sources)
+ */
+
+const Joi = require('joi');
+const { MAPPING_TRANSFORMS } = require('../services/normalizer.service');
+
+/**
+ * Normalized order fields a mapping may fill
+ */
+const MAPPABLE_FIELDS = [
+  'external_order_id', 'service_level', 'pickup_address', 'pickup_location_code',
+  'delivery_address', 'delivery_city', 'delivery_county', 'delivery_postal_code',
+  'delivery_country', 'delivery_locality_id',
+  'recipient_name', 'recipient_phone', 'recipient_email',
+  'cod_amount', 'cod_currency', 'total_weight',
+  'package_length', 'package_width', 'package_height', 'notes'
+];
+
+const ITEM_FIELDS = ['sku', 'name', 'quantity', 'unit_weight', 'unit_price'];
+
+const path = Joi.string().pattern(/^\$/).message('{{#label}} must be a path starting with $');
+
+// '$.path' | ['$.a', '$.b'] | { path } | { paths, join } | { value }
+const fieldSpec = Joi.alternatives().try(
+  path,
+  Joi.array().items(path).min(1),
+  Joi.object({ path }),
+  Joi.object({ paths: Joi.array().items(path).min(1).required(), join: Joi.string() }),
+  Joi.object({ value: Joi.any().required() })
+);
+
+const definitionSchema = Joi.object({
+  fields: Joi.object().pattern(Joi.string().valid(...MAPPABLE_FIELDS), fieldSpec).required(),
+  defaults: Joi.object().pattern(Joi.string().valid(...MAPPABLE_FIELDS), Joi.any()),
+  cod: Joi.object({
+    path: path.required(),
+    in: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.number())),
+    amount: path.required(),
+    currency: path
+  }),
+  cancel: Joi.object({
+    path: path.required(),
+    in: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.number())).min(1).required()
+  }),
+  items: Joi.object({
+    path: path.required(),
+    fields: Joi.object().pattern(Joi.string().valid(...ITEM_FIELDS), fieldSpec).required()
+  }),
+  transforms: Joi.object().pattern(
+    Joi.string().valid(...MAPPABLE_FIELDS),
+    Joi.string().valid(...Object.keys(MAPPING_TRANSFORMS))
+  )
+});
+
+const mappingSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z0-9_-]+$/i).max(50).required(),
+  merchant_id: Joi.number().integer().positive().allow(null).default(null),
+  is_active: Joi.boolean().default(true),
+  definition: definitionSchema.required()
+});
+
+module.exports = {
+  mappingSchema,
+  MAPPABLE_FIELDS
+};
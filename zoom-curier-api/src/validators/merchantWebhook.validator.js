@@ -0,0 +1,18 @@
+/**
+ * Merchant Webhook Validator
+ *
+ * Joi schema for merchant webhook subscriptions
+ */
+
+const Joi = require('joi');
+const { WEBHOOK_EVENTS } = require('../services/merchantWebhook.service');
+
+const subscriptionSchema = Joi.object({
+  url: Joi.string().trim().uri({ scheme: ['https', 'http'] }).max(500).required(),
+  events: Joi.array().items(Joi.string().valid(...Object.values(WEBHOOK_EVENTS))).min(1).unique().allow(null),
+  rotate_secret: Joi.boolean().default(false)
+});
+
+module.exports = {
+  subscriptionSchema
+};
@@ -0,0 +1,140 @@
+/**
+ * Order Validator
+ * 
+ * Joi schemas for orders created directly through the API
+ * (B2B clients and dispatchers - courier on demand) and for every
+ * normalized order, whatever its source
+ */
+
+const Joi = require('joi');
+
+const SERVICE_LEVELS = ['lite', 'heavy', 'cargo'];
+
+const phone = Joi.string().trim().pattern(/^\+?[\d\s().-]{9,20}$/).message('{{#label}} must be a valid phone number');
+
+// Any syntactically valid address (Joi's TLD list would refuse newer domains)
+const email = Joi.string().trim().email({ tlds: { allow: false } });
+
+const address = Joi.object({
+  address: Joi.string().trim().max(400).required(),
+  city: Joi.string().trim().max(100),
+  county: Joi.string().trim().max(100),
+  postal_code: Joi.string().trim().max(20),
+  country: Joi.string().trim().length(2).uppercase().default('RO')
+});
+
+const dimension = Joi.number().positive().max(1000);
+
+const createOrderSchema = Joi.object({
+  // The client's own reference - used for deduplication when present
+  external_order_id: Joi.string().trim().max(255),
+  merchant_id: Joi.number().integer().positive().allow(null).default(null),
+  // Classified from weight and dimensions when not given
+  service_level: Joi.string().valid(...SERVICE_LEVELS),
+  
+  // An address, or the code of one of the merchant's pickup locations
+  // (omitted: the merchant's default location)
+  pickup: address.keys({
+    address: Joi.string().trim().max(400),
+    location_code: Joi.string().trim().max(50),
+    contact_name: Joi.string().trim().max(200),
+    contact_phone: phone
+  }).xor('address', 'location_code'),
+  
+  delivery: address.keys({
+    city: Joi.string().trim().max(100).required(),
+    locality_id: Joi.number().integer().positive()
+  }).required(),
+  
+  recipient: Joi.object({
+    name: Joi.string().trim().max(200).required(),
+    phone: phone.required(),
+    email
+  }).required(),
+  
+  cod: Joi.object({
+    amount: Joi.number().min(0).precision(2).required(),
+    currency: Joi.string().trim().length(3).uppercase().default('RON')
+  }),
+  
+  total_weight: Joi.number().positive().max(1000),
+  
+  // Largest package, in cm
+  dimensions: Joi.object({
+    length: dimension.required(),
+    width: dimension.required(),
+    height: dimension.required()
+  }),
+  
+  items: Joi.array().items(Joi.object({
+    sku: Joi.string().trim().max(100),
+    name: Joi.string().trim().max(255).required(),
+    quantity: Joi.number().integer().min(1).default(1),
+    unit_weight: Joi.number().min(0),
+    unit_price: Joi.number().min(0)
+  })),
+  
+  notes: Joi.string().trim().max(2000).allow('')
+});
+
+// Normalizers use null (or '') for values they could not find
+const present = (schema) => schema.empty(Joi.valid(null, '')).required();
+
+/**
+ * Normalized order (normalizer.service.js output)
+ * Only the fields the platform relies on; the rest is passed through
+ */
+const normalizedOrderSchema = Joi.object({
+  external_order_id: present(Joi.string().max(255)),
+  service_level: present(Joi.string().valid(...SERVICE_LEVELS)),
+  
+  recipient_name: present(Joi.string().trim().max(200)),
+  recipient_phone: present(Joi.string().pattern(/^\+?\d{9,15}$/))
+    .messages({ 'string.pattern.base': '{{#label}} must be a phone number with 9 to 15 digits (got "{{#value}}")' }),
+  recipient_email: email.allow(null),
+  
+  delivery_address: present(Joi.string().trim().max(500)),
+  delivery_country: present(Joi.string().length(2)),
+  
+  cod_amount: present(Joi.number().min(0)),
+  cod_currency: present(Joi.string().length(3)),
+  total_weight: Joi.number().min(0).allow(null),
+  package_length: Joi.number().positive().allow(null),
+  package_width: Joi.number().positive().allow(null),
+  package_height: Joi.number().positive().allow(null),
+  
+  items: Joi.array().items(Joi.object({
+    quantity: Joi.number().integer().min(1),
+    unit_weight: Joi.number().min(0).allow(null),
+    unit_price: Joi.number().min(0).allow(null)
+  }).unknown(true))
+}).unknown(true);
+
+/**
+ * Check an email address (normalizers drop malformed ones instead of
+ * rejecting the order)
+ */
+const isValidEmail = (value) => !email.validate(value).error;
+
+/**
+ * Validate a normalized order
+ * Returns [{ location, field, message }] (empty when the order is valid)
+ */
+const validateNormalizedOrderFields = (order) => {
+  const { error } = normalizedOrderSchema.validate(order, { abortEarly: false, convert: false });
+  if (!error) return [];
+  
+  return error.details.map(detail => ({
+    location: 'order',
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+};
+
+module.exports = {
+  createOrderSchema,
+  normalizedOrderSchema,
+  validateNormalizedOrderFields,
+  isValidEmail,
+  SERVICE_LEVELS
+};
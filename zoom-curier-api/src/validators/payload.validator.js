@@ -0,0 +1,136 @@
+/**
+ * Payload Validator
+ * 
+ * Joi schemas for the webhook payload of each built-in source.
+ * They catch malformed values (non-numeric totals and weights, wrong
+ * types) before the normalizer coerces them; whether the order has
+ * everything it needs is checked on the normalized order (order.validator.js)
+ * 
+ * Unknown keys are allowed - platforms send far more than we read
+ * Keyed by source name (SOURCES in normalizer.service.js, which uses
+ * these schemas - so they cannot import it)
+ */
+
+const Joi = require('joi');
+
+const id = Joi.alternatives().try(Joi.string().trim().min(1).max(255), Joi.number());
+const text = Joi.string().allow('', null);
+const phone = Joi.alternatives().try(Joi.string().allow('', null), Joi.number());
+const postalCode = Joi.alternatives().try(Joi.string().allow('', null), Joi.number());
+const amount = Joi.number().min(0).allow(null);
+const weight = Joi.number().min(0).allow(null, '');
+const quantity = Joi.number().integer().min(1);
+
+const object = (keys) => Joi.object(keys).unknown(true);
+const list = (keys) => Joi.array().items(object(keys));
+
+// COD totals are required when the payment method is cash on delivery
+const codAmount = (field, codValues) => amount.when(field, {
+  is: Joi.valid(...codValues).required(),
+  then: Joi.required()
+});
+
+const SOURCE_SCHEMAS = {
+  GOMAG: object({
+    order_id: id,
+    customer: object({ name: text, phone, email: text }),
+    shipping_address: object({ address1: text, address2: text, city: text, county: text, zip: postalCode }),
+    payment_method: text,
+    total: codAmount('payment_method', ['cod', 'ramburs']),
+    products: list({ quantity, weight, price: amount }),
+    items: list({ quantity, weight, price: amount })
+  }),
+  
+  SHOPIFY: object({
+    id,
+    customer: object({ first_name: text, last_name: text, email: text }).allow(null),
+    shipping_address: object({ address1: text, address2: text, city: text, zip: postalCode, phone }).allow(null),
+    total_price: amount,
+    line_items: list({ quantity, grams: Joi.number().min(0).allow(null), price: amount })
+  }),
+  
+  WOOCOMMERCE: object({
+    id,
+    billing: object({ phone, email: text }),
+    shipping: object({ address_1: text, address_2: text, city: text, postcode: postalCode }),
+    payment_method: text,
+    total: codAmount('payment_method', ['cod']),
+    line_items: list({ quantity, weight, price: amount })
+  }),
+  
+  INNOSHIP: object({
+    ClientOrderId: id,
+    ExternalOrderId: id,
+    AddressTo: list({ Name: text, AddressText: text, Phone: phone, PostalCode: postalCode }),
+    AddressFrom: list({ AddressText: text }),
+    Content: list({
+      TotalWeight: weight,
+      ParcelsCount: Joi.number().integer().min(1),
+      Parcels: list({ Size: object({ Weight: weight }) })
+    }),
+    Extra: object({ CashOnDeliveryAmount: amount, BankRepaymentAmount: amount })
+  }),
+  
+  EMAG: object({
+    id,
+    payment_mode_id: Joi.number().integer(),
+    cashed_cod: codAmount('payment_mode_id', [1, '1']),
+    customer: object({ shipping_street: text, shipping_phone: phone, phone_1: phone, shipping_postal_code: postalCode }),
+    products: list({ quantity, weight, sale_price: amount })
+  }),
+  
+  PRESTASHOP: object({
+    order: object({
+      id,
+      module: text,
+      total_paid: amount,
+      total_paid_tax_incl: amount,
+      associations: object({
+        order_rows: list({ product_quantity: quantity, product_weight: weight, unit_price_tax_incl: amount })
+      })
+    }),
+    address_delivery: object({ address1: text, address2: text, postcode: postalCode, phone, phone_mobile: phone })
+  }),
+  
+  OPENCART: object({
+    order_id: id,
+    telephone: phone,
+    shipping_address_1: text,
+    shipping_postcode: postalCode,
+    total: amount,
+    products: list({ quantity, weight, price: amount })
+  }),
+  
+  OVERFLOW_IN: object({
+    carrier_id: id,
+    awb_number: id,
+    recipient_phone: phone,
+    cod_amount: amount,
+    weight,
+    items: list({ quantity, weight, price: amount })
+  })
+};
+
+/**
+ * Validate a webhook payload against the schema of its source
+ * Returns [{ location, field, message }] (empty for valid payloads and
+ * for sources without a schema, e.g. custom mappings)
+ */
+const validateSourcePayload = (source, payload) => {
+  const schema = SOURCE_SCHEMAS[source?.toUpperCase()];
+  if (!schema) return [];
+  
+  const { error } = schema.validate(payload, { abortEarly: false });
+  if (!error) return [];
+  
+  return error.details.map(detail => ({
+    location: 'payload',
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+};
+
+module.exports = {
+  validateSourcePayload,
+  SOURCE_SCHEMAS
+};
@@ -0,0 +1,44 @@
+/**
+ * Pickup Location Validator
+ * 
+ * Joi schema for merchant pickup locations
+ */
+
+const Joi = require('joi');
+
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const hours = Joi.string()
+  .pattern(/^(([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d|closed)$/)
+  .message('{{#label}} must be "HH:MM-HH:MM" or "closed"');
+
+const matchValue = Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean());
+
+// Selects the location when a payload path ($...) or a normalized order field matches
+const ruleSchema = Joi.object({
+  path: Joi.string().pattern(/^\$/).message('{{#label}} must be a path starting with $'),
+  field: Joi.string().pattern(/^[a-z_]+$/),
+  equals: matchValue,
+  in: Joi.array().items(matchValue).min(1)
+}).xor('path', 'field').xor('equals', 'in');
+
+const pickupLocationSchema = Joi.object({
+  merchant_id: Joi.number().integer().positive().required(),
+  code: Joi.string().pattern(/^[a-z0-9_-]+$/i).max(50).required(),
+  name: Joi.string().trim().max(200).required(),
+  address: Joi.string().trim().max(400).required(),
+  city: Joi.string().trim().max(100).required(),
+  county: Joi.string().trim().max(100).allow(null),
+  postal_code: Joi.string().trim().max(20).allow(null),
+  contact_name: Joi.string().trim().max(200).allow(null),
+  contact_phone: Joi.string().trim().pattern(/^\+?[\d\s().-]{9,20}$/).allow(null)
+    .message('{{#label}} must be a valid phone number'),
+  opening_hours: Joi.object(Object.fromEntries(DAYS.map(day => [day, hours]))).allow(null),
+  rules: Joi.array().items(ruleSchema).default([]),
+  is_default: Joi.boolean().default(false),
+  is_active: Joi.boolean().default(true)
+});
+
+module.exports = {
+  pickupLocationSchema
+};
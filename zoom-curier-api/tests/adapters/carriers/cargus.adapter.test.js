@@ -0,0 +1,119 @@
+const { startStubServer } = require('../../helpers/stubServer');
+const cargus = require('../../../src/adapters/carriers/cargus.adapter');
+
+const order = {
+  internal_order_id: 'ZC-20260204-a1b2c3d4',
+  recipient_name: 'Andrei Pop',
+  recipient_phone: '+40744123456',
+  delivery_address: 'Str. Lungă 5',
+  delivery_city: 'Brașov',
+  delivery_county: 'BV',
+  cod_amount: '80',
+  total_weight: '1.2',
+  notes: 'Sunați înainte'
+};
+
+describe('Cargus adapter', () => {
+  let stub;
+  let carrier;
+  let logins;
+
+  beforeEach(async () => {
+    logins = 0;
+
+    stub = await startStubServer({
+      'POST /LoginUser': () => {
+        logins += 1;
+        return { body: `cargus-token-${logins}` };
+      },
+      'POST /Awbs': () => ({ body: 1064512345 }),
+      'GET /AwbDocuments': () => ({ body: Buffer.from('%PDF-1.4 cargus').toString('base64') }),
+      'DELETE /Awbs': () => ({ body: 1 }),
+      'GET /AwbTrace': () => ({
+        body: [{
+          Event: [
+            { EventId: 1, Description: 'Preluat', LocalityName: 'Brasov', Date: '2026-02-04T10:00:00' },
+            { EventId: 21, Description: 'Confirmat', LocalityName: 'Brasov', Date: '2026-02-05T12:00:00' }
+          ]
+        }]
+      })
+    });
+
+    // Each test logs in afresh (tokens are cached per carrier code)
+    carrier = {
+      code: `CARGUS-${Math.random()}`,
+      api_endpoint: stub.url,
+      api_key: 'subscription-key',
+      settings: { username: 'zoom', password: 'secret', location_id: 201 }
+    };
+  });
+
+  afterEach(() => stub.close());
+
+  it('logs in and creates a shipment, sending the subscription key', async () => {
+    const result = await cargus.createShipment({ carrier, order });
+
+    expect(result).toEqual({ awb: '1064512345' });
+
+    const [login, create] = stub.requests;
+    expect(login.body).toEqual({ UserName: 'zoom', Password: 'secret' });
+    expect(login.headers['ocp-apim-subscription-key']).toBe('subscription-key');
+    expect(create.headers.authorization).toBe('Bearer cargus-token-1');
+    expect(create.headers['ocp-apim-subscription-key']).toBe('subscription-key');
+
+    expect(create.body).toMatchObject({
+      Sender: { LocationId: 201 },
+      ServiceId: 34,
+      TotalWeight: 2,
+      CashRepayment: 80,
+      Observations: 'Sunați înainte',
+      CustomString: order.internal_order_id
+    });
+    expect(create.body.Recipient).toMatchObject({ CountyName: 'Brașov', LocalityName: 'Brașov' });
+  });
+
+  it('logs in again and retries once when the token is rejected', async () => {
+    await cargus.createShipment({ carrier, order });
+
+    stub.route('GET /AwbTrace', (request) => (
+      request.headers.authorization === 'Bearer cargus-token-1' ? { status: 401 } : { body: [] }
+    ));
+
+    const tracking = await cargus.getTracking({ carrier, awb: '1064512345' });
+
+    expect(logins).toBe(2);
+    expect(tracking).toEqual({ status: null, delivered: false, returned: false, events: [] });
+  });
+
+  it('reports delivery from the trace events', async () => {
+    const tracking = await cargus.getTracking({ carrier, awb: '1064512345' });
+
+    expect(tracking.status).toBe('Confirmat');
+    expect(tracking.delivered).toBe(true);
+    expect(tracking.returned).toBe(false);
+    expect(tracking.events[0]).toEqual({ code: 1, status: 'Preluat', location: 'Brasov', date: '2026-02-04T10:00:00' });
+    expect(stub.requests[1].query).toEqual({ barCode: '["1064512345"]' });
+  });
+
+  it('reports a shipment returned to the sender', async () => {
+    stub.route('GET /AwbTrace', () => ({
+      body: [{ Event: [{ EventId: 24, Description: 'Returnat expeditorului', Date: '2026-02-09T09:00:00' }] }]
+    }));
+
+    const tracking = await cargus.getTracking({ carrier, awb: '1064512345' });
+
+    expect(tracking).toMatchObject({ delivered: false, returned: true });
+  });
+
+  it('decodes the base64 label', async () => {
+    const label = await cargus.getAwbLabel({ carrier, awb: '1064512345' });
+
+    expect(label).toEqual({ content_type: 'application/pdf', data: Buffer.from('%PDF-1.4 cargus') });
+  });
+
+  it('cancels a shipment by its bar code', async () => {
+    await cargus.cancelShipment({ carrier, awb: '1064512345' });
+
+    expect(stub.requests[1]).toMatchObject({ method: 'DELETE', path: '/Awbs', query: { barCode: '1064512345' } });
+  });
+});
@@ -0,0 +1,127 @@
+const { startStubServer } = require('../../helpers/stubServer');
+const fan = require('../../../src/adapters/carriers/fan.adapter');
+
+const order = {
+  internal_order_id: 'ZC-20260204-a1b2c3d4',
+  recipient_name: 'Ion Popescu',
+  recipient_phone: '+40722123456',
+  delivery_address: 'Str. Memorandumului 28',
+  delivery_city: 'Cluj-Napoca',
+  delivery_county: 'CJ',
+  delivery_postal_code: '400114',
+  cod_amount: '149.90',
+  total_weight: '2.5'
+};
+
+describe('Fan Courier adapter', () => {
+  let stub;
+  let carrier;
+  let logins;
+
+  beforeEach(async () => {
+    logins = 0;
+
+    stub = await startStubServer({
+      'POST /login': () => {
+        logins += 1;
+        return { body: { data: { token: `fan-token-${logins}`, expiresAt: new Date(Date.now() + 3600 * 1000).toISOString() } } };
+      },
+      'POST /intern-awb': () => ({ body: { response: [{ awbNumber: 2150000123 }] } }),
+      'GET /awb/label': () => ({ body: Buffer.from('%PDF-1.4 fan') }),
+      'DELETE /awb': () => ({ body: { status: 'success' } }),
+      'GET /reports/awb/tracking': () => ({
+        body: {
+          data: [{
+            events: [
+              { id: 'C0', name: 'Expeditie ridicata', location: 'Cluj-Napoca', date: '2026-02-04 10:00:00' },
+              { id: 'S2', name: 'Livrat', location: 'Cluj-Napoca', date: '2026-02-05 12:30:00' }
+            ]
+          }]
+        }
+      })
+    });
+
+    // Each test logs in afresh (tokens are cached per carrier code)
+    carrier = {
+      code: `FAN-${Math.random()}`,
+      api_endpoint: `${stub.url}/`,
+      settings: { username: 'zoom', password: 'secret', client_id: 7032158 }
+    };
+  });
+
+  afterEach(() => stub.close());
+
+  it('logs in and creates a shipment with the order details', async () => {
+    const result = await fan.createShipment({ carrier, order });
+
+    expect(result).toEqual({ awb: '2150000123' });
+
+    const [login, create] = stub.requests;
+    expect(login.query).toEqual({ username: 'zoom', password: 'secret' });
+    expect(create.headers.authorization).toBe('Bearer fan-token-1');
+
+    const shipment = create.body.shipments[0];
+    expect(create.body.clientId).toBe(7032158);
+    expect(shipment.info.cod).toBe(149.9);
+    expect(shipment.info.weight).toBe(2.5);
+    expect(shipment.info.content.contents).toBe(order.internal_order_id);
+    expect(shipment.recipient.address).toMatchObject({ county: 'Cluj', locality: 'Cluj-Napoca', zipCode: '400114' });
+  });
+
+  it('reuses the login token across requests', async () => {
+    await fan.createShipment({ carrier, order });
+    await fan.cancelShipment({ carrier, awb: '2150000123' });
+
+    expect(logins).toBe(1);
+    expect(stub.requests[2].query).toEqual({ clientId: '7032158', awb: '2150000123' });
+  });
+
+  it('logs in again and retries once when the token is rejected', async () => {
+    await fan.createShipment({ carrier, order });
+
+    stub.route('GET /reports/awb/tracking', (request) => (
+      request.headers.authorization === 'Bearer fan-token-1'
+        ? { status: 401, body: { message: 'Token expired' } }
+        : { body: { data: [{ events: [] }] } }
+    ));
+
+    const tracking = await fan.getTracking({ carrier, awb: '2150000123' });
+
+    expect(logins).toBe(2);
+    expect(tracking).toEqual({ status: null, delivered: false, returned: false, events: [] });
+  });
+
+  it('reports delivery from the tracking events', async () => {
+    const tracking = await fan.getTracking({ carrier, awb: '2150000123' });
+
+    expect(tracking.status).toBe('Livrat');
+    expect(tracking.delivered).toBe(true);
+    expect(tracking.returned).toBe(false);
+    expect(tracking.events).toHaveLength(2);
+    expect(tracking.events[1]).toEqual({ code: 'S2', status: 'Livrat', location: 'Cluj-Napoca', date: '2026-02-05 12:30:00' });
+    expect(stub.requests[1].query).toEqual({ clientId: '7032158', 'awb[]': '2150000123' });
+  });
+
+  it('reports a shipment returned to the sender', async () => {
+    stub.route('GET /reports/awb/tracking', () => ({
+      body: { data: [{ events: [{ id: 'S43', name: 'Returnat la expeditor', date: '2026-02-08 09:00:00' }] }] }
+    }));
+
+    const tracking = await fan.getTracking({ carrier, awb: '2150000123' });
+
+    expect(tracking).toMatchObject({ delivered: false, returned: true, status: 'Returnat la expeditor' });
+  });
+
+  it('downloads the AWB label as a PDF', async () => {
+    const label = await fan.getAwbLabel({ carrier, awb: '2150000123' });
+
+    expect(label.content_type).toBe('application/pdf');
+    expect(label.data.toString()).toBe('%PDF-1.4 fan');
+  });
+
+  it('fails when no AWB is returned', async () => {
+    stub.route('POST /intern-awb', () => ({ body: { response: [{ errors: ['Localitate invalida'] }] } }));
+
+    await expect(fan.createShipment({ carrier, order })).rejects.toThrow('Localitate invalida');
+  });
+});
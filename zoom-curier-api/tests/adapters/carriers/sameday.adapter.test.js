@@ -0,0 +1,123 @@
+const { startStubServer } = require('../../helpers/stubServer');
+const sameday = require('../../../src/adapters/carriers/sameday.adapter');
+
+const order = {
+  internal_order_id: 'ZC-20260204-a1b2c3d4',
+  recipient_name: 'Maria Ionescu',
+  recipient_phone: '+40733123456',
+  recipient_email: 'maria@example.ro',
+  delivery_address: 'Bd. Unirii 10',
+  delivery_city: 'București',
+  delivery_county: 'B',
+  cod_amount: 0,
+  total_weight: null
+};
+
+describe('Sameday adapter', () => {
+  let stub;
+  let carrier;
+  let logins;
+
+  beforeEach(async () => {
+    logins = 0;
+
+    stub = await startStubServer({
+      'POST /api/authenticate': () => {
+        logins += 1;
+        return { body: { token: `sd-token-${logins}`, expire_at: new Date(Date.now() + 3600 * 1000).toISOString() } };
+      },
+      'POST /api/awb': () => ({ body: { awbNumber: '1ONB24012345678' } }),
+      'GET /api/awb/download/1ONB24012345678/A6': () => ({ body: Buffer.from('%PDF-1.4 sameday') }),
+      'DELETE /api/awb/1ONB24012345678': () => ({ status: 204 }),
+      'GET /api/client/awb/1ONB24012345678/status': () => ({
+        body: {
+          expeditionStatus: { status: 'Livrata cu succes' },
+          // Newest first
+          awbHistory: [
+            { statusId: 9, status: 'Livrata cu succes', county: 'Bucuresti', statusDate: '2026-02-05T12:30:00Z' },
+            { statusId: 4, status: 'In tranzit', transitLocation: 'Hub Bucuresti', statusDate: '2026-02-05T08:00:00Z' }
+          ]
+        }
+      })
+    });
+
+    // Each test logs in afresh (tokens are cached per carrier code)
+    carrier = {
+      code: `SAMEDAY-${Math.random()}`,
+      api_endpoint: stub.url,
+      settings: { username: 'zoom', password: 'secret', pickup_point: 3120 }
+    };
+  });
+
+  afterEach(() => stub.close());
+
+  it('logs in with the account headers and creates a shipment', async () => {
+    const result = await sameday.createShipment({ carrier, order });
+
+    expect(result).toEqual({ awb: '1ONB24012345678' });
+
+    const [login, create] = stub.requests;
+    expect(login.headers['x-auth-username']).toBe('zoom');
+    expect(login.headers['x-auth-password']).toBe('secret');
+    expect(create.headers['x-auth-token']).toBe('sd-token-1');
+
+    expect(create.body).toMatchObject({
+      pickupPoint: 3120,
+      service: 7,
+      packageWeight: 1,
+      cashOnDelivery: 0,
+      clientInternalReference: order.internal_order_id
+    });
+    expect(create.body.awbRecipient).toMatchObject({
+      name: 'Maria Ionescu',
+      email: 'maria@example.ro',
+      countyString: 'București',
+      cityString: 'București'
+    });
+  });
+
+  it('logs in again and retries once when the token is rejected', async () => {
+    await sameday.createShipment({ carrier, order });
+
+    stub.route('DELETE /api/awb/1ONB24012345678', (request) => (
+      request.headers['x-auth-token'] === 'sd-token-1' ? { status: 401, body: { code: 401 } } : { status: 204 }
+    ));
+
+    await sameday.cancelShipment({ carrier, awb: '1ONB24012345678' });
+
+    expect(logins).toBe(2);
+    expect(stub.requests.filter(r => r.method === 'DELETE')).toHaveLength(2);
+  });
+
+  it('reads the history oldest first and reports delivery', async () => {
+    const tracking = await sameday.getTracking({ carrier, awb: '1ONB24012345678' });
+
+    expect(tracking.status).toBe('Livrata cu succes');
+    expect(tracking.delivered).toBe(true);
+    expect(tracking.returned).toBe(false);
+    expect(tracking.events.map(event => event.code)).toEqual([4, 9]);
+    expect(tracking.events[0].location).toBe('Hub Bucuresti');
+  });
+
+  it('reports a shipment returned to the sender', async () => {
+    stub.route('GET /api/client/awb/1ONB24012345678/status', () => ({
+      body: { awbHistory: [{ statusId: 17, status: 'Returnata la expeditor', statusDate: '2026-02-09T09:00:00Z' }] }
+    }));
+
+    const tracking = await sameday.getTracking({ carrier, awb: '1ONB24012345678' });
+
+    expect(tracking).toMatchObject({ status: 'Returnata la expeditor', delivered: false, returned: true });
+  });
+
+  it('downloads the A6 label as a PDF', async () => {
+    const label = await sameday.getAwbLabel({ carrier, awb: '1ONB24012345678' });
+
+    expect(label).toEqual({ content_type: 'application/pdf', data: Buffer.from('%PDF-1.4 sameday') });
+  });
+
+  it('passes API errors on with their response', async () => {
+    stub.route('POST /api/awb', () => ({ status: 400, body: { message: 'Validation failed' } }));
+
+    await expect(sameday.createShipment({ carrier, order })).rejects.toMatchObject({ response: { status: 400 } });
+  });
+});
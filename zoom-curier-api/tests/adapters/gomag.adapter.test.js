@@ -0,0 +1,89 @@
+const { startStubServer } = require('../helpers/stubServer');
+
+const order = {
+  internal_order_id: 'ZC-20260204-a1b2c3d4',
+  external_order_id: '10042'
+};
+
+describe('Gomag adapter', () => {
+  let stub;
+  let gomag;
+  let integration;
+
+  beforeAll(async () => {
+    stub = await startStubServer();
+
+    // The API URL is read when the adapter is loaded
+    process.env.GOMAG_API_URL = `${stub.url}/api/v1`;
+    gomag = require('../../src/adapters/gomag.adapter');
+  });
+
+  afterAll(() => {
+    delete process.env.GOMAG_API_URL;
+    return stub.close();
+  });
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+    stub.route('POST /api/v1/order/status/update/json', () => ({ body: { id: 10042 } }));
+    stub.route('POST /api/v1/order/note/add/json', () => ({ body: { id: 10042 } }));
+
+    integration = {
+      store_url: 'magazin.example.ro',
+      credentials: { api_key: 'gomag-key' },
+      settings: {}
+    };
+  });
+
+  it('only adds a note until the merchant maps the shop statuses', async () => {
+    const result = await gomag.push({ integration, order, event: 'delivered' });
+
+    expect(result).toEqual({ store_status: null });
+    expect(stub.requests).toHaveLength(1);
+
+    const [note] = stub.requests;
+    expect(note.path).toBe('/api/v1/order/note/add/json');
+    expect(note.headers.apikey).toBe('gomag-key');
+    expect(note.headers.apishop).toBe('magazin.example.ro');
+
+    const data = JSON.parse(note.body.data);
+    expect(data.id).toBe('10042');
+    expect(data.note).toContain(`AWB: ${order.internal_order_id}`);
+  });
+
+  it('changes the order status when it is mapped', async () => {
+    integration.settings = { status_map: { delivered: 7 } };
+
+    const result = await gomag.push({ integration, order, event: 'delivered' });
+
+    expect(result).toEqual({ store_status: 7 });
+    expect(stub.requests.map(r => r.path)).toEqual([
+      '/api/v1/order/status/update/json',
+      '/api/v1/order/note/add/json'
+    ]);
+    expect(JSON.parse(stub.requests[0].body.data)).toEqual({ id: '10042', statusId: 7 });
+  });
+
+  it('skips the status change when a later event was already sent', async () => {
+    integration.settings = { status_map: { assigned: 3 } };
+
+    const result = await gomag.push({ integration, order, event: 'assigned', superseded: true });
+
+    expect(result).toEqual({ store_status: null });
+    expect(stub.requests.map(r => r.path)).toEqual(['/api/v1/order/note/add/json']);
+  });
+
+  it('fails permanently when Gomag reports an error in a 200 response', async () => {
+    stub.route('POST /api/v1/order/note/add/json', () => ({ body: { errors: ['Order not found'] } }));
+
+    await expect(gomag.push({ integration, order, event: 'assigned' }))
+      .rejects.toMatchObject({ retryable: false, message: expect.stringContaining('Order not found') });
+  });
+
+  it('passes HTTP errors on with their response', async () => {
+    stub.route('POST /api/v1/order/note/add/json', () => ({ status: 502, body: 'Bad gateway' }));
+
+    await expect(gomag.push({ integration, order, event: 'assigned' }))
+      .rejects.toMatchObject({ response: { status: 502 } });
+  });
+});
@@ -0,0 +1,112 @@
+const { startStubServer } = require('../helpers/stubServer');
+const shopify = require('../../src/adapters/shopify.adapter');
+
+const BASE = '/admin/api/2024-10';
+
+const order = {
+  internal_order_id: 'ZC-20260204-a1b2c3d4',
+  external_order_id: '5001'
+};
+
+describe('Shopify adapter', () => {
+  let stub;
+  let integration;
+
+  beforeEach(async () => {
+    stub = await startStubServer({
+      [`GET ${BASE}/orders/5001/fulfillments.json`]: () => ({ body: { fulfillments: [] } }),
+      [`GET ${BASE}/orders/5001/fulfillment_orders.json`]: () => ({
+        body: {
+          fulfillment_orders: [
+            { id: 11, status: 'open' },
+            { id: 12, status: 'closed' }
+          ]
+        }
+      }),
+      [`POST ${BASE}/fulfillments.json`]: () => ({ status: 201, body: { fulfillment: { id: 901 } } }),
+      [`POST ${BASE}/orders/5001/fulfillments/901/events.json`]: () => ({ status: 201, body: { fulfillment_event: { id: 1 } } })
+    });
+
+    integration = {
+      store_url: stub.url,
+      credentials: { access_token: 'shpat_test' },
+      settings: {}
+    };
+  });
+
+  afterEach(() => stub.close());
+
+  it('fulfills the open fulfillment orders with our tracking number when a driver is assigned', async () => {
+    const result = await shopify.push({ integration, order, event: 'assigned' });
+
+    expect(result).toEqual({ fulfillment_id: 901 });
+
+    const created = stub.requests.find(r => r.method === 'POST' && r.path === `${BASE}/fulfillments.json`);
+    expect(created.headers['x-shopify-access-token']).toBe('shpat_test');
+    expect(created.body.fulfillment.line_items_by_fulfillment_order).toEqual([{ fulfillment_order_id: 11 }]);
+    expect(created.body.fulfillment.tracking_info).toEqual({
+      number: order.internal_order_id,
+      url: `https://track.example.ro/${order.internal_order_id}`,
+      company: 'Zoom Curier'
+    });
+    expect(created.body.fulfillment.notify_customer).toBe(true);
+  });
+
+  it('reuses the fulfillment of an earlier attempt instead of fulfilling twice', async () => {
+    stub.route(`GET ${BASE}/orders/5001/fulfillments.json`, () => ({
+      body: { fulfillments: [{ id: 777, tracking_number: order.internal_order_id }] }
+    }));
+
+    const result = await shopify.push({ integration, order, event: 'assigned' });
+
+    expect(result).toEqual({ fulfillment_id: 777 });
+    expect(stub.requests.some(r => r.method === 'POST')).toBe(false);
+  });
+
+  it('adds a delivered event to the fulfillment created for the assignment', async () => {
+    const result = await shopify.push({
+      integration,
+      order,
+      event: 'delivered',
+      previousResult: { fulfillment_id: 901 }
+    });
+
+    expect(result).toEqual({ fulfillment_id: 901 });
+    expect(stub.requests).toHaveLength(1);
+    expect(stub.requests[0].path).toBe(`${BASE}/orders/5001/fulfillments/901/events.json`);
+    expect(stub.requests[0].body).toEqual({ event: { status: 'delivered' } });
+  });
+
+  it('fulfills the order first when the assignment was never reported', async () => {
+    await shopify.push({ integration, order, event: 'delivered' });
+
+    expect(stub.requests.map(r => `${r.method} ${r.path}`)).toEqual([
+      `GET ${BASE}/orders/5001/fulfillments.json`,
+      `GET ${BASE}/orders/5001/fulfillment_orders.json`,
+      `POST ${BASE}/fulfillments.json`,
+      `POST ${BASE}/orders/5001/fulfillments/901/events.json`
+    ]);
+  });
+
+  it('fails permanently when nothing is left to fulfill', async () => {
+    stub.route(`GET ${BASE}/orders/5001/fulfillment_orders.json`, () => ({
+      body: { fulfillment_orders: [{ id: 11, status: 'closed' }] }
+    }));
+
+    await expect(shopify.push({ integration, order, event: 'assigned' }))
+      .rejects.toMatchObject({ retryable: false });
+  });
+
+  it('passes API errors on with their response, so the worker can decide to retry', async () => {
+    stub.route(`GET ${BASE}/orders/5001/fulfillments.json`, () => ({ status: 503, body: { errors: 'Unavailable' } }));
+
+    await expect(shopify.push({ integration, order, event: 'assigned' }))
+      .rejects.toMatchObject({ response: { status: 503 } });
+  });
+
+  it('rejects orders without a Shopify order ID', async () => {
+    await expect(shopify.push({ integration, order: { internal_order_id: 'ZC-1' }, event: 'assigned' }))
+      .rejects.toMatchObject({ retryable: false });
+    expect(stub.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,82 @@
+const { startStubServer } = require('../helpers/stubServer');
+const woocommerce = require('../../src/adapters/woocommerce.adapter');
+
+const ORDER_PATH = '/wp-json/wc/v3/orders/812';
+
+const order = {
+  internal_order_id: 'ZC-20260204-a1b2c3d4',
+  external_order_id: '812'
+};
+
+describe('WooCommerce adapter', () => {
+  let stub;
+  let integration;
+
+  beforeEach(async () => {
+    stub = await startStubServer({
+      [`PUT ${ORDER_PATH}`]: (request) => ({ body: { id: 812, status: request.body.status } }),
+      [`POST ${ORDER_PATH}/notes`]: () => ({ status: 201, body: { id: 55 } })
+    });
+
+    integration = {
+      store_url: `${stub.url}/`,
+      credentials: { consumer_key: 'ck_test', consumer_secret: 'cs_test' },
+      settings: {}
+    };
+  });
+
+  afterEach(() => stub.close());
+
+  it('completes the order and adds a note with our AWB when it is delivered', async () => {
+    const result = await woocommerce.push({ integration, order, event: 'delivered' });
+
+    expect(result).toEqual({ store_status: 'completed', note_id: 55 });
+
+    const [update, note] = stub.requests;
+    expect(update.method).toBe('PUT');
+    expect(update.body).toEqual({ status: 'completed' });
+    expect(update.headers.authorization).toBe(`Basic ${Buffer.from('ck_test:cs_test').toString('base64')}`);
+
+    expect(note.path).toBe(`${ORDER_PATH}/notes`);
+    expect(note.body.note).toContain(`AWB: ${order.internal_order_id}`);
+    expect(note.body.note).toContain(`https://track.example.ro/${order.internal_order_id}`);
+    expect(note.body.customer_note).toBe(false);
+  });
+
+  it('only adds a note for events without a store status', async () => {
+    const result = await woocommerce.push({ integration, order, event: 'assigned' });
+
+    expect(result).toEqual({ store_status: null, note_id: 55 });
+    expect(stub.requests.map(r => r.method)).toEqual(['POST']);
+  });
+
+  it('uses the merchant status map over the defaults', async () => {
+    integration.settings = { status_map: { in_transit: 'shipped' }, customer_note: true };
+
+    const result = await woocommerce.push({ integration, order, event: 'in_transit' });
+
+    expect(result.store_status).toBe('shipped');
+    expect(stub.requests[0].body).toEqual({ status: 'shipped' });
+    expect(stub.requests[1].body.customer_note).toBe(true);
+  });
+
+  it('does not move the store back when a later event was already sent', async () => {
+    const result = await woocommerce.push({ integration, order, event: 'delivered', superseded: true });
+
+    expect(result.store_status).toBeNull();
+    expect(stub.requests.map(r => r.method)).toEqual(['POST']);
+  });
+
+  it('passes API errors on with their response', async () => {
+    stub.route(`PUT ${ORDER_PATH}`, () => ({ status: 401, body: { code: 'woocommerce_rest_cannot_edit' } }));
+
+    await expect(woocommerce.push({ integration, order, event: 'delivered' }))
+      .rejects.toMatchObject({ response: { status: 401 } });
+  });
+
+  it('fails permanently for events it does not handle', async () => {
+    await expect(woocommerce.push({ integration, order, event: 'overflow_out' }))
+      .rejects.toMatchObject({ retryable: false });
+    expect(stub.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Test Clock
+ *
+ * Moves Date (and only Date) to a given time, so retry times can be
+ * reached without waiting while sockets and request timeouts keep running
+ * on the real timers. Undo with jest.useRealTimers()
+ */
+
+const REAL_TIMERS = [
+  'hrtime',
+  'nextTick',
+  'performance',
+  'queueMicrotask',
+  'setImmediate',
+  'clearImmediate',
+  'setInterval',
+  'clearInterval',
+  'setTimeout',
+  'clearTimeout'
+];
+
+/**
+ * Set the current time to now + ms
+ */
+const advanceClock = (ms) => {
+  jest.useFakeTimers({ now: Date.now() + ms, doNotFake: REAL_TIMERS });
+};
+
+module.exports = {
+  advanceClock
+};
@@ -0,0 +1,98 @@
+/**
+ * Stub HTTP Server
+ *
+ * A local stand-in for the platform and carrier APIs the adapters call.
+ * Routes are keyed by "METHOD /path" (no query string); each handler gets
+ * the recorded request and returns { status, body, headers }. Every request
+ * is recorded (with its raw body, for signatures), so tests can check what
+ * was sent
+ *
+ *   const stub = await startStubServer({
+ *     'POST /login': () => ({ body: { token: 'abc' } })
+ *   });
+ *   ... stub.url, stub.requests ...
+ *   await stub.close();
+ */
+
+const http = require('http');
+
+/**
+ * Parse a request body by its content type (JSON, form or raw text)
+ */
+const parseBody = (raw, contentType = '') => {
+  if (!raw) return null;
+
+  if (contentType.includes('application/json')) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return raw;
+    }
+  }
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+
+  return raw;
+};
+
+/**
+ * Start a stub server on a free local port
+ *
+ * @param {object} routes - { 'METHOD /path': (request) => ({ status, body, headers }) }
+ * @returns {Promise<object>} - { url, requests, route, close }
+ */
+const startStubServer = (routes = {}) => {
+  const handlers = { ...routes };
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const raw = Buffer.concat(chunks).toString('utf8');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        raw,
+        body: parseBody(raw, req.headers['content-type'])
+      };
+      requests.push(request);
+
+      const handler = handlers[`${req.method} ${url.pathname}`];
+      const { status = 200, body = null, headers = {} } = handler
+        ? (await handler(request)) || {}
+        : { status: 404, body: { error: `No stub for ${req.method} ${url.pathname}` } };
+
+      const isBuffer = Buffer.isBuffer(body);
+      const isText = typeof body === 'string';
+
+      res.writeHead(status, {
+        'Content-Type': isBuffer ? 'application/octet-stream' : isText ? 'text/plain' : 'application/json',
+        ...headers
+      });
+      res.end(isBuffer || isText ? body : JSON.stringify(body));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        // Replace or add a route while the server runs
+        route: (key, handler) => { handlers[key] = handler; },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+module.exports = {
+  startStubServer
+};
@@ -0,0 +1,62 @@
+const importService = require('../../src/services/import.service');
+const orderService = require('../../src/services/order.service');
+
+/**
+ * CSV upload with one order per reference
+ */
+const csvFile = (...references) => ({
+  originalname: 'comenzi.csv',
+  mimetype: 'text/csv',
+  buffer: Buffer.from([
+    'external_order_id,recipient_name,recipient_phone,delivery_address,delivery_city,cod_amount',
+    ...references.map(reference => `${reference},Ion Popescu,0722123456,Str. Lungă 5,Brașov,150`)
+  ].join('\n'))
+});
+
+/**
+ * Make the save of one reference fail as a database error would
+ */
+const failSavingOf = (reference) => {
+  const createOrder = orderService.createOrder;
+  return jest.spyOn(orderService, 'createOrder').mockImplementation((order) => {
+    if (order.external_order_id === reference) return Promise.reject(new Error('Lock wait timeout exceeded'));
+    return createOrder(order);
+  });
+};
+
+describe('Spreadsheet import', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('reports a row that cannot be saved as failed and saves the others', async () => {
+    failSavingOf('IMP-2');
+
+    const result = await importService.importOrders({ file: csvFile('IMP-1', 'IMP-2', 'IMP-3') });
+
+    expect(result.stopped_at_row).toBeNull();
+    expect(result.rows.map(row => [row.external_order_id, row.status])).toEqual([
+      ['IMP-1', 'created'],
+      ['IMP-2', 'failed'],
+      ['IMP-3', 'created']
+    ]);
+    expect(result.rows[1].reason).toBe('Lock wait timeout exceeded');
+  });
+
+  it('stops an atomic import at the row that cannot be saved, reporting the rows saved before it', async () => {
+    failSavingOf('ATM-2');
+
+    const result = await importService.importOrders({ file: csvFile('ATM-1', 'ATM-2', 'ATM-3'), atomic: true });
+
+    expect(result).toMatchObject({
+      rejected: false,
+      stopped_at_row: 3,
+      summary: { total: 3, created: 1, failed: 1, skipped: 1 }
+    });
+    expect(result.rows.map(row => row.status)).toEqual(['created', 'failed', 'skipped']);
+    expect(await orderService.getOrderByExternalId('ATM-3', 'import', null)).toBeFalsy();
+  });
+});
@@ -0,0 +1,103 @@
+const { startStubServer } = require('../helpers/stubServer');
+const { advanceClock } = require('../helpers/clock');
+const merchantService = require('../../src/services/merchant.service');
+const merchantWebhookService = require('../../src/services/merchantWebhook.service');
+const { computeHmac } = require('../../src/services/signature.service');
+
+const MINUTE = 60 * 1000;
+const SECRET = 'whsec_test';
+
+const order = (id) => ({
+  internal_order_id: `ZC-20260204-${id}`,
+  external_order_id: id,
+  merchant_id: 1,
+  aggregator_source: 'direct',
+  status: 'delivered',
+  recipient_name: 'Ion Popescu',
+  delivery_city: 'Cluj-Napoca',
+  cod_amount: '99.50'
+});
+
+describe('Merchant webhooks and their retry worker', () => {
+  let stub;
+  let respond;
+
+  beforeAll(async () => {
+    stub = await startStubServer({
+      'POST /hooks': (request) => (respond ? respond(request) : { body: { ok: true } })
+    });
+
+    await merchantService.updateWebhookSubscription(1, {
+      webhook_url: `${stub.url}/hooks`,
+      webhook_secret: SECRET,
+      webhook_events: null
+    });
+  });
+
+  afterAll(() => stub.close());
+
+  beforeEach(() => {
+    respond = null;
+    stub.requests.length = 0;
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  it('sends a signed order event', async () => {
+    const delivery = await merchantWebhookService.sendOrderWebhookAsync(order('2001'), 'order.delivered');
+
+    expect(delivery).toMatchObject({ status: 'sent', attempts: 1, http_status: 200 });
+
+    const [request] = stub.requests;
+    expect(request.headers['x-zoom-event']).toBe('order.delivered');
+    expect(request.headers['x-zoom-delivery']).toBe(delivery.event_id);
+    expect(request.headers['x-zoom-signature'])
+      .toBe(computeHmac(SECRET, `${request.headers['x-zoom-timestamp']}.${request.raw}`));
+    expect(request.body.data.order).toMatchObject({
+      internal_order_id: 'ZC-20260204-2001',
+      status: 'delivered',
+      cod_amount: 99.5
+    });
+  });
+
+  it('retries a failed delivery when it is due and sends it once', async () => {
+    respond = () => ({ status: 502 });
+
+    const delivery = await merchantWebhookService.sendOrderWebhookAsync(order('2002'), 'order.delivered');
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, http_status: 502 });
+
+    await merchantWebhookService.processDueDeliveries();
+    expect(stub.requests).toHaveLength(1);
+
+    respond = null;
+    advanceClock(MINUTE + 1000);
+    await merchantWebhookService.processDueDeliveries();
+    await merchantWebhookService.processDueDeliveries();
+
+    expect(await merchantWebhookService.getDeliveryById(delivery.id)).toMatchObject({ status: 'sent', attempts: 2 });
+    expect(stub.requests).toHaveLength(2);
+
+    // The same event both times
+    expect(stub.requests[1].headers['x-zoom-delivery']).toBe(stub.requests[0].headers['x-zoom-delivery']);
+  });
+
+  it('fails a delivery the merchant endpoint rejects', async () => {
+    respond = () => ({ status: 410 });
+
+    const delivery = await merchantWebhookService.sendOrderWebhookAsync(order('2003'), 'order.delivered');
+
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 1, http_status: 410, next_attempt_at: null });
+  });
+
+  it('lets the merchant redeliver a failed delivery, but not a sent one', async () => {
+    respond = () => ({ status: 410 });
+    const failed = await merchantWebhookService.sendOrderWebhookAsync(order('2004'), 'order.delivered');
+
+    respond = null;
+    expect(await merchantWebhookService.redeliver(failed.id, 1)).toMatchObject({ status: 'sent', attempts: 2 });
+    await expect(merchantWebhookService.redeliver(failed.id, 1)).rejects.toMatchObject({ statusCode: 409 });
+
+    // Other merchants' deliveries are not found
+    expect(await merchantWebhookService.redeliver(failed.id, 2)).toBeNull();
+  });
+});
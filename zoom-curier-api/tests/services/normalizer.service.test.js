@@ -0,0 +1,237 @@
+const {
+  normalizeOrder,
+  getOrderWarnings,
+  detectSource
+} = require('../../src/services/normalizer.service');
+const OrderValidationError = require('../../src/errors/OrderValidationError');
+
+const shopifyPayload = () => ({
+  id: 5001,
+  gateway: 'Cash on Delivery (COD)',
+  total_price: '149.90',
+  currency: 'RON',
+  customer: { first_name: 'Ion', last_name: 'Popescu', email: 'ion@example.ro' },
+  shipping_address: {
+    address1: 'Str. Memorandumului 28',
+    address2: 'Ap. 4',
+    city: 'Cluj-Napoca',
+    province: 'Cluj',
+    province_code: 'CJ',
+    zip: '400114',
+    country_code: 'RO',
+    phone: '0722 123 456'
+  },
+  line_items: [
+    { sku: 'TS-1', title: 'Tricou', quantity: 2, grams: 250, price: '49.95' },
+    { sku: 'CN-1', title: 'Cană', quantity: 1, grams: 500, price: '50.00' }
+  ],
+  note: 'Sunați înainte'
+});
+
+const wooCommercePayload = () => ({
+  id: 812,
+  payment_method: 'cod',
+  total: '99.50',
+  currency: 'RON',
+  billing: { first_name: 'Maria', last_name: 'Ionescu', phone: '0733123456', email: 'maria@example.ro' },
+  shipping: { first_name: 'Maria', last_name: 'Ionescu', address_1: 'Bd. Eroilor 10', city: 'Brașov', state: 'BV', postcode: '500030', country: 'RO' },
+  line_items: [{ sku: 'PH-1', name: 'Husă', quantity: 3, weight: '0.2', price: '33.16' }]
+});
+
+const gomagPayload = () => ({
+  order_id: 10042,
+  payment_method: 'ramburs',
+  total: '120',
+  customer: { name: 'Andrei Pop', phone: '0744123456', email: 'andrei@example.ro' },
+  shipping_address: { address1: 'Str. Lungă 5', city: 'Sibiu', county: 'Sibiu', zip: '550001' },
+  products: [{ sku: 'B-1', name: 'Bocanci', quantity: 1, weight: 1.5, price: 120 }]
+});
+
+const innoshipPayload = () => ({
+  ClientOrderId: 90017,
+  AddressTo: [{
+    Name: 'Elena Radu',
+    Phone: '0755123456',
+    Email: 'elena@example.ro',
+    AddressText: 'Str. Republicii 12',
+    LocalityName: 'Iași',
+    CountyName: 'Iași',
+    PostalCode: '700001'
+  }],
+  AddressFrom: [{ AddressText: 'Depozit Chitila' }],
+  Content: [{ Contents: 'Cărți', ParcelsCount: 2, TotalWeight: '3' }],
+  Extra: { CashOnDeliveryAmount: '120.50' }
+});
+
+const overflowInPayload = () => ({
+  carrier_id: 2,
+  awb_number: 2150000123,
+  recipient_name: 'Vlad Stan',
+  recipient_phone: '0766123456',
+  delivery_address: 'Str. Zorilor 3',
+  delivery_city: 'Cluj-Napoca',
+  delivery_county: 'Cluj',
+  cod_amount: '75.00',
+  weight: '1.2'
+});
+
+describe('Normalizer', () => {
+  it('normalizes a Shopify order', () => {
+    const order = normalizeOrder('SHOPIFY', shopifyPayload(), { merchantId: 1 });
+
+    expect(order).toMatchObject({
+      external_order_id: '5001',
+      merchant_id: 1,
+      aggregator_source: 'shopify',
+      status: 'pending',
+      recipient_name: 'Ion Popescu',
+      recipient_phone: '+40722123456',
+      recipient_email: 'ion@example.ro',
+      delivery_address: 'Str. Memorandumului 28, Ap. 4',
+      delivery_postal_code: '400114',
+      cod_amount: 149.9,
+      cod_currency: 'RON',
+      total_weight: 1,
+      notes: 'Sunați înainte'
+    });
+    expect(order.internal_order_id).toMatch(/^ZC-\d{8}-[0-9a-f]{8}$/);
+    expect(order.items).toEqual([
+      { sku: 'TS-1', name: 'Tricou', quantity: 2, unit_weight: 0.25, unit_price: 49.95 },
+      { sku: 'CN-1', name: 'Cană', quantity: 1, unit_weight: 0.5, unit_price: 50 }
+    ]);
+  });
+
+  it('normalizes a WooCommerce order', () => {
+    const order = normalizeOrder('WOOCOMMERCE', wooCommercePayload());
+
+    expect(order).toMatchObject({
+      external_order_id: '812',
+      recipient_name: 'Maria Ionescu',
+      recipient_phone: '+40733123456',
+      delivery_address: 'Bd. Eroilor 10',
+      cod_amount: 99.5
+    });
+    expect(order.total_weight).toBeCloseTo(0.6);
+  });
+
+  it('normalizes a Gomag order', () => {
+    const order = normalizeOrder('GOMAG', gomagPayload());
+
+    expect(order).toMatchObject({
+      external_order_id: '10042',
+      recipient_name: 'Andrei Pop',
+      delivery_city: 'Sibiu',
+      cod_amount: 120,
+      total_weight: 1.5
+    });
+  });
+
+  it('accepts Innoship amounts and IDs sent as strings or numbers', () => {
+    const order = normalizeOrder('INNOSHIP', innoshipPayload());
+
+    expect(order).toMatchObject({
+      external_order_id: '90017',
+      aggregator_source: 'innoship',
+      pickup_address: 'Depozit Chitila',
+      cod_amount: 120.5,
+      total_weight: 3
+    });
+    expect(order.items).toEqual([{ sku: null, name: 'Cărți', quantity: 2, unit_weight: 1.5, unit_price: null }]);
+  });
+
+  it('rejects an amount that is not a number, naming the field', () => {
+    const payload = { ...innoshipPayload(), Extra: { CashOnDeliveryAmount: 'o sută' } };
+
+    expect(() => normalizeOrder('INNOSHIP', payload)).toThrow(OrderValidationError);
+
+    try {
+      normalizeOrder('INNOSHIP', payload);
+    } catch (error) {
+      expect(error.statusCode).toBe(422);
+      expect(error.details).toContainEqual(expect.objectContaining({ location: 'payload', field: 'Extra.CashOnDeliveryAmount' }));
+    }
+  });
+
+  it('accepts Overflow IN amounts and weights sent as strings', () => {
+    const order = normalizeOrder('OVERFLOW_IN', overflowInPayload());
+
+    expect(order).toMatchObject({
+      external_order_id: '2150000123',
+      is_overflow: true,
+      cod_amount: 75,
+      total_weight: 1.2
+    });
+  });
+
+  it('takes the Overflow IN parent carrier from the sending account, never from the payload', () => {
+    expect(normalizeOrder('OVERFLOW_IN', overflowInPayload(), { partnerCarrierId: 3 }).parent_carrier_id).toBe(3);
+    expect(normalizeOrder('OVERFLOW_IN', overflowInPayload()).parent_carrier_id).toBeNull();
+  });
+
+  it('rejects an Overflow IN amount that is not a number instead of reading it as 0', () => {
+    const payload = { ...overflowInPayload(), cod_amount: '75 lei' };
+
+    let error;
+    try {
+      normalizeOrder('OVERFLOW_IN', payload);
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error).toBeInstanceOf(OrderValidationError);
+    expect(error.statusCode).toBe(422);
+    expect(error.details).toContainEqual(expect.objectContaining({ location: 'payload', field: 'cod_amount' }));
+  });
+
+  it('keeps an order with a malformed email, without the email and with a warning', () => {
+    const payload = shopifyPayload();
+    payload.customer.email = 'ion.popescu@';
+
+    const order = normalizeOrder('SHOPIFY', payload);
+
+    expect(order.recipient_email).toBeNull();
+    expect(getOrderWarnings(order)).toContainEqual({
+      field: 'recipient_email',
+      message: 'Email "ion.popescu@" is not a valid address - the order is kept without it'
+    });
+  });
+
+  it('trims a valid email', () => {
+    const payload = wooCommercePayload();
+    payload.billing.email = '  maria@example.ro ';
+
+    expect(normalizeOrder('WOOCOMMERCE', payload).recipient_email).toBe('maria@example.ro');
+  });
+
+  it('lists every missing field of an incomplete order', () => {
+    const payload = shopifyPayload();
+    delete payload.shipping_address;
+
+    let error;
+    try {
+      normalizeOrder('SHOPIFY', payload);
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error).toBeInstanceOf(OrderValidationError);
+    expect(error.details.map(detail => detail.field)).toEqual(expect.arrayContaining(['recipient_phone', 'delivery_address']));
+  });
+
+  it('skips validation for cancellation payloads that only carry the order ID', () => {
+    const order = normalizeOrder('SHOPIFY', { id: 5001 }, { skipValidation: true });
+
+    expect(order.external_order_id).toBe('5001');
+  });
+
+  it('rejects an unsupported source without a mapping', () => {
+    expect(() => normalizeOrder('UNKNOWN', {})).toThrow('Unsupported source platform: UNKNOWN');
+  });
+
+  it('detects the source from headers first, then from the payload', () => {
+    expect(detectSource({}, { 'x-shopify-topic': 'orders/create' })).toBe('SHOPIFY');
+    expect(detectSource(wooCommercePayload())).toBe('WOOCOMMERCE');
+    expect(detectSource(innoshipPayload())).toBe('INNOSHIP');
+    expect(detectSource(gomagPayload())).toBe('GOMAG');
+  });
+});
@@ -0,0 +1,101 @@
+const orderService = require('../../src/services/order.service');
+const { normalizeOrder } = require('../../src/services/normalizer.service');
+
+/**
+ * Store a new direct order of the development merchant
+ */
+const createOrder = () => orderService.createOrder(normalizeOrder('DIRECT', {
+  pickup: { address: 'Str. Fabricii 2', city: 'Cluj-Napoca' },
+  delivery: { address: 'Str. Memorandumului 28', city: 'Cluj-Napoca' },
+  recipient: { name: 'Ion Popescu', phone: '0722123456' }
+}, { merchantId: 1 }));
+
+describe('Order status changes', () => {
+  it('takes an order through dispatch and records every step', async () => {
+    const order = await createOrder();
+    const id = order.internal_order_id;
+
+    const assigned = await orderService.assignDriver(id, 4);
+    await orderService.updateOrderStatus(id, 'in_transit', { actor: 'driver' });
+    const delivered = await orderService.markDelivered(id, assigned.otp_code.toLowerCase());
+
+    expect(delivered.status).toBe('delivered');
+
+    const history = await orderService.getOrderStatusHistory(id);
+    expect(history.map(entry => [entry.from_status, entry.to_status])).toEqual([
+      [null, 'pending'],
+      ['pending', 'assigned'],
+      ['assigned', 'in_transit'],
+      ['in_transit', 'delivered']
+    ]);
+  });
+
+  it('does not deliver through a plain status change', async () => {
+    const { internal_order_id: id } = await createOrder();
+
+    await orderService.assignDriver(id, 4);
+    await orderService.updateOrderStatus(id, 'in_transit');
+
+    await expect(orderService.updateOrderStatus(id, 'delivered'))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('OTP code is required') });
+    expect((await orderService.getOrderById(id)).status).toBe('in_transit');
+  });
+
+  it('rejects a wrong OTP without changing the order', async () => {
+    const { internal_order_id: id } = await createOrder();
+
+    await orderService.assignDriver(id, 4);
+    await orderService.updateOrderStatus(id, 'in_transit');
+
+    await expect(orderService.markDelivered(id, 'WRONG1')).rejects.toThrow('Invalid OTP code');
+    expect((await orderService.getOrderById(id)).status).toBe('in_transit');
+  });
+
+  it('answers moves the state machine does not allow with 409', async () => {
+    const { internal_order_id: id } = await createOrder();
+
+    await orderService.cancelOrder(id, 'Customer changed their mind');
+
+    await expect(orderService.assignDriver(id, 4)).rejects.toMatchObject({
+      statusCode: 409,
+      details: { current_status: 'cancelled', requested_status: 'assigned', allowed_transitions: [] }
+    });
+  });
+
+  it('applies a source update only while the order is still pending or assigned', async () => {
+    const order = await createOrder();
+    const id = order.internal_order_id;
+
+    const updated = await orderService.applySourceUpdate(order, { ...order, recipient_name: 'Ion Pop' });
+    expect(updated).toMatchObject({ applied: true, changes: { recipient_name: { from: 'Ion Popescu', to: 'Ion Pop' } } });
+
+    // Picked up after the webhook read the order
+    await orderService.assignDriver(id, 4);
+    await orderService.updateOrderStatus(id, 'in_transit');
+
+    const late = await orderService.applySourceUpdate(order, { ...order, recipient_name: 'Maria Pop' });
+
+    expect(late).toMatchObject({ applied: false, locked: true, reason: 'Order is in_transit and can no longer be modified' });
+    expect((await orderService.getOrderById(id)).recipient_name).toBe('Ion Pop');
+  });
+
+  it('returns null for unknown orders', async () => {
+    expect(await orderService.updateOrderStatus('ZC-20260204-missing', 'cancelled')).toBeNull();
+  });
+});
+
+describe('Order statistics', () => {
+  it('counts direct orders and custom mapping sources', async () => {
+    const before = (await orderService.getOrderStats()).by_source;
+
+    await createOrder();
+    const custom = await createOrder();
+    await orderService.createOrder({ ...custom, internal_order_id: `${custom.internal_order_id}-b`, aggregator_source: 'bespoke-shop' });
+
+    const { by_source: bySource } = await orderService.getOrderStats();
+
+    expect(bySource.direct).toBe(before.direct + 2);
+    expect(bySource['bespoke-shop']).toBe(1);
+    expect(bySource.shopify).toBe(0);
+  });
+});
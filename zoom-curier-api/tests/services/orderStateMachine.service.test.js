@@ -0,0 +1,98 @@
+const { TRANSITIONS, getAllowedTransitions, assertTransition } = require('../../src/services/orderStateMachine.service');
+const InvalidTransitionError = require('../../src/errors/InvalidTransitionError');
+
+const order = (status, fields = {}) => ({ internal_order_id: 'ZC-20260204-a1b2c3d4', status, driver_id: null, ...fields });
+
+/**
+ * The error assertTransition throws (undefined when the move is allowed)
+ */
+const transitionError = (...args) => {
+  try {
+    assertTransition(...args);
+  } catch (error) {
+    return error;
+  }
+  return undefined;
+};
+
+describe('Order state machine', () => {
+  it('lists the statuses each status can move to', () => {
+    expect(getAllowedTransitions('pending')).toEqual(['assigned', 'cancelled', 'overflow_out']);
+    expect(getAllowedTransitions('in_transit')).toEqual(['delivered', 'cancelled']);
+    expect(getAllowedTransitions('overflow_out')).toEqual(['pending', 'delivered', 'cancelled']);
+    expect(getAllowedTransitions('unknown')).toEqual([]);
+  });
+
+  it('keeps delivered and cancelled final', () => {
+    expect(TRANSITIONS.delivered).toEqual([]);
+    expect(TRANSITIONS.cancelled).toEqual([]);
+
+    const error = transitionError(order('delivered', { driver_id: 4 }), 'pending');
+
+    expect(error).toBeInstanceOf(InvalidTransitionError);
+    expect(error.statusCode).toBe(409);
+    expect(error.details).toEqual({
+      order_id: 'ZC-20260204-a1b2c3d4',
+      current_status: 'delivered',
+      requested_status: 'pending',
+      allowed_transitions: []
+    });
+  });
+
+  it('refuses to skip a step', () => {
+    const error = transitionError(order('pending'), 'in_transit');
+
+    expect(error.message).toContain('cannot go from pending to in_transit');
+    expect(error.details.allowed_transitions).toEqual(['assigned', 'cancelled', 'overflow_out']);
+  });
+
+  describe('guards', () => {
+    it('assigns only with a driver', () => {
+      expect(transitionError(order('pending'), 'assigned').message).toContain('A driver is required');
+      expect(transitionError(order('pending'), 'assigned', { driver_id: 4 })).toBeUndefined();
+
+      // Driver change
+      expect(transitionError(order('assigned', { driver_id: 4 }), 'assigned', { driver_id: 5 })).toBeUndefined();
+    });
+
+    it('starts a delivery only once a driver is assigned', () => {
+      expect(transitionError(order('assigned'), 'in_transit').message).toContain('has no driver assigned');
+      expect(transitionError(order('assigned', { driver_id: 4 }), 'in_transit')).toBeUndefined();
+    });
+
+    it('delivers only with the recipient\'s OTP', () => {
+      const inTransit = order('in_transit', { driver_id: 4 });
+
+      expect(transitionError(inTransit, 'delivered').message).toContain('OTP code is required');
+      expect(transitionError(inTransit, 'delivered', { otp_code: 'AB12CD' })).toBeUndefined();
+      expect(transitionError(order('in_transit'), 'delivered', { otp_code: 'AB12CD' }).message).toContain('has no driver assigned');
+    });
+
+    it('hands an order off only to a partner carrier', () => {
+      expect(transitionError(order('pending'), 'overflow_out').message).toContain('A partner carrier is required');
+      expect(transitionError(order('pending'), 'overflow_out', { overflow_carrier_id: 2 })).toBeUndefined();
+    });
+
+    it('takes a handed-off order back only once the partner shipment is cancelled', () => {
+      const handedOff = order('overflow_out', { overflow_awb: '2150000123' });
+
+      expect(transitionError(handedOff, 'pending').message).toContain('partner shipment must be cancelled first');
+      expect(transitionError(handedOff, 'pending', { overflow_awb: null })).toBeUndefined();
+    });
+
+    it('delivers or cancels a handed-off order only as the partner\'s tracking reports', () => {
+      const handedOff = order('overflow_out', { overflow_awb: '2150000123' });
+
+      expect(transitionError(handedOff, 'delivered', { otp_code: 'AB12CD' }).message).toContain('delivered by the partner carrier');
+      expect(transitionError(handedOff, 'delivered', { overflow_delivered: true })).toBeUndefined();
+
+      expect(transitionError(handedOff, 'cancelled').message).toContain('Take the order back from the partner carrier first');
+      expect(transitionError(handedOff, 'cancelled', { overflow_returned: true })).toBeUndefined();
+    });
+
+    it('cancels orders of our own without conditions', () => {
+      expect(transitionError(order('pending'), 'cancelled')).toBeUndefined();
+      expect(transitionError(order('in_transit', { driver_id: 4 }), 'cancelled')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const { startStubServer } = require('../helpers/stubServer');
+const { advanceClock } = require('../helpers/clock');
+const integrationService = require('../../src/services/integration.service');
+const orderService = require('../../src/services/order.service');
+const outboundService = require('../../src/services/outbound.service');
+
+const MINUTE = 60 * 1000;
+const BASE = '/admin/api/2024-10';
+
+/**
+ * Store a delivered Shopify order of the development merchant
+ */
+const createOrder = (externalOrderId) => orderService.createOrder({
+  internal_order_id: `ZC-20260204-${externalOrderId}`,
+  external_order_id: externalOrderId,
+  merchant_id: 1,
+  aggregator_source: 'shopify',
+  status: 'delivered'
+});
+
+describe('Outbound pushes and their retry worker', () => {
+  let stub;
+
+  // Responses to the fulfillment lookup (the first call of every push) by order ID (default: none yet)
+  const responses = {};
+  const orderRequests = (externalOrderId) =>
+    stub.requests.filter(r => r.method === 'GET' && r.path === `${BASE}/orders/${externalOrderId}/fulfillments.json`);
+
+  beforeAll(async () => {
+    stub = await startStubServer({
+      [`POST ${BASE}/fulfillments.json`]: (request) => {
+        const [{ fulfillment_order_id: id }] = request.body.fulfillment.line_items_by_fulfillment_order;
+        return { status: 201, body: { fulfillment: { id: Number(`9${id}`) } } };
+      }
+    });
+
+    await integrationService.createIntegration({
+      merchant_id: 1,
+      platform: 'shopify',
+      store_url: stub.url,
+      credentials: { access_token: 'shpat_test' }
+    });
+  });
+
+  afterAll(() => stub.close());
+
+  afterEach(() => jest.useRealTimers());
+
+  const serveOrder = (externalOrderId) => {
+    stub.route(`GET ${BASE}/orders/${externalOrderId}/fulfillments.json`, async (request) => {
+      const respond = responses[externalOrderId];
+      return respond ? respond(request) : { body: { fulfillments: [] } };
+    });
+    stub.route(`GET ${BASE}/orders/${externalOrderId}/fulfillment_orders.json`, () => ({
+      body: { fulfillment_orders: [{ id: Number(externalOrderId), status: 'open' }] }
+    }));
+    stub.route(`POST ${BASE}/orders/${externalOrderId}/fulfillments/9${externalOrderId}/events.json`, () => ({ status: 201, body: {} }));
+  };
+
+  it('sends an order event to the store right away', async () => {
+    serveOrder('1001');
+    const order = await createOrder('1001');
+
+    const push = await outboundService.pushOrderEventAsync(order, 'delivered');
+
+    expect(push).toMatchObject({ status: 'sent', attempts: 1, http_status: 200, result: { fulfillment_id: 91001 } });
+    expect(orderRequests('1001')).toHaveLength(1);
+  });
+
+  it('schedules a retry with exponential backoff on temporary errors', async () => {
+    serveOrder('1002');
+    responses['1002'] = () => ({ status: 503, body: { message: 'Maintenance' } });
+    const order = await createOrder('1002');
+
+    const push = await outboundService.pushOrderEventAsync(order, 'delivered');
+
+    expect(push).toMatchObject({ status: 'pending', attempts: 1, http_status: 503 });
+    expect(push.last_error).toContain('Maintenance');
+
+    const firstDelay = new Date(push.next_attempt_at) - new Date(push.updated_at);
+    expect(firstDelay).toBeGreaterThanOrEqual(MINUTE - 1000);
+    expect(firstDelay).toBeLessThanOrEqual(MINUTE + 1000);
+
+    // Not due yet: the worker leaves it alone
+    await outboundService.processDuePushes();
+    expect(orderRequests('1002')).toHaveLength(1);
+
+    // Second attempt after a minute, the next one two minutes later
+    advanceClock(MINUTE + 1000);
+    await outboundService.processDuePushes();
+
+    const retried = await outboundService.getPushById(push.id);
+    expect(retried).toMatchObject({ status: 'pending', attempts: 2 });
+    expect(new Date(retried.next_attempt_at) - Date.now()).toBe(2 * MINUTE);
+    expect(orderRequests('1002')).toHaveLength(2);
+
+    // The third attempt is the last one
+    advanceClock(2 * MINUTE + 1000);
+    await outboundService.processDuePushes();
+
+    const failed = await outboundService.getPushById(push.id);
+    expect(failed).toMatchObject({ status: 'failed', attempts: 3, next_attempt_at: null });
+    expect(orderRequests('1002')).toHaveLength(3);
+  });
+
+  it('sends a due push once the store is back', async () => {
+    serveOrder('1003');
+    responses['1003'] = () => ({ status: 429, body: { message: 'Too many requests' } });
+    const order = await createOrder('1003');
+
+    const push = await outboundService.pushOrderEventAsync(order, 'delivered');
+    expect(push.status).toBe('pending');
+
+    delete responses['1003'];
+    advanceClock(MINUTE + 1000);
+    await outboundService.processDuePushes();
+
+    expect(await outboundService.getPushById(push.id)).toMatchObject({ status: 'sent', attempts: 2 });
+
+    // A sent push is never sent again
+    advanceClock(10 * MINUTE);
+    await outboundService.processDuePushes();
+    expect(orderRequests('1003')).toHaveLength(2);
+  });
+
+  it('fails a push right away on errors a retry will not fix', async () => {
+    serveOrder('1004');
+    responses['1004'] = () => ({ status: 401, body: { errors: 'Invalid API key or access token' } });
+    const order = await createOrder('1004');
+
+    const push = await outboundService.pushOrderEventAsync(order, 'delivered');
+
+    expect(push).toMatchObject({ status: 'failed', attempts: 1, http_status: 401, next_attempt_at: null });
+  });
+
+  it('skips a listed push that was sent by an admin retry in the meantime', async () => {
+    serveOrder('1005');
+    serveOrder('1006');
+    responses['1005'] = () => ({ status: 500 });
+    responses['1006'] = () => ({ status: 500 });
+
+    const slow = await outboundService.pushOrderEventAsync(await createOrder('1005'), 'delivered');
+    const other = await outboundService.pushOrderEventAsync(await createOrder('1006'), 'delivered');
+
+    // The worker lists both and is held up on the first
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    responses['1005'] = async () => { await held; return { body: { fulfillments: [] } }; };
+    delete responses['1006'];
+
+    advanceClock(MINUTE + 1000);
+    const worker = outboundService.processDuePushes();
+
+    while (orderRequests('1005').length < 2) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    // An admin sends the second one while the worker is busy
+    expect(await outboundService.retryPush(other.id)).toMatchObject({ status: 'sent', attempts: 2 });
+
+    release();
+    expect(await worker).toBe(2);
+
+    expect(await outboundService.getPushById(slow.id)).toMatchObject({ status: 'sent', attempts: 2 });
+    expect(await outboundService.getPushById(other.id)).toMatchObject({ status: 'sent', attempts: 2 });
+    expect(orderRequests('1006')).toHaveLength(2);
+  });
+
+  it('refuses to retry a push that was already sent', async () => {
+    serveOrder('1007');
+    const push = await outboundService.pushOrderEventAsync(await createOrder('1007'), 'delivered');
+
+    await expect(outboundService.retryPush(push.id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
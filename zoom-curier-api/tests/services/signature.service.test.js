@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const {
+  verifyShopifySignature,
+  verifyWooCommerceSignature,
+  computeHmac,
+  signRequest
+} = require('../../src/services/signature.service');
+
+const rawBody = Buffer.from(JSON.stringify({ id: 5001, total_price: '149.90' }));
+const sign = (secret, body = rawBody) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+const merchant = { id: 1 };
+const otherMerchant = { id: 2 };
+
+describe('Webhook signatures', () => {
+  beforeEach(() => {
+    process.env.SHOPIFY_WEBHOOK_SECRETS = JSON.stringify({
+      'shop-one.myshopify.com': { merchant_id: 1, secret: 'shpss_one' },
+      'shop-two.myshopify.com': { merchant_id: 2, secret: 'shpss_two' }
+    });
+    process.env.WOOCOMMERCE_WEBHOOK_SECRETS = JSON.stringify({
+      'https://magazin.example.ro/': { merchant_id: 1, secret: 'wc_one' }
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.SHOPIFY_WEBHOOK_SECRETS;
+    delete process.env.WOOCOMMERCE_WEBHOOK_SECRETS;
+  });
+
+  describe('Shopify', () => {
+    const request = (headers, fields = {}) => ({
+      headers: { 'x-shopify-shop-domain': 'shop-one.myshopify.com', ...headers },
+      rawBody,
+      merchant,
+      ...fields
+    });
+
+    it('accepts a body signed with the shop secret', () => {
+      expect(verifyShopifySignature(request({ 'x-shopify-hmac-sha256': sign('shpss_one') }))).toEqual({ valid: true });
+    });
+
+    it('matches the shop domain case-insensitively', () => {
+      const req = request({
+        'x-shopify-shop-domain': 'Shop-One.MyShopify.com',
+        'x-shopify-hmac-sha256': sign('shpss_one')
+      });
+
+      expect(verifyShopifySignature(req).valid).toBe(true);
+    });
+
+    it('rejects a tampered body', () => {
+      const req = request({ 'x-shopify-hmac-sha256': sign('shpss_one') }, { rawBody: Buffer.from('{"id":5002}') });
+
+      expect(verifyShopifySignature(req)).toEqual({ valid: false, reason: 'Signature mismatch' });
+    });
+
+    it('rejects a missing signature', () => {
+      expect(verifyShopifySignature(request({}))).toEqual({ valid: false, reason: 'Missing X-Shopify-Hmac-Sha256 header' });
+    });
+
+    it('rejects a shop without a secret', () => {
+      const req = request({ 'x-shopify-shop-domain': 'unknown.myshopify.com', 'x-shopify-hmac-sha256': sign('shpss_one') });
+
+      expect(verifyShopifySignature(req)).toEqual({
+        valid: false,
+        reason: 'No webhook secret configured for Shop unknown.myshopify.com'
+      });
+    });
+
+    it('rejects another merchant\'s shop, even correctly signed', () => {
+      const req = request({
+        'x-shopify-shop-domain': 'shop-two.myshopify.com',
+        'x-shopify-hmac-sha256': sign('shpss_two')
+      });
+
+      expect(verifyShopifySignature(req)).toEqual({
+        valid: false,
+        reason: 'Shop shop-two.myshopify.com does not belong to merchant 1'
+      });
+      expect(verifyShopifySignature({ ...req, merchant: otherMerchant })).toEqual({ valid: true });
+    });
+
+    it('rejects requests without the raw body', () => {
+      const req = request({ 'x-shopify-hmac-sha256': sign('shpss_one') }, { rawBody: undefined });
+
+      expect(verifyShopifySignature(req)).toEqual({ valid: false, reason: 'Raw request body not available' });
+    });
+
+    it('treats an invalid secrets map as empty', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.SHOPIFY_WEBHOOK_SECRETS = '{not json';
+
+      expect(verifyShopifySignature(request({ 'x-shopify-hmac-sha256': sign('shpss_one') })).valid).toBe(false);
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('WooCommerce', () => {
+    const request = (headers, fields = {}) => ({
+      headers: { 'x-wc-webhook-source': 'https://magazin.example.ro', ...headers },
+      rawBody,
+      merchant,
+      ...fields
+    });
+
+    it('accepts a body signed with the store secret (trailing slash ignored)', () => {
+      expect(verifyWooCommerceSignature(request({ 'x-wc-webhook-signature': sign('wc_one') }))).toEqual({ valid: true });
+    });
+
+    it('rejects a wrong signature', () => {
+      expect(verifyWooCommerceSignature(request({ 'x-wc-webhook-signature': sign('wc_other') })))
+        .toEqual({ valid: false, reason: 'Signature mismatch' });
+    });
+
+    it('rejects a store of another merchant', () => {
+      const result = verifyWooCommerceSignature(request({ 'x-wc-webhook-signature': sign('wc_one') }, { merchant: otherMerchant }));
+
+      expect(result).toEqual({ valid: false, reason: 'Store https://magazin.example.ro does not belong to merchant 2' });
+    });
+
+    it('rejects an unknown store', () => {
+      const req = request({ 'x-wc-webhook-source': 'https://other.example.ro', 'x-wc-webhook-signature': sign('wc_one') });
+
+      expect(verifyWooCommerceSignature(req).valid).toBe(false);
+    });
+  });
+
+  describe('signed requests we send', () => {
+    it('signs "<timestamp>.<body>" with the shared secret', () => {
+      const body = JSON.stringify({ awb: '2150000123', event: 'delivered' });
+      const headers = signRequest('callback-secret', body);
+
+      expect(headers['X-Zoom-Timestamp']).toMatch(/^\d+$/);
+      expect(Math.abs(Number(headers['X-Zoom-Timestamp']) - Date.now() / 1000)).toBeLessThan(5);
+      expect(headers['X-Zoom-Signature']).toBe(computeHmac('callback-secret', `${headers['X-Zoom-Timestamp']}.${body}`));
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { processOrderWebhook } = require('../../src/services/webhook.service');
+const merchantService = require('../../src/services/merchant.service');
+
+const overflowInPayload = (awb) => ({
+  carrier_id: 1,
+  awb_number: awb,
+  recipient_name: 'Vlad Stan',
+  recipient_phone: '0766123456',
+  delivery_address: 'Str. Zorilor 3',
+  delivery_city: 'Cluj-Napoca',
+  cod_amount: 75
+});
+
+describe('Overflow IN webhooks', () => {
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('refuses Overflow IN orders from a merchant that is not a partner carrier', async () => {
+    await expect(processOrderWebhook({ source: 'OVERFLOW_IN', payload: overflowInPayload('2150000901'), merchantId: 1 }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('tags the order with the carrier of the sending account, whatever carrier_id the payload claims', async () => {
+    const getNormalizationOptions = merchantService.getNormalizationOptions;
+    jest.spyOn(merchantService, 'getNormalizationOptions').mockImplementation(async (merchantId) => ({
+      ...await getNormalizationOptions(merchantId),
+      partnerCarrierId: 2
+    }));
+
+    const result = await processOrderWebhook({ source: 'OVERFLOW_IN', payload: overflowInPayload('2150000902'), merchantId: 1 });
+
+    expect(result.action).toBe('created');
+    expect(result.order).toMatchObject({ is_overflow: true, parent_carrier_id: 2 });
+  });
+});
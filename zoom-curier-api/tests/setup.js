@@ -0,0 +1,15 @@
+/**
+ * Test environment
+ *
+ * Services keep their data in memory (no MySQL needed) and the development
+ * merchant (id 1) authenticates with the key below. Set before any module
+ * is loaded, as the services read them at require time
+ */
+
+process.env.USE_IN_MEMORY_DB = 'true';
+process.env.DEV_MERCHANT_API_KEY = 'test-merchant-key';
+process.env.TRACKING_BASE_URL = 'https://track.example.ro';
+
+// Retried after 1 and 2 minutes; the third failed attempt is final
+process.env.OUTBOUND_PUSH_MAX_ATTEMPTS = '3';
+process.env.OUTBOUND_RETRY_BASE_SECONDS = '60';